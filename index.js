@@ -1,6 +1,7 @@
 import 'dotenv/config';
 import app from './src/app.js';
 import connectDatabase from './src/config/database.js';
+import mailService from './src/services/mailService.js';
 
 // ======================
 // Configuration
@@ -9,6 +10,9 @@ import connectDatabase from './src/config/database.js';
 const PORT = process.env.PORT || 5000;
 const NODE_ENV = process.env.NODE_ENV || 'development';
 
+// Reset, invitation and verification tokens need a real mail transport
+mailService.assertConfigured();
+
 // ======================
 // Database Connection
 // ======================
@@ -10,6 +10,11 @@ import authRoutes from './routes/authRoutes.js';
 import esgRoutes from './routes/esgRoutes.js';
 import reportRoutes from './routes/reportRoutes.js';
 import userRoutes from './routes/userRoutes.js';
+import serviceAccountRoutes from './routes/serviceAccountRoutes.js';
+import roleRoutes from './routes/roleRoutes.js';
+import organizationRoutes from './routes/organizationRoutes.js';
+import facilityRoutes from './routes/facilityRoutes.js';
+import emissionFactorRoutes from './routes/emissionFactorRoutes.js';
 
 // Create Express app
 const app = express();
@@ -83,6 +88,11 @@ app.use('/api/auth', authRoutes);
 app.use('/api/esg', esgRoutes);
 app.use('/api/reports', reportRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/service-accounts', serviceAccountRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/organizations', organizationRoutes);
+app.use('/api/facilities', facilityRoutes);
+app.use('/api/emission-factors', emissionFactorRoutes);
 
 // ======================
 // Welcome Route
@@ -98,7 +108,12 @@ app.get('/', (req, res) => {
       auth: '/api/auth',
       esg: '/api/esg',
       reports: '/api/reports',
-      users: '/api/users'
+      users: '/api/users',
+      serviceAccounts: '/api/service-accounts',
+      roles: '/api/roles',
+      organizations: '/api/organizations',
+      facilities: '/api/facilities',
+      emissionFactors: '/api/emission-factors'
     }
   });
 });
@@ -1,4 +1,18 @@
 import mongoose from 'mongoose';
+import roleService from '../services/roleService.js';
+
+// Whether the server runs multi-document transactions, which only
+// replica sets and sharded clusters do
+let transactionsSupported = false;
+
+/**
+ * Run fn(session) in a transaction (retried on transient errors) where
+ * the server supports them; on a standalone server fn runs without one
+ * (session is null)
+ */
+export const runInTransaction = fn => (transactionsSupported
+  ? mongoose.connection.transaction(fn)
+  : fn(null));
 
 /**
  * Database connection configuration
@@ -10,6 +24,16 @@ const connectDatabase = async () => {
     console.log(`MongoDB Connected: ${conn.connection.host}`);
     console.log(`Database: ${conn.connection.name}`);
 
+    const hello = await conn.connection.db.admin().command({ hello: 1 });
+    transactionsSupported = Boolean(hello.setName || hello.msg === 'isdbgrid');
+
+    if (!transactionsSupported) {
+      console.warn('MongoDB is not a replica set: changes are saved without transactions');
+    }
+
+    // Built-in roles must exist before anyone can be authorized
+    await roleService.ensureSystemRoles();
+
     mongoose.connection.on('error', (err) => {
       console.error('MongoDB connection error:', err);
     });
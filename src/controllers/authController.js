@@ -1,70 +1,202 @@
-import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Invitation from '../models/Invitation.js';
 import auditService from '../services/auditService.js';
+import sessionService from '../services/sessionService.js';
+import mailService from '../services/mailService.js';
+import mfaService from '../services/mfaService.js';
+import accountLockoutService from '../services/accountLockoutService.js';
+import passwordPolicyService from '../services/passwordPolicyService.js';
+import oidcService from '../services/oidcService.js';
+import roleService from '../services/roleService.js';
+import organizationService from '../services/organizationService.js';
 
 import {
   HTTP_STATUS,
   ERROR_MESSAGES,
-  SUCCESS_MESSAGES
+  SUCCESS_MESSAGES,
+  AUDIT_ACTIONS
 } from '../utils/constants.js';
 
 import {
   successResponse,
   errorResponse,
-  sanitizeUser
+  sanitizeUser,
+  hashToken
 } from '../utils/helpers.js';
 
+const PASSWORD_RESET_EXPIRE_MINUTES =
+  parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES, 10) || 60;
+
 /**
- * Generate JWT Token
+ * Finish a login: open a session, audit it and send tokens
  */
-const generateToken = (userId) => {
-  return jwt.sign(
-    { userId },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE || '7d' }
+const completeLogin = async (user, req, res, extra = {}) => {
+  // Update last login and clear failed attempts
+  user.lastLogin = new Date();
+  accountLockoutService.resetAttempts(user);
+  await user.save();
+
+  // Open a session and issue tokens
+  const { token, refreshToken } = await sessionService.createSession(user._id, req);
+
+  // Log successful login
+  await auditService.logLogin(user._id, req, true);
+
+  res.status(HTTP_STATUS.OK).json(
+    successResponse(
+      {
+        user: sanitizeUser(user),
+        token,
+        refreshToken,
+        passwordExpired: passwordPolicyService.isExpired(user),
+        ...extra
+      },
+      SUCCESS_MESSAGES.LOGIN_SUCCESS
+    )
   );
 };
 
 /**
- * Register a new user
+ * Continue a login once the first factor is verified: challenge
+ * for MFA where needed, otherwise open a session
+ */
+const continueLogin = async (user, req, res) => {
+  // Second factor: enrolled users must pass a TOTP challenge
+  if (user.mfa?.enabled) {
+    return res.status(HTTP_STATUS.OK).json(
+      successResponse(
+        {
+          mfaRequired: true,
+          challengeToken: mfaService.createChallengeToken(user._id, 'mfa_challenge')
+        },
+        SUCCESS_MESSAGES.MFA_CHALLENGE
+      )
+    );
+  }
+
+  // Roles with mandatory MFA must enroll before getting a session
+  if (mfaService.isRequiredForRole(user.role)) {
+    return res.status(HTTP_STATUS.OK).json(
+      successResponse(
+        {
+          mfaEnrollmentRequired: true,
+          challengeToken: mfaService.createChallengeToken(user._id, 'mfa_enrollment')
+        },
+        SUCCESS_MESSAGES.MFA_ENROLLMENT_REQUIRED
+      )
+    );
+  }
+
+  return completeLogin(user, req, res);
+};
+
+/**
+ * Register a new user from an invitation
  */
 export const register = async (req, res) => {
   try {
-    const { name, email, password, role, organization } = req.body;
+    const { invitationToken, name, password } = req.body;
+
+    // Role, organization and email come from the invitation, never the
+    // body. It is claimed up front so that it makes one account only.
+    const now = new Date();
+    const invitation = await Invitation.findOneAndUpdate(
+      {
+        tokenHash: hashToken(invitationToken),
+        acceptedAt: null,
+        revokedAt: null,
+        expiresAt: { $gt: now }
+      },
+      { $set: { acceptedAt: now } },
+      { new: true }
+    );
+
+    if (!invitation) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        errorResponse(ERROR_MESSAGES.INVITATION_INVALID)
+      );
+    }
+
+    const { email, role, organization } = invitation;
+
+    // Hand the invitation back when no account comes of it
+    const releaseInvitation = () => Invitation.updateOne(
+      { _id: invitation._id, acceptedBy: null },
+      { $unset: { acceptedAt: 1 } }
+    );
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
     if (existingUser) {
+      await releaseInvitation();
       return res.status(HTTP_STATUS.CONFLICT).json(
         errorResponse(ERROR_MESSAGES.USER_ALREADY_EXISTS)
       );
     }
 
-    // Create new user
-    const user = await User.create({
-      name,
-      email,
-      password,
-      role,
-      organization
-    });
+    const policyErrors = passwordPolicyService.validate(password, { email, name });
+    if (policyErrors.length > 0) {
+      await releaseInvitation();
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        errorResponse('Validation failed', policyErrors)
+      );
+    }
+
+    // Create new user (the emailed invitation proves the address)
+    let user;
 
-    // Generate token
-    const token = generateToken(user._id);
+    try {
+      user = await User.create({
+        name,
+        email,
+        password,
+        role,
+        organization,
+        emailVerified: true,
+        emailVerifiedAt: now,
+        createdBy: invitation.invitedBy
+      });
+    } catch (error) {
+      await releaseInvitation();
+      throw error;
+    }
+
+    await Invitation.updateOne(
+      { _id: invitation._id },
+      { $set: { acceptedBy: user._id } }
+    );
 
     // Log user creation in audit
     await auditService.logUserCreated(
       user._id,
       user._id,
-      { email, role, organization },
+      { email, role, organization, invitationId: invitation._id },
       req
     );
 
+    // Roles with mandatory MFA enroll before getting a session
+    if (mfaService.isRequiredForRole(role)) {
+      return res.status(HTTP_STATUS.CREATED).json(
+        successResponse(
+          {
+            user: sanitizeUser(user),
+            mfaEnrollmentRequired: true,
+            challengeToken: mfaService.createChallengeToken(user._id, 'mfa_enrollment')
+          },
+          SUCCESS_MESSAGES.MFA_ENROLLMENT_REQUIRED
+        )
+      );
+    }
+
+    // Open a session and issue tokens
+    const { token, refreshToken } = await sessionService.createSession(user._id, req);
+
     res.status(HTTP_STATUS.CREATED).json(
       successResponse(
         {
           user: sanitizeUser(user),
-          token
+          token,
+          refreshToken
         },
         SUCCESS_MESSAGES.USER_CREATED
       )
@@ -102,37 +234,723 @@ export const login = async (req, res) => {
       );
     }
 
+    // Refuse locked accounts without checking the password
+    if (accountLockoutService.isLocked(user)) {
+      await auditService.logLogin(user._id, req, false, 'Account locked');
+      return res.status(HTTP_STATUS.LOCKED).json(
+        errorResponse(ERROR_MESSAGES.ACCOUNT_LOCKED)
+      );
+    }
+
     // Verify password
     const isPasswordValid = await user.comparePassword(password);
 
     if (!isPasswordValid) {
       await auditService.logLogin(user._id, req, false, 'Invalid password');
+
+      const lockState = await accountLockoutService.recordFailedAttempt(user, req);
+
+      if (lockState.locked) {
+        return res.status(HTTP_STATUS.LOCKED).json(
+          errorResponse(ERROR_MESSAGES.ACCOUNT_LOCKED)
+        );
+      }
+
       return res.status(HTTP_STATUS.UNAUTHORIZED).json(
         errorResponse(ERROR_MESSAGES.INVALID_CREDENTIALS)
       );
     }
 
-    // Update last login
-    user.lastLogin = new Date();
+    await continueLogin(user, req, res);
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
+/**
+ * Find, link or provision the account for verified SSO claims.
+ * Returns { user } or { status, message } when login must be refused.
+ */
+const resolveOidcUser = async (claims, req) => {
+  const identity = { issuer: claims.iss, subject: claims.sub };
+  const email = claims.email?.toLowerCase();
+
+  let user = await User.findOne({
+    'oidc.issuer': identity.issuer,
+    'oidc.subject': identity.subject
+  });
+
+  if (!user) {
+    if (!email) {
+      return { status: HTTP_STATUS.UNAUTHORIZED, message: ERROR_MESSAGES.OIDC_EMAIL_MISSING };
+    }
+
+    user = await User.findOne({ email });
+
+    // Link an existing account only when the provider vouches for the address
+    if (user) {
+      if (claims.email_verified !== true || user.oidc?.subject) {
+        return { status: HTTP_STATUS.CONFLICT, message: ERROR_MESSAGES.OIDC_ACCOUNT_CONFLICT };
+      }
+
+      user.oidc = identity;
+      await user.save();
+
+      await auditService.logUserUpdated(
+        user._id,
+        user._id,
+        { oidcLinked: true, issuer: identity.issuer },
+        req
+      );
+
+      return { user };
+    }
+  }
+
+  // Local accounts linked to SSO keep their admin-managed role and
+  // organization; provisioned accounts follow the provider's claims
+  if (user && user.authProvider !== 'oidc') {
+    return { user };
+  }
+
+  const role = oidcService.mapRole(claims);
+  const organizationSlug = oidcService.mapOrganization(claims);
+  const organization = organizationSlug
+    ? await organizationService.findActiveBySlug(organizationSlug)
+    : null;
+
+  if (!role || !organization || !(await roleService.roleExists(role))) {
+    return { status: HTTP_STATUS.FORBIDDEN, message: ERROR_MESSAGES.OIDC_ACCOUNT_NOT_MAPPED };
+  }
+
+  // Just-in-time provisioning (the provider has verified the identity)
+  if (!user) {
+    user = await User.create({
+      name: claims.name || claims.preferred_username || email,
+      email,
+      role,
+      organization: organization._id,
+      authProvider: 'oidc',
+      oidc: identity,
+      emailVerified: true,
+      emailVerifiedAt: new Date()
+    });
+
+    await auditService.logUserCreated(
+      user._id,
+      user._id,
+      {
+        email,
+        role,
+        organization: organization._id,
+        provisionedBy: 'oidc',
+        issuer: identity.issuer
+      },
+      req
+    );
+
+    return { user };
+  }
+
+  if (user.role !== role || !organization._id.equals(user.organization)) {
+    const previous = { role: user.role, organization: user.organization };
+
+    user.role = role;
+    user.organization = organization._id;
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    await auditService.logUserUpdated(
+      user._id,
+      user._id,
+      { previous, role, organization: organization._id, syncedFrom: 'oidc' },
+      req
+    );
+  }
+
+  return { user };
+};
+
+/**
+ * Start single sign-on: redirect to the identity provider
+ */
+export const oidcLogin = async (req, res) => {
+  try {
+    if (!oidcService.isEnabled()) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        errorResponse(ERROR_MESSAGES.OIDC_NOT_CONFIGURED)
+      );
+    }
+
+    const authorizationUrl = await oidcService.createAuthorizationUrl(req);
+
+    res.redirect(authorizationUrl);
+  } catch (error) {
+    console.error('OIDC login error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
+/**
+ * Complete single sign-on from the identity provider redirect
+ */
+export const oidcCallback = async (req, res) => {
+  try {
+    if (!oidcService.isEnabled()) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        errorResponse(ERROR_MESSAGES.OIDC_NOT_CONFIGURED)
+      );
+    }
+
+    const { code, state, error: providerError, error_description: providerReason } = req.query;
 
-    // Log successful login
-    await auditService.logLogin(user._id, req, true);
+    let claims;
+
+    try {
+      if (providerError) {
+        await oidcService.consumeAuthRequest(state);
+        throw new Error(`Provider returned ${providerError}: ${providerReason || 'no description'}`);
+      }
+
+      claims = await oidcService.handleCallback({ code, state });
+    } catch (error) {
+      console.error('OIDC callback error:', error.message);
+      await auditService.logLogin(null, req, false, error.message, { method: 'oidc' });
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json(
+        errorResponse(ERROR_MESSAGES.OIDC_LOGIN_FAILED)
+      );
+    }
+
+    const { user, status, message } = await resolveOidcUser(claims, req);
+
+    if (!user) {
+      await auditService.logLogin(null, req, false, message, {
+        method: 'oidc',
+        issuer: claims.iss,
+        subject: claims.sub
+      });
+      return res.status(status).json(errorResponse(message));
+    }
+
+    if (!user.isActive) {
+      await auditService.logLogin(user._id, req, false, 'Account deactivated', { method: 'oidc' });
+      return res.status(HTTP_STATUS.FORBIDDEN).json(
+        errorResponse('Your account has been deactivated')
+      );
+    }
+
+    await continueLogin(user, req, res);
+  } catch (error) {
+    console.error('OIDC callback error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
+/**
+ * Count a wrong MFA code towards lockout and reject the attempt
+ */
+const rejectMfaAttempt = async (user, req, res) => {
+  const lockState = await accountLockoutService.recordFailedAttempt(user, req);
+
+  if (lockState.locked) {
+    return res.status(HTTP_STATUS.LOCKED).json(
+      errorResponse(ERROR_MESSAGES.ACCOUNT_LOCKED)
+    );
+  }
+
+  return res.status(HTTP_STATUS.UNAUTHORIZED).json(
+    errorResponse(ERROR_MESSAGES.MFA_CODE_INVALID)
+  );
+};
+
+/**
+ * Complete an MFA login challenge with a TOTP or recovery code
+ */
+export const verifyMfa = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const decoded = mfaService.verifyChallengeToken(challengeToken, 'mfa_challenge');
+
+    if (!decoded) {
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json(
+        errorResponse(ERROR_MESSAGES.MFA_CHALLENGE_INVALID)
+      );
+    }
+
+    const user = await User.findById(decoded.userId)
+      .select('+mfa.secret +mfa.recoveryCodeHashes +mfa.lastUsedStep');
+
+    if (!user || !user.isActive || !user.mfa?.enabled) {
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json(
+        errorResponse(ERROR_MESSAGES.MFA_CHALLENGE_INVALID)
+      );
+    }
+
+    if (accountLockoutService.isLocked(user)) {
+      return res.status(HTTP_STATUS.LOCKED).json(
+        errorResponse(ERROR_MESSAGES.ACCOUNT_LOCKED)
+      );
+    }
+
+    if (code) {
+      const step = mfaService.verifyCode(user.mfa.secret, code, user.mfa.lastUsedStep);
+
+      if (step === null) {
+        await auditService.logMfaEvent(
+          AUDIT_ACTIONS.MFA_CHALLENGE_FAILED,
+          user._id,
+          req,
+          false
+        );
+        return rejectMfaAttempt(user, req, res);
+      }
+
+      user.mfa.lastUsedStep = step;
+      await auditService.logMfaEvent(AUDIT_ACTIONS.MFA_CHALLENGE_PASSED, user._id, req);
+    } else {
+      const codeHash = mfaService.hashRecoveryCode(recoveryCode);
+      const remaining = user.mfa.recoveryCodeHashes.filter(hash => hash !== codeHash);
+
+      if (remaining.length === user.mfa.recoveryCodeHashes.length) {
+        await auditService.logMfaEvent(
+          AUDIT_ACTIONS.MFA_CHALLENGE_FAILED,
+          user._id,
+          req,
+          false,
+          { method: 'recovery_code' }
+        );
+        return rejectMfaAttempt(user, req, res);
+      }
+
+      // Recovery codes are single-use
+      user.mfa.recoveryCodeHashes = remaining;
+      await auditService.logMfaEvent(
+        AUDIT_ACTIONS.MFA_RECOVERY_CODE_USED,
+        user._id,
+        req,
+        true,
+        { remainingCodes: remaining.length }
+      );
+    }
+
+    await completeLogin(user, req, res);
+  } catch (error) {
+    console.error('MFA verify error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
+/**
+ * Start MFA enrollment (generates a pending TOTP secret)
+ */
+export const setupMfa = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+
+    if (user.mfa?.enabled) {
+      return res.status(HTTP_STATUS.CONFLICT).json(
+        errorResponse(ERROR_MESSAGES.MFA_ALREADY_ENABLED)
+      );
+    }
+
+    const secret = mfaService.generateSecret();
+    user.mfa.pendingSecret = secret;
+    await user.save();
 
     res.status(HTTP_STATUS.OK).json(
       successResponse(
         {
-          user: sanitizeUser(user),
-          token
+          secret,
+          otpauthUrl: mfaService.getOtpauthUrl(secret, user.email)
         },
-        SUCCESS_MESSAGES.LOGIN_SUCCESS
+        SUCCESS_MESSAGES.MFA_SETUP_STARTED
       )
     );
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('MFA setup error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
+/**
+ * Confirm MFA enrollment with a code and issue recovery codes
+ */
+export const enableMfa = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.userId).select('+mfa.pendingSecret');
+
+    if (user.mfa?.enabled) {
+      return res.status(HTTP_STATUS.CONFLICT).json(
+        errorResponse(ERROR_MESSAGES.MFA_ALREADY_ENABLED)
+      );
+    }
+
+    if (!user.mfa?.pendingSecret) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        errorResponse(ERROR_MESSAGES.MFA_NOT_PENDING)
+      );
+    }
+
+    const step = mfaService.verifyCode(user.mfa.pendingSecret, code);
+
+    if (step === null) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        errorResponse(ERROR_MESSAGES.MFA_CODE_INVALID)
+      );
+    }
+
+    const { codes, hashes } = mfaService.generateRecoveryCodes();
+
+    user.mfa.enabled = true;
+    user.mfa.secret = user.mfa.pendingSecret;
+    user.mfa.pendingSecret = undefined;
+    user.mfa.recoveryCodeHashes = hashes;
+    user.mfa.lastUsedStep = step;
+    user.mfa.enabledAt = new Date();
+
+    await auditService.logMfaEvent(AUDIT_ACTIONS.MFA_ENABLED, user._id, req);
+
+    // Enrollment forced at login finishes the login as well
+    if (req.mfaEnrollment) {
+      return completeLogin(user, req, res, { recoveryCodes: codes });
+    }
+
+    await user.save();
+
+    res.status(HTTP_STATUS.OK).json(
+      successResponse({ recoveryCodes: codes }, SUCCESS_MESSAGES.MFA_ENABLED)
+    );
+  } catch (error) {
+    console.error('MFA enable error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
+/**
+ * Disable MFA (requires a current code)
+ */
+export const disableMfa = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.userId)
+      .select('+mfa.secret +mfa.lastUsedStep');
+
+    if (!user.mfa?.enabled) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        errorResponse(ERROR_MESSAGES.MFA_NOT_ENABLED)
+      );
+    }
+
+    if (mfaService.isRequiredForRole(user.role)) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json(
+        errorResponse(ERROR_MESSAGES.MFA_REQUIRED_FOR_ROLE)
+      );
+    }
+
+    if (mfaService.verifyCode(user.mfa.secret, code, user.mfa.lastUsedStep) === null) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        errorResponse(ERROR_MESSAGES.MFA_CODE_INVALID)
+      );
+    }
+
+    user.mfa.enabled = false;
+    user.mfa.secret = undefined;
+    user.mfa.recoveryCodeHashes = undefined;
+    user.mfa.lastUsedStep = undefined;
+    user.mfa.enabledAt = undefined;
+    await user.save();
+
+    await auditService.logMfaEvent(AUDIT_ACTIONS.MFA_DISABLED, user._id, req);
+
+    res.status(HTTP_STATUS.OK).json(
+      successResponse(null, SUCCESS_MESSAGES.MFA_DISABLED)
+    );
+  } catch (error) {
+    console.error('MFA disable error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
+/**
+ * Replace all recovery codes (requires a current code)
+ */
+export const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.userId)
+      .select('+mfa.secret +mfa.lastUsedStep');
+
+    if (!user.mfa?.enabled) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        errorResponse(ERROR_MESSAGES.MFA_NOT_ENABLED)
+      );
+    }
+
+    const step = mfaService.verifyCode(user.mfa.secret, code, user.mfa.lastUsedStep);
+
+    if (step === null) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        errorResponse(ERROR_MESSAGES.MFA_CODE_INVALID)
+      );
+    }
+
+    const { codes, hashes } = mfaService.generateRecoveryCodes();
+
+    user.mfa.recoveryCodeHashes = hashes;
+    user.mfa.lastUsedStep = step;
+    await user.save();
+
+    await auditService.logMfaEvent(
+      AUDIT_ACTIONS.MFA_RECOVERY_CODES_REGENERATED,
+      user._id,
+      req
+    );
+
+    res.status(HTTP_STATUS.OK).json(
+      successResponse(
+        { recoveryCodes: codes },
+        SUCCESS_MESSAGES.MFA_RECOVERY_CODES_REGENERATED
+      )
+    );
+  } catch (error) {
+    console.error('MFA recovery codes error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
+/**
+ * Refresh access token (rotates the refresh token)
+ */
+export const refreshToken = async (req, res) => {
+  try {
+    const result = await sessionService.rotateRefreshToken(
+      req.body.refreshToken,
+      req
+    );
+
+    if (!result) {
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json(
+        errorResponse(ERROR_MESSAGES.REFRESH_TOKEN_INVALID)
+      );
+    }
+
+    const user = await User.findById(result.session.user);
+
+    if (
+      !user ||
+      !user.isActive ||
+      user.changedPasswordAfter(result.session.createdAt)
+    ) {
+      await sessionService.revokeSession(
+        result.session._id,
+        user && !user.isActive ? 'account_deactivated' : 'password_change'
+      );
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json(
+        errorResponse(ERROR_MESSAGES.SESSION_REVOKED)
+      );
+    }
+
+    res.status(HTTP_STATUS.OK).json(
+      successResponse(
+        {
+          token: result.token,
+          refreshToken: result.refreshToken
+        },
+        SUCCESS_MESSAGES.TOKEN_REFRESHED
+      )
+    );
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
+/**
+ * Request a password reset email
+ */
+export const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email });
+
+    // Respond identically whether or not the account exists
+    // (single sign-on accounts reset their password at the provider)
+    if (user && user.isActive && user.authProvider !== 'oidc') {
+      // A failure here is only logged: an error response would tell
+      // that the account exists
+      try {
+        const resetToken = user.createPasswordResetToken(PASSWORD_RESET_EXPIRE_MINUTES);
+        await user.save();
+
+        await mailService.sendPasswordReset(
+          user,
+          resetToken,
+          PASSWORD_RESET_EXPIRE_MINUTES
+        );
+
+        await auditService.logUserUpdated(
+          user._id,
+          user._id,
+          { passwordReset: 'requested' },
+          req
+        );
+      } catch (error) {
+        console.error('Password reset email error:', error);
+      }
+    }
+
+    res.status(HTTP_STATUS.OK).json(
+      successResponse(null, SUCCESS_MESSAGES.PASSWORD_RESET_REQUESTED)
+    );
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
+/**
+ * Reset password using a one-time token
+ */
+export const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const user = await User.findOne({
+      passwordResetTokenHash: hashToken(token),
+      passwordResetExpires: { $gt: new Date() }
+    }).select('+password +passwordHistory');
+
+    if (!user || !user.isActive) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        errorResponse(ERROR_MESSAGES.RESET_TOKEN_INVALID)
+      );
+    }
+
+    const policyErrors = await passwordPolicyService.changePassword(user, password);
+
+    if (policyErrors.length > 0) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        errorResponse('Validation failed', policyErrors)
+      );
+    }
+
+    // Consume the token so it cannot be used again
+    user.passwordResetTokenHash = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+
+    await sessionService.revokeAllForUser(user._id, 'password_change');
+
+    await auditService.logUserUpdated(
+      user._id,
+      user._id,
+      { passwordReset: 'completed' },
+      req
+    );
+
+    res.status(HTTP_STATUS.OK).json(
+      successResponse(null, SUCCESS_MESSAGES.PASSWORD_RESET)
+    );
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
+/**
+ * Verify email address with a one-time token
+ */
+export const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.query;
+
+    const user = token && await User.findOne({
+      emailVerificationTokenHash: hashToken(token),
+      emailVerificationExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        errorResponse(ERROR_MESSAGES.VERIFICATION_TOKEN_INVALID)
+      );
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    user.emailVerificationTokenHash = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+
+    await auditService.logUserUpdated(
+      user._id,
+      user._id,
+      { emailVerified: true, email: user.email },
+      req
+    );
+
+    res.status(HTTP_STATUS.OK).json(
+      successResponse(null, SUCCESS_MESSAGES.EMAIL_VERIFIED)
+    );
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
+/**
+ * Resend the verification email to the current user
+ */
+export const resendVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+
+    if (user.emailVerified !== false) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        errorResponse(ERROR_MESSAGES.EMAIL_ALREADY_VERIFIED)
+      );
+    }
+
+    // Issuing a new token invalidates the previous link
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save();
+
+    await mailService.sendEmailVerification(user, verificationToken);
+
+    res.status(HTTP_STATUS.OK).json(
+      successResponse(null, SUCCESS_MESSAGES.VERIFICATION_EMAIL_SENT)
+    );
+  } catch (error) {
+    console.error('Resend verification error:', error);
     res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
       errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
     );
@@ -168,9 +986,9 @@ export const getProfile = async (req, res) => {
  */
 export const updateProfile = async (req, res) => {
   try {
-    const { name, organization } = req.body;
+    const { name, currentPassword, password } = req.body;
 
-    const user = await User.findById(req.userId);
+    const user = await User.findById(req.userId).select('+password +passwordHistory');
 
     if (!user) {
       return res.status(HTTP_STATUS.NOT_FOUND).json(
@@ -179,22 +997,46 @@ export const updateProfile = async (req, res) => {
     }
 
     if (name) user.name = name;
-    if (organization) user.organization = organization;
+
+    if (password) {
+      if (!(await user.comparePassword(currentPassword))) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json(
+          errorResponse(ERROR_MESSAGES.CURRENT_PASSWORD_INCORRECT)
+        );
+      }
+
+      const policyErrors = await passwordPolicyService.changePassword(user, password);
+
+      if (policyErrors.length > 0) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json(
+          errorResponse('Validation failed', policyErrors)
+        );
+      }
+    }
 
     await user.save();
 
+    // A password change ends every session, so hand out a fresh one
+    const meta = {};
+    if (password) {
+      await sessionService.revokeAllForUser(user._id, 'password_change');
+      const { token, refreshToken } = await sessionService.createSession(user._id, req);
+      meta.tokens = { token, refreshToken };
+    }
+
     // Log update
     await auditService.logUserUpdated(
       req.userId,
       user._id,
-      { name, organization },
+      { name, passwordChanged: Boolean(password) },
       req
     );
 
     res.status(HTTP_STATUS.OK).json(
       successResponse(
         sanitizeUser(user),
-        SUCCESS_MESSAGES.USER_UPDATED
+        SUCCESS_MESSAGES.USER_UPDATED,
+        meta
       )
     );
   } catch (error) {
@@ -206,10 +1048,101 @@ export const updateProfile = async (req, res) => {
 };
 
 /**
- * Logout user (audit only)
+ * List the current user's active sessions
+ */
+export const getMySessions = async (req, res) => {
+  try {
+    const sessions = await sessionService.listActiveSessions(req.userId);
+
+    res.status(HTTP_STATUS.OK).json(
+      successResponse(
+        sessions.map(session => sessionService.toPublicSession(session, req.sessionId)),
+        'Sessions retrieved successfully'
+      )
+    );
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
+/**
+ * Sign out one of the current user's sessions
+ */
+export const revokeMySession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const revoked = await sessionService.revokeUserSession(
+      req.userId,
+      sessionId,
+      'user_revoked'
+    );
+
+    if (!revoked) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        errorResponse(ERROR_MESSAGES.SESSION_NOT_FOUND)
+      );
+    }
+
+    await auditService.logSessionRevoked(
+      req.userId,
+      req.userId,
+      { sessionIds: [sessionId] },
+      req
+    );
+
+    res.status(HTTP_STATUS.OK).json(
+      successResponse(null, SUCCESS_MESSAGES.SESSION_REVOKED)
+    );
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
+/**
+ * Sign out every session except the current one
+ */
+export const revokeMyOtherSessions = async (req, res) => {
+  try {
+    const result = await sessionService.revokeAllForUser(
+      req.userId,
+      'user_revoked',
+      req.sessionId
+    );
+
+    await auditService.logSessionRevoked(
+      req.userId,
+      req.userId,
+      { scope: 'all_other_sessions', count: result.modifiedCount },
+      req
+    );
+
+    res.status(HTTP_STATUS.OK).json(
+      successResponse(
+        { revokedCount: result.modifiedCount },
+        SUCCESS_MESSAGES.SESSIONS_REVOKED
+      )
+    );
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
+/**
+ * Logout user (revokes the current session)
  */
 export const logout = async (req, res) => {
   try {
+    await sessionService.revokeSession(req.sessionId, 'logout');
     await auditService.logLogout(req.userId, req);
 
     res.status(HTTP_STATUS.OK).json(
@@ -226,7 +1159,22 @@ export const logout = async (req, res) => {
 export default {
   register,
   login,
+  oidcLogin,
+  oidcCallback,
+  verifyMfa,
+  setupMfa,
+  enableMfa,
+  disableMfa,
+  regenerateRecoveryCodes,
+  refreshToken,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
   getProfile,
   updateProfile,
+  getMySessions,
+  revokeMySession,
+  revokeMyOtherSessions,
   logout
 };
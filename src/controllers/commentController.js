@@ -0,0 +1,231 @@
+import ESGRecord from '../models/ESGRecord.js';
+import ESGComment from '../models/ESGComment.js';
+import commentService from '../services/commentService.js';
+import auditService from '../services/auditService.js';
+import mailService from '../services/mailService.js';
+
+import {
+  HTTP_STATUS,
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  AUDIT_ACTIONS,
+  PERMISSIONS
+} from '../utils/constants.js';
+
+import {
+  successResponse,
+  errorResponse,
+  hasPermission
+} from '../utils/helpers.js';
+
+/**
+ * Get the comment threads of an ESG record
+ */
+export const getComments = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { field, resolved } = req.query;
+
+    if (!(await ESGRecord.exists({ _id: id }))) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        errorResponse(ERROR_MESSAGES.RESOURCE_NOT_FOUND)
+      );
+    }
+
+    const comments = await ESGComment.find({ record: id })
+      .sort({ createdAt: 1 })
+      .populate('author', 'name email')
+      .populate('mentions', 'name email')
+      .populate('resolvedBy', 'name email')
+      .lean();
+
+    let threads = commentService.buildThreads(comments);
+
+    if (field) threads = threads.filter(thread => thread.field === field);
+    if (resolved !== undefined) {
+      threads = threads.filter(thread => thread.resolved === (resolved === 'true'));
+    }
+
+    res.status(HTTP_STATUS.OK).json(
+      successResponse(threads, 'Comments retrieved successfully')
+    );
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
+/**
+ * Start a thread on an ESG record (or one of its metrics), or reply to one
+ */
+export const addComment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { body, parent, blocking, mentions = [] } = req.body;
+    let { field } = req.body;
+
+    const record = await ESGRecord.findById(id).select('organization');
+
+    if (!record) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        errorResponse(ERROR_MESSAGES.RESOURCE_NOT_FOUND)
+      );
+    }
+
+    if (parent) {
+      const thread = await ESGComment.findOne({ _id: parent, record: record._id, parent: null })
+        .select('field')
+        .lean();
+
+      if (!thread) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json(
+          errorResponse(ERROR_MESSAGES.COMMENT_NOT_FOUND)
+        );
+      }
+
+      // Replies belong to the metric of their thread
+      field = thread.field;
+    } else if (field && !commentService.isCommentableField(field)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        errorResponse(ERROR_MESSAGES.COMMENT_FIELD_INVALID)
+      );
+    }
+
+    // Blocking threads hold up approval, so only reviewers may open them
+    if (blocking && !hasPermission(req, PERMISSIONS.ESG_APPROVE)) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json(
+        errorResponse(ERROR_MESSAGES.COMMENT_BLOCKING_NOT_ALLOWED)
+      );
+    }
+
+    const mentionedUsers = await commentService.findMentionableUsers(
+      mentions,
+      record.organization
+    );
+
+    if (mentionedUsers.length !== mentions.length) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        errorResponse(ERROR_MESSAGES.COMMENT_MENTION_INVALID)
+      );
+    }
+
+    const comment = await ESGComment.create({
+      organization: record.organization,
+      record: record._id,
+      parent: parent || null,
+      field,
+      body,
+      author: req.userId,
+      mentions,
+      blocking: Boolean(blocking)
+    });
+
+    await Promise.all(
+      mentionedUsers.map(user =>
+        mailService.sendCommentMention(user, comment, req.user.name)
+      )
+    );
+
+    await auditService.logESGCommentEvent(
+      AUDIT_ACTIONS.ESG_COMMENT_ADDED,
+      req.userId,
+      record._id,
+      {
+        commentId: comment._id,
+        parent: comment.parent,
+        field,
+        blocking: comment.blocking,
+        mentions
+      },
+      req
+    );
+
+    res.status(HTTP_STATUS.CREATED).json(
+      successResponse(comment, SUCCESS_MESSAGES.COMMENT_ADDED)
+    );
+  } catch (error) {
+    console.error('Add comment error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
+/**
+ * Resolve or reopen a comment thread
+ */
+const setThreadResolution = async (req, res, resolved) => {
+  const { id, commentId } = req.params;
+
+  const thread = await ESGComment.findOne({ _id: commentId, record: id, parent: null });
+
+  if (!thread) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json(
+      errorResponse(ERROR_MESSAGES.COMMENT_NOT_FOUND)
+    );
+  }
+
+  const isAuthor = thread.author.toString() === req.userId.toString();
+
+  if (!isAuthor && !hasPermission(req, PERMISSIONS.ESG_APPROVE)) {
+    return res.status(HTTP_STATUS.FORBIDDEN).json(
+      errorResponse(ERROR_MESSAGES.COMMENT_RESOLVE_NOT_ALLOWED)
+    );
+  }
+
+  thread.resolved = resolved;
+  thread.resolvedBy = resolved ? req.userId : undefined;
+  thread.resolvedAt = resolved ? new Date() : undefined;
+  await thread.save();
+
+  await auditService.logESGCommentEvent(
+    resolved ? AUDIT_ACTIONS.ESG_COMMENT_RESOLVED : AUDIT_ACTIONS.ESG_COMMENT_REOPENED,
+    req.userId,
+    thread.record,
+    { commentId: thread._id, field: thread.field, blocking: thread.blocking },
+    req
+  );
+
+  res.status(HTTP_STATUS.OK).json(
+    successResponse(
+      thread,
+      resolved ? SUCCESS_MESSAGES.COMMENT_RESOLVED : SUCCESS_MESSAGES.COMMENT_REOPENED
+    )
+  );
+};
+
+/**
+ * Resolve a comment thread
+ */
+export const resolveComment = async (req, res) => {
+  try {
+    await setThreadResolution(req, res, true);
+  } catch (error) {
+    console.error('Resolve comment error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
+/**
+ * Reopen a resolved comment thread
+ */
+export const unresolveComment = async (req, res) => {
+  try {
+    await setThreadResolution(req, res, false);
+  } catch (error) {
+    console.error('Reopen comment error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+export default {
+  getComments,
+  addComment,
+  resolveComment,
+  unresolveComment
+};
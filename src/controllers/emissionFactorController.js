@@ -0,0 +1,318 @@
+import EmissionFactorSet from '../models/EmissionFactorSet.js';
+import auditService from '../services/auditService.js';
+
+import {
+  HTTP_STATUS,
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  AUDIT_ACTIONS,
+  EMISSION_FACTOR_SET_STATUS
+} from '../utils/constants.js';
+
+import {
+  successResponse,
+  errorResponse
+} from '../utils/helpers.js';
+
+/**
+ * Get the emission factor sets, without their factors
+ * (?status= and ?name= to filter)
+ */
+export const getFactorSets = async (req, res) => {
+  try {
+    const { status, name } = req.query;
+    const query = {};
+
+    if (status) query.status = status;
+    if (name) query.name = name;
+
+    const factorSets = await EmissionFactorSet.find(query)
+      .select('-factors')
+      .sort({ name: 1, createdAt: -1 })
+      .lean();
+
+    res.status(HTTP_STATUS.OK).json(
+      successResponse(factorSets, 'Emission factor sets retrieved successfully')
+    );
+  } catch (error) {
+    console.error('Get emission factor sets error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
+/**
+ * Get an emission factor set with its factors
+ */
+export const getFactorSetById = async (req, res) => {
+  try {
+    const factorSet = await EmissionFactorSet.findById(req.params.id)
+      .populate('createdBy', 'name email')
+      .populate('publishedBy', 'name email')
+      .lean();
+
+    if (!factorSet) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        errorResponse(ERROR_MESSAGES.EMISSION_FACTOR_SET_NOT_FOUND)
+      );
+    }
+
+    res.status(HTTP_STATUS.OK).json(
+      successResponse(factorSet, 'Emission factor set retrieved successfully')
+    );
+  } catch (error) {
+    console.error('Get emission factor set error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
+/**
+ * Create a draft emission factor set (Platform Admin only)
+ */
+export const createFactorSet = async (req, res) => {
+  try {
+    const { name, version } = req.body;
+
+    if (await EmissionFactorSet.exists({ name, version })) {
+      return res.status(HTTP_STATUS.CONFLICT).json(
+        errorResponse(ERROR_MESSAGES.EMISSION_FACTOR_SET_ALREADY_EXISTS)
+      );
+    }
+
+    const factorSet = await EmissionFactorSet.create({
+      ...req.body,
+      status: EMISSION_FACTOR_SET_STATUS.DRAFT,
+      createdBy: req.userId
+    });
+
+    await auditService.logEmissionFactorSetEvent(
+      AUDIT_ACTIONS.EMISSION_FACTOR_SET_CREATED,
+      req.userId,
+      factorSet._id,
+      { name: factorSet.name, version: factorSet.version, factors: factorSet.factors.length },
+      req
+    );
+
+    res.status(HTTP_STATUS.CREATED).json(
+      successResponse(factorSet, SUCCESS_MESSAGES.EMISSION_FACTOR_SET_CREATED)
+    );
+  } catch (error) {
+    console.error('Create emission factor set error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
+/**
+ * Start a new version of a factor set as a draft copy of it
+ * (Platform Admin only)
+ */
+export const createFactorSetVersion = async (req, res) => {
+  try {
+    const base = await EmissionFactorSet.findById(req.params.id).lean();
+
+    if (!base) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        errorResponse(ERROR_MESSAGES.EMISSION_FACTOR_SET_NOT_FOUND)
+      );
+    }
+
+    if (await EmissionFactorSet.exists({ name: base.name, version: req.body.version })) {
+      return res.status(HTTP_STATUS.CONFLICT).json(
+        errorResponse(ERROR_MESSAGES.EMISSION_FACTOR_SET_ALREADY_EXISTS)
+      );
+    }
+
+    const factorSet = await EmissionFactorSet.create({
+      name: base.name,
+      version: req.body.version,
+      description: base.description,
+      source: base.source,
+      factors: base.factors,
+      basedOn: base._id,
+      createdBy: req.userId
+    });
+
+    await auditService.logEmissionFactorSetEvent(
+      AUDIT_ACTIONS.EMISSION_FACTOR_SET_CREATED,
+      req.userId,
+      factorSet._id,
+      { name: factorSet.name, version: factorSet.version, basedOn: base._id },
+      req
+    );
+
+    res.status(HTTP_STATUS.CREATED).json(
+      successResponse(factorSet, SUCCESS_MESSAGES.EMISSION_FACTOR_SET_CREATED)
+    );
+  } catch (error) {
+    console.error('Create emission factor set version error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
+/**
+ * Update a draft factor set (Platform Admin only)
+ */
+export const updateFactorSet = async (req, res) => {
+  try {
+    const factorSet = await EmissionFactorSet.findById(req.params.id);
+
+    if (!factorSet) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        errorResponse(ERROR_MESSAGES.EMISSION_FACTOR_SET_NOT_FOUND)
+      );
+    }
+
+    if (factorSet.status !== EMISSION_FACTOR_SET_STATUS.DRAFT) {
+      return res.status(HTTP_STATUS.CONFLICT).json(
+        errorResponse(ERROR_MESSAGES.EMISSION_FACTOR_SET_NOT_DRAFT)
+      );
+    }
+
+    const { source, ...updates } = req.body;
+    const name = updates.name ?? factorSet.name;
+    const version = updates.version ?? factorSet.version;
+
+    if (
+      (name !== factorSet.name || version !== factorSet.version) &&
+      await EmissionFactorSet.exists({ name, version, _id: { $ne: factorSet._id } })
+    ) {
+      return res.status(HTTP_STATUS.CONFLICT).json(
+        errorResponse(ERROR_MESSAGES.EMISSION_FACTOR_SET_ALREADY_EXISTS)
+      );
+    }
+
+    factorSet.set(updates);
+
+    if (source) {
+      factorSet.source = { ...factorSet.source.toObject(), ...source };
+    }
+
+    await factorSet.save();
+
+    await auditService.logEmissionFactorSetEvent(
+      AUDIT_ACTIONS.EMISSION_FACTOR_SET_UPDATED,
+      req.userId,
+      factorSet._id,
+      { updatedFields: Object.keys(req.body) },
+      req
+    );
+
+    res.status(HTTP_STATUS.OK).json(
+      successResponse(factorSet, SUCCESS_MESSAGES.EMISSION_FACTOR_SET_UPDATED)
+    );
+  } catch (error) {
+    console.error('Update emission factor set error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
+/**
+ * Publish a draft factor set, freezing its factors (Platform Admin only)
+ */
+export const publishFactorSet = async (req, res) => {
+  try {
+    const factorSet = await EmissionFactorSet.findById(req.params.id);
+
+    if (!factorSet) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        errorResponse(ERROR_MESSAGES.EMISSION_FACTOR_SET_NOT_FOUND)
+      );
+    }
+
+    if (factorSet.status !== EMISSION_FACTOR_SET_STATUS.DRAFT) {
+      return res.status(HTTP_STATUS.CONFLICT).json(
+        errorResponse(ERROR_MESSAGES.EMISSION_FACTOR_SET_NOT_DRAFT)
+      );
+    }
+
+    if (factorSet.factors.length === 0) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        errorResponse('Add emission factors before publishing the set')
+      );
+    }
+
+    factorSet.status = EMISSION_FACTOR_SET_STATUS.PUBLISHED;
+    factorSet.publishedAt = new Date();
+    factorSet.publishedBy = req.userId;
+    await factorSet.save();
+
+    await auditService.logEmissionFactorSetEvent(
+      AUDIT_ACTIONS.EMISSION_FACTOR_SET_PUBLISHED,
+      req.userId,
+      factorSet._id,
+      { name: factorSet.name, version: factorSet.version, factors: factorSet.factors.length },
+      req
+    );
+
+    res.status(HTTP_STATUS.OK).json(
+      successResponse(factorSet, SUCCESS_MESSAGES.EMISSION_FACTOR_SET_PUBLISHED)
+    );
+  } catch (error) {
+    console.error('Publish emission factor set error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
+/**
+ * Retire a published factor set so new calculations stop using it;
+ * records already calculated with it keep their trail
+ * (Platform Admin only)
+ */
+export const retireFactorSet = async (req, res) => {
+  try {
+    const factorSet = await EmissionFactorSet.findById(req.params.id);
+
+    if (!factorSet) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        errorResponse(ERROR_MESSAGES.EMISSION_FACTOR_SET_NOT_FOUND)
+      );
+    }
+
+    if (factorSet.status !== EMISSION_FACTOR_SET_STATUS.PUBLISHED) {
+      return res.status(HTTP_STATUS.CONFLICT).json(
+        errorResponse('Only published emission factor sets can be retired')
+      );
+    }
+
+    factorSet.status = EMISSION_FACTOR_SET_STATUS.RETIRED;
+    factorSet.retiredAt = new Date();
+    await factorSet.save();
+
+    await auditService.logEmissionFactorSetEvent(
+      AUDIT_ACTIONS.EMISSION_FACTOR_SET_RETIRED,
+      req.userId,
+      factorSet._id,
+      { name: factorSet.name, version: factorSet.version },
+      req
+    );
+
+    res.status(HTTP_STATUS.OK).json(
+      successResponse(factorSet, SUCCESS_MESSAGES.EMISSION_FACTOR_SET_RETIRED)
+    );
+  } catch (error) {
+    console.error('Retire emission factor set error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+export default {
+  getFactorSets,
+  getFactorSetById,
+  createFactorSet,
+  createFactorSetVersion,
+  updateFactorSet,
+  publishFactorSet,
+  retireFactorSet
+};
@@ -1,18 +1,38 @@
 import ESGRecord from '../models/ESGRecord.js';
+import ESGRecordVersion from '../models/ESGRecordVersion.js';
+import ESGComment from '../models/ESGComment.js';
+import Evidence from '../models/Evidence.js';
+import Facility from '../models/Facility.js';
 import auditService from '../services/auditService.js';
+import approvalPolicyService from '../services/approvalPolicyService.js';
+import organizationService from '../services/organizationService.js';
+import lifecycleService from '../services/lifecycleService.js';
+import versionService from '../services/versionService.js';
+import commentService from '../services/commentService.js';
+import importService from '../services/importService.js';
+import exportService from '../services/exportService.js';
+import emissionFactorService from '../services/emissionFactorService.js';
+import storageService from '../services/storageService.js';
+import { schemas } from '../middleware/validator.js';
+import { runInTransaction } from '../config/database.js';
 
 import {
   HTTP_STATUS,
   ERROR_MESSAGES,
   SUCCESS_MESSAGES,
   PAGINATION,
-  ROLES
+  PERMISSIONS,
+  VERSION_CHANGE_TYPES,
+  ESG_EXPORT_FORMATS
 } from '../utils/constants.js';
 
+import { XLSX_CONTENT_TYPE } from '../utils/xlsx.js';
+
 import {
   successResponse,
   errorResponse,
-  getPaginationMeta
+  getPaginationMeta,
+  hasPermission
 } from '../utils/helpers.js';
 
 /**
@@ -20,19 +40,75 @@ import {
  */
 export const createESGRecord = async (req, res) => {
   try {
+    const organization = await organizationService.resolveForRequest(
+      req,
+      req.body.organization
+    );
+
+    if (!organization) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        errorResponse(ERROR_MESSAGES.ORGANIZATION_NOT_FOUND)
+      );
+    }
+
+    // Site-level records must point at an open facility of the organization
+    let facility = null;
+
+    if (req.body.facility) {
+      facility = await Facility.findOne({
+        _id: req.body.facility,
+        organization: organization._id,
+        isActive: true
+      })
+        .select('location.country')
+        .lean();
+
+      if (!facility) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json(
+          errorResponse(ERROR_MESSAGES.FACILITY_NOT_FOUND)
+        );
+      }
+    }
+
+    // Scopes with activity data take their totals from the factor library
+    const { factorSet, ...fields } = req.body;
+    const calculation = await emissionFactorService.calculateForRecord({
+      activities: fields.activities,
+      contractualInstruments: fields.contractualInstruments,
+      factorSetId: factorSet,
+      region: facility?.location?.country
+    });
+
+    if (calculation.error) {
+      return res.status(calculation.error.status).json(
+        errorResponse(calculation.error.message, calculation.error.details)
+      );
+    }
+
     const recordData = {
-      ...req.body,
-      submittedBy: req.userId
+      ...fields,
+      environmental: { ...fields.environmental, ...calculation.scopeFields },
+      emissionsCalculation: calculation.emissionsCalculation,
+      organization: organization._id,
+      submittedBy: req.userId,
+      submittedByModel: req.principalType
     };
 
     const esgRecord = await ESGRecord.create(recordData);
 
+    await versionService.recordChange(esgRecord, null, {
+      changeType: VERSION_CHANGE_TYPES.CREATED,
+      principal: req.userId,
+      principalType: req.principalType
+    });
+
     // Log creation
     await auditService.logESGRecordCreated(
       req.userId,
       esgRecord._id,
       {
         organization: esgRecord.organization,
+        facility: esgRecord.facility,
         year: esgRecord.reportingPeriod.year
       },
       req
@@ -50,39 +126,143 @@ export const createESGRecord = async (req, res) => {
 };
 
 /**
- * Get all ESG records with filters and pagination
+ * Import ESG records as drafts from a CSV file or an import workbook
+ * (?dryRun=true to only validate). Valid rows are created together;
+ * invalid rows are listed with their errors.
  */
-export const getESGRecords = async (req, res) => {
+export const importESGRecords = async (req, res) => {
   try {
-    const {
-      organization,
-      year,
-      status,
-      page = PAGINATION.DEFAULT_PAGE,
-      limit = PAGINATION.DEFAULT_LIMIT
-    } = req.query;
+    const dryRun = req.query.dryRun === 'true';
+    const format = req.is(XLSX_CONTENT_TYPE) ? 'xlsx' : 'csv';
 
-    const query = {};
+    const file = format === 'xlsx'
+      ? importService.readWorkbook(req.body)
+      : importService.readCsv(req.body);
 
-    // Access control
-    if (req.user.role !== ROLES.ADMINISTRATOR) {
-      query.organization = req.user.organization;
-    } else if (organization) {
-      query.organization = organization;
+    if (file.error) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        errorResponse(file.error, file.details)
+      );
     }
 
-    if (year) {
-      query['reportingPeriod.year'] = parseInt(year, 10);
+    const { columns, entries } = file;
+
+    if (entries.length === 0) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        errorResponse(ERROR_MESSAGES.IMPORT_NO_ROWS)
+      );
     }
 
-    if (status) {
-      query.status = status;
+    if (entries.length > importService.getMaxRows()) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        errorResponse(ERROR_MESSAGES.IMPORT_TOO_MANY_ROWS, {
+          maxRows: importService.getMaxRows()
+        })
+      );
+    }
+
+    const { results, valid } = await importService.validateRows(req, columns, entries);
+
+    const recordIds = !dryRun && valid.length > 0
+      ? await importService.commit(req, valid)
+      : [];
+
+    const summary = {
+      dryRun,
+      totalRows: results.length,
+      validRows: valid.length,
+      invalidRows: results.length - valid.length,
+      created: recordIds.length
+    };
+
+    if (!dryRun) {
+      await auditService.logESGRecordsImported(
+        req.userId,
+        { ...summary, format, recordIds },
+        req
+      );
     }
 
+    res.status(recordIds.length > 0 ? HTTP_STATUS.CREATED : HTTP_STATUS.OK).json(
+      successResponse(
+        { ...summary, rows: results },
+        dryRun ? SUCCESS_MESSAGES.ESG_IMPORT_VALIDATED : SUCCESS_MESSAGES.ESG_RECORDS_IMPORTED
+      )
+    );
+  } catch (error) {
+    console.error('Import ESG records error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
+/**
+ * Download the ESG record import workbook template
+ */
+export const getImportTemplate = async (req, res) => {
+  try {
+    const workbook = importService.buildTemplate();
+
+    res.attachment('esg-import-template.xlsx');
+    res.set({
+      'Content-Type': XLSX_CONTENT_TYPE,
+      'Content-Length': workbook.length
+    });
+    res.status(HTTP_STATUS.OK).send(workbook);
+  } catch (error) {
+    console.error('Get import template error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
+/**
+ * ESG record query for the list filters (organization, facility, year,
+ * status). Records of other organizations are filtered out by the
+ * tenant scope.
+ */
+const buildRecordQuery = ({ organization, facility, year, status }) => {
+  const query = {};
+
+  if (organization) {
+    query.organization = organization;
+  }
+
+  // "none" selects organization-wide records only
+  if (facility) {
+    query.facility = facility === 'none' ? { $exists: false } : facility;
+  }
+
+  if (year) {
+    query['reportingPeriod.year'] = parseInt(year, 10);
+  }
+
+  if (status) {
+    query.status = status;
+  }
+
+  return query;
+};
+
+/**
+ * Get all ESG records with filters and pagination
+ */
+export const getESGRecords = async (req, res) => {
+  try {
+    const {
+      page = PAGINATION.DEFAULT_PAGE,
+      limit = PAGINATION.DEFAULT_LIMIT
+    } = req.query;
+
+    const query = buildRecordQuery(req.query);
+
     const skip = (parseInt(page, 10) - 1) * parseInt(limit, 10);
 
     const [records, total] = await Promise.all([
       ESGRecord.find(query)
+        .populate('facility', 'name type')
         .populate('submittedBy', 'name email')
         .populate('reviewedBy', 'name email')
         .sort({ createdAt: -1 })
@@ -107,6 +287,56 @@ export const getESGRecords = async (req, res) => {
   }
 };
 
+/**
+ * Export every ESG record matching the list filters as CSV, XLSX or
+ * JSON Lines (?format=), streamed so large exports are never held in
+ * memory
+ */
+export const exportESGRecords = async (req, res) => {
+  try {
+    const { format = 'csv' } = req.query;
+
+    if (!ESG_EXPORT_FORMATS.includes(format)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        errorResponse(ERROR_MESSAGES.EXPORT_FORMAT_INVALID)
+      );
+    }
+
+    const query = buildRecordQuery(req.query);
+    const { contentType, extension } = exportService.getFormat(format);
+    const filters = Object.fromEntries(
+      ['organization', 'facility', 'year', 'status']
+        .filter(name => req.query[name] !== undefined)
+        .map(name => [name, req.query[name]])
+    );
+
+    await auditService.logDataExport(
+      req.userId,
+      'ESGRecord',
+      { format, filters },
+      req
+    );
+
+    res.attachment(`esg-records-${new Date().toISOString().slice(0, 10)}.${extension}`);
+    res.set('Content-Type', contentType);
+    res.status(HTTP_STATUS.OK);
+
+    await exportService.write(format, query, res);
+  } catch (error) {
+    console.error('Export ESG records error:', error);
+
+    // Once streaming has started the client can only see a cut-off file
+    if (res.headersSent) {
+      res.destroy();
+      return;
+    }
+
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
 /**
  * Get single ESG record by ID
  */
@@ -115,6 +345,7 @@ export const getESGRecordById = async (req, res) => {
     const { id } = req.params;
 
     const record = await ESGRecord.findById(id)
+      .populate('facility', 'name type location')
       .populate('submittedBy', 'name email role')
       .populate('reviewedBy', 'name email role');
 
@@ -124,15 +355,6 @@ export const getESGRecordById = async (req, res) => {
       );
     }
 
-    if (
-      req.user.role !== ROLES.ADMINISTRATOR &&
-      record.organization !== req.user.organization
-    ) {
-      return res.status(HTTP_STATUS.FORBIDDEN).json(
-        errorResponse(ERROR_MESSAGES.INSUFFICIENT_PERMISSIONS)
-      );
-    }
-
     res.status(HTTP_STATUS.OK).json(
       successResponse(record, 'ESG record retrieved successfully')
     );
@@ -145,7 +367,8 @@ export const getESGRecordById = async (req, res) => {
 };
 
 /**
- * Update ESG record
+ * Update ESG record (changed figures send an approved record back to
+ * draft for a fresh review)
  */
 export const updateESGRecord = async (req, res) => {
   try {
@@ -159,32 +382,61 @@ export const updateESGRecord = async (req, res) => {
       );
     }
 
-    if (req.user.role === ROLES.AUDITOR) {
+    if (
+      record.status === 'approved' &&
+      !hasPermission(req, PERMISSIONS.ESG_EDIT_APPROVED)
+    ) {
       return res.status(HTTP_STATUS.FORBIDDEN).json(
-        errorResponse('Auditors cannot modify ESG records')
+        errorResponse('Cannot update approved records')
       );
     }
 
+    // A rejected record goes back to whoever submitted it for revision
     if (
-      req.user.role !== ROLES.ADMINISTRATOR &&
-      record.organization !== req.user.organization
+      record.status === 'rejected' &&
+      !approvalPolicyService.isPreparer(record, req.userId)
     ) {
       return res.status(HTTP_STATUS.FORBIDDEN).json(
-        errorResponse(ERROR_MESSAGES.INSUFFICIENT_PERMISSIONS)
+        errorResponse(ERROR_MESSAGES.ESG_RECORD_NOT_SUBMITTER)
       );
     }
 
-    if (record.status === 'approved' && req.user.role !== ROLES.ADMINISTRATOR) {
-      return res.status(HTTP_STATUS.FORBIDDEN).json(
-        errorResponse('Cannot update approved records')
+    const before = versionService.snapshot(record);
+
+    // Activity data is checked here as updates take partial data
+    const activityUpdate = req.body.activities !== undefined ||
+      req.body.contractualInstruments !== undefined ||
+      req.body.factorSet !== undefined;
+    let activityData = {};
+
+    if (activityUpdate) {
+      const { error, value } = schemas.esgRecordActivities.validate(
+        {
+          activities: req.body.activities,
+          contractualInstruments: req.body.contractualInstruments,
+          factorSet: req.body.factorSet
+        },
+        { abortEarly: false }
       );
+
+      if (error) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json(
+          errorResponse('Validation failed', error.details.map(detail => ({
+            field: detail.path.join('.'),
+            message: detail.message
+          })))
+        );
+      }
+
+      activityData = value;
     }
 
+    // Status only changes through the submit/approve workflow so that
+    // segregation-of-duties rules cannot be bypassed
     const allowedUpdates = [
       'environmental',
       'social',
       'governance',
-      'status',
       'reviewNotes'
     ];
 
@@ -194,13 +446,81 @@ export const updateESGRecord = async (req, res) => {
       }
     });
 
-    await record.save();
+    if (activityUpdate) {
+      const facility = record.facility
+        ? await Facility.findById(record.facility).select('location.country').lean()
+        : null;
+
+      const calculation = await emissionFactorService.calculateForRecord({
+        activities: activityData.activities ?? record.toObject().activities,
+        contractualInstruments: activityData.contractualInstruments ??
+          record.toObject().contractualInstruments,
+        factorSetId: activityData.factorSet,
+        pinnedFactorSetId: record.emissionsCalculation?.factorSet,
+        region: facility?.location?.country
+      });
+
+      if (calculation.error) {
+        return res.status(calculation.error.status).json(
+          errorResponse(calculation.error.message, calculation.error.details)
+        );
+      }
+
+      if (activityData.activities !== undefined) {
+        record.activities = activityData.activities.length ? activityData.activities : undefined;
+      }
+
+      if (activityData.contractualInstruments !== undefined) {
+        record.contractualInstruments = activityData.contractualInstruments.length
+          ? activityData.contractualInstruments
+          : undefined;
+      }
+
+      record.emissionsCalculation = calculation.emissionsCalculation;
+    }
+
+    // Calculated scope totals win over typed-in ones
+    Object.entries(emissionFactorService.getScopeFields(record.emissionsCalculation))
+      .forEach(([field, value]) => record.set(`environmental.${field}`, value));
+
+    // Approvals given so far no longer cover the changed figures
+    const dataChanged = activityUpdate || ['environmental', 'social', 'governance']
+      .some(field => req.body[field] !== undefined);
+
+    const previousStatus = record.status;
+
+    if (dataChanged) {
+      if (previousStatus === 'approved') {
+        const invalid = lifecycleService.check(record, 'reopen', req);
+
+        if (invalid) {
+          return res.status(invalid.status).json(errorResponse(invalid.message));
+        }
+
+        lifecycleService.apply(record, 'reopen', req);
+      }
+
+      record.approvals = [];
+      // Editors of the figures count as preparers for segregation of duties
+      record.preparedBy.addToSet(req.userId);
+    }
+
+    const version = await versionService.saveWithChange(record, before, {
+      changeType: VERSION_CHANGE_TYPES.UPDATED,
+      principal: req.userId,
+      principalType: req.principalType
+    });
 
     // Log update
     await auditService.logESGRecordUpdated(
       req.userId,
       record._id,
-      { status: record.status },
+      {
+        status: record.status,
+        previousStatus,
+        version: version?.version,
+        changes: version?.changes || []
+      },
       req
     );
 
@@ -230,32 +550,149 @@ export const submitESGRecord = async (req, res) => {
       );
     }
 
-    if (
-      req.user.role !== ROLES.ADMINISTRATOR &&
-      record.organization !== req.user.organization
-    ) {
+    const invalid = lifecycleService.check(record, 'submit', req);
+
+    if (invalid) {
+      return res.status(invalid.status).json(errorResponse(invalid.message));
+    }
+
+    const resubmission = record.status === 'rejected';
+
+    if (resubmission && !approvalPolicyService.isPreparer(record, req.userId)) {
       return res.status(HTTP_STATUS.FORBIDDEN).json(
-        errorResponse(ERROR_MESSAGES.INSUFFICIENT_PERMISSIONS)
+        errorResponse(ERROR_MESSAGES.ESG_RECORD_NOT_SUBMITTER)
       );
     }
 
-    if (record.status !== 'draft') {
-      return res.status(HTTP_STATUS.BAD_REQUEST).json(
-        errorResponse('Only draft records can be submitted')
+    lifecycleService.apply(record, 'submit', req);
+    await record.save();
+
+    await auditService.logESGRecordSubmitted(req.userId, record._id, req, {
+      resubmission,
+      resubmissionCount: record.resubmissionCount
+    });
+
+    res.status(HTTP_STATUS.OK).json(
+      successResponse(
+        record,
+        resubmission
+          ? SUCCESS_MESSAGES.ESG_RECORD_RESUBMITTED
+          : SUCCESS_MESSAGES.ESG_RECORD_SUBMITTED
+      )
+    );
+  } catch (error) {
+    console.error('Submit ESG record error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
+/**
+ * Pick up a submitted ESG record for review
+ */
+export const startESGRecordReview = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const record = await ESGRecord.findById(id);
+
+    if (!record) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        errorResponse(ERROR_MESSAGES.RESOURCE_NOT_FOUND)
       );
     }
 
-    record.status = 'submitted';
-    record.submittedAt = new Date();
+    const invalid = lifecycleService.check(record, 'start_review', req);
+
+    if (invalid) {
+      return res.status(invalid.status).json(errorResponse(invalid.message));
+    }
+
+    const violation = approvalPolicyService.checkReview(record, req.userId);
+
+    if (violation) {
+      await auditService.logSegregationOfDutiesViolation(
+        req.userId,
+        record._id,
+        { rule: violation.rule, attemptedAction: 'start_review' },
+        req
+      );
+
+      return res.status(HTTP_STATUS.FORBIDDEN).json(
+        errorResponse(violation.message)
+      );
+    }
+
+    lifecycleService.apply(record, 'start_review', req);
     await record.save();
 
-    await auditService.logESGRecordSubmitted(req.userId, record._id, req);
+    await auditService.logESGRecordReviewStarted(req.userId, record._id, req);
 
     res.status(HTTP_STATUS.OK).json(
-      successResponse(record, SUCCESS_MESSAGES.ESG_RECORD_SUBMITTED)
+      successResponse(record, SUCCESS_MESSAGES.ESG_RECORD_REVIEW_STARTED)
     );
   } catch (error) {
-    console.error('Submit ESG record error:', error);
+    console.error('Start ESG record review error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
+/**
+ * Reject ESG record back to its submitter with reasons
+ */
+export const rejectESGRecord = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reasons } = req.body;
+
+    const record = await ESGRecord.findById(id);
+
+    if (!record) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        errorResponse(ERROR_MESSAGES.RESOURCE_NOT_FOUND)
+      );
+    }
+
+    const invalid = lifecycleService.check(record, 'reject', req);
+
+    if (invalid) {
+      return res.status(invalid.status).json(errorResponse(invalid.message));
+    }
+
+    const violation = approvalPolicyService.checkReview(record, req.userId);
+
+    if (violation) {
+      await auditService.logSegregationOfDutiesViolation(
+        req.userId,
+        record._id,
+        { rule: violation.rule, attemptedAction: 'reject' },
+        req
+      );
+
+      return res.status(HTTP_STATUS.FORBIDDEN).json(
+        errorResponse(violation.message)
+      );
+    }
+
+    record.rejections.push({ rejectedBy: req.userId, reasons });
+    lifecycleService.apply(record, 'reject', req);
+    await record.save();
+
+    await auditService.logESGRecordRejected(
+      req.userId,
+      record._id,
+      { reasons, rejectionCount: record.rejections.length },
+      req
+    );
+
+    res.status(HTTP_STATUS.OK).json(
+      successResponse(record, SUCCESS_MESSAGES.ESG_RECORD_REJECTED)
+    );
+  } catch (error) {
+    console.error('Reject ESG record error:', error);
     res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
       errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
     );
@@ -278,26 +715,65 @@ export const approveESGRecord = async (req, res) => {
       );
     }
 
-    if (!['submitted', 'under_review'].includes(record.status)) {
-      return res.status(HTTP_STATUS.BAD_REQUEST).json(
-        errorResponse('Only submitted or under review records can be approved')
+    const invalid = lifecycleService.check(record, 'approve', req);
+
+    if (invalid) {
+      return res.status(invalid.status).json(errorResponse(invalid.message));
+    }
+
+    if (await commentService.hasOpenBlockingComments(record._id)) {
+      return res.status(HTTP_STATUS.CONFLICT).json(
+        errorResponse(ERROR_MESSAGES.ESG_RECORD_BLOCKING_COMMENTS)
+      );
+    }
+
+    // Segregation of duties
+    const violation = approvalPolicyService.checkApproval(record, req.userId);
+
+    if (violation) {
+      await auditService.logSegregationOfDutiesViolation(
+        req.userId,
+        record._id,
+        { rule: violation.rule, attemptedAction: 'approve' },
+        req
+      );
+
+      return res.status(HTTP_STATUS.FORBIDDEN).json(
+        errorResponse(violation.message)
       );
     }
 
-    record.status = 'approved';
-    record.reviewedBy = req.userId;
-    record.approvedAt = new Date();
+    record.approvals.push({ approvedBy: req.userId, notes: reviewNotes });
 
     if (reviewNotes) {
       record.reviewNotes = reviewNotes;
     }
 
+    const policy = await approvalPolicyService.getPolicyForOrganization(
+      record.organization
+    );
+    const fullyApproved = approvalPolicyService.isFullyApproved(record, policy);
+
+    lifecycleService.apply(
+      record,
+      fullyApproved ? 'approve' : 'record_approval',
+      req
+    );
     await record.save();
 
-    await auditService.logESGRecordApproved(req.userId, record._id, req);
+    await auditService.logESGRecordApproved(req.userId, record._id, req, {
+      approvals: record.approvals.length,
+      requiredApprovals: policy.requiredApprovals,
+      final: fullyApproved
+    });
 
     res.status(HTTP_STATUS.OK).json(
-      successResponse(record, SUCCESS_MESSAGES.ESG_RECORD_APPROVED)
+      successResponse(
+        record,
+        fullyApproved
+          ? SUCCESS_MESSAGES.ESG_RECORD_APPROVED
+          : SUCCESS_MESSAGES.ESG_RECORD_APPROVAL_RECORDED
+      )
     );
   } catch (error) {
     console.error('Approve ESG record error:', error);
@@ -308,20 +784,43 @@ export const approveESGRecord = async (req, res) => {
 };
 
 /**
- * Delete ESG record (Administrator only)
+ * Delete ESG record (Administrator only) along with its versions,
+ * comments and evidence files
  */
 export const deleteESGRecord = async (req, res) => {
   try {
     const { id } = req.params;
 
-    const record = await ESGRecord.findByIdAndDelete(id);
+    const deleted = await runInTransaction(async (session) => {
+      const record = await ESGRecord.findByIdAndDelete(id, { session });
 
-    if (!record) {
+      if (!record) return null;
+
+      const evidence = await Evidence.find({ record: record._id })
+        .select('storageBackend +storageKey')
+        .session(session)
+        .lean();
+
+      await ESGRecordVersion.deleteMany({ record: record._id }, { session });
+      await ESGComment.deleteMany({ record: record._id }, { session });
+      await Evidence.deleteMany({ record: record._id }, { session });
+
+      return { record, evidence };
+    });
+
+    if (!deleted) {
       return res.status(HTTP_STATUS.NOT_FOUND).json(
         errorResponse(ERROR_MESSAGES.RESOURCE_NOT_FOUND)
       );
     }
 
+    // Files go once nothing refers to them; one left behind is only logged
+    await Promise.all(deleted.evidence.map(file =>
+      storageService.delete(file.storageBackend, file.storageKey).catch((error) => {
+        console.error(`Could not remove evidence file ${file.storageKey}:`, error);
+      })
+    ));
+
     res.status(HTTP_STATUS.OK).json(
       successResponse(null, SUCCESS_MESSAGES.ESG_RECORD_DELETED)
     );
@@ -332,12 +831,180 @@ export const deleteESGRecord = async (req, res) => {
     );
   }
 };
+
+/**
+ * Get the version history of an ESG record
+ */
+export const getESGRecordVersions = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!(await ESGRecord.exists({ _id: id }))) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        errorResponse(ERROR_MESSAGES.RESOURCE_NOT_FOUND)
+      );
+    }
+
+    const versions = await versionService.getVersions(id);
+
+    res.status(HTTP_STATUS.OK).json(
+      successResponse(versions, 'ESG record versions retrieved successfully')
+    );
+  } catch (error) {
+    console.error('Get ESG record versions error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
+/**
+ * Get the field-level diff of an ESG record version against the
+ * previous one (or ?against=<version>)
+ */
+export const getESGRecordVersionDiff = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const version = parseInt(req.params.version, 10);
+    const against = req.query.against !== undefined
+      ? parseInt(req.query.against, 10)
+      : version - 1;
+
+    if (!(version > 0) || Number.isNaN(against) || against < 0) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        errorResponse('Versions must be positive whole numbers')
+      );
+    }
+
+    if (!(await ESGRecord.exists({ _id: id }))) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        errorResponse(ERROR_MESSAGES.RESOURCE_NOT_FOUND)
+      );
+    }
+
+    const diff = await versionService.diffVersions(id, version, against);
+
+    if (!diff) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        errorResponse(ERROR_MESSAGES.ESG_RECORD_VERSION_NOT_FOUND)
+      );
+    }
+
+    res.status(HTTP_STATUS.OK).json(
+      successResponse(diff, 'ESG record version diff retrieved successfully')
+    );
+  } catch (error) {
+    console.error('Get ESG record version diff error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
+/**
+ * Restore an earlier version of an ESG record as a new version (an
+ * approved record goes back to draft for a fresh review)
+ */
+export const restoreESGRecordVersion = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const versionNumber = parseInt(req.params.version, 10);
+
+    if (!(versionNumber > 0)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        errorResponse('Versions must be positive whole numbers')
+      );
+    }
+
+    const record = await ESGRecord.findById(id);
+
+    if (!record) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        errorResponse(ERROR_MESSAGES.RESOURCE_NOT_FOUND)
+      );
+    }
+
+    const target = await versionService.getVersion(record._id, versionNumber);
+
+    if (!target) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        errorResponse(ERROR_MESSAGES.ESG_RECORD_VERSION_NOT_FOUND)
+      );
+    }
+
+    const before = versionService.snapshot(record);
+
+    versionService.applyVersion(record, target);
+
+    if (versionService.diff(before, versionService.snapshot(record)).length === 0) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        errorResponse(ERROR_MESSAGES.ESG_RECORD_VERSION_UNCHANGED)
+      );
+    }
+
+    // Restored figures on an approved record go back to draft for a
+    // fresh review
+    const previousStatus = record.status;
+
+    if (previousStatus === 'approved') {
+      const invalid = lifecycleService.check(record, 'reopen', req);
+
+      if (invalid) {
+        return res.status(invalid.status).json(errorResponse(invalid.message));
+      }
+
+      lifecycleService.apply(record, 'reopen', req);
+    }
+
+    // Approvals given so far no longer cover the restored figures, and
+    // whoever restored them counts as a preparer
+    record.approvals = [];
+    record.preparedBy.addToSet(req.userId);
+
+    const version = await versionService.saveWithChange(record, before, {
+      changeType: VERSION_CHANGE_TYPES.RESTORED,
+      principal: req.userId,
+      principalType: req.principalType,
+      restoredFrom: target.version
+    });
+
+    await auditService.logESGRecordRestored(
+      req.userId,
+      record._id,
+      {
+        status: record.status,
+        previousStatus,
+        restoredFrom: target.version,
+        version: version?.version,
+        changes: version?.changes || []
+      },
+      req
+    );
+
+    res.status(HTTP_STATUS.OK).json(
+      successResponse(record, SUCCESS_MESSAGES.ESG_RECORD_RESTORED)
+    );
+  } catch (error) {
+    console.error('Restore ESG record version error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
 export default {
   createESGRecord,
+  importESGRecords,
+  getImportTemplate,
   getESGRecords,
+  exportESGRecords,
   getESGRecordById,
   updateESGRecord,
   submitESGRecord,
+  startESGRecordReview,
+  rejectESGRecord,
   approveESGRecord,
-  deleteESGRecord
+  deleteESGRecord,
+  getESGRecordVersions,
+  getESGRecordVersionDiff,
+  restoreESGRecordVersion
 };
@@ -0,0 +1,218 @@
+import crypto from 'crypto';
+import path from 'path';
+import ESGRecord from '../models/ESGRecord.js';
+import Evidence from '../models/Evidence.js';
+import storageService from '../services/storageService.js';
+import auditService from '../services/auditService.js';
+import { schemas } from '../middleware/validator.js';
+
+import {
+  HTTP_STATUS,
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  AUDIT_ACTIONS,
+  PERMISSIONS
+} from '../utils/constants.js';
+
+import {
+  successResponse,
+  errorResponse,
+  hasPermission
+} from '../utils/helpers.js';
+
+/**
+ * Upload an evidence file for an ESG record (optionally for one metric).
+ * The file is the raw request body; its name and target metric come
+ * from the query string.
+ */
+export const uploadEvidence = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { error, value } = schemas.evidenceUpload.validate(req.query, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        errorResponse('Validation failed', error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        })))
+      );
+    }
+
+    const { field, description } = value;
+    const fileName = path.basename(value.fileName);
+
+    if (!fileName) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        errorResponse(ERROR_MESSAGES.EVIDENCE_FILE_REQUIRED)
+      );
+    }
+
+    if (field && !ESGRecord.isMetricPath(field)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        errorResponse(ERROR_MESSAGES.EVIDENCE_FIELD_INVALID)
+      );
+    }
+
+    const record = await ESGRecord.findById(id).select('organization status');
+
+    if (!record) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        errorResponse(ERROR_MESSAGES.RESOURCE_NOT_FOUND)
+      );
+    }
+
+    if (
+      record.status === 'approved' &&
+      !hasPermission(req, PERMISSIONS.ESG_EDIT_APPROVED)
+    ) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json(
+        errorResponse('Cannot add evidence to approved records')
+      );
+    }
+
+    const content = req.body;
+    const sha256 = crypto.createHash('sha256').update(content).digest('hex');
+
+    const stored = await storageService.put(
+      `evidence/${record.organization}/${record._id}/${crypto.randomUUID()}`,
+      content
+    );
+
+    let evidence;
+
+    try {
+      evidence = await Evidence.create({
+        organization: record.organization,
+        record: record._id,
+        field,
+        fileName,
+        description,
+        contentType: req.get('content-type').split(';')[0].trim().toLowerCase(),
+        size: content.length,
+        sha256,
+        storageBackend: stored.backend,
+        storageKey: stored.key,
+        uploadedBy: req.userId,
+        uploadedByModel: req.principalType
+      });
+    } catch (createError) {
+      // Don't leave a stored file nothing refers to
+      await storageService.delete(stored.backend, stored.key).catch((deleteError) => {
+        console.error(`Could not remove unreferenced evidence file ${stored.key}:`, deleteError);
+      });
+      throw createError;
+    }
+
+    await auditService.logEvidenceEvent(
+      AUDIT_ACTIONS.EVIDENCE_UPLOADED,
+      req.userId,
+      record._id,
+      { evidenceId: evidence._id, fileName, field, size: evidence.size, sha256 },
+      req
+    );
+
+    // The storage location stays internal
+    const { storageKey, ...data } = evidence.toObject();
+
+    res.status(HTTP_STATUS.CREATED).json(
+      successResponse(data, SUCCESS_MESSAGES.EVIDENCE_UPLOADED)
+    );
+  } catch (error) {
+    console.error('Upload evidence error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
+/**
+ * Get the evidence files of an ESG record (?field= for one metric)
+ */
+export const getEvidence = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { field } = req.query;
+
+    if (!(await ESGRecord.exists({ _id: id }))) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        errorResponse(ERROR_MESSAGES.RESOURCE_NOT_FOUND)
+      );
+    }
+
+    const query = { record: id };
+
+    if (field) query.field = field;
+
+    const evidence = await Evidence.find(query)
+      .sort({ createdAt: -1 })
+      .populate('uploadedBy', 'name email')
+      .lean();
+
+    res.status(HTTP_STATUS.OK).json(
+      successResponse(evidence, 'Evidence retrieved successfully')
+    );
+  } catch (error) {
+    console.error('Get evidence error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
+/**
+ * Download an evidence file, checking it against its recorded hash
+ */
+export const downloadEvidence = async (req, res) => {
+  try {
+    const { id, evidenceId } = req.params;
+
+    const evidence = await Evidence.findOne({ _id: evidenceId, record: id })
+      .select('+storageKey');
+
+    if (!evidence) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        errorResponse(ERROR_MESSAGES.EVIDENCE_NOT_FOUND)
+      );
+    }
+
+    const content = await storageService.get(evidence.storageBackend, evidence.storageKey);
+    const sha256 = crypto.createHash('sha256').update(content).digest('hex');
+
+    if (sha256 !== evidence.sha256) {
+      console.error(`Evidence ${evidence._id} failed its integrity check`);
+      return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+        errorResponse(ERROR_MESSAGES.EVIDENCE_INTEGRITY_FAILED)
+      );
+    }
+
+    await auditService.logEvidenceEvent(
+      AUDIT_ACTIONS.EVIDENCE_DOWNLOADED,
+      req.userId,
+      evidence.record,
+      { evidenceId: evidence._id, fileName: evidence.fileName, sha256 },
+      req
+    );
+
+    res.attachment(evidence.fileName);
+    res.set({
+      'Content-Type': evidence.contentType,
+      'Content-Length': content.length,
+      ETag: `"${sha256}"`
+    });
+    res.status(HTTP_STATUS.OK).send(content);
+  } catch (error) {
+    console.error('Download evidence error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+export default {
+  uploadEvidence,
+  getEvidence,
+  downloadEvidence
+};
@@ -0,0 +1,214 @@
+import Facility from '../models/Facility.js';
+import organizationService from '../services/organizationService.js';
+import auditService from '../services/auditService.js';
+
+import {
+  HTTP_STATUS,
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  AUDIT_ACTIONS,
+  PAGINATION
+} from '../utils/constants.js';
+
+import {
+  successResponse,
+  errorResponse,
+  getPaginationMeta
+} from '../utils/helpers.js';
+
+/**
+ * Create a facility
+ */
+export const createFacility = async (req, res) => {
+  try {
+    const { name, type, location, floorArea } = req.body;
+
+    const organization = await organizationService.resolveForRequest(
+      req,
+      req.body.organization
+    );
+
+    if (!organization) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        errorResponse(ERROR_MESSAGES.ORGANIZATION_NOT_FOUND)
+      );
+    }
+
+    if (await Facility.exists({ organization: organization._id, name })) {
+      return res.status(HTTP_STATUS.CONFLICT).json(
+        errorResponse(ERROR_MESSAGES.FACILITY_ALREADY_EXISTS)
+      );
+    }
+
+    const facility = await Facility.create({
+      organization: organization._id,
+      name,
+      type,
+      location,
+      floorArea,
+      createdBy: req.userId
+    });
+
+    await auditService.logFacilityEvent(
+      AUDIT_ACTIONS.FACILITY_CREATED,
+      req.userId,
+      facility,
+      { name, type, country: facility.location.country },
+      req
+    );
+
+    res.status(HTTP_STATUS.CREATED).json(
+      successResponse(facility, SUCCESS_MESSAGES.FACILITY_CREATED)
+    );
+  } catch (error) {
+    console.error('Create facility error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
+/**
+ * Get facilities with filters and pagination
+ */
+export const getFacilities = async (req, res) => {
+  try {
+    const {
+      organization,
+      type,
+      country,
+      isActive,
+      page = PAGINATION.DEFAULT_PAGE,
+      limit = PAGINATION.DEFAULT_LIMIT
+    } = req.query;
+
+    // Facilities of other organizations are filtered out by the tenant scope
+    const query = {};
+
+    if (organization) query.organization = organization;
+    if (type) query.type = type;
+    if (country) query['location.country'] = country.toUpperCase();
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+
+    const skip = (parseInt(page, 10) - 1) * parseInt(limit, 10);
+
+    const [facilities, total] = await Promise.all([
+      Facility.find(query)
+        .sort({ name: 1 })
+        .skip(skip)
+        .limit(parseInt(limit, 10))
+        .lean(),
+      Facility.countDocuments(query)
+    ]);
+
+    res.status(HTTP_STATUS.OK).json(
+      successResponse(
+        facilities,
+        'Facilities retrieved successfully',
+        getPaginationMeta(total, page, limit)
+      )
+    );
+  } catch (error) {
+    console.error('Get facilities error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
+/**
+ * Get a facility by ID
+ */
+export const getFacilityById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const facility = await Facility.findById(id)
+      .populate('createdBy', 'name email')
+      .lean();
+
+    if (!facility) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        errorResponse(ERROR_MESSAGES.FACILITY_NOT_FOUND)
+      );
+    }
+
+    res.status(HTTP_STATUS.OK).json(
+      successResponse(facility, 'Facility retrieved successfully')
+    );
+  } catch (error) {
+    console.error('Get facility error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
+/**
+ * Update a facility (closing a site sets isActive to false)
+ */
+export const updateFacility = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, type, location, floorArea, isActive } = req.body;
+
+    const facility = await Facility.findById(id);
+
+    if (!facility) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        errorResponse(ERROR_MESSAGES.FACILITY_NOT_FOUND)
+      );
+    }
+
+    if (name && name !== facility.name) {
+      const existing = await Facility.exists({
+        organization: facility.organization,
+        name,
+        _id: { $ne: facility._id }
+      });
+
+      if (existing) {
+        return res.status(HTTP_STATUS.CONFLICT).json(
+          errorResponse(ERROR_MESSAGES.FACILITY_ALREADY_EXISTS)
+        );
+      }
+
+      facility.name = name;
+    }
+
+    if (type) facility.type = type;
+    if (floorArea !== undefined) facility.floorArea = floorArea;
+    if (isActive !== undefined) facility.isActive = isActive;
+
+    if (location) {
+      Object.entries(location).forEach(([field, value]) => {
+        facility.location[field] = value;
+      });
+    }
+
+    await facility.save();
+
+    await auditService.logFacilityEvent(
+      AUDIT_ACTIONS.FACILITY_UPDATED,
+      req.userId,
+      facility,
+      { name, type, location, floorArea, isActive },
+      req
+    );
+
+    res.status(HTTP_STATUS.OK).json(
+      successResponse(facility, SUCCESS_MESSAGES.FACILITY_UPDATED)
+    );
+  } catch (error) {
+    console.error('Update facility error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+export default {
+  createFacility,
+  getFacilities,
+  getFacilityById,
+  updateFacility
+};
@@ -0,0 +1,191 @@
+import Invitation from '../models/Invitation.js';
+import User from '../models/User.js';
+import auditService from '../services/auditService.js';
+import mailService from '../services/mailService.js';
+import roleService from '../services/roleService.js';
+import organizationService from '../services/organizationService.js';
+
+import {
+  HTTP_STATUS,
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  PAGINATION
+} from '../utils/constants.js';
+
+import {
+  successResponse,
+  errorResponse,
+  getPaginationMeta,
+  generateSecureToken,
+  hashToken
+} from '../utils/helpers.js';
+
+const DEFAULT_INVITATION_EXPIRE_DAYS =
+  parseInt(process.env.INVITATION_EXPIRE_DAYS, 10) || 7;
+
+/**
+ * Create and send an invitation (Administrator only)
+ */
+export const createInvitation = async (req, res) => {
+  try {
+    const { email, role, expiresInDays } = req.body;
+
+    // Email addresses are unique across all organizations
+    const existingUser = await User.findOne({ email })
+      .setOptions({ skipTenantScope: true });
+    if (existingUser) {
+      return res.status(HTTP_STATUS.CONFLICT).json(
+        errorResponse(ERROR_MESSAGES.USER_ALREADY_EXISTS)
+      );
+    }
+
+    if (!(await roleService.roleExists(role))) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        errorResponse(ERROR_MESSAGES.ROLE_NOT_FOUND)
+      );
+    }
+
+    if (!(await roleService.canAssign(req, role))) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json(
+        errorResponse(ERROR_MESSAGES.ROLE_NOT_ASSIGNABLE)
+      );
+    }
+
+    const organization = await organizationService.resolveForRequest(
+      req,
+      req.body.organization
+    );
+
+    if (!organization) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        errorResponse(ERROR_MESSAGES.ORGANIZATION_NOT_FOUND)
+      );
+    }
+
+    // Only the latest invitation for an address stays usable
+    await Invitation.updateMany(
+      {
+        email,
+        acceptedAt: { $exists: false },
+        revokedAt: { $exists: false }
+      },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    const invitationToken = generateSecureToken();
+    const days = expiresInDays || DEFAULT_INVITATION_EXPIRE_DAYS;
+
+    const invitation = await Invitation.create({
+      email,
+      role,
+      organization: organization._id,
+      tokenHash: hashToken(invitationToken),
+      expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+      invitedBy: req.userId
+    });
+
+    await mailService.sendInvitation(invitation, invitationToken, organization.name);
+
+    await auditService.logInvitationCreated(
+      req.userId,
+      invitation._id,
+      { email, role, organization: organization._id },
+      req
+    );
+
+    res.status(HTTP_STATUS.CREATED).json(
+      successResponse(invitation, SUCCESS_MESSAGES.INVITATION_CREATED)
+    );
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
+/**
+ * Get invitations (Administrator only)
+ */
+export const getInvitations = async (req, res) => {
+  try {
+    const {
+      email,
+      organization,
+      page = PAGINATION.DEFAULT_PAGE,
+      limit = PAGINATION.DEFAULT_LIMIT
+    } = req.query;
+
+    const query = {};
+
+    if (email) query.email = email.toLowerCase();
+    if (organization) query.organization = organization;
+
+    const skip = (parseInt(page, 10) - 1) * parseInt(limit, 10);
+
+    const [invitations, total] = await Promise.all([
+      Invitation.find(query)
+        .populate('invitedBy', 'name email')
+        .populate('acceptedBy', 'name email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit, 10)),
+      Invitation.countDocuments(query)
+    ]);
+
+    res.status(HTTP_STATUS.OK).json(
+      successResponse(
+        invitations,
+        'Invitations retrieved successfully',
+        getPaginationMeta(total, page, limit)
+      )
+    );
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
+/**
+ * Revoke a pending invitation (Administrator only)
+ */
+export const revokeInvitation = async (req, res) => {
+  try {
+    const { invitationId } = req.params;
+
+    const invitation = await Invitation.findById(invitationId);
+
+    if (!invitation) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        errorResponse(ERROR_MESSAGES.INVITATION_NOT_FOUND)
+      );
+    }
+
+    if (invitation.status !== 'pending') {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        errorResponse(ERROR_MESSAGES.INVITATION_NOT_PENDING)
+      );
+    }
+
+    invitation.revokedAt = new Date();
+    await invitation.save();
+
+    await auditService.logInvitationRevoked(req.userId, invitation._id, req);
+
+    res.status(HTTP_STATUS.OK).json(
+      successResponse(invitation, SUCCESS_MESSAGES.INVITATION_REVOKED)
+    );
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+export default {
+  createInvitation,
+  getInvitations,
+  revokeInvitation
+};
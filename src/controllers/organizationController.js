@@ -0,0 +1,334 @@
+import Organization from '../models/Organization.js';
+import User from '../models/User.js';
+import organizationService from '../services/organizationService.js';
+import auditService from '../services/auditService.js';
+
+import {
+  HTTP_STATUS,
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  AUDIT_ACTIONS,
+  PAGINATION,
+  CONSOLIDATION_APPROACHES
+} from '../utils/constants.js';
+
+import {
+  successResponse,
+  errorResponse,
+  getPaginationMeta,
+  roundToDecimal
+} from '../utils/helpers.js';
+
+/**
+ * Create an organization (Super admin only)
+ */
+export const createOrganization = async (req, res) => {
+  try {
+    const { name, parent, ownership } = req.body;
+    const slug = req.body.slug || organizationService.slugify(name);
+
+    if (!slug) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        errorResponse('A slug could not be derived from the name, please provide one')
+      );
+    }
+
+    const existing = await Organization.exists({ $or: [{ name }, { slug }] });
+
+    if (existing) {
+      return res.status(HTTP_STATUS.CONFLICT).json(
+        errorResponse(ERROR_MESSAGES.ORGANIZATION_ALREADY_EXISTS)
+      );
+    }
+
+    if (parent && !(await Organization.exists({ _id: parent }))) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        errorResponse(ERROR_MESSAGES.ORGANIZATION_NOT_FOUND)
+      );
+    }
+
+    const organization = await Organization.create({
+      name,
+      slug,
+      parent,
+      ownership,
+      createdBy: req.userId
+    });
+
+    await auditService.logOrganizationEvent(
+      AUDIT_ACTIONS.ORGANIZATION_CREATED,
+      req.userId,
+      organization._id,
+      { name, slug, parent, ownership },
+      req
+    );
+
+    res.status(HTTP_STATUS.CREATED).json(
+      successResponse(organization, SUCCESS_MESSAGES.ORGANIZATION_CREATED)
+    );
+  } catch (error) {
+    console.error('Create organization error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
+/**
+ * Get all organizations (Super admin only)
+ */
+export const getOrganizations = async (req, res) => {
+  try {
+    const {
+      isActive,
+      page = PAGINATION.DEFAULT_PAGE,
+      limit = PAGINATION.DEFAULT_LIMIT
+    } = req.query;
+
+    const query = {};
+
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+
+    const skip = (parseInt(page, 10) - 1) * parseInt(limit, 10);
+
+    const [organizations, total] = await Promise.all([
+      Organization.find(query)
+        .sort({ name: 1 })
+        .skip(skip)
+        .limit(parseInt(limit, 10))
+        .lean(),
+      Organization.countDocuments(query)
+    ]);
+
+    res.status(HTTP_STATUS.OK).json(
+      successResponse(
+        organizations,
+        'Organizations retrieved successfully',
+        getPaginationMeta(total, page, limit)
+      )
+    );
+  } catch (error) {
+    console.error('Get organizations error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
+/**
+ * Get the current user's organization
+ */
+export const getCurrentOrganization = async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.user.organization).lean();
+
+    if (!organization) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        errorResponse(ERROR_MESSAGES.ORGANIZATION_NOT_FOUND)
+      );
+    }
+
+    res.status(HTTP_STATUS.OK).json(
+      successResponse(organization, 'Organization retrieved successfully')
+    );
+  } catch (error) {
+    console.error('Get current organization error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
+/**
+ * Get the subsidiaries that roll up into the current user's
+ * organization, with the share each contributes
+ */
+export const getCurrentOrganizationStructure = async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.user.organization).lean();
+
+    if (!organization) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        errorResponse(ERROR_MESSAGES.ORGANIZATION_NOT_FOUND)
+      );
+    }
+
+    const approach = req.query.approach || organization.settings.consolidationApproach;
+
+    if (!Object.values(CONSOLIDATION_APPROACHES).includes(approach)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        errorResponse('Invalid consolidation approach')
+      );
+    }
+
+    const scope = await organizationService.getConsolidationScope(organization._id, approach);
+
+    const entities = scope.map(entity => ({
+      organization: entity.organization,
+      name: entity.name,
+      parent: entity.parent,
+      sharePercentage: roundToDecimal(entity.share * 100, 2)
+    }));
+
+    res.status(HTTP_STATUS.OK).json(
+      successResponse({ approach, entities }, 'Organization structure retrieved successfully')
+    );
+  } catch (error) {
+    console.error('Get organization structure error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
+/**
+ * Update the current user's organization settings
+ */
+export const updateCurrentOrganizationSettings = async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.user.organization);
+
+    if (!organization) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        errorResponse(ERROR_MESSAGES.ORGANIZATION_NOT_FOUND)
+      );
+    }
+
+    const previousSettings = organization.settings.toObject();
+
+    Object.entries(req.body).forEach(([setting, value]) => {
+      // null falls back to the platform default
+      organization.settings[setting] = value === null ? undefined : value;
+    });
+
+    await organization.save();
+
+    await auditService.logOrganizationEvent(
+      AUDIT_ACTIONS.ORGANIZATION_UPDATED,
+      req.userId,
+      organization._id,
+      { previousSettings, settings: req.body },
+      req
+    );
+
+    res.status(HTTP_STATUS.OK).json(
+      successResponse(organization, SUCCESS_MESSAGES.ORGANIZATION_UPDATED)
+    );
+  } catch (error) {
+    console.error('Update organization settings error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
+/**
+ * Get an organization with its number of users (Super admin only)
+ */
+export const getOrganizationById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const organization = await Organization.findById(id).lean();
+
+    if (!organization) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        errorResponse(ERROR_MESSAGES.ORGANIZATION_NOT_FOUND)
+      );
+    }
+
+    const userCount = await User.countDocuments({ organization: organization._id });
+
+    res.status(HTTP_STATUS.OK).json(
+      successResponse({ ...organization, userCount }, 'Organization retrieved successfully')
+    );
+  } catch (error) {
+    console.error('Get organization error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
+/**
+ * Rename, (de)activate or restructure an organization (Super admin only)
+ */
+export const updateOrganization = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, isActive, parent, ownership } = req.body;
+
+    const organization = await Organization.findById(id);
+
+    if (!organization) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        errorResponse(ERROR_MESSAGES.ORGANIZATION_NOT_FOUND)
+      );
+    }
+
+    if (name && name !== organization.name) {
+      const existing = await Organization.exists({ name, _id: { $ne: organization._id } });
+
+      if (existing) {
+        return res.status(HTTP_STATUS.CONFLICT).json(
+          errorResponse(ERROR_MESSAGES.ORGANIZATION_ALREADY_EXISTS)
+        );
+      }
+
+      organization.name = name;
+    }
+
+    if (parent) {
+      if (!(await Organization.exists({ _id: parent }))) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json(
+          errorResponse(ERROR_MESSAGES.ORGANIZATION_NOT_FOUND)
+        );
+      }
+
+      if (await organizationService.wouldCreateCycle(organization._id, parent)) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json(
+          errorResponse(ERROR_MESSAGES.ORGANIZATION_PARENT_INVALID)
+        );
+      }
+    }
+
+    if (parent !== undefined) organization.parent = parent;
+
+    if (ownership) {
+      Object.entries(ownership).forEach(([field, value]) => {
+        organization.ownership[field] = value;
+      });
+    }
+
+    // Deactivation locks every member out on their next request
+    if (isActive !== undefined) organization.isActive = isActive;
+
+    await organization.save();
+
+    await auditService.logOrganizationEvent(
+      AUDIT_ACTIONS.ORGANIZATION_UPDATED,
+      req.userId,
+      organization._id,
+      { name, isActive, parent, ownership },
+      req
+    );
+
+    res.status(HTTP_STATUS.OK).json(
+      successResponse(organization, SUCCESS_MESSAGES.ORGANIZATION_UPDATED)
+    );
+  } catch (error) {
+    console.error('Update organization error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+export default {
+  createOrganization,
+  getOrganizations,
+  getCurrentOrganization,
+  getCurrentOrganizationStructure,
+  updateCurrentOrganizationSettings,
+  getOrganizationById,
+  updateOrganization
+};
@@ -1,14 +1,16 @@
+import mongoose from 'mongoose';
 import Report from '../models/Report.js';
 import ESGRecord from '../models/ESGRecord.js';
 import esgCalculationService from '../services/esgCalculationService.js';
 import auditService from '../services/auditService.js';
+import organizationService from '../services/organizationService.js';
+import lifecycleService from '../services/lifecycleService.js';
 
 import {
   HTTP_STATUS,
   ERROR_MESSAGES,
   SUCCESS_MESSAGES,
-  PAGINATION,
-  ROLES
+  PAGINATION
 } from '../utils/constants.js';
 
 import {
@@ -25,15 +27,27 @@ export const generateReport = async (req, res) => {
   try {
     const {
       reportTitle,
-      organization,
       reportType,
       year,
       quarter,
       month,
       startDate,
-      endDate
+      endDate,
+      consolidated,
+      scope2Method
     } = req.body;
 
+    const organization = await organizationService.resolveForRequest(
+      req,
+      req.body.organization
+    );
+
+    if (!organization) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        errorResponse(ERROR_MESSAGES.ORGANIZATION_NOT_FOUND)
+      );
+    }
+
     let reportStartDate;
     let reportEndDate;
 
@@ -48,11 +62,45 @@ export const generateReport = async (req, res) => {
       reportEndDate = end;
     }
 
-    const records = await esgCalculationService.getRecordsForPeriod(
-      organization,
-      reportStartDate,
-      reportEndDate
-    );
+    // Approved records the report is built from, and the same records
+    // with site-level data rolled up to organization level
+    let sourceRecords;
+    let records;
+    let consolidation;
+
+    if (consolidated) {
+      // Roll up subsidiaries according to the group's boundary approach
+      const approach = req.body.consolidationApproach ||
+        organization.settings.consolidationApproach;
+
+      const scope = await organizationService.getConsolidationScope(
+        organization._id,
+        approach
+      );
+
+      sourceRecords = await esgCalculationService.getRecordsForEntities(
+        scope.map(entity => entity.organization),
+        reportStartDate,
+        reportEndDate
+      );
+
+      const { scaledRecords, entities } = esgCalculationService.consolidateRecords(
+        esgCalculationService.rollUpFacilityRecords(sourceRecords),
+        scope,
+        scope2Method
+      );
+
+      records = scaledRecords;
+      consolidation = { approach, entities };
+    } else {
+      sourceRecords = await esgCalculationService.getRecordsForPeriod(
+        organization._id,
+        reportStartDate,
+        reportEndDate
+      );
+
+      records = esgCalculationService.rollUpFacilityRecords(sourceRecords);
+    }
 
     if (records.length === 0) {
       return res.status(HTTP_STATUS.BAD_REQUEST).json(
@@ -61,7 +109,7 @@ export const generateReport = async (req, res) => {
     }
 
     const environmentalSummary =
-      esgCalculationService.aggregateEnvironmentalMetrics(records);
+      esgCalculationService.aggregateEnvironmentalMetrics(records, scope2Method);
 
     const socialSummary =
       esgCalculationService.aggregateSocialMetrics(records);
@@ -78,7 +126,7 @@ export const generateReport = async (req, res) => {
 
     const report = await Report.create({
       reportTitle,
-      organization,
+      organization: organization._id,
       reportType,
       reportingPeriod: {
         startDate: reportStartDate,
@@ -89,14 +137,21 @@ export const generateReport = async (req, res) => {
       socialSummary,
       governanceSummary,
       overallScore,
-      includedRecords: records.map(r => r._id),
-      generatedBy: req.userId
+      consolidation,
+      includedRecords: sourceRecords.map(r => r._id),
+      generatedBy: req.userId,
+      generatedByModel: req.principalType
     });
 
     await auditService.logReportGenerated(
       req.userId,
       report._id,
-      { organization, reportType, year },
+      {
+        organization: organization._id,
+        reportType,
+        year,
+        consolidationApproach: consolidation?.approach
+      },
       req
     );
 
@@ -125,11 +180,10 @@ export const getReports = async (req, res) => {
       limit = PAGINATION.DEFAULT_LIMIT
     } = req.query;
 
+    // Reports of other organizations are filtered out by the tenant scope
     const query = {};
 
-    if (req.user.role !== ROLES.ADMINISTRATOR) {
-      query.organization = req.user.organization;
-    } else if (organization) {
+    if (organization) {
       query.organization = organization;
     }
 
@@ -182,7 +236,8 @@ export const getReportById = async (req, res) => {
 
     const report = await Report.findById(id)
       .populate('generatedBy', 'name email role')
-      .populate('includedRecords');
+      // Consolidated reports include records of subsidiaries
+      .populate({ path: 'includedRecords', options: { skipTenantScope: true } });
 
     if (!report) {
       return res.status(HTTP_STATUS.NOT_FOUND).json(
@@ -190,15 +245,6 @@ export const getReportById = async (req, res) => {
       );
     }
 
-    if (
-      req.user.role !== ROLES.ADMINISTRATOR &&
-      report.organization !== req.user.organization
-    ) {
-      return res.status(HTTP_STATUS.FORBIDDEN).json(
-        errorResponse(ERROR_MESSAGES.INSUFFICIENT_PERMISSIONS)
-      );
-    }
-
     res.status(HTTP_STATUS.OK).json(
       successResponse(report, 'Report retrieved successfully')
     );
@@ -226,30 +272,43 @@ export const updateReportStatus = async (req, res) => {
       );
     }
 
-    if (
-      req.user.role !== ROLES.ADMINISTRATOR &&
-      report.organization !== req.user.organization
-    ) {
-      return res.status(HTTP_STATUS.FORBIDDEN).json(
-        errorResponse(ERROR_MESSAGES.INSUFFICIENT_PERMISSIONS)
-      );
-    }
+    let transition = null;
 
-    if (status) {
-      report.status = status;
-      if (status === 'published') {
-        report.publishedAt = new Date();
+    if (status && status !== report.status) {
+      const action = lifecycleService.findTransitionTo(report, status);
+
+      if (!action) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json(
+          errorResponse(
+            `${ERROR_MESSAGES.INVALID_STATUS_TRANSITION} (${report.status} to ${status})`
+          )
+        );
       }
+
+      const invalid = lifecycleService.check(report, action, req);
+
+      if (invalid) {
+        return res.status(invalid.status).json(errorResponse(invalid.message));
+      }
+
+      transition = { action, ...lifecycleService.apply(report, action, req) };
     }
 
-    if (notes) {
+    if (notes !== undefined) {
       report.notes = notes;
     }
 
     await report.save();
 
+    if (transition) {
+      await auditService.logReportStatusChanged(req.userId, report._id, transition, req);
+    }
+
     res.status(HTTP_STATUS.OK).json(
-      successResponse(report, 'Report updated successfully')
+      successResponse(
+        report,
+        transition ? SUCCESS_MESSAGES.REPORT_STATUS_UPDATED : 'Report updated successfully'
+      )
     );
   } catch (error) {
     console.error('Update report error:', error);
@@ -294,10 +353,9 @@ export const getReportStatistics = async (req, res) => {
 
     const query = {};
 
-    if (req.user.role !== ROLES.ADMINISTRATOR) {
-      query.organization = req.user.organization;
-    } else if (organization) {
-      query.organization = organization;
+    // Aggregations do not cast, so the filter needs a real ObjectId
+    if (organization) {
+      query.organization = new mongoose.Types.ObjectId(String(organization));
     }
 
     const [
@@ -0,0 +1,246 @@
+import Role from '../models/Role.js';
+import User from '../models/User.js';
+import Invitation from '../models/Invitation.js';
+import roleService from '../services/roleService.js';
+import auditService from '../services/auditService.js';
+
+import {
+  HTTP_STATUS,
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  AUDIT_ACTIONS,
+  PERMISSION_DESCRIPTIONS,
+  ROLES
+} from '../utils/constants.js';
+
+import {
+  successResponse,
+  errorResponse
+} from '../utils/helpers.js';
+
+/**
+ * Get the permission catalogue (Administrator only)
+ */
+export const getPermissions = async (req, res) => {
+  try {
+    const permissions = Object.entries(PERMISSION_DESCRIPTIONS).map(
+      ([permission, description]) => ({ permission, description })
+    );
+
+    res.status(HTTP_STATUS.OK).json(
+      successResponse(permissions, 'Permissions retrieved successfully')
+    );
+  } catch (error) {
+    console.error('Get permissions error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
+/**
+ * Get all roles (Administrator only)
+ */
+export const getRoles = async (req, res) => {
+  try {
+    const roles = await Role.find()
+      .populate('createdBy', 'name email')
+      .sort({ isSystem: -1, name: 1 })
+      .lean();
+
+    res.status(HTTP_STATUS.OK).json(
+      successResponse(roles, 'Roles retrieved successfully')
+    );
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
+/**
+ * Get a role with the number of users holding it (Administrator only)
+ */
+export const getRoleById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const role = await Role.findById(id)
+      .populate('createdBy', 'name email')
+      .lean();
+
+    if (!role) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        errorResponse(ERROR_MESSAGES.ROLE_NOT_FOUND)
+      );
+    }
+
+    const userCount = await User.countDocuments({ role: role.name });
+
+    res.status(HTTP_STATUS.OK).json(
+      successResponse({ ...role, userCount }, 'Role retrieved successfully')
+    );
+  } catch (error) {
+    console.error('Get role error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
+/**
+ * Create a custom role (Administrator only)
+ */
+export const createRole = async (req, res) => {
+  try {
+    const { name, description, permissions } = req.body;
+
+    if (await roleService.roleExists(name)) {
+      return res.status(HTTP_STATUS.CONFLICT).json(
+        errorResponse(ERROR_MESSAGES.ROLE_ALREADY_EXISTS)
+      );
+    }
+
+    const role = await Role.create({
+      name,
+      description,
+      permissions,
+      createdBy: req.userId
+    });
+
+    await auditService.logRoleEvent(
+      AUDIT_ACTIONS.ROLE_CREATED,
+      req.userId,
+      role._id,
+      { name, permissions },
+      req
+    );
+
+    res.status(HTTP_STATUS.CREATED).json(
+      successResponse(role, SUCCESS_MESSAGES.ROLE_CREATED)
+    );
+  } catch (error) {
+    console.error('Create role error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
+/**
+ * Update a role's description or permissions (Administrator only)
+ */
+export const updateRole = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { description, permissions } = req.body;
+
+    const role = await Role.findById(id);
+
+    if (!role) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        errorResponse(ERROR_MESSAGES.ROLE_NOT_FOUND)
+      );
+    }
+
+    // Keeps at least one role able to manage the platform
+    if (role.name === ROLES.SUPER_ADMIN) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json(
+        errorResponse(ERROR_MESSAGES.ROLE_IMMUTABLE)
+      );
+    }
+
+    const previousPermissions = [...role.permissions];
+
+    if (description !== undefined) role.description = description;
+    if (permissions) role.permissions = permissions;
+
+    await role.save();
+    roleService.clearCache();
+
+    await auditService.logRoleEvent(
+      AUDIT_ACTIONS.ROLE_UPDATED,
+      req.userId,
+      role._id,
+      { name: role.name, previousPermissions, permissions: role.permissions },
+      req
+    );
+
+    res.status(HTTP_STATUS.OK).json(
+      successResponse(role, SUCCESS_MESSAGES.ROLE_UPDATED)
+    );
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
+/**
+ * Delete an unused custom role (Administrator only)
+ */
+export const deleteRole = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const role = await Role.findById(id);
+
+    if (!role) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        errorResponse(ERROR_MESSAGES.ROLE_NOT_FOUND)
+      );
+    }
+
+    if (role.isSystem) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json(
+        errorResponse(ERROR_MESSAGES.ROLE_SYSTEM)
+      );
+    }
+
+    const [userCount, invitationCount] = await Promise.all([
+      User.countDocuments({ role: role.name }),
+      Invitation.countDocuments({
+        role: role.name,
+        acceptedAt: { $exists: false },
+        revokedAt: { $exists: false },
+        expiresAt: { $gt: new Date() }
+      })
+    ]);
+
+    if (userCount > 0 || invitationCount > 0) {
+      return res.status(HTTP_STATUS.CONFLICT).json(
+        errorResponse(ERROR_MESSAGES.ROLE_IN_USE)
+      );
+    }
+
+    await role.deleteOne();
+    roleService.clearCache();
+
+    await auditService.logRoleEvent(
+      AUDIT_ACTIONS.ROLE_DELETED,
+      req.userId,
+      role._id,
+      { name: role.name },
+      req
+    );
+
+    res.status(HTTP_STATUS.OK).json(
+      successResponse(null, SUCCESS_MESSAGES.ROLE_DELETED)
+    );
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+export default {
+  getPermissions,
+  getRoles,
+  getRoleById,
+  createRole,
+  updateRole,
+  deleteRole
+};
@@ -0,0 +1,329 @@
+import ServiceAccount from '../models/ServiceAccount.js';
+import ApiKey from '../models/ApiKey.js';
+import apiKeyService from '../services/apiKeyService.js';
+import auditService from '../services/auditService.js';
+import organizationService from '../services/organizationService.js';
+
+import {
+  HTTP_STATUS,
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  AUDIT_ACTIONS,
+  PAGINATION
+} from '../utils/constants.js';
+
+import {
+  successResponse,
+  errorResponse,
+  getPaginationMeta
+} from '../utils/helpers.js';
+
+/**
+ * Find an API key belonging to a service account of the current
+ * organization (API keys themselves are not tenant-scoped)
+ */
+const findServiceAccountKey = async (serviceAccountId, keyId) => {
+  if (!(await ServiceAccount.exists({ _id: serviceAccountId }))) {
+    return null;
+  }
+
+  return ApiKey.findOne({ _id: keyId, serviceAccount: serviceAccountId });
+};
+
+/**
+ * Create a service account (Administrator only)
+ */
+export const createServiceAccount = async (req, res) => {
+  try {
+    const { name, description } = req.body;
+
+    const organization = await organizationService.resolveForRequest(
+      req,
+      req.body.organization
+    );
+
+    if (!organization) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        errorResponse(ERROR_MESSAGES.ORGANIZATION_NOT_FOUND)
+      );
+    }
+
+    const serviceAccount = await ServiceAccount.create({
+      name,
+      description,
+      organization: organization._id,
+      createdBy: req.userId
+    });
+
+    await auditService.logServiceAccountEvent(
+      AUDIT_ACTIONS.SERVICE_ACCOUNT_CREATED,
+      req.userId,
+      serviceAccount._id,
+      { name, organization: organization._id },
+      req
+    );
+
+    res.status(HTTP_STATUS.CREATED).json(
+      successResponse(serviceAccount, SUCCESS_MESSAGES.SERVICE_ACCOUNT_CREATED)
+    );
+  } catch (error) {
+    console.error('Create service account error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
+/**
+ * Get all service accounts (Administrator only)
+ */
+export const getServiceAccounts = async (req, res) => {
+  try {
+    const {
+      organization,
+      isActive,
+      page = PAGINATION.DEFAULT_PAGE,
+      limit = PAGINATION.DEFAULT_LIMIT
+    } = req.query;
+
+    const query = {};
+
+    if (organization) query.organization = organization;
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+
+    const skip = (parseInt(page, 10) - 1) * parseInt(limit, 10);
+
+    const [serviceAccounts, total] = await Promise.all([
+      ServiceAccount.find(query)
+        .populate('createdBy', 'name email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit, 10))
+        .lean(),
+      ServiceAccount.countDocuments(query)
+    ]);
+
+    res.status(HTTP_STATUS.OK).json(
+      successResponse(
+        serviceAccounts,
+        'Service accounts retrieved successfully',
+        getPaginationMeta(total, page, limit)
+      )
+    );
+  } catch (error) {
+    console.error('Get service accounts error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
+/**
+ * Get a service account with its keys (Administrator only)
+ */
+export const getServiceAccountById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const serviceAccount = await ServiceAccount.findById(id)
+      .populate('createdBy', 'name email')
+      .lean();
+
+    if (!serviceAccount) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        errorResponse(ERROR_MESSAGES.SERVICE_ACCOUNT_NOT_FOUND)
+      );
+    }
+
+    const apiKeys = await ApiKey.find({ serviceAccount: id })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.status(HTTP_STATUS.OK).json(
+      successResponse(
+        { ...serviceAccount, apiKeys },
+        'Service account retrieved successfully'
+      )
+    );
+  } catch (error) {
+    console.error('Get service account error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
+/**
+ * Update or deactivate a service account (Administrator only)
+ */
+export const updateServiceAccount = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, description, isActive } = req.body;
+
+    const serviceAccount = await ServiceAccount.findById(id);
+
+    if (!serviceAccount) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        errorResponse(ERROR_MESSAGES.SERVICE_ACCOUNT_NOT_FOUND)
+      );
+    }
+
+    if (name) serviceAccount.name = name;
+    if (description !== undefined) serviceAccount.description = description;
+    if (isActive !== undefined) serviceAccount.isActive = isActive;
+
+    await serviceAccount.save();
+
+    await auditService.logServiceAccountEvent(
+      AUDIT_ACTIONS.SERVICE_ACCOUNT_UPDATED,
+      req.userId,
+      serviceAccount._id,
+      { name, description, isActive },
+      req
+    );
+
+    res.status(HTTP_STATUS.OK).json(
+      successResponse(serviceAccount, SUCCESS_MESSAGES.SERVICE_ACCOUNT_UPDATED)
+    );
+  } catch (error) {
+    console.error('Update service account error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
+/**
+ * Issue a new API key (Administrator only)
+ */
+export const createApiKey = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, scopes, expiresInDays } = req.body;
+
+    const serviceAccount = await ServiceAccount.findById(id);
+
+    if (!serviceAccount) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        errorResponse(ERROR_MESSAGES.SERVICE_ACCOUNT_NOT_FOUND)
+      );
+    }
+
+    const { apiKey, rawKey } = await apiKeyService.createKey({
+      serviceAccountId: serviceAccount._id,
+      name,
+      scopes,
+      expiresInDays,
+      createdBy: req.userId
+    });
+
+    await auditService.logServiceAccountEvent(
+      AUDIT_ACTIONS.API_KEY_CREATED,
+      req.userId,
+      serviceAccount._id,
+      { keyId: apiKey._id, prefix: apiKey.prefix, scopes, expiresAt: apiKey.expiresAt },
+      req
+    );
+
+    res.status(HTTP_STATUS.CREATED).json(
+      successResponse({ apiKey, key: rawKey }, SUCCESS_MESSAGES.API_KEY_CREATED)
+    );
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
+/**
+ * Rotate an API key (Administrator only)
+ */
+export const rotateApiKey = async (req, res) => {
+  try {
+    const { id, keyId } = req.params;
+    const { gracePeriodHours, expiresInDays } = req.body;
+
+    const existingKey = await findServiceAccountKey(id, keyId);
+
+    if (!existingKey || !existingKey.isUsable()) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        errorResponse(ERROR_MESSAGES.API_KEY_NOT_FOUND)
+      );
+    }
+
+    const { apiKey, rawKey } = await apiKeyService.rotateKey(existingKey, {
+      createdBy: req.userId,
+      gracePeriodHours,
+      expiresInDays
+    });
+
+    await auditService.logServiceAccountEvent(
+      AUDIT_ACTIONS.API_KEY_ROTATED,
+      req.userId,
+      existingKey.serviceAccount,
+      {
+        oldKeyId: existingKey._id,
+        newKeyId: apiKey._id,
+        prefix: apiKey.prefix,
+        gracePeriodHours: gracePeriodHours || 0
+      },
+      req
+    );
+
+    res.status(HTTP_STATUS.CREATED).json(
+      successResponse({ apiKey, key: rawKey }, SUCCESS_MESSAGES.API_KEY_ROTATED)
+    );
+  } catch (error) {
+    console.error('Rotate API key error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
+/**
+ * Revoke an API key (Administrator only)
+ */
+export const revokeApiKey = async (req, res) => {
+  try {
+    const { id, keyId } = req.params;
+
+    const apiKey = await findServiceAccountKey(id, keyId);
+
+    if (!apiKey || apiKey.revokedAt) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        errorResponse(ERROR_MESSAGES.API_KEY_NOT_FOUND)
+      );
+    }
+
+    await apiKeyService.revokeKey(apiKey);
+
+    await auditService.logServiceAccountEvent(
+      AUDIT_ACTIONS.API_KEY_REVOKED,
+      req.userId,
+      apiKey.serviceAccount,
+      { keyId: apiKey._id, prefix: apiKey.prefix },
+      req
+    );
+
+    res.status(HTTP_STATUS.OK).json(
+      successResponse(apiKey, SUCCESS_MESSAGES.API_KEY_REVOKED)
+    );
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+export default {
+  createServiceAccount,
+  getServiceAccounts,
+  getServiceAccountById,
+  updateServiceAccount,
+  createApiKey,
+  rotateApiKey,
+  revokeApiKey
+};
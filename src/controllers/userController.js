@@ -1,5 +1,11 @@
 import User from '../models/User.js';
 import auditService from '../services/auditService.js';
+import sessionService from '../services/sessionService.js';
+import accountLockoutService from '../services/accountLockoutService.js';
+import passwordPolicyService from '../services/passwordPolicyService.js';
+import mailService from '../services/mailService.js';
+import roleService from '../services/roleService.js';
+import organizationService from '../services/organizationService.js';
 
 import {
   HTTP_STATUS,
@@ -92,28 +98,59 @@ export const getUserById = async (req, res) => {
  */
 export const createUser = async (req, res) => {
   try {
-    const { name, email, password, role, organization } = req.body;
+    const { name, email, password, role } = req.body;
 
-    const existingUser = await User.findOne({ email });
+    // Email addresses are unique across all organizations
+    const existingUser = await User.findOne({ email })
+      .setOptions({ skipTenantScope: true });
     if (existingUser) {
       return res.status(HTTP_STATUS.CONFLICT).json(
         errorResponse(ERROR_MESSAGES.USER_ALREADY_EXISTS)
       );
     }
 
-    const user = await User.create({
+    if (!(await roleService.roleExists(role))) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        errorResponse(ERROR_MESSAGES.ROLE_NOT_FOUND)
+      );
+    }
+
+    if (!(await roleService.canAssign(req, role))) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json(
+        errorResponse(ERROR_MESSAGES.ROLE_NOT_ASSIGNABLE)
+      );
+    }
+
+    const organization = await organizationService.resolveForRequest(
+      req,
+      req.body.organization
+    );
+
+    if (!organization) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        errorResponse(ERROR_MESSAGES.ORGANIZATION_NOT_FOUND)
+      );
+    }
+
+    const user = new User({
       name,
       email,
       password,
       role,
-      organization,
+      organization: organization._id,
       createdBy: req.userId
     });
 
+    // The account stays restricted until the user confirms the address
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save();
+
+    await mailService.sendEmailVerification(user, verificationToken);
+
     await auditService.logUserCreated(
       req.userId,
       user._id,
-      { email, role, organization },
+      { email, role, organization: organization._id },
       req
     );
 
@@ -137,9 +174,9 @@ export const createUser = async (req, res) => {
 export const updateUser = async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, email, role, organization, isActive } = req.body;
+    const { name, email, password, role, organization, isActive } = req.body;
 
-    const user = await User.findById(id);
+    const user = await User.findById(id).select('+password +passwordHistory');
 
     if (!user) {
       return res.status(HTTP_STATUS.NOT_FOUND).json(
@@ -147,18 +184,93 @@ export const updateUser = async (req, res) => {
       );
     }
 
+    // Accounts holding permissions the caller lacks are out of reach
+    if (!(await roleService.canAssign(req, user.role))) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json(
+        errorResponse(ERROR_MESSAGES.INSUFFICIENT_PERMISSIONS)
+      );
+    }
+
+    if (role && !(await roleService.roleExists(role))) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        errorResponse(ERROR_MESSAGES.ROLE_NOT_FOUND)
+      );
+    }
+
+    if (role && !(await roleService.canAssign(req, role))) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json(
+        errorResponse(ERROR_MESSAGES.ROLE_NOT_ASSIGNABLE)
+      );
+    }
+
+    // Only platform-wide principals can move users between organizations
+    const targetOrganization = organization
+      ? await organizationService.resolveForRequest(req, organization)
+      : null;
+
+    if (organization && !targetOrganization) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        errorResponse(ERROR_MESSAGES.ORGANIZATION_NOT_FOUND)
+      );
+    }
+
+    // A new address has to be verified again, and like any address it
+    // must be unique across all organizations
+    const emailChanged = Boolean(email) && email.toLowerCase() !== user.email;
+
+    if (emailChanged) {
+      const existingUser = await User.findOne({ email: email.toLowerCase() })
+        .setOptions({ skipTenantScope: true });
+      if (existingUser) {
+        return res.status(HTTP_STATUS.CONFLICT).json(
+          errorResponse(ERROR_MESSAGES.USER_ALREADY_EXISTS)
+        );
+      }
+    }
+
+    const verificationToken = emailChanged
+      ? user.createEmailVerificationToken()
+      : null;
+
     if (name) user.name = name;
     if (email) user.email = email;
     if (role) user.role = role;
-    if (organization) user.organization = organization;
+    if (targetOrganization) user.organization = targetOrganization._id;
     if (isActive !== undefined) user.isActive = isActive;
 
+    if (password) {
+      const policyErrors = await passwordPolicyService.changePassword(user, password);
+
+      if (policyErrors.length > 0) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json(
+          errorResponse('Validation failed', policyErrors)
+        );
+      }
+    }
+
     await user.save();
 
+    if (verificationToken) {
+      await mailService.sendEmailVerification(user, verificationToken);
+    }
+
+    if (isActive === false) {
+      await sessionService.revokeAllForUser(user._id, 'account_deactivated');
+    } else if (password) {
+      await sessionService.revokeAllForUser(user._id, 'password_change');
+    }
+
     await auditService.logUserUpdated(
       req.userId,
       user._id,
-      { name, email, role, organization, isActive },
+      {
+        name,
+        email,
+        role,
+        organization: targetOrganization?._id,
+        isActive,
+        passwordChanged: Boolean(password)
+      },
       req
     );
 
@@ -189,7 +301,7 @@ export const deleteUser = async (req, res) => {
       );
     }
 
-    const user = await User.findByIdAndDelete(id);
+    const user = await User.findById(id);
 
     if (!user) {
       return res.status(HTTP_STATUS.NOT_FOUND).json(
@@ -197,6 +309,15 @@ export const deleteUser = async (req, res) => {
       );
     }
 
+    if (!(await roleService.canAssign(req, user.role))) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json(
+        errorResponse(ERROR_MESSAGES.INSUFFICIENT_PERMISSIONS)
+      );
+    }
+
+    await user.deleteOne();
+    await sessionService.revokeAllForUser(user._id, 'account_deleted');
+
     res.status(HTTP_STATUS.OK).json(
       successResponse(null, SUCCESS_MESSAGES.USER_DELETED)
     );
@@ -208,6 +329,166 @@ export const deleteUser = async (req, res) => {
   }
 };
 
+/**
+ * List a user's active sessions (Administrator only)
+ */
+export const getUserSessions = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await User.findById(id);
+
+    if (!user) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        errorResponse(ERROR_MESSAGES.USER_NOT_FOUND)
+      );
+    }
+
+    const sessions = await sessionService.listActiveSessions(user._id);
+
+    res.status(HTTP_STATUS.OK).json(
+      successResponse(
+        sessions.map(session => sessionService.toPublicSession(session, req.sessionId)),
+        'Sessions retrieved successfully'
+      )
+    );
+  } catch (error) {
+    console.error('Get user sessions error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
+/**
+ * Force logout of all a user's sessions (Administrator only)
+ */
+export const revokeUserSessions = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await User.findById(id);
+
+    if (!user) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        errorResponse(ERROR_MESSAGES.USER_NOT_FOUND)
+      );
+    }
+
+    const result = await sessionService.revokeAllForUser(user._id, 'admin_revoked');
+
+    await auditService.logSessionRevoked(
+      req.userId,
+      user._id,
+      { scope: 'all_sessions', count: result.modifiedCount },
+      req
+    );
+
+    res.status(HTTP_STATUS.OK).json(
+      successResponse(
+        { revokedCount: result.modifiedCount },
+        SUCCESS_MESSAGES.SESSIONS_REVOKED
+      )
+    );
+  } catch (error) {
+    console.error('Revoke user sessions error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
+/**
+ * Force logout of one of a user's sessions (Administrator only)
+ */
+export const revokeUserSession = async (req, res) => {
+  try {
+    const { id, sessionId } = req.params;
+
+    const revoked = await sessionService.revokeUserSession(id, sessionId, 'admin_revoked');
+
+    if (!revoked) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        errorResponse(ERROR_MESSAGES.SESSION_NOT_FOUND)
+      );
+    }
+
+    await auditService.logSessionRevoked(
+      req.userId,
+      id,
+      { sessionIds: [sessionId] },
+      req
+    );
+
+    res.status(HTTP_STATUS.OK).json(
+      successResponse(null, SUCCESS_MESSAGES.SESSION_REVOKED)
+    );
+  } catch (error) {
+    console.error('Revoke user session error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
+/**
+ * Get account lock state (Administrator only)
+ */
+export const getUserLockStatus = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await User.findById(id);
+
+    if (!user) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        errorResponse(ERROR_MESSAGES.USER_NOT_FOUND)
+      );
+    }
+
+    res.status(HTTP_STATUS.OK).json(
+      successResponse(
+        accountLockoutService.getLockState(user),
+        'Lock status retrieved successfully'
+      )
+    );
+  } catch (error) {
+    console.error('Get lock status error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
+/**
+ * Unlock a locked account (Administrator only)
+ */
+export const unlockUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await accountLockoutService.unlock(id, req.userId, req);
+
+    if (!user) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        errorResponse(ERROR_MESSAGES.USER_NOT_FOUND)
+      );
+    }
+
+    res.status(HTTP_STATUS.OK).json(
+      successResponse(
+        accountLockoutService.getLockState(user),
+        SUCCESS_MESSAGES.USER_UNLOCKED
+      )
+    );
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
 /**
  * Get audit logs (Auditor & Administrator)
  */
@@ -251,6 +532,11 @@ export default {
   getUserById,
   updateUser,
   deleteUser,
+  getUserSessions,
+  revokeUserSessions,
+  revokeUserSession,
+  getUserLockStatus,
+  unlockUser,
   getAuditLogs
 };
 
@@ -1,14 +1,122 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
-import { HTTP_STATUS, ERROR_MESSAGES } from '../utils/constants.js';
+import Organization from '../models/Organization.js';
+import sessionService from '../services/sessionService.js';
+import mfaService from '../services/mfaService.js';
+import passwordPolicyService from '../services/passwordPolicyService.js';
+import apiKeyService from '../services/apiKeyService.js';
+import roleService from '../services/roleService.js';
+import { HTTP_STATUS, ERROR_MESSAGES, PERMISSIONS } from '../utils/constants.js';
 import { errorResponse } from '../utils/helpers.js';
+import { runWithTenant } from '../utils/tenantContext.js';
+
+// Routes still reachable with an expired password (to change it)
+const PASSWORD_EXPIRED_ALLOWED_ROUTES = ['/api/auth/profile', '/api/auth/logout'];
+
+// Routes still reachable before the email address is verified
+const UNVERIFIED_ALLOWED_ROUTES = [
+  '/api/auth/verify-email/resend',
+  '/api/auth/profile',
+  '/api/auth/logout'
+];
+
+/**
+ * Extract an API key from "X-API-Key" or "Authorization: ApiKey <key>"
+ */
+const getApiKeyFromRequest = (req) => {
+  const authHeader = req.headers.authorization;
+
+  if (authHeader?.startsWith('ApiKey ')) {
+    return authHeader.slice(7);
+  }
+
+  return req.headers['x-api-key'] || null;
+};
+
+/**
+ * Continue the request confined to the principal's organization.
+ * Platform-wide principals run unrestricted; everyone else needs an
+ * active organization.
+ */
+const continueInTenant = async (req, res, next) => {
+  const unrestricted = req.permissions.has(PERMISSIONS.ORGANIZATION_ALL);
+  const organizationId = req.user.organization;
+
+  if (!unrestricted) {
+    const organization = organizationId
+      ? await Organization.findById(organizationId).select('isActive').lean()
+      : null;
+
+    if (!organization || !organization.isActive) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json(
+        errorResponse(ERROR_MESSAGES.ORGANIZATION_INACTIVE)
+      );
+    }
+  }
+
+  return runWithTenant({ organizationId, unrestricted }, () => next());
+};
+
+/**
+ * API Key Opt-in Middleware
+ * Lets service accounts reach the following route when their key
+ * carries the given scope. Place before `authenticate`.
+ */
+export const allowApiKey = (scope) => {
+  return (req, res, next) => {
+    req.apiKeyScope = scope;
+    next();
+  };
+};
+
+/**
+ * Authenticate a service account by API key
+ */
+const authenticateApiKey = async (rawApiKey, req, res, next) => {
+  if (!req.apiKeyScope) {
+    return res.status(HTTP_STATUS.FORBIDDEN).json(
+      errorResponse(ERROR_MESSAGES.INSUFFICIENT_PERMISSIONS)
+    );
+  }
+
+  const result = await apiKeyService.verifyKey(rawApiKey);
+
+  if (!result) {
+    return res.status(HTTP_STATUS.UNAUTHORIZED).json(
+      errorResponse(ERROR_MESSAGES.API_KEY_INVALID)
+    );
+  }
+
+  if (!result.apiKey.hasScope(req.apiKeyScope)) {
+    return res.status(HTTP_STATUS.FORBIDDEN).json(
+      errorResponse(ERROR_MESSAGES.API_KEY_SCOPE_MISSING)
+    );
+  }
+
+  // Attach service account as the acting principal
+  req.user = result.serviceAccount;
+  req.userId = result.serviceAccount._id;
+  req.principalType = 'ServiceAccount';
+  // Service accounts are limited by key scopes, not role permissions
+  req.permissions = new Set();
+  req.apiKey = result.apiKey;
+
+  return continueInTenant(req, res, next);
+};
 
 /**
  * Authentication Middleware
- * Verifies JWT token and attaches user to request
+ * Verifies JWT token (or an allowed API key) and attaches the principal
  */
 export const authenticate = async (req, res, next) => {
   try {
+    // Machine integrations use API keys instead of user JWTs
+    const rawApiKey = getApiKeyFromRequest(req);
+
+    if (rawApiKey) {
+      return await authenticateApiKey(rawApiKey, req, res, next);
+    }
+
     // Get token from Authorization header
     const authHeader = req.headers.authorization;
 
@@ -53,11 +161,48 @@ export const authenticate = async (req, res, next) => {
       );
     }
 
+    // Check the session behind the token has not been revoked
+    const session = await sessionService.findActiveSession(
+      decoded.sessionId,
+      user._id
+    );
+
+    if (!session || user.changedPasswordAfter(session.createdAt)) {
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json(
+        errorResponse(ERROR_MESSAGES.SESSION_REVOKED)
+      );
+    }
+
+    // Unverified accounts may only reach the verification routes
+    if (
+      user.emailVerified === false &&
+      !UNVERIFIED_ALLOWED_ROUTES.includes(req.baseUrl + req.path)
+    ) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json(
+        errorResponse(ERROR_MESSAGES.EMAIL_NOT_VERIFIED)
+      );
+    }
+
+    // Expired passwords must be changed before anything else
+    if (
+      passwordPolicyService.isExpired(user) &&
+      !PASSWORD_EXPIRED_ALLOWED_ROUTES.includes(req.baseUrl + req.path)
+    ) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json(
+        errorResponse(ERROR_MESSAGES.PASSWORD_EXPIRED)
+      );
+    }
+
+    await sessionService.touchSession(session, req);
+
     // Attach user to request
     req.user = user;
     req.userId = user._id;
+    req.principalType = 'User';
+    req.sessionId = session._id;
+    req.permissions = await roleService.getPermissions(user.role);
 
-    next();
+    return await continueInTenant(req, res, next);
   } catch (error) {
     console.error('Authentication error:', error);
     return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
@@ -66,6 +211,46 @@ export const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * MFA Enrollment Authentication Middleware
+ * Accepts a regular access token, or the enrollment challenge token
+ * issued by login to users whose role requires MFA
+ */
+export const authenticateMfaEnrollment = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+    const token = authHeader?.startsWith('Bearer ') ? authHeader.slice(7) : null;
+    const decoded = token
+      ? mfaService.verifyChallengeToken(token, 'mfa_enrollment')
+      : null;
+
+    if (!decoded) {
+      return authenticate(req, res, next);
+    }
+
+    const user = await User.findById(decoded.userId).select('-password');
+
+    if (!user || !user.isActive) {
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json(
+        errorResponse(ERROR_MESSAGES.TOKEN_INVALID)
+      );
+    }
+
+    req.user = user;
+    req.userId = user._id;
+    req.principalType = 'User';
+    req.mfaEnrollment = true;
+
+    // Enrollment only touches the user's own account
+    runWithTenant({ organizationId: user.organization, unrestricted: false }, () => next());
+  } catch (error) {
+    console.error('MFA enrollment authentication error:', error);
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
+    );
+  }
+};
+
 /**
  * Optional Authentication Middleware
  * Attaches user if token is valid, but does not require it
@@ -80,10 +265,21 @@ export const optionalAuth = async (req, res, next) => {
       try {
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
         const user = await User.findById(decoded.userId).select('-password');
+        const session = user
+          ? await sessionService.findActiveSession(decoded.sessionId, user._id)
+          : null;
 
-        if (user && user.isActive) {
+        if (
+          user &&
+          user.isActive &&
+          session &&
+          !user.changedPasswordAfter(session.createdAt)
+        ) {
           req.user = user;
           req.userId = user._id;
+          req.principalType = 'User';
+          req.sessionId = session._id;
+          req.permissions = await roleService.getPermissions(user.role);
         }
       } catch (error) {
         // Invalid token is ignored for optional auth
@@ -91,6 +287,16 @@ export const optionalAuth = async (req, res, next) => {
       }
     }
 
+    if (req.user) {
+      return runWithTenant(
+        {
+          organizationId: req.user.organization,
+          unrestricted: req.permissions.has(PERMISSIONS.ORGANIZATION_ALL)
+        },
+        () => next()
+      );
+    }
+
     next();
   } catch (error) {
     console.error('Optional authentication error:', error);
@@ -1,12 +1,12 @@
-import { HTTP_STATUS, ERROR_MESSAGES, ROLES } from '../utils/constants.js';
-import { errorResponse } from '../utils/helpers.js';
+import { HTTP_STATUS, ERROR_MESSAGES } from '../utils/constants.js';
+import { errorResponse, hasPermission } from '../utils/helpers.js';
 import auditService from '../services/auditService.js';
 
 /**
- * Role-Based Access Control Middleware
- * Checks if user has required role(s) to access a resource
+ * Permission-Based Access Control Middleware
+ * Checks if the user's role grants every required permission
  */
-export const checkRole = (...allowedRoles) => {
+export const requirePermission = (...requiredPermissions) => {
   return async (req, res, next) => {
     try {
       // Ensure user is authenticated
@@ -16,10 +16,16 @@ export const checkRole = (...allowedRoles) => {
         );
       }
 
-      // Check if user's role is allowed
-      const hasPermission = allowedRoles.includes(req.user.role);
+      // Service accounts were already checked against the route's API key scope
+      if (req.principalType === 'ServiceAccount') {
+        return next();
+      }
+
+      const granted = requiredPermissions.every(permission =>
+        hasPermission(req, permission)
+      );
 
-      if (!hasPermission) {
+      if (!granted) {
         // Log unauthorized access attempt
         await auditService.logUnauthorizedAccess(
           req.user._id,
@@ -35,61 +41,7 @@ export const checkRole = (...allowedRoles) => {
 
       next();
     } catch (error) {
-      console.error('Role check error:', error);
-      return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
-        errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
-      );
-    }
-  };
-};
-
-/**
- * Administrator only access
- */
-export const adminOnly = checkRole(ROLES.ADMINISTRATOR);
-
-/**
- * Administrator and ESG Analyst access
- */
-export const adminOrAnalyst = checkRole(
-  ROLES.ADMINISTRATOR,
-  ROLES.ESG_ANALYST
-);
-
-/**
- * All authenticated users (any role)
- */
-export const anyRole = checkRole(
-  ROLES.ADMINISTRATOR,
-  ROLES.ESG_ANALYST,
-  ROLES.AUDITOR
-);
-
-/**
- * Check if user can modify a specific resource
- * Administrators can modify anything, others only their own data
- */
-export const canModifyResource = (resourceOwnerId) => {
-  return (req, res, next) => {
-    try {
-      if (!req.user) {
-        return res.status(HTTP_STATUS.UNAUTHORIZED).json(
-          errorResponse(ERROR_MESSAGES.UNAUTHORIZED)
-        );
-      }
-
-      const isAdmin = req.user.role === ROLES.ADMINISTRATOR;
-      const isOwner = req.user._id.toString() === resourceOwnerId.toString();
-
-      if (!isAdmin && !isOwner) {
-        return res.status(HTTP_STATUS.FORBIDDEN).json(
-          errorResponse('You can only modify your own resources')
-        );
-      }
-
-      next();
-    } catch (error) {
-      console.error('Resource modification check error:', error);
+      console.error('Permission check error:', error);
       return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
         errorResponse(ERROR_MESSAGES.INTERNAL_ERROR)
       );
@@ -0,0 +1,50 @@
+import express from 'express';
+import { HTTP_STATUS, ERROR_MESSAGES } from '../utils/constants.js';
+import { errorResponse } from '../utils/helpers.js';
+
+/**
+ * Maximum upload size in bytes
+ */
+export const getMaxUploadSize = () =>
+  (parseInt(process.env.UPLOAD_MAX_SIZE_MB, 10) || 20) * 1024 * 1024;
+
+/**
+ * Raw File Upload Middleware
+ * Reads the request body as a single file (sent with its own
+ * Content-Type) into req.body as a Buffer, rejecting other file types
+ * and anything above the size limit
+ */
+export const rawUpload = (allowedTypes) => {
+  return (req, res, next) => {
+    const contentType = (req.get('content-type') || '')
+      .split(';')[0]
+      .trim()
+      .toLowerCase();
+
+    if (!allowedTypes.includes(contentType)) {
+      return res.status(HTTP_STATUS.UNSUPPORTED_MEDIA_TYPE).json(
+        errorResponse(ERROR_MESSAGES.UPLOAD_TYPE_NOT_ALLOWED, { allowedTypes })
+      );
+    }
+
+    const parse = express.raw({ type: () => true, limit: getMaxUploadSize() });
+
+    parse(req, res, (error) => {
+      if (error?.type === 'entity.too.large') {
+        return res.status(HTTP_STATUS.PAYLOAD_TOO_LARGE).json(
+          errorResponse(ERROR_MESSAGES.UPLOAD_TOO_LARGE, { maxBytes: getMaxUploadSize() })
+        );
+      }
+
+      if (error) return next(error);
+
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json(
+          errorResponse(ERROR_MESSAGES.UPLOAD_FILE_REQUIRED)
+        );
+      }
+
+      next();
+    });
+  };
+};
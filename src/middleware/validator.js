@@ -1,6 +1,131 @@
 import Joi from 'joi';
-import { HTTP_STATUS } from '../utils/constants.js';
+import {
+  HTTP_STATUS,
+  API_KEY_SCOPES,
+  TENANT_PERMISSIONS,
+  ROLE_NAME_PATTERN,
+  CONSOLIDATION_APPROACHES,
+  FACILITY_TYPES,
+  REJECTION_REASONS,
+  REPORT_STATUS,
+  EMISSION_CATEGORIES,
+  ACTIVITY_UNITS,
+  CONTRACTUAL_INSTRUMENT_TYPES,
+  SCOPE2_METHODS
+} from '../utils/constants.js';
 import { errorResponse } from '../utils/helpers.js';
+import passwordPolicyService from '../services/passwordPolicyService.js';
+
+/**
+ * Password rule backed by the central password policy
+ * (reuse/history checks need the database and happen in controllers)
+ */
+const passwordRule = Joi.string().custom((value, helpers) => {
+  const [parent] = helpers.state.ancestors;
+  const errors = passwordPolicyService.validate(value, parent);
+
+  if (errors.length > 0) {
+    return helpers.message(errors.map(e => e.message).join('; '));
+  }
+
+  return value;
+});
+
+/**
+ * Role name rule (existence is checked against the Role collection
+ * in controllers)
+ */
+const roleRule = Joi.string().lowercase().pattern(ROLE_NAME_PATTERN).messages({
+  'string.pattern.base': 'Role name must be 3-50 lowercase letters, digits or underscores'
+});
+
+/**
+ * Organization reference; defaults to the caller's own organization and
+ * only platform-wide principals may name another one
+ */
+const organizationRule = Joi.string().hex().length(24).messages({
+  'string.hex': 'Organization must be a valid organization ID',
+  'string.length': 'Organization must be a valid organization ID'
+});
+
+/**
+ * A parent organization's stake in a subsidiary
+ */
+const ownershipRule = Joi.object({
+  percentage: Joi.number().min(0).max(100),
+  operationalControl: Joi.boolean(),
+  financialControl: Joi.boolean()
+});
+
+/**
+ * Where a facility is
+ */
+const facilityLocationRule = Joi.object({
+  address: Joi.string().max(500).allow(''),
+  city: Joi.string().max(100).allow(''),
+  country: Joi.string().uppercase().pattern(/^[A-Z]{2}$/).messages({
+    'string.pattern.base': 'Country must be an ISO 3166-1 alpha-2 code'
+  }),
+  latitude: Joi.number().min(-90).max(90),
+  longitude: Joi.number().min(-180).max(180)
+});
+
+/**
+ * Activity data an ESG record's emissions are calculated from
+ */
+const activitiesRule = Joi.array().max(500).items(Joi.object({
+  category: Joi.string().valid(...Object.keys(EMISSION_CATEGORIES)).required(),
+  activity: Joi.string().lowercase().trim().max(100).required(),
+  quantity: Joi.number().min(0).required(),
+  unit: Joi.string().valid(...ACTIVITY_UNITS).required(),
+  region: Joi.string().uppercase().trim().max(20),
+  description: Joi.string().max(500).allow('')
+}));
+
+/**
+ * Contractual instruments (certificates, PPAs, supplier tariffs) covering
+ * purchased electricity, for market-based Scope 2
+ */
+const contractualInstrumentsRule = Joi.array().max(500).items(Joi.object({
+  type: Joi.string().valid(...Object.values(CONTRACTUAL_INSTRUMENT_TYPES)).required(),
+  quantity: Joi.number().min(0).required(),
+  unit: Joi.string().valid('kWh', 'MWh').required(),
+  kgCO2ePerKWh: Joi.number().min(0).default(0),
+  supplier: Joi.string().max(200).allow(''),
+  reference: Joi.string().max(200).allow(''),
+  description: Joi.string().max(500).allow('')
+}));
+
+/**
+ * Emission factor set the activity data is calculated with (defaults to
+ * the latest published set)
+ */
+const factorSetRule = Joi.string().hex().length(24).messages({
+  'string.hex': 'Factor set must be a valid emission factor set ID',
+  'string.length': 'Factor set must be a valid emission factor set ID'
+});
+
+/**
+ * Emission factors of a factor set
+ */
+const emissionFactorsRule = Joi.array().max(5000).items(Joi.object({
+  category: Joi.string().valid(...Object.keys(EMISSION_CATEGORIES)).required(),
+  activity: Joi.string().lowercase().trim().max(100).required(),
+  unit: Joi.string().valid(...ACTIVITY_UNITS).required(),
+  region: Joi.string().uppercase().trim().max(20),
+  kgCO2ePerUnit: Joi.number().min(0).required(),
+  citation: Joi.string().max(500).allow('')
+}));
+
+/**
+ * Publication an emission factor set is taken from
+ */
+const factorSourceRule = Joi.object({
+  publisher: Joi.string().max(200),
+  title: Joi.string().max(500).allow(''),
+  url: Joi.string().uri({ scheme: ['http', 'https'] }).allow(''),
+  publishedOn: Joi.date()
+});
 
 /**
  * Validation Schemas
@@ -17,18 +142,60 @@ export const schemas = {
       'string.email': 'Please provide a valid email address',
       'any.required': 'Email is required'
     }),
-    password: Joi.string().min(8).max(100).required().messages({
-      'string.min': 'Password must be at least 8 characters',
+    password: passwordRule.required().messages({
       'any.required': 'Password is required'
     }),
-    role: Joi.string()
-      .valid('administrator', 'esg_analyst', 'auditor')
-      .default('esg_analyst'),
-    organization: Joi.string().min(2).max(200).required().messages({
-      'any.required': 'Organization name is required'
+    role: roleRule.default('esg_analyst'),
+    organization: organizationRule
+  }),
+
+  // Registration from an invitation
+  invitationRegistration: Joi.object({
+    invitationToken: Joi.string().required().messages({
+      'any.required': 'Invitation token is required'
+    }),
+    name: Joi.string().min(2).max(100).required().messages({
+      'string.min': 'Name must be at least 2 characters',
+      'string.max': 'Name cannot exceed 100 characters',
+      'any.required': 'Name is required'
+    }),
+    password: passwordRule.required().messages({
+      'any.required': 'Password is required'
     })
   }),
 
+  // Invitation Creation (Administrator)
+  invitationCreate: Joi.object({
+    email: Joi.string().email().required().messages({
+      'string.email': 'Please provide a valid email address',
+      'any.required': 'Email is required'
+    }),
+    role: roleRule.required(),
+    organization: organizationRule,
+    expiresInDays: Joi.number().integer().min(1).max(30)
+  }),
+
+  // User Update (Administrator)
+  userUpdate: Joi.object({
+    name: Joi.string().min(2).max(100),
+    email: Joi.string().email().messages({
+      'string.email': 'Please provide a valid email address'
+    }),
+    password: passwordRule,
+    role: roleRule,
+    organization: organizationRule,
+    isActive: Joi.boolean()
+  }),
+
+  // Profile Update (current user)
+  profileUpdate: Joi.object({
+    name: Joi.string().min(2).max(100),
+    currentPassword: Joi.string(),
+    password: passwordRule
+  }).with('password', 'currentPassword').messages({
+    'object.with': 'Current password is required to set a new password'
+  }),
+
   // User Login
   userLogin: Joi.object({
     email: Joi.string().email().required().messages({
@@ -40,9 +207,60 @@ export const schemas = {
     })
   }),
 
+  // MFA Login Challenge
+  mfaVerify: Joi.object({
+    challengeToken: Joi.string().required().messages({
+      'any.required': 'Challenge token is required'
+    }),
+    code: Joi.string().pattern(/^\d{6}$/).messages({
+      'string.pattern.base': 'Code must be 6 digits'
+    }),
+    recoveryCode: Joi.string().max(20)
+  }).xor('code', 'recoveryCode').messages({
+    'object.missing': 'Provide either a code or a recovery code',
+    'object.xor': 'Provide either a code or a recovery code, not both'
+  }),
+
+  // MFA Code Confirmation
+  mfaCode: Joi.object({
+    code: Joi.string().pattern(/^\d{6}$/).required().messages({
+      'string.pattern.base': 'Code must be 6 digits',
+      'any.required': 'Code is required'
+    })
+  }),
+
+  // Token Refresh
+  tokenRefresh: Joi.object({
+    refreshToken: Joi.string().required().messages({
+      'any.required': 'Refresh token is required'
+    })
+  }),
+
+  // Forgot Password
+  forgotPassword: Joi.object({
+    email: Joi.string().email().required().messages({
+      'string.email': 'Please provide a valid email address',
+      'any.required': 'Email is required'
+    })
+  }),
+
+  // Reset Password
+  resetPassword: Joi.object({
+    token: Joi.string().required().messages({
+      'any.required': 'Reset token is required'
+    }),
+    password: passwordRule.required().messages({
+      'any.required': 'Password is required'
+    })
+  }),
+
   // ESG Record Creation
   esgRecordCreate: Joi.object({
-    organization: Joi.string().required(),
+    organization: organizationRule,
+    facility: Joi.string().hex().length(24).messages({
+      'string.hex': 'Facility must be a valid facility ID',
+      'string.length': 'Facility must be a valid facility ID'
+    }),
     reportingPeriod: Joi.object({
       year: Joi.number().integer().min(2000).max(2100).required(),
       quarter: Joi.number().integer().min(1).max(4).optional(),
@@ -52,6 +270,7 @@ export const schemas = {
     environmental: Joi.object({
       scope1Emissions: Joi.number().min(0).default(0),
       scope2Emissions: Joi.number().min(0).default(0),
+      scope2MarketBased: Joi.number().min(0),
       scope3Emissions: Joi.number().min(0).default(0),
       energyConsumption: Joi.number().min(0).default(0),
       renewableEnergyPercentage: Joi.number().min(0).max(100).default(0),
@@ -87,13 +306,94 @@ export const schemas = {
       auditFrequency: Joi.string()
         .valid('monthly', 'quarterly', 'semi_annual', 'annual')
         .default('annual')
-    }).optional()
+    }).optional(),
+
+    activities: activitiesRule,
+    contractualInstruments: contractualInstrumentsRule,
+    factorSet: factorSetRule
+  }),
+
+  // ESG Record activity data (checked on update, which takes partial data)
+  esgRecordActivities: Joi.object({
+    activities: activitiesRule,
+    contractualInstruments: contractualInstrumentsRule,
+    factorSet: factorSetRule
+  }),
+
+  // ESG Record Rejection (Reviewer)
+  esgRecordReject: Joi.object({
+    reasons: Joi.array()
+      .items(Joi.object({
+        code: Joi.string().valid(...Object.values(REJECTION_REASONS)).required(),
+        field: Joi.string().max(200),
+        comment: Joi.string().max(1000).when('code', {
+          is: REJECTION_REASONS.OTHER,
+          then: Joi.required()
+        })
+      }))
+      .min(1)
+      .required()
+      .messages({
+        'array.min': 'At least one rejection reason is required',
+        'any.required': 'Rejection reasons are required'
+      })
+  }),
+
+  // ESG Record Comment (thread or reply)
+  esgCommentCreate: Joi.object({
+    body: Joi.string().trim().max(2000).required().messages({
+      'any.required': 'Comment is required'
+    }),
+    parent: Joi.string().hex().length(24),
+    field: Joi.string()
+      .pattern(/^[A-Za-z]+(\.[A-Za-z0-9]+)+$/)
+      .when('parent', { is: Joi.exist(), then: Joi.forbidden() }),
+    blocking: Joi.boolean()
+      .when('parent', { is: Joi.exist(), then: Joi.forbidden() }),
+    mentions: Joi.array()
+      .items(Joi.string().hex().length(24))
+      .unique()
+      .max(20)
+  }),
+
+  // ESG Record Evidence Upload (query string; the file is the body)
+  evidenceUpload: Joi.object({
+    fileName: Joi.string().trim().max(255).required().messages({
+      'any.required': 'File name is required'
+    }),
+    field: Joi.string().pattern(/^[A-Za-z]+(\.[A-Za-z0-9]+)+$/),
+    description: Joi.string().trim().max(500).allow('')
+  }),
+
+  // Emission Factor Set Creation (Platform Admin)
+  emissionFactorSetCreate: Joi.object({
+    name: Joi.string().max(200).required(),
+    version: Joi.string().max(50).required(),
+    description: Joi.string().max(1000).allow(''),
+    source: factorSourceRule.keys({
+      publisher: factorSourceRule.extract('publisher').required()
+    }).required(),
+    factors: emissionFactorsRule.default([])
+  }),
+
+  // Emission Factor Set Update (drafts only)
+  emissionFactorSetUpdate: Joi.object({
+    name: Joi.string().max(200),
+    version: Joi.string().max(50),
+    description: Joi.string().max(1000).allow(''),
+    source: factorSourceRule.min(1),
+    factors: emissionFactorsRule
+  }).min(1),
+
+  // New version of an Emission Factor Set
+  emissionFactorSetVersion: Joi.object({
+    version: Joi.string().max(50).required()
   }),
 
   // Report Generation
   reportGenerate: Joi.object({
     reportTitle: Joi.string().max(200).required(),
-    organization: Joi.string().required(),
+    organization: organizationRule,
     reportType: Joi.string()
       .valid('annual', 'quarterly', 'monthly', 'custom')
       .required(),
@@ -101,8 +401,132 @@ export const schemas = {
     quarter: Joi.number().integer().min(1).max(4).optional(),
     month: Joi.number().integer().min(1).max(12).optional(),
     startDate: Joi.date().optional(),
-    endDate: Joi.date().optional()
-  })
+    endDate: Joi.date().optional(),
+    consolidated: Joi.boolean().default(false),
+    consolidationApproach: Joi.string()
+      .valid(...Object.values(CONSOLIDATION_APPROACHES))
+      .when('consolidated', { is: true, otherwise: Joi.forbidden() }),
+    scope2Method: Joi.string()
+      .valid(...Object.values(SCOPE2_METHODS))
+      .default(SCOPE2_METHODS.BOTH)
+  }),
+
+  // Report Status / Notes Update
+  reportStatusUpdate: Joi.object({
+    status: Joi.string().valid(...Object.values(REPORT_STATUS)),
+    notes: Joi.string().max(2000).allow('')
+  }).min(1),
+
+  // Service Account Creation (Administrator)
+  serviceAccountCreate: Joi.object({
+    name: Joi.string().min(2).max(100).required().messages({
+      'any.required': 'Name is required'
+    }),
+    description: Joi.string().max(500).allow(''),
+    organization: organizationRule
+  }),
+
+  // Service Account Update (Administrator)
+  serviceAccountUpdate: Joi.object({
+    name: Joi.string().min(2).max(100),
+    description: Joi.string().max(500).allow(''),
+    isActive: Joi.boolean()
+  }).min(1),
+
+  // API Key Creation (Administrator)
+  apiKeyCreate: Joi.object({
+    name: Joi.string().min(2).max(100).required().messages({
+      'any.required': 'Key name is required'
+    }),
+    scopes: Joi.array()
+      .items(Joi.string().valid(...Object.values(API_KEY_SCOPES)))
+      .min(1)
+      .unique()
+      .required()
+      .messages({
+        'array.min': 'At least one scope is required',
+        'any.required': 'Scopes are required'
+      }),
+    expiresInDays: Joi.number().integer().min(1).max(365)
+  }),
+
+  // Role Creation (Administrator)
+  roleCreate: Joi.object({
+    name: roleRule.required().messages({
+      'any.required': 'Role name is required'
+    }),
+    description: Joi.string().max(500).allow(''),
+    permissions: Joi.array()
+      .items(Joi.string().valid(...TENANT_PERMISSIONS))
+      .unique()
+      .required()
+  }),
+
+  // Role Update (Administrator)
+  roleUpdate: Joi.object({
+    description: Joi.string().max(500).allow(''),
+    permissions: Joi.array()
+      .items(Joi.string().valid(...TENANT_PERMISSIONS))
+      .unique()
+  }).min(1),
+
+  // API Key Rotation (Administrator)
+  apiKeyRotate: Joi.object({
+    gracePeriodHours: Joi.number().integer().min(0).max(168).default(0),
+    expiresInDays: Joi.number().integer().min(1).max(365)
+  }),
+
+  // Organization Creation (Super Admin)
+  organizationCreate: Joi.object({
+    name: Joi.string().min(2).max(200).required().messages({
+      'any.required': 'Organization name is required'
+    }),
+    slug: Joi.string().lowercase().max(60).pattern(/^[a-z0-9]+(?:-[a-z0-9]+)*$/).messages({
+      'string.pattern.base': 'Slug may only contain lowercase letters, digits and hyphens'
+    }),
+    parent: organizationRule,
+    ownership: ownershipRule
+  }),
+
+  // Organization Update (Super Admin)
+  organizationUpdate: Joi.object({
+    name: Joi.string().min(2).max(200),
+    isActive: Joi.boolean(),
+    parent: organizationRule.allow(null),
+    ownership: ownershipRule.min(1)
+  }).min(1),
+
+  // Facility Creation (Organization Admin)
+  facilityCreate: Joi.object({
+    organization: organizationRule,
+    name: Joi.string().min(2).max(200).required().messages({
+      'any.required': 'Facility name is required'
+    }),
+    type: Joi.string().valid(...Object.values(FACILITY_TYPES)).required(),
+    location: facilityLocationRule.keys({
+      country: facilityLocationRule.extract('country').required()
+    }).required(),
+    floorArea: Joi.number().min(0)
+  }),
+
+  // Facility Update (Organization Admin)
+  facilityUpdate: Joi.object({
+    name: Joi.string().min(2).max(200),
+    type: Joi.string().valid(...Object.values(FACILITY_TYPES)),
+    location: facilityLocationRule.min(1),
+    floorArea: Joi.number().min(0),
+    isActive: Joi.boolean()
+  }).min(1),
+
+  // Organization Settings (Organization Admin)
+  organizationSettings: Joi.object({
+    reportingCurrency: Joi.string().uppercase().pattern(/^[A-Z]{3}$/).messages({
+      'string.pattern.base': 'Currency must be an ISO 4217 code'
+    }),
+    fiscalYearStartMonth: Joi.number().integer().min(1).max(12),
+    requiredApprovals: Joi.number().integer().min(1).max(10).allow(null),
+    consolidationApproach: Joi.string().valid(...Object.values(CONSOLIDATION_APPROACHES))
+  }).min(1)
 };
 
 /**
@@ -138,6 +562,28 @@ export const validate = (schemaName) => {
   };
 };
 
+/**
+ * Validate an optional MongoDB ObjectId query filter
+ * (plus any special values the filter accepts)
+ */
+export const validateQueryObjectId = (paramName, allowedValues = []) => {
+  return (req, res, next) => {
+    const id = req.query[paramName];
+
+    if (
+      id !== undefined &&
+      !allowedValues.includes(id) &&
+      !/^[0-9a-fA-F]{24}$/.test(id)
+    ) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        errorResponse(`Invalid ${paramName} format`)
+      );
+    }
+
+    next();
+  };
+};
+
 /**
  * Validate MongoDB ObjectId
  */
@@ -0,0 +1,87 @@
+import mongoose from 'mongoose';
+
+/**
+ * API Key Schema
+ * Hashed, scoped credentials belonging to a service account
+ */
+const apiKeySchema = new mongoose.Schema(
+  {
+    serviceAccount: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ServiceAccount',
+      required: true,
+      index: true,
+    },
+
+    name: {
+      type: String,
+      required: [true, 'Please provide a key name'],
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters'],
+    },
+
+    // Public lookup part of the key, safe to display
+    prefix: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    // SHA-256 of the full key
+    keyHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+
+    scopes: {
+      type: [String],
+      enum: ['esg:read', 'esg:write', 'reports:read', 'reports:write'],
+      validate: {
+        validator: (scopes) => scopes.length > 0,
+        message: 'At least one scope is required',
+      },
+    },
+
+    expiresAt: {
+      type: Date,
+    },
+
+    lastUsedAt: {
+      type: Date,
+    },
+
+    revokedAt: {
+      type: Date,
+    },
+
+    // Key this one replaced during rotation
+    rotatedFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApiKey',
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Method to check if the key can still be used
+apiKeySchema.methods.isUsable = function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+// Method to check if the key grants a scope
+apiKeySchema.methods.hasScope = function (scope) {
+  return this.scopes.includes(scope);
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+export default ApiKey;
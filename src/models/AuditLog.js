@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import tenantScope from './plugins/tenantScope.js';
 
 /**
  * Audit Log Schema
@@ -15,32 +16,84 @@ const auditLogSchema = new mongoose.Schema(
         'USER_CREATED',
         'USER_UPDATED',
         'USER_DELETED',
+        'SESSION_REVOKED',
+        'SERVICE_ACCOUNT_CREATED',
+        'SERVICE_ACCOUNT_UPDATED',
+        'API_KEY_CREATED',
+        'API_KEY_ROTATED',
+        'API_KEY_REVOKED',
+        'ORGANIZATION_CREATED',
+        'ORGANIZATION_UPDATED',
+        'FACILITY_CREATED',
+        'FACILITY_UPDATED',
+        'ROLE_CREATED',
+        'ROLE_UPDATED',
+        'ROLE_DELETED',
+        'INVITATION_CREATED',
+        'INVITATION_REVOKED',
+        'ACCOUNT_LOCKED',
+        'ACCOUNT_UNLOCKED',
+        'MFA_ENABLED',
+        'MFA_DISABLED',
+        'MFA_CHALLENGE_PASSED',
+        'MFA_CHALLENGE_FAILED',
+        'MFA_RECOVERY_CODE_USED',
+        'MFA_RECOVERY_CODES_REGENERATED',
         'ESG_RECORD_CREATED',
         'ESG_RECORD_UPDATED',
         'ESG_RECORD_DELETED',
         'ESG_RECORD_SUBMITTED',
+        'ESG_RECORD_RESUBMITTED',
+        'ESG_RECORD_REVIEW_STARTED',
         'ESG_RECORD_APPROVED',
         'ESG_RECORD_REJECTED',
+        'ESG_RECORD_RESTORED',
+        'ESG_COMMENT_ADDED',
+        'ESG_COMMENT_RESOLVED',
+        'ESG_COMMENT_REOPENED',
+        'EVIDENCE_UPLOADED',
+        'EVIDENCE_DOWNLOADED',
+        'ESG_RECORDS_IMPORTED',
+        'SEGREGATION_OF_DUTIES_VIOLATION',
         'REPORT_GENERATED',
         'REPORT_PUBLISHED',
+        'REPORT_STATUS_CHANGED',
         'REPORT_DELETED',
         'SETTINGS_CHANGED',
         'PERMISSION_CHANGED',
         'DATA_EXPORT',
+        'EMISSION_FACTOR_SET_CREATED',
+        'EMISSION_FACTOR_SET_UPDATED',
+        'EMISSION_FACTOR_SET_PUBLISHED',
+        'EMISSION_FACTOR_SET_RETIRED',
         'UNAUTHORIZED_ACCESS_ATTEMPT',
       ],
     },
 
     performedBy: {
       type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
+      refPath: 'performedByModel',
       required: true,
     },
 
+    // Kind of principal behind performedBy (human user or integration)
+    performedByModel: {
+      type: String,
+      enum: ['User', 'ServiceAccount'],
+      default: 'User',
+    },
+
+    // Tenant the action happened in (unset for platform-level actions)
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      index: true,
+    },
+
     targetResource: {
       resourceType: {
         type: String,
-        enum: ['User', 'ESGRecord', 'Report', 'System'],
+        enum: ['User', 'Invitation', 'ServiceAccount', 'Role', 'Organization', 'Facility', 'ESGRecord', 'Report', 'EmissionFactorSet', 'System'],
         required: true,
       },
       resourceId: {
@@ -105,6 +158,9 @@ auditLogSchema.index({
 });
 auditLogSchema.index({ timestamp: -1 });
 
+// Confine queries to the organization of the current request
+auditLogSchema.plugin(tenantScope);
+
 const AuditLog = mongoose.model('AuditLog', auditLogSchema);
 
 export default AuditLog;
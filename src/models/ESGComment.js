@@ -0,0 +1,90 @@
+import mongoose from 'mongoose';
+import tenantScope from './plugins/tenantScope.js';
+
+/**
+ * ESG Comment Schema
+ * Review discussion on an ESG record. A thread starts with a root
+ * comment (optionally attached to a single metric) and holds replies.
+ */
+const esgCommentSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: [true, 'Organization is required'],
+      index: true,
+    },
+
+    record: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ESGRecord',
+      required: true,
+    },
+
+    // Root comment of the thread; unset for the root itself
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ESGComment',
+      default: null,
+    },
+
+    // Metric the thread is about, e.g. environmental.scope2Emissions
+    field: {
+      type: String,
+      trim: true,
+    },
+
+    body: {
+      type: String,
+      required: [true, 'Comment is required'],
+      trim: true,
+      maxlength: [2000, 'Comments cannot exceed 2000 characters'],
+    },
+
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    mentions: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    ],
+
+    // Unresolved blocking threads hold up approval of the record
+    blocking: {
+      type: Boolean,
+      default: false,
+    },
+
+    resolved: {
+      type: Boolean,
+      default: false,
+    },
+
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+
+    resolvedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+esgCommentSchema.index({ record: 1, parent: 1, createdAt: 1 });
+esgCommentSchema.index({ record: 1, blocking: 1, resolved: 1 });
+
+// Confine queries to the organization of the current request
+esgCommentSchema.plugin(tenantScope);
+
+const ESGComment = mongoose.model('ESGComment', esgCommentSchema);
+
+export default ESGComment;
@@ -1,4 +1,69 @@
 import mongoose from 'mongoose';
+import tenantScope from './plugins/tenantScope.js';
+import lifecycleGuard from './plugins/lifecycleGuard.js';
+import {
+  ACTIVITY_UNITS,
+  CONTRACTUAL_INSTRUMENT_TYPES,
+  EMISSION_CATEGORIES,
+  REJECTION_REASONS,
+} from '../utils/constants.js';
+
+// Calculation trail of activity-based emissions
+const emissionsCalculationSchema = new mongoose.Schema(
+  {
+    factorSet: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'EmissionFactorSet',
+    },
+    factorSetName: String,
+    factorSetVersion: String,
+    source: String,
+    calculatedAt: Date,
+    lines: [
+      {
+        _id: false,
+        category: String,
+        activity: String,
+        scope: Number,
+        quantity: Number,
+        unit: String,
+        region: String,
+        // Quantity in the factor's unit
+        convertedQuantity: Number,
+        factorUnit: String,
+        factorRegion: String,
+        kgCO2ePerUnit: Number,
+        citation: String,
+        tCO2e: Number,
+      },
+    ],
+    // Market-based Scope 2: electricity under each contractual
+    // instrument, then the uncovered rest at the residual mix
+    marketBasedLines: [
+      {
+        _id: false,
+        // Instrument type, residual_mix, grid_average, or location_based
+        // for Scope 2 other than electricity
+        basis: String,
+        reference: String,
+        region: String,
+        kWh: Number,
+        kgCO2ePerKWh: Number,
+        citation: String,
+        tCO2e: Number,
+      },
+    ],
+    // tCO2e per scope (Scope 2 location-based), copied into the
+    // environmental scope fields
+    totals: {
+      scope1: Number,
+      scope2: Number,
+      scope2MarketBased: Number,
+      scope3: Number,
+    },
+  },
+  { _id: false }
+);
 
 /**
  * ESG Record Schema
@@ -7,9 +72,16 @@ import mongoose from 'mongoose';
 const esgRecordSchema = new mongoose.Schema(
   {
     organization: {
-      type: String,
-      required: [true, 'Organization name is required'],
-      trim: true,
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: [true, 'Organization is required'],
+      index: true,
+    },
+
+    // Site the figures were captured for; organization-wide when unset
+    facility: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Facility',
       index: true,
     },
 
@@ -41,12 +113,20 @@ const esgRecordSchema = new mongoose.Schema(
         min: [0, 'Emissions cannot be negative'],
         default: 0,
       },
+      // Scope 2 is location-based here and in the total; the
+      // market-based figure is reported alongside it
       scope2Emissions: {
         type: Number,
         required: [true, 'Scope 2 emissions are required'],
         min: [0, 'Emissions cannot be negative'],
         default: 0,
       },
+      // Unset when the electricity wasn't bought under contractual
+      // instruments, in which case it equals the location-based figure
+      scope2MarketBased: {
+        type: Number,
+        min: [0, 'Emissions cannot be negative'],
+      },
       scope3Emissions: {
         type: Number,
         required: [true, 'Scope 3 emissions are required'],
@@ -168,6 +248,103 @@ const esgRecordSchema = new mongoose.Schema(
       },
     },
 
+    // Activity data (fuel burnt, electricity bought, distance travelled,
+    // goods purchased) that scope emissions are calculated from
+    activities: {
+      type: [
+        {
+          _id: false,
+          category: {
+            type: String,
+            enum: Object.keys(EMISSION_CATEGORIES),
+            required: [true, 'Activity category is required'],
+          },
+          activity: {
+            type: String,
+            required: [true, 'Activity is required'],
+            lowercase: true,
+            trim: true,
+          },
+          quantity: {
+            type: Number,
+            required: [true, 'Activity quantity is required'],
+            min: [0, 'Activity quantity cannot be negative'],
+          },
+          unit: {
+            type: String,
+            enum: ACTIVITY_UNITS,
+            required: [true, 'Activity unit is required'],
+          },
+          // Grid region; defaults to the facility's country
+          region: {
+            type: String,
+            uppercase: true,
+            trim: true,
+          },
+          description: {
+            type: String,
+            trim: true,
+            maxlength: [500, 'Activity description cannot exceed 500 characters'],
+          },
+        },
+      ],
+      default: undefined,
+    },
+
+    // Certificates, PPAs and supplier tariffs the purchased electricity
+    // is covered by, for market-based Scope 2
+    contractualInstruments: {
+      type: [
+        {
+          _id: false,
+          type: {
+            type: String,
+            enum: Object.values(CONTRACTUAL_INSTRUMENT_TYPES),
+            required: [true, 'Instrument type is required'],
+          },
+          quantity: {
+            type: Number,
+            required: [true, 'Instrument quantity is required'],
+            min: [0, 'Instrument quantity cannot be negative'],
+          },
+          unit: {
+            type: String,
+            enum: ['kWh', 'MWh'],
+            required: [true, 'Instrument unit is required'],
+          },
+          // Emission rate conveyed by the instrument; 0 for renewables
+          kgCO2ePerKWh: {
+            type: Number,
+            min: [0, 'Emission rate cannot be negative'],
+            default: 0,
+          },
+          supplier: {
+            type: String,
+            trim: true,
+            maxlength: [200, 'Supplier cannot exceed 200 characters'],
+          },
+          // Certificate serial numbers or contract reference
+          reference: {
+            type: String,
+            trim: true,
+            maxlength: [200, 'Reference cannot exceed 200 characters'],
+          },
+          description: {
+            type: String,
+            trim: true,
+            maxlength: [500, 'Instrument description cannot exceed 500 characters'],
+          },
+        },
+      ],
+      default: undefined,
+    },
+
+    // How the activity data was turned into emissions, line by line
+    emissionsCalculation: {
+      type: emissionsCalculationSchema,
+      default: undefined,
+    },
+
     // Metadata
     status: {
       type: String,
@@ -177,10 +354,100 @@ const esgRecordSchema = new mongoose.Schema(
 
     submittedBy: {
       type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
+      refPath: 'submittedByModel',
       required: true,
     },
 
+    // Records can be pushed by integrations through service accounts
+    submittedByModel: {
+      type: String,
+      enum: ['User', 'ServiceAccount'],
+      default: 'User',
+    },
+
+    // Who last sent the record for review (a user or service account)
+    submittedForReviewBy: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+
+    // Everyone who changed the figures after creation (users or service
+    // accounts); like the submitter, none of them may review or approve
+    preparedBy: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+      },
+    ],
+
+    // Approvals collected in the current review round
+    approvals: [
+      {
+        _id: false,
+        approvedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+          required: true,
+        },
+        approvedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        notes: {
+          type: String,
+          maxlength: [1000, 'Approval notes cannot exceed 1000 characters'],
+        },
+      },
+    ],
+
+    // Reviewer who picked up the current submission
+    reviewStartedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+
+    reviewStartedAt: {
+      type: Date,
+    },
+
+    // Every time the record was sent back, most recent last
+    rejections: [
+      {
+        _id: false,
+        rejectedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+          required: true,
+        },
+        rejectedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        reasons: [
+          {
+            _id: false,
+            code: {
+              type: String,
+              enum: Object.values(REJECTION_REASONS),
+              required: true,
+            },
+            // Dotted path of the metric concerned, e.g. environmental.scope1Emissions
+            field: {
+              type: String,
+            },
+            comment: {
+              type: String,
+              maxlength: [1000, 'Rejection comments cannot exceed 1000 characters'],
+            },
+          },
+        ],
+      },
+    ],
+
+    // Times the record was submitted again after a rejection
+    resubmissionCount: {
+      type: Number,
+      default: 0,
+    },
+
     reviewedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
@@ -220,6 +487,22 @@ esgRecordSchema.index({ organization: 1, 'reportingPeriod.year': -1 });
 esgRecordSchema.index({ status: 1 });
 esgRecordSchema.index({ submittedBy: 1 });
 
+// Confine queries to the organization of the current request
+esgRecordSchema.plugin(tenantScope);
+
+// Status changes go through lifecycleService
+esgRecordSchema.plugin(lifecycleGuard);
+
+// Check if a dotted path names a single environmental, social or
+// governance metric (e.g. environmental.scope2Emissions)
+esgRecordSchema.statics.isMetricPath = function (path) {
+  const [section, metric] = path.split('.');
+
+  return ['environmental', 'social', 'governance'].includes(section) &&
+    Boolean(metric) &&
+    Boolean(this.schema.path(path));
+};
+
 const ESGRecord = mongoose.model('ESGRecord', esgRecordSchema);
 
 export default ESGRecord;
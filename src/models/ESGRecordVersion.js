@@ -0,0 +1,112 @@
+import mongoose from 'mongoose';
+import tenantScope from './plugins/tenantScope.js';
+import { VERSION_CHANGE_TYPES } from '../utils/constants.js';
+
+/**
+ * ESG Record Version Schema
+ * Immutable snapshot of an ESG record's data after each change
+ */
+const esgRecordVersionSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: [true, 'Organization is required'],
+      index: true,
+    },
+
+    record: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ESGRecord',
+      required: true,
+    },
+
+    // Sequential per record, starting at 1
+    version: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+
+    changeType: {
+      type: String,
+      enum: Object.values(VERSION_CHANGE_TYPES),
+      required: true,
+    },
+
+    // Version whose data was copied back by a restore
+    restoredFrom: {
+      type: Number,
+    },
+
+    // Versioned fields (environmental, social, governance)
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+
+    // Field-level differences from the previous version
+    changes: [
+      {
+        _id: false,
+        path: String,
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed,
+      },
+    ],
+
+    // Status of the record when the version was taken
+    status: {
+      type: String,
+    },
+
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'changedByModel',
+    },
+
+    changedByModel: {
+      type: String,
+      enum: ['User', 'ServiceAccount'],
+      default: 'User',
+    },
+
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false,
+  }
+);
+
+esgRecordVersionSchema.index({ record: 1, version: -1 }, { unique: true });
+
+// Prevent updates and deletes — versions are immutable
+esgRecordVersionSchema.pre(
+  ['findOneAndUpdate', 'updateOne', 'updateMany', 'replaceOne'],
+  function () {
+    throw new Error('ESG record versions cannot be updated');
+  }
+);
+
+esgRecordVersionSchema.pre(
+  ['findOneAndDelete', 'deleteOne', 'deleteMany'],
+  function () {
+    throw new Error('ESG record versions cannot be deleted');
+  }
+);
+
+esgRecordVersionSchema.pre('save', function () {
+  if (!this.isNew) {
+    throw new Error('ESG record versions cannot be updated');
+  }
+});
+
+// Confine queries to the organization of the current request
+esgRecordVersionSchema.plugin(tenantScope);
+
+const ESGRecordVersion = mongoose.model('ESGRecordVersion', esgRecordVersionSchema);
+
+export default ESGRecordVersion;
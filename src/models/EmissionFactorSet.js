@@ -0,0 +1,158 @@
+import mongoose from 'mongoose';
+import {
+  ACTIVITY_UNITS,
+  EMISSION_CATEGORIES,
+  EMISSION_FACTOR_SET_STATUS,
+} from '../utils/constants.js';
+
+// Fields frozen once a set has been published
+const LOCKED_FIELDS = ['name', 'version', 'source', 'factors'];
+
+/**
+ * Emission Factor Set Schema
+ * A versioned, cited library of emission factors (e.g. one year of a
+ * government conversion factor publication) shared by all organizations.
+ * ESG records pin the set their emissions were calculated with.
+ */
+const emissionFactorSetSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Factor set name is required'],
+      trim: true,
+      maxlength: [200, 'Factor set name cannot exceed 200 characters'],
+    },
+
+    // Edition of the publication, e.g. "2024" or "2024 v1.1"
+    version: {
+      type: String,
+      required: [true, 'Factor set version is required'],
+      trim: true,
+      maxlength: [50, 'Factor set version cannot exceed 50 characters'],
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Description cannot exceed 1000 characters'],
+    },
+
+    // Publication the factors are taken from
+    source: {
+      publisher: {
+        type: String,
+        required: [true, 'Source publisher is required'],
+        trim: true,
+      },
+      title: {
+        type: String,
+        trim: true,
+      },
+      url: {
+        type: String,
+        trim: true,
+      },
+      publishedOn: {
+        type: Date,
+      },
+    },
+
+    factors: [
+      {
+        _id: false,
+        category: {
+          type: String,
+          enum: Object.keys(EMISSION_CATEGORIES),
+          required: [true, 'Factor category is required'],
+        },
+        // Fuel, material or mode within the category, e.g. "diesel"
+        activity: {
+          type: String,
+          required: [true, 'Factor activity is required'],
+          lowercase: true,
+          trim: true,
+        },
+        unit: {
+          type: String,
+          enum: ACTIVITY_UNITS,
+          required: [true, 'Factor unit is required'],
+        },
+        // Grid or country code the factor applies to; unset for all regions
+        region: {
+          type: String,
+          uppercase: true,
+          trim: true,
+        },
+        // kg CO2e per activity unit
+        kgCO2ePerUnit: {
+          type: Number,
+          required: [true, 'Factor value is required'],
+          min: [0, 'Factor value cannot be negative'],
+        },
+        // Table, row or page of the source the value comes from
+        citation: {
+          type: String,
+          trim: true,
+          maxlength: [500, 'Citation cannot exceed 500 characters'],
+        },
+      },
+    ],
+
+    status: {
+      type: String,
+      enum: Object.values(EMISSION_FACTOR_SET_STATUS),
+      default: EMISSION_FACTOR_SET_STATUS.DRAFT,
+    },
+
+    // Set this one was copied from when started as a new version
+    basedOn: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'EmissionFactorSet',
+    },
+
+    publishedAt: {
+      type: Date,
+    },
+
+    publishedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+
+    retiredAt: {
+      type: Date,
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+emissionFactorSetSchema.index({ name: 1, version: 1 }, { unique: true });
+emissionFactorSetSchema.index({ status: 1, publishedAt: -1 });
+
+// Remember the stored status so published factors stay untouched
+emissionFactorSetSchema.post(['init', 'save'], function () {
+  this.$locals.storedStatus = this.status;
+});
+
+emissionFactorSetSchema.pre('validate', function () {
+  const stored = this.$locals.storedStatus;
+
+  if (
+    stored &&
+    stored !== EMISSION_FACTOR_SET_STATUS.DRAFT &&
+    LOCKED_FIELDS.some(field => this.isModified(field))
+  ) {
+    throw new Error('Published emission factor sets cannot be changed');
+  }
+});
+
+const EmissionFactorSet = mongoose.model('EmissionFactorSet', emissionFactorSetSchema);
+
+export default EmissionFactorSet;
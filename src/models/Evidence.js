@@ -0,0 +1,95 @@
+import mongoose from 'mongoose';
+import tenantScope from './plugins/tenantScope.js';
+
+/**
+ * Evidence Schema
+ * A supporting file (invoice, meter reading, HR export...) behind the
+ * figures of an ESG record. The content lives in the storage backend.
+ */
+const evidenceSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: [true, 'Organization is required'],
+      index: true,
+    },
+
+    record: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ESGRecord',
+      required: true,
+      index: true,
+    },
+
+    // Metric the file supports; the whole record when unset
+    field: {
+      type: String,
+      trim: true,
+    },
+
+    fileName: {
+      type: String,
+      required: [true, 'File name is required'],
+      trim: true,
+      maxlength: [255, 'File name cannot exceed 255 characters'],
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Description cannot exceed 500 characters'],
+    },
+
+    contentType: {
+      type: String,
+      required: true,
+    },
+
+    // Bytes
+    size: {
+      type: Number,
+      required: true,
+    },
+
+    // SHA-256 of the content, hex encoded
+    sha256: {
+      type: String,
+      required: true,
+      index: true,
+    },
+
+    storageBackend: {
+      type: String,
+      required: true,
+    },
+
+    storageKey: {
+      type: String,
+      required: true,
+      select: false,
+    },
+
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'uploadedByModel',
+      required: true,
+    },
+
+    uploadedByModel: {
+      type: String,
+      enum: ['User', 'ServiceAccount'],
+      default: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Confine queries to the organization of the current request
+evidenceSchema.plugin(tenantScope);
+
+const Evidence = mongoose.model('Evidence', evidenceSchema);
+
+export default Evidence;
@@ -0,0 +1,90 @@
+import mongoose from 'mongoose';
+import tenantScope from './plugins/tenantScope.js';
+import { FACILITY_TYPES } from '../utils/constants.js';
+
+/**
+ * Facility Schema
+ * A plant, office or other site of an organization that ESG data can
+ * be captured for
+ */
+const facilitySchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: [true, 'Organization is required'],
+      index: true,
+    },
+
+    name: {
+      type: String,
+      required: [true, 'Facility name is required'],
+      trim: true,
+      maxlength: [200, 'Facility name cannot exceed 200 characters'],
+    },
+
+    type: {
+      type: String,
+      enum: Object.values(FACILITY_TYPES),
+      required: [true, 'Facility type is required'],
+    },
+
+    location: {
+      address: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Address cannot exceed 500 characters'],
+      },
+      city: {
+        type: String,
+        trim: true,
+      },
+      // ISO 3166-1 alpha-2 code
+      country: {
+        type: String,
+        required: [true, 'Country is required'],
+        uppercase: true,
+        match: [/^[A-Z]{2}$/, 'Country must be an ISO 3166-1 alpha-2 code'],
+      },
+      latitude: {
+        type: Number,
+        min: [-90, 'Latitude must be between -90 and 90'],
+        max: [90, 'Latitude must be between -90 and 90'],
+      },
+      longitude: {
+        type: Number,
+        min: [-180, 'Longitude must be between -180 and 180'],
+        max: [180, 'Longitude must be between -180 and 180'],
+      },
+    },
+
+    // Square metres
+    floorArea: {
+      type: Number,
+      min: [0, 'Floor area cannot be negative'],
+    },
+
+    // Closed sites keep their history but take no new records
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+facilitySchema.index({ organization: 1, name: 1 }, { unique: true });
+
+// Confine queries to the organization of the current request
+facilitySchema.plugin(tenantScope);
+
+const Facility = mongoose.model('Facility', facilitySchema);
+
+export default Facility;
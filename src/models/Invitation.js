@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+import tenantScope from './plugins/tenantScope.js';
+
+/**
+ * Invitation Schema
+ * Admin-issued invitations that fix the role and organization
+ * of the account created during registration
+ */
+const invitationSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: [true, 'Email is required'],
+      lowercase: true,
+      trim: true,
+    },
+
+    // Name of a Role document
+    role: {
+      type: String,
+      required: [true, 'Role is required'],
+    },
+
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: [true, 'Organization is required'],
+    },
+
+    // SHA-256 of the invitation token sent by email
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    acceptedAt: {
+      type: Date,
+    },
+
+    acceptedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+
+    revokedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Virtual for invitation status
+invitationSchema.virtual('status').get(function () {
+  if (this.acceptedAt) return 'accepted';
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= new Date()) return 'expired';
+  return 'pending';
+});
+
+// Ensure virtuals are included in JSON
+invitationSchema.set('toJSON', { virtuals: true });
+invitationSchema.set('toObject', { virtuals: true });
+
+// Indexes for efficient querying
+invitationSchema.index({ email: 1, createdAt: -1 });
+invitationSchema.index({ organization: 1 });
+
+// Confine queries to the organization of the current request
+invitationSchema.plugin(tenantScope);
+
+const Invitation = mongoose.model('Invitation', invitationSchema);
+
+export default Invitation;
@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+/**
+ * OIDC Auth Request Schema
+ * Pending single sign-on attempt, consumed once by the callback
+ */
+const oidcAuthRequestSchema = new mongoose.Schema(
+  {
+    // SHA-256 of the "state" parameter sent to the provider
+    stateHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    // Echoed back inside the ID token to bind it to this attempt
+    nonce: {
+      type: String,
+      required: true,
+    },
+
+    // PKCE verifier for the authorization code exchange
+    codeVerifier: {
+      type: String,
+      required: true,
+    },
+
+    ipAddress: {
+      type: String,
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Let MongoDB purge abandoned attempts
+oidcAuthRequestSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const OidcAuthRequest = mongoose.model('OidcAuthRequest', oidcAuthRequestSchema);
+
+export default OidcAuthRequest;
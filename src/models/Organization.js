@@ -0,0 +1,100 @@
+import mongoose from 'mongoose';
+import { CONSOLIDATION_APPROACHES } from '../utils/constants.js';
+
+/**
+ * Organization Schema
+ * A tenant of the platform; users and ESG data belong to exactly one
+ */
+const organizationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Organization name is required'],
+      unique: true,
+      trim: true,
+      maxlength: [200, 'Organization name cannot exceed 200 characters'],
+    },
+
+    // Stable identifier used by integrations and SSO claim mapping
+    slug: {
+      type: String,
+      required: [true, 'Organization slug is required'],
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: [
+        /^[a-z0-9]+(?:-[a-z0-9]+)*$/,
+        'Slug may only contain lowercase letters, digits and hyphens',
+      ],
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    // Parent in a corporate group; null for top-level organizations
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      default: null,
+      index: true,
+    },
+
+    // The parent's stake in this organization
+    ownership: {
+      percentage: {
+        type: Number,
+        min: [0, 'Ownership must be between 0 and 100'],
+        max: [100, 'Ownership must be between 0 and 100'],
+        default: 100,
+      },
+      operationalControl: {
+        type: Boolean,
+        default: true,
+      },
+      financialControl: {
+        type: Boolean,
+        default: true,
+      },
+    },
+
+    settings: {
+      reportingCurrency: {
+        type: String,
+        uppercase: true,
+        match: [/^[A-Z]{3}$/, 'Currency must be an ISO 4217 code'],
+        default: 'USD',
+      },
+      fiscalYearStartMonth: {
+        type: Number,
+        min: [1, 'Month must be between 1 and 12'],
+        max: [12, 'Month must be between 1 and 12'],
+        default: 1,
+      },
+      // Overrides ESG_REQUIRED_APPROVALS when set
+      requiredApprovals: {
+        type: Number,
+        min: [1, 'At least one approval is required'],
+      },
+      // Default approach for consolidated reports of this group
+      consolidationApproach: {
+        type: String,
+        enum: Object.values(CONSOLIDATION_APPROACHES),
+        default: CONSOLIDATION_APPROACHES.OPERATIONAL_CONTROL,
+      },
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Organization = mongoose.model('Organization', organizationSchema);
+
+export default Organization;
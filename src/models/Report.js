@@ -1,4 +1,87 @@
 import mongoose from 'mongoose';
+import tenantScope from './plugins/tenantScope.js';
+import lifecycleGuard from './plugins/lifecycleGuard.js';
+import { CONSOLIDATION_APPROACHES, SCOPE2_METHODS } from '../utils/constants.js';
+
+// Summary shapes shared by the report totals and the per-entity breakdown
+const environmentalSummaryFields = {
+  // Scope 2 method of totalScope2Emissions and totalCarbonEmissions
+  // (location-based when both are reported)
+  scope2Method: { type: String, enum: Object.values(SCOPE2_METHODS) },
+  totalScope1Emissions: { type: Number, default: 0 },
+  totalScope2Emissions: { type: Number, default: 0 },
+  totalScope3Emissions: { type: Number, default: 0 },
+  totalCarbonEmissions: { type: Number, default: 0 },
+  // Both Scope 2 methods side by side, when both are reported
+  totalScope2LocationBased: { type: Number },
+  totalScope2MarketBased: { type: Number },
+  totalCarbonEmissionsMarketBased: { type: Number },
+  averageRenewableEnergyPercentage: { type: Number, default: 0 },
+  totalEnergyConsumption: { type: Number, default: 0 },
+  totalWaterUsage: { type: Number, default: 0 },
+  wasteRecyclingRate: { type: Number, default: 0 },
+};
+
+const socialSummaryFields = {
+  averageDiversityRatio: { type: Number, default: 0 },
+  totalHealthAndSafetyIncidents: { type: Number, default: 0 },
+  averageTrainingHours: { type: Number, default: 0 },
+  averageTurnoverRate: { type: Number, default: 0 },
+  totalCommunityInvestment: { type: Number, default: 0 },
+  averageFemaleEmployeesPercentage: { type: Number, default: 0 },
+};
+
+const governanceSummaryFields = {
+  averageBoardIndependence: { type: Number, default: 0 },
+  complianceRate: { type: Number, default: 0 },
+  totalWhistleblowerCases: { type: Number, default: 0 },
+  totalDataBreaches: { type: Number, default: 0 },
+  averageFemaleDirectorsPercentage: { type: Number, default: 0 },
+};
+
+/**
+ * Consolidated Entity Schema
+ * One organization's contribution to a consolidated report
+ */
+const consolidatedEntitySchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: true,
+    },
+
+    // Name at generation time, so the report reads the same later
+    name: {
+      type: String,
+      required: true,
+    },
+
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+    },
+
+    // Portion of the entity's figures included in the totals
+    sharePercentage: {
+      type: Number,
+      min: 0,
+      max: 100,
+    },
+
+    recordCount: {
+      type: Number,
+      default: 0,
+    },
+
+    environmentalSummary: environmentalSummaryFields,
+    socialSummary: socialSummaryFields,
+    governanceSummary: governanceSummaryFields,
+  },
+  {
+    _id: false,
+  }
+);
 
 /**
  * Report Schema
@@ -14,9 +97,9 @@ const reportSchema = new mongoose.Schema(
     },
 
     organization: {
-      type: String,
-      required: [true, 'Organization name is required'],
-      trim: true,
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: [true, 'Organization is required'],
       index: true,
     },
 
@@ -43,34 +126,24 @@ const reportSchema = new mongoose.Schema(
     },
 
     // Aggregated Environmental Metrics
-    environmentalSummary: {
-      totalScope1Emissions: { type: Number, default: 0 },
-      totalScope2Emissions: { type: Number, default: 0 },
-      totalScope3Emissions: { type: Number, default: 0 },
-      totalCarbonEmissions: { type: Number, default: 0 },
-      averageRenewableEnergyPercentage: { type: Number, default: 0 },
-      totalEnergyConsumption: { type: Number, default: 0 },
-      totalWaterUsage: { type: Number, default: 0 },
-      wasteRecyclingRate: { type: Number, default: 0 },
-    },
+    environmentalSummary: environmentalSummaryFields,
 
     // Aggregated Social Metrics
-    socialSummary: {
-      averageDiversityRatio: { type: Number, default: 0 },
-      totalHealthAndSafetyIncidents: { type: Number, default: 0 },
-      averageTrainingHours: { type: Number, default: 0 },
-      averageTurnoverRate: { type: Number, default: 0 },
-      totalCommunityInvestment: { type: Number, default: 0 },
-      averageFemaleEmployeesPercentage: { type: Number, default: 0 },
-    },
+    socialSummary: socialSummaryFields,
 
     // Aggregated Governance Metrics
-    governanceSummary: {
-      averageBoardIndependence: { type: Number, default: 0 },
-      complianceRate: { type: Number, default: 0 },
-      totalWhistleblowerCases: { type: Number, default: 0 },
-      totalDataBreaches: { type: Number, default: 0 },
-      averageFemaleDirectorsPercentage: { type: Number, default: 0 },
+    governanceSummary: governanceSummaryFields,
+
+    // Set on reports that roll up subsidiaries
+    consolidation: {
+      approach: {
+        type: String,
+        enum: Object.values(CONSOLIDATION_APPROACHES),
+      },
+      entities: {
+        type: [consolidatedEntitySchema],
+        default: undefined,
+      },
     },
 
     // Overall ESG Score
@@ -92,10 +165,16 @@ const reportSchema = new mongoose.Schema(
     // Report metadata
     generatedBy: {
       type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
+      refPath: 'generatedByModel',
       required: true,
     },
 
+    generatedByModel: {
+      type: String,
+      enum: ['User', 'ServiceAccount'],
+      default: 'User',
+    },
+
     status: {
       type: String,
       enum: ['draft', 'finalized', 'published', 'archived'],
@@ -107,9 +186,17 @@ const reportSchema = new mongoose.Schema(
       maxlength: [2000, 'Notes cannot exceed 2000 characters'],
     },
 
+    finalizedAt: {
+      type: Date,
+    },
+
     publishedAt: {
       type: Date,
     },
+
+    archivedAt: {
+      type: Date,
+    },
   },
   {
     timestamps: true,
@@ -135,6 +222,12 @@ reportSchema.virtual('periodDuration').get(function () {
 reportSchema.set('toJSON', { virtuals: true });
 reportSchema.set('toObject', { virtuals: true });
 
+// Confine queries to the organization of the current request
+reportSchema.plugin(tenantScope);
+
+// Status changes go through lifecycleService
+reportSchema.plugin(lifecycleGuard);
+
 const Report = mongoose.model('Report', reportSchema);
 
 export default Report;
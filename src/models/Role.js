@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+import { PERMISSIONS, ROLE_NAME_PATTERN } from '../utils/constants.js';
+
+/**
+ * Role Schema
+ * Named set of permissions assigned to users
+ */
+const roleSchema = new mongoose.Schema(
+  {
+    // Stored on users and invitations, so it never changes
+    name: {
+      type: String,
+      required: [true, 'Role name is required'],
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: [
+        ROLE_NAME_PATTERN,
+        'Role name must be 3-50 lowercase letters, digits or underscores',
+      ],
+      immutable: true,
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Description cannot exceed 500 characters'],
+    },
+
+    permissions: {
+      type: [String],
+      enum: Object.values(PERMISSIONS),
+      default: [],
+    },
+
+    // Built-in roles are seeded at startup and cannot be deleted
+    isSystem: {
+      type: Boolean,
+      default: false,
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Role = mongoose.model('Role', roleSchema);
+
+export default Role;
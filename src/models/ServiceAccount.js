@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+import tenantScope from './plugins/tenantScope.js';
+
+/**
+ * Service Account Schema
+ * Non-human principal used by machine integrations (ERP, meter data)
+ */
+const serviceAccountSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Please provide a name'],
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters'],
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Description cannot exceed 500 characters'],
+    },
+
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: [true, 'Organization is required'],
+      index: true,
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Confine queries to the organization of the current request
+serviceAccountSchema.plugin(tenantScope);
+
+const ServiceAccount = mongoose.model('ServiceAccount', serviceAccountSchema);
+
+export default ServiceAccount;
@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+
+/**
+ * Session Schema
+ * Server-side record of a login, holding the current refresh token
+ */
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    // SHA-256 of the current refresh token; rotated on every refresh
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+
+    ipAddress: {
+      type: String,
+    },
+
+    userAgent: {
+      type: String,
+    },
+
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+
+    revokedAt: {
+      type: Date,
+    },
+
+    revokedReason: {
+      type: String,
+      enum: [
+        'logout',
+        'password_change',
+        'account_deactivated',
+        'account_deleted',
+        'token_reuse',
+        'user_revoked',
+        'admin_revoked',
+      ],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Method to check if the session can still be used
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Indexes for efficient querying
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB purge sessions once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
@@ -1,5 +1,7 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { generateSecureToken, hashToken, sanitizeUser } from '../utils/helpers.js';
+import tenantScope from './plugins/tenantScope.js';
 
 /**
  * User Schema
@@ -28,22 +30,29 @@ const userSchema = new mongoose.Schema(
 
     password: {
       type: String,
-      required: [true, 'Please provide a password'],
+      // Single sign-on accounts have no local password
+      required: [
+        function () {
+          return this.authProvider === 'local';
+        },
+        'Please provide a password',
+      ],
       minlength: [8, 'Password must be at least 8 characters'],
       select: false, // Don't return password by default
     },
 
+    // Name of a Role document (built-in or custom)
     role: {
       type: String,
-      enum: ['administrator', 'esg_analyst', 'auditor'],
       default: 'esg_analyst',
       required: true,
     },
 
     organization: {
-      type: String,
-      required: [true, 'Please provide organization name'],
-      trim: true,
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: [true, 'Organization is required'],
+      index: true,
     },
 
     isActive: {
@@ -51,10 +60,112 @@ const userSchema = new mongoose.Schema(
       default: true,
     },
 
+    // How the account authenticates
+    authProvider: {
+      type: String,
+      enum: ['local', 'oidc'],
+      default: 'local',
+    },
+
+    // Identity at the OpenID Connect provider (set on first SSO login)
+    oidc: {
+      issuer: {
+        type: String,
+      },
+      subject: {
+        type: String,
+      },
+    },
+
     lastLogin: {
       type: Date,
     },
 
+    passwordChangedAt: {
+      type: Date,
+    },
+
+    // Hashes of previous passwords, most recent first
+    passwordHistory: {
+      type: [String],
+      select: false,
+    },
+
+    // Brute-force protection
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+
+    // Number of lockouts since the last successful login (drives escalation)
+    lockoutCount: {
+      type: Number,
+      default: 0,
+    },
+
+    lockUntil: {
+      type: Date,
+    },
+
+    // Unset on accounts created before verification existed (grandfathered)
+    emailVerified: {
+      type: Boolean,
+    },
+
+    emailVerifiedAt: {
+      type: Date,
+    },
+
+    emailVerificationTokenHash: {
+      type: String,
+      select: false,
+    },
+
+    emailVerificationExpires: {
+      type: Date,
+      select: false,
+    },
+
+    // Single-use password reset token (only the hash is stored)
+    passwordResetTokenHash: {
+      type: String,
+      select: false,
+    },
+
+    passwordResetExpires: {
+      type: Date,
+      select: false,
+    },
+
+    // TOTP multi-factor authentication
+    mfa: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+        select: false,
+      },
+      // Secret awaiting confirmation during enrollment
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      recoveryCodeHashes: {
+        type: [String],
+        select: false,
+      },
+      // Last accepted TOTP time step (replay protection)
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+      enabledAt: {
+        type: Date,
+      },
+    },
+
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
@@ -76,6 +187,12 @@ userSchema.pre('save', async function (next) {
     const saltRounds = parseInt(process.env.BCRYPT_ROUNDS, 10) || 12;
     const salt = await bcrypt.genSalt(saltRounds);
     this.password = await bcrypt.hash(this.password, salt);
+
+    // Sessions opened before this moment are no longer trusted
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date();
+    }
+
     next();
   } catch (error) {
     next(error);
@@ -84,6 +201,10 @@ userSchema.pre('save', async function (next) {
 
 // Method to compare passwords
 userSchema.methods.comparePassword = async function (candidatePassword) {
+  if (!this.password) {
+    return false;
+  }
+
   try {
     return await bcrypt.compare(candidatePassword, this.password);
   } catch (error) {
@@ -91,6 +212,30 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   }
 };
 
+// Method to check if password was changed after a given date
+userSchema.methods.changedPasswordAfter = function (date) {
+  return Boolean(this.passwordChangedAt && this.passwordChangedAt > date);
+};
+
+// Method to issue a password reset token; returns the raw token
+userSchema.methods.createPasswordResetToken = function (expiresInMinutes) {
+  const resetToken = generateSecureToken();
+  this.passwordResetTokenHash = hashToken(resetToken);
+  this.passwordResetExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+  return resetToken;
+};
+
+// Method to issue an email verification token; returns the raw token
+userSchema.methods.createEmailVerificationToken = function (
+  expiresInHours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS, 10) || 48
+) {
+  const verificationToken = generateSecureToken();
+  this.emailVerified = false;
+  this.emailVerificationTokenHash = hashToken(verificationToken);
+  this.emailVerificationExpires = new Date(Date.now() + expiresInHours * 60 * 60 * 1000);
+  return verificationToken;
+};
+
 // Method to check if user has specific role
 userSchema.methods.hasRole = function (requiredRole) {
   return this.role === requiredRole;
@@ -98,11 +243,18 @@ userSchema.methods.hasRole = function (requiredRole) {
 
 // Method to get safe user object (without password)
 userSchema.methods.toSafeObject = function () {
-  const userObj = this.toObject();
-  delete userObj.password;
-  return userObj;
+  return sanitizeUser(this);
 };
 
+// One account per identity provider subject
+userSchema.index(
+  { 'oidc.issuer': 1, 'oidc.subject': 1 },
+  { unique: true, partialFilterExpression: { 'oidc.subject': { $exists: true } } }
+);
+
+// Confine queries to the organization of the current request
+userSchema.plugin(tenantScope);
+
 const User = mongoose.model('User', userSchema);
 
 export default User;
@@ -0,0 +1,31 @@
+/**
+ * Lifecycle Guard Plugin
+ * Rejects saves that change `status` outside the lifecycle service, so
+ * that a transition cannot be skipped by assigning the field directly.
+ * Also blocks query updates that touch `status`.
+ */
+const lifecycleGuard = (schema) => {
+  schema.pre('validate', function () {
+    if (this.isNew || !this.isModified('status')) return;
+
+    if (!this.$locals.lifecycleTransition) {
+      throw new Error('Status can only change through a lifecycle transition');
+    }
+  });
+
+  schema.post('save', function () {
+    delete this.$locals.lifecycleTransition;
+  });
+
+  schema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function () {
+    const update = this.getUpdate() || {};
+    const touchesStatus = [update, update.$set, update.$unset]
+      .some(fields => fields && Object.hasOwn(fields, 'status'));
+
+    if (touchesStatus) {
+      throw new Error('Status can only change through a lifecycle transition');
+    }
+  });
+};
+
+export default lifecycleGuard;
@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+import { getScopedOrganization } from '../../utils/tenantContext.js';
+
+const QUERY_HOOKS = [
+  'countDocuments',
+  'deleteMany',
+  'deleteOne',
+  'distinct',
+  'find',
+  'findOne',
+  'findOneAndDelete',
+  'findOneAndReplace',
+  'findOneAndUpdate',
+  'replaceOne',
+  'updateMany',
+  'updateOne',
+];
+
+/**
+ * Tenant Scope Plugin
+ * Confines every query, aggregation and write on a schema with an
+ * `organization` field to the organization of the current request.
+ * Pass the query option `skipTenantScope: true` for deliberate
+ * cross-tenant lookups (e.g. email uniqueness checks).
+ */
+const tenantScope = (schema) => {
+  schema.pre(QUERY_HOOKS, function () {
+    const organization = getScopedOrganization();
+
+    if (organization && !this.getOptions().skipTenantScope) {
+      this.where({ organization });
+    }
+  });
+
+  schema.pre('aggregate', function () {
+    const organization = getScopedOrganization();
+
+    if (organization && !this.options.skipTenantScope) {
+      this.pipeline().unshift({
+        $match: { organization: new mongoose.Types.ObjectId(String(organization)) },
+      });
+    }
+  });
+
+  schema.pre('validate', function () {
+    const organization = getScopedOrganization();
+
+    if (!organization) return;
+
+    const current = this.populated('organization') || this.organization;
+
+    if (!current) {
+      this.organization = organization;
+    } else if (String(current) !== String(organization)) {
+      throw new Error('Cannot write data belonging to another organization');
+    }
+  });
+};
+
+export default tenantScope;
@@ -1,20 +1,20 @@
 import express from 'express';
 
 import authController from '../controllers/authController.js';
-import { authenticate } from '../middleware/auth.js';
-import { validate } from '../middleware/validator.js';
+import { authenticate, authenticateMfaEnrollment } from '../middleware/auth.js';
+import { validate, validateObjectId } from '../middleware/validator.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 
 const router = express.Router();
 
 /**
  * @route   POST /api/auth/register
- * @desc    Register a new user
- * @access  Public
+ * @desc    Register a new user with an invitation token
+ * @access  Public (requires invitation)
  */
 router.post(
   '/register',
-  validate('userRegistration'),
+  validate('invitationRegistration'),
   asyncHandler(authController.register)
 );
 
@@ -29,6 +29,138 @@ router.post(
   asyncHandler(authController.login)
 );
 
+/**
+ * @route   GET /api/auth/oidc/login
+ * @desc    Start single sign-on (redirects to the identity provider)
+ * @access  Public
+ */
+router.get(
+  '/oidc/login',
+  asyncHandler(authController.oidcLogin)
+);
+
+/**
+ * @route   GET /api/auth/oidc/callback
+ * @desc    Complete single sign-on and issue tokens
+ * @access  Public
+ */
+router.get(
+  '/oidc/callback',
+  asyncHandler(authController.oidcCallback)
+);
+
+/**
+ * @route   POST /api/auth/mfa/verify
+ * @desc    Complete login with a TOTP or recovery code
+ * @access  Public (requires MFA challenge token)
+ */
+router.post(
+  '/mfa/verify',
+  validate('mfaVerify'),
+  asyncHandler(authController.verifyMfa)
+);
+
+/**
+ * @route   POST /api/auth/mfa/setup
+ * @desc    Start MFA enrollment
+ * @access  Private (or MFA enrollment token)
+ */
+router.post(
+  '/mfa/setup',
+  authenticateMfaEnrollment,
+  asyncHandler(authController.setupMfa)
+);
+
+/**
+ * @route   POST /api/auth/mfa/enable
+ * @desc    Confirm MFA enrollment and get recovery codes
+ * @access  Private (or MFA enrollment token)
+ */
+router.post(
+  '/mfa/enable',
+  authenticateMfaEnrollment,
+  validate('mfaCode'),
+  asyncHandler(authController.enableMfa)
+);
+
+/**
+ * @route   POST /api/auth/mfa/disable
+ * @desc    Disable MFA
+ * @access  Private
+ */
+router.post(
+  '/mfa/disable',
+  authenticate,
+  validate('mfaCode'),
+  asyncHandler(authController.disableMfa)
+);
+
+/**
+ * @route   POST /api/auth/mfa/recovery-codes
+ * @desc    Regenerate MFA recovery codes
+ * @access  Private
+ */
+router.post(
+  '/mfa/recovery-codes',
+  authenticate,
+  validate('mfaCode'),
+  asyncHandler(authController.regenerateRecoveryCodes)
+);
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new token pair
+ * @access  Public
+ */
+router.post(
+  '/refresh',
+  validate('tokenRefresh'),
+  asyncHandler(authController.refreshToken)
+);
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Send a password reset link
+ * @access  Public
+ */
+router.post(
+  '/forgot-password',
+  validate('forgotPassword'),
+  asyncHandler(authController.forgotPassword)
+);
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Reset password with a one-time token
+ * @access  Public
+ */
+router.post(
+  '/reset-password',
+  validate('resetPassword'),
+  asyncHandler(authController.resetPassword)
+);
+
+/**
+ * @route   GET /api/auth/verify-email
+ * @desc    Verify email address (token in query string)
+ * @access  Public
+ */
+router.get(
+  '/verify-email',
+  asyncHandler(authController.verifyEmail)
+);
+
+/**
+ * @route   POST /api/auth/verify-email/resend
+ * @desc    Resend the verification email
+ * @access  Private (allowed before verification)
+ */
+router.post(
+  '/verify-email/resend',
+  authenticate,
+  asyncHandler(authController.resendVerification)
+);
+
 /**
  * @route   GET /api/auth/profile
  * @desc    Get current user profile
@@ -42,18 +174,53 @@ router.get(
 
 /**
  * @route   PUT /api/auth/profile
- * @desc    Update current user profile
+ * @desc    Update current user profile or change password
  * @access  Private
  */
 router.put(
   '/profile',
   authenticate,
+  validate('profileUpdate'),
   asyncHandler(authController.updateProfile)
 );
 
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List active sessions of the current user
+ * @access  Private
+ */
+router.get(
+  '/sessions',
+  authenticate,
+  asyncHandler(authController.getMySessions)
+);
+
+/**
+ * @route   DELETE /api/auth/sessions
+ * @desc    Sign out all other sessions
+ * @access  Private
+ */
+router.delete(
+  '/sessions',
+  authenticate,
+  asyncHandler(authController.revokeMyOtherSessions)
+);
+
+/**
+ * @route   DELETE /api/auth/sessions/:sessionId
+ * @desc    Sign out one session
+ * @access  Private
+ */
+router.delete(
+  '/sessions/:sessionId',
+  authenticate,
+  validateObjectId('sessionId'),
+  asyncHandler(authController.revokeMySession)
+);
+
 /**
  * @route   POST /api/auth/logout
- * @desc    Logout user (for audit logging)
+ * @desc    Logout user and revoke current session
  * @access  Private
  */
 router.post(
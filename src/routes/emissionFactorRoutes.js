@@ -0,0 +1,106 @@
+import express from 'express';
+
+import emissionFactorController from '../controllers/emissionFactorController.js';
+import { authenticate, allowApiKey } from '../middleware/auth.js';
+import { validate, validateObjectId } from '../middleware/validator.js';
+import { requirePermission } from '../middleware/roleCheck.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { API_KEY_SCOPES, PERMISSIONS } from '../utils/constants.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/emission-factors
+ * @desc    Get the emission factor sets (?status=, ?name=)
+ * @access  Private (esg.read, API key)
+ */
+router.get(
+  '/',
+  allowApiKey(API_KEY_SCOPES.ESG_READ),
+  authenticate,
+  requirePermission(PERMISSIONS.ESG_READ),
+  asyncHandler(emissionFactorController.getFactorSets)
+);
+
+/**
+ * @route   GET /api/emission-factors/:id
+ * @desc    Get an emission factor set with its factors
+ * @access  Private (esg.read, API key)
+ */
+router.get(
+  '/:id',
+  allowApiKey(API_KEY_SCOPES.ESG_READ),
+  authenticate,
+  requirePermission(PERMISSIONS.ESG_READ),
+  validateObjectId('id'),
+  asyncHandler(emissionFactorController.getFactorSetById)
+);
+
+/**
+ * @route   POST /api/emission-factors
+ * @desc    Create a draft emission factor set
+ * @access  Private (emission_factor.manage)
+ */
+router.post(
+  '/',
+  authenticate,
+  requirePermission(PERMISSIONS.EMISSION_FACTOR_MANAGE),
+  validate('emissionFactorSetCreate'),
+  asyncHandler(emissionFactorController.createFactorSet)
+);
+
+/**
+ * @route   POST /api/emission-factors/:id/versions
+ * @desc    Start a new version of a factor set as a draft copy
+ * @access  Private (emission_factor.manage)
+ */
+router.post(
+  '/:id/versions',
+  authenticate,
+  requirePermission(PERMISSIONS.EMISSION_FACTOR_MANAGE),
+  validateObjectId('id'),
+  validate('emissionFactorSetVersion'),
+  asyncHandler(emissionFactorController.createFactorSetVersion)
+);
+
+/**
+ * @route   PUT /api/emission-factors/:id
+ * @desc    Update a draft emission factor set
+ * @access  Private (emission_factor.manage)
+ */
+router.put(
+  '/:id',
+  authenticate,
+  requirePermission(PERMISSIONS.EMISSION_FACTOR_MANAGE),
+  validateObjectId('id'),
+  validate('emissionFactorSetUpdate'),
+  asyncHandler(emissionFactorController.updateFactorSet)
+);
+
+/**
+ * @route   POST /api/emission-factors/:id/publish
+ * @desc    Publish a draft factor set (its factors become read-only)
+ * @access  Private (emission_factor.manage)
+ */
+router.post(
+  '/:id/publish',
+  authenticate,
+  requirePermission(PERMISSIONS.EMISSION_FACTOR_MANAGE),
+  validateObjectId('id'),
+  asyncHandler(emissionFactorController.publishFactorSet)
+);
+
+/**
+ * @route   POST /api/emission-factors/:id/retire
+ * @desc    Retire a published factor set
+ * @access  Private (emission_factor.manage)
+ */
+router.post(
+  '/:id/retire',
+  authenticate,
+  requirePermission(PERMISSIONS.EMISSION_FACTOR_MANAGE),
+  validateObjectId('id'),
+  asyncHandler(emissionFactorController.retireFactorSet)
+);
+
+export default router;
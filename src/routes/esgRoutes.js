@@ -1,99 +1,337 @@
 import express from 'express';
 
 import esgController from '../controllers/esgController.js';
-import { authenticate } from '../middleware/auth.js';
-import { validate, validateObjectId } from '../middleware/validator.js';
-import { adminOrAnalyst, adminOnly, anyRole } from '../middleware/roleCheck.js';
+import commentController from '../controllers/commentController.js';
+import evidenceController from '../controllers/evidenceController.js';
+import { authenticate, allowApiKey } from '../middleware/auth.js';
+import {
+  validate,
+  validateObjectId,
+  validateQueryObjectId
+} from '../middleware/validator.js';
+import { requirePermission } from '../middleware/roleCheck.js';
+import { rawUpload } from '../middleware/upload.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import { XLSX_CONTENT_TYPE } from '../utils/xlsx.js';
+import {
+  API_KEY_SCOPES,
+  PERMISSIONS,
+  EVIDENCE_CONTENT_TYPES
+} from '../utils/constants.js';
 
 const router = express.Router();
 
 /**
  * @route   POST /api/esg
  * @desc    Create a new ESG record
- * @access  Private (Administrator, ESG Analyst)
+ * @access  Private (esg.create, API key)
  */
 router.post(
   '/',
+  allowApiKey(API_KEY_SCOPES.ESG_WRITE),
   authenticate,
-  adminOrAnalyst,
+  requirePermission(PERMISSIONS.ESG_CREATE),
   validate('esgRecordCreate'),
   asyncHandler(esgController.createESGRecord)
 );
 
+/**
+ * @route   POST /api/esg/import
+ * @desc    Import ESG records as drafts from a CSV or XLSX request body
+ *          (CSV columns per ESG_IMPORT_COLUMNS, XLSX as the import
+ *          template; ?dryRun=true to only validate)
+ * @access  Private (esg.create, API key)
+ */
+router.post(
+  '/import',
+  allowApiKey(API_KEY_SCOPES.ESG_WRITE),
+  authenticate,
+  requirePermission(PERMISSIONS.ESG_CREATE),
+  rawUpload(['text/csv', XLSX_CONTENT_TYPE]),
+  asyncHandler(esgController.importESGRecords)
+);
+
+/**
+ * @route   GET /api/esg/import/template
+ * @desc    Download the XLSX import template (one sheet per pillar)
+ * @access  Private (esg.create, API key)
+ */
+router.get(
+  '/import/template',
+  allowApiKey(API_KEY_SCOPES.ESG_WRITE),
+  authenticate,
+  requirePermission(PERMISSIONS.ESG_CREATE),
+  asyncHandler(esgController.getImportTemplate)
+);
+
 /**
  * @route   GET /api/esg
  * @desc    Get all ESG records with filters
- * @access  Private (All roles)
+ * @access  Private (esg.read, API key)
  */
 router.get(
   '/',
+  allowApiKey(API_KEY_SCOPES.ESG_READ),
   authenticate,
-  anyRole,
+  requirePermission(PERMISSIONS.ESG_READ),
+  validateQueryObjectId('organization'),
+  validateQueryObjectId('facility', ['none']),
   asyncHandler(esgController.getESGRecords)
 );
 
+/**
+ * @route   GET /api/esg/export
+ * @desc    Export ESG records matching the list filters
+ *          (?format=csv|xlsx|jsonl, default csv)
+ * @access  Private (esg.read, API key)
+ */
+router.get(
+  '/export',
+  allowApiKey(API_KEY_SCOPES.ESG_READ),
+  authenticate,
+  requirePermission(PERMISSIONS.ESG_READ),
+  validateQueryObjectId('organization'),
+  validateQueryObjectId('facility', ['none']),
+  asyncHandler(esgController.exportESGRecords)
+);
+
 /**
  * @route   GET /api/esg/:id
  * @desc    Get single ESG record by ID
- * @access  Private (All roles)
+ * @access  Private (esg.read, API key)
  */
 router.get(
   '/:id',
+  allowApiKey(API_KEY_SCOPES.ESG_READ),
   authenticate,
-  anyRole,
+  requirePermission(PERMISSIONS.ESG_READ),
   validateObjectId('id'),
   asyncHandler(esgController.getESGRecordById)
 );
 
+/**
+ * @route   GET /api/esg/:id/versions
+ * @desc    Get the version history of an ESG record
+ * @access  Private (esg.read, API key)
+ */
+router.get(
+  '/:id/versions',
+  allowApiKey(API_KEY_SCOPES.ESG_READ),
+  authenticate,
+  requirePermission(PERMISSIONS.ESG_READ),
+  validateObjectId('id'),
+  asyncHandler(esgController.getESGRecordVersions)
+);
+
+/**
+ * @route   GET /api/esg/:id/versions/:version/diff
+ * @desc    Get the field-level changes of a version against the previous
+ *          one (?against=<version> to compare with another)
+ * @access  Private (esg.read, API key)
+ */
+router.get(
+  '/:id/versions/:version/diff',
+  allowApiKey(API_KEY_SCOPES.ESG_READ),
+  authenticate,
+  requirePermission(PERMISSIONS.ESG_READ),
+  validateObjectId('id'),
+  asyncHandler(esgController.getESGRecordVersionDiff)
+);
+
+/**
+ * @route   POST /api/esg/:id/versions/:version/restore
+ * @desc    Restore an earlier version of an ESG record as a new version
+ *          (approved records go back to draft)
+ * @access  Private (esg.edit_approved)
+ */
+router.post(
+  '/:id/versions/:version/restore',
+  authenticate,
+  requirePermission(PERMISSIONS.ESG_EDIT_APPROVED),
+  validateObjectId('id'),
+  asyncHandler(esgController.restoreESGRecordVersion)
+);
+
 /**
  * @route   PUT /api/esg/:id
- * @desc    Update ESG record
- * @access  Private (Administrator, ESG Analyst)
+ * @desc    Update ESG record (changed figures send approved records back
+ *          to draft)
+ * @access  Private (esg.update, API key)
  */
 router.put(
   '/:id',
+  allowApiKey(API_KEY_SCOPES.ESG_WRITE),
   authenticate,
-  adminOrAnalyst,
+  requirePermission(PERMISSIONS.ESG_UPDATE),
   validateObjectId('id'),
   asyncHandler(esgController.updateESGRecord)
 );
 
+/**
+ * @route   GET /api/esg/:id/comments
+ * @desc    Get the comment threads of an ESG record
+ *          (?field=<metric>, ?resolved=true|false)
+ * @access  Private (esg.read)
+ */
+router.get(
+  '/:id/comments',
+  authenticate,
+  requirePermission(PERMISSIONS.ESG_READ),
+  validateObjectId('id'),
+  asyncHandler(commentController.getComments)
+);
+
+/**
+ * @route   POST /api/esg/:id/comments
+ * @desc    Comment on an ESG record or one of its metrics, or reply to
+ *          a thread (blocking threads need esg.approve)
+ * @access  Private (esg.read)
+ */
+router.post(
+  '/:id/comments',
+  authenticate,
+  requirePermission(PERMISSIONS.ESG_READ),
+  validateObjectId('id'),
+  validate('esgCommentCreate'),
+  asyncHandler(commentController.addComment)
+);
+
+/**
+ * @route   POST /api/esg/:id/comments/:commentId/resolve
+ * @desc    Resolve a comment thread (author or reviewer)
+ * @access  Private (esg.read)
+ */
+router.post(
+  '/:id/comments/:commentId/resolve',
+  authenticate,
+  requirePermission(PERMISSIONS.ESG_READ),
+  validateObjectId('id'),
+  validateObjectId('commentId'),
+  asyncHandler(commentController.resolveComment)
+);
+
+/**
+ * @route   POST /api/esg/:id/comments/:commentId/unresolve
+ * @desc    Reopen a resolved comment thread (author or reviewer)
+ * @access  Private (esg.read)
+ */
+router.post(
+  '/:id/comments/:commentId/unresolve',
+  authenticate,
+  requirePermission(PERMISSIONS.ESG_READ),
+  validateObjectId('id'),
+  validateObjectId('commentId'),
+  asyncHandler(commentController.unresolveComment)
+);
+
+/**
+ * @route   POST /api/esg/:id/evidence
+ * @desc    Upload an evidence file as the raw request body
+ *          (?fileName=, optional ?field=<metric> and ?description=)
+ * @access  Private (esg.update, API key)
+ */
+router.post(
+  '/:id/evidence',
+  allowApiKey(API_KEY_SCOPES.ESG_WRITE),
+  authenticate,
+  requirePermission(PERMISSIONS.ESG_UPDATE),
+  validateObjectId('id'),
+  rawUpload(EVIDENCE_CONTENT_TYPES),
+  asyncHandler(evidenceController.uploadEvidence)
+);
+
+/**
+ * @route   GET /api/esg/:id/evidence
+ * @desc    Get the evidence files of an ESG record (?field=<metric>)
+ * @access  Private (esg.read, API key)
+ */
+router.get(
+  '/:id/evidence',
+  allowApiKey(API_KEY_SCOPES.ESG_READ),
+  authenticate,
+  requirePermission(PERMISSIONS.ESG_READ),
+  validateObjectId('id'),
+  asyncHandler(evidenceController.getEvidence)
+);
+
+/**
+ * @route   GET /api/esg/:id/evidence/:evidenceId/download
+ * @desc    Download an evidence file
+ * @access  Private (esg.read, API key)
+ */
+router.get(
+  '/:id/evidence/:evidenceId/download',
+  allowApiKey(API_KEY_SCOPES.ESG_READ),
+  authenticate,
+  requirePermission(PERMISSIONS.ESG_READ),
+  validateObjectId('id'),
+  validateObjectId('evidenceId'),
+  asyncHandler(evidenceController.downloadEvidence)
+);
+
 /**
  * @route   POST /api/esg/:id/submit
  * @desc    Submit ESG record for review
- * @access  Private (Administrator, ESG Analyst)
+ * @access  Private (esg.submit, API key)
  */
 router.post(
   '/:id/submit',
+  allowApiKey(API_KEY_SCOPES.ESG_WRITE),
   authenticate,
-  adminOrAnalyst,
+  requirePermission(PERMISSIONS.ESG_SUBMIT),
   validateObjectId('id'),
   asyncHandler(esgController.submitESGRecord)
 );
 
+/**
+ * @route   POST /api/esg/:id/start-review
+ * @desc    Take a submitted ESG record under review
+ * @access  Private (esg.approve)
+ */
+router.post(
+  '/:id/start-review',
+  authenticate,
+  requirePermission(PERMISSIONS.ESG_APPROVE),
+  validateObjectId('id'),
+  asyncHandler(esgController.startESGRecordReview)
+);
+
+/**
+ * @route   POST /api/esg/:id/reject
+ * @desc    Reject ESG record back to its submitter with reasons
+ * @access  Private (esg.approve)
+ */
+router.post(
+  '/:id/reject',
+  authenticate,
+  requirePermission(PERMISSIONS.ESG_APPROVE),
+  validateObjectId('id'),
+  validate('esgRecordReject'),
+  asyncHandler(esgController.rejectESGRecord)
+);
+
 /**
  * @route   POST /api/esg/:id/approve
  * @desc    Approve ESG record
- * @access  Private (Administrator, Auditor)
+ * @access  Private (esg.approve)
  */
 router.post(
   '/:id/approve',
   authenticate,
-  anyRole,
+  requirePermission(PERMISSIONS.ESG_APPROVE),
   validateObjectId('id'),
   asyncHandler(esgController.approveESGRecord)
 );
 
 /**
  * @route   DELETE /api/esg/:id
- * @desc    Delete ESG record
- * @access  Private (Administrator only)
+ * @desc    Delete ESG record with its versions, comments and evidence
+ * @access  Private (esg.delete)
  */
 router.delete(
   '/:id',
   authenticate,
-  adminOnly,
+  requirePermission(PERMISSIONS.ESG_DELETE),
   validateObjectId('id'),
   asyncHandler(esgController.deleteESGRecord)
 );
@@ -0,0 +1,71 @@
+import express from 'express';
+
+import facilityController from '../controllers/facilityController.js';
+import { authenticate, allowApiKey } from '../middleware/auth.js';
+import {
+  validate,
+  validateObjectId,
+  validateQueryObjectId
+} from '../middleware/validator.js';
+import { requirePermission } from '../middleware/roleCheck.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { API_KEY_SCOPES, PERMISSIONS } from '../utils/constants.js';
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/facilities
+ * @desc    Create a facility
+ * @access  Private (organization.settings)
+ */
+router.post(
+  '/',
+  authenticate,
+  requirePermission(PERMISSIONS.ORGANIZATION_SETTINGS),
+  validate('facilityCreate'),
+  asyncHandler(facilityController.createFacility)
+);
+
+/**
+ * @route   GET /api/facilities
+ * @desc    Get facilities with filters
+ * @access  Private (esg.read, API key)
+ */
+router.get(
+  '/',
+  allowApiKey(API_KEY_SCOPES.ESG_READ),
+  authenticate,
+  requirePermission(PERMISSIONS.ESG_READ),
+  validateQueryObjectId('organization'),
+  asyncHandler(facilityController.getFacilities)
+);
+
+/**
+ * @route   GET /api/facilities/:id
+ * @desc    Get a facility by ID
+ * @access  Private (esg.read, API key)
+ */
+router.get(
+  '/:id',
+  allowApiKey(API_KEY_SCOPES.ESG_READ),
+  authenticate,
+  requirePermission(PERMISSIONS.ESG_READ),
+  validateObjectId('id'),
+  asyncHandler(facilityController.getFacilityById)
+);
+
+/**
+ * @route   PUT /api/facilities/:id
+ * @desc    Update or close a facility
+ * @access  Private (organization.settings)
+ */
+router.put(
+  '/:id',
+  authenticate,
+  requirePermission(PERMISSIONS.ORGANIZATION_SETTINGS),
+  validateObjectId('id'),
+  validate('facilityUpdate'),
+  asyncHandler(facilityController.updateFacility)
+);
+
+export default router;
@@ -0,0 +1,101 @@
+import express from 'express';
+
+import organizationController from '../controllers/organizationController.js';
+import { authenticate } from '../middleware/auth.js';
+import { validate, validateObjectId } from '../middleware/validator.js';
+import { requirePermission } from '../middleware/roleCheck.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { PERMISSIONS } from '../utils/constants.js';
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/organizations
+ * @desc    Create an organization
+ * @access  Private (organization.manage)
+ */
+router.post(
+  '/',
+  authenticate,
+  requirePermission(PERMISSIONS.ORGANIZATION_MANAGE),
+  validate('organizationCreate'),
+  asyncHandler(organizationController.createOrganization)
+);
+
+/**
+ * @route   GET /api/organizations
+ * @desc    Get all organizations
+ * @access  Private (organization.manage)
+ */
+router.get(
+  '/',
+  authenticate,
+  requirePermission(PERMISSIONS.ORGANIZATION_MANAGE),
+  asyncHandler(organizationController.getOrganizations)
+);
+
+/**
+ * @route   GET /api/organizations/current
+ * @desc    Get your own organization and its settings
+ * @access  Private
+ */
+router.get(
+  '/current',
+  authenticate,
+  asyncHandler(organizationController.getCurrentOrganization)
+);
+
+/**
+ * @route   GET /api/organizations/current/structure
+ * @desc    Get the subsidiaries rolled up into your organization's
+ *          consolidated reports (?approach= to preview another approach)
+ * @access  Private (report.read)
+ */
+router.get(
+  '/current/structure',
+  authenticate,
+  requirePermission(PERMISSIONS.REPORT_READ),
+  asyncHandler(organizationController.getCurrentOrganizationStructure)
+);
+
+/**
+ * @route   PUT /api/organizations/current/settings
+ * @desc    Update your own organization's settings
+ * @access  Private (organization.settings)
+ */
+router.put(
+  '/current/settings',
+  authenticate,
+  requirePermission(PERMISSIONS.ORGANIZATION_SETTINGS),
+  validate('organizationSettings'),
+  asyncHandler(organizationController.updateCurrentOrganizationSettings)
+);
+
+/**
+ * @route   GET /api/organizations/:id
+ * @desc    Get an organization by ID
+ * @access  Private (organization.manage)
+ */
+router.get(
+  '/:id',
+  authenticate,
+  requirePermission(PERMISSIONS.ORGANIZATION_MANAGE),
+  validateObjectId('id'),
+  asyncHandler(organizationController.getOrganizationById)
+);
+
+/**
+ * @route   PUT /api/organizations/:id
+ * @desc    Rename, (de)activate or move an organization within a group
+ * @access  Private (organization.manage)
+ */
+router.put(
+  '/:id',
+  authenticate,
+  requirePermission(PERMISSIONS.ORGANIZATION_MANAGE),
+  validateObjectId('id'),
+  validate('organizationUpdate'),
+  asyncHandler(organizationController.updateOrganization)
+);
+
+export default router;
@@ -1,22 +1,28 @@
 import express from 'express';
 
 import reportController from '../controllers/reportController.js';
-import { authenticate } from '../middleware/auth.js';
-import { validate, validateObjectId } from '../middleware/validator.js';
-import { adminOrAnalyst, adminOnly, anyRole } from '../middleware/roleCheck.js';
+import { authenticate, allowApiKey } from '../middleware/auth.js';
+import {
+  validate,
+  validateObjectId,
+  validateQueryObjectId
+} from '../middleware/validator.js';
+import { requirePermission } from '../middleware/roleCheck.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import { API_KEY_SCOPES, PERMISSIONS } from '../utils/constants.js';
 
 const router = express.Router();
 
 /**
  * @route   POST /api/reports/generate
  * @desc    Generate a new ESG report
- * @access  Private (Administrator, ESG Analyst)
+ * @access  Private (report.generate, API key)
  */
 router.post(
   '/generate',
+  allowApiKey(API_KEY_SCOPES.REPORTS_WRITE),
   authenticate,
-  adminOrAnalyst,
+  requirePermission(PERMISSIONS.REPORT_GENERATE),
   validate('reportGenerate'),
   asyncHandler(reportController.generateReport)
 );
@@ -24,62 +30,69 @@ router.post(
 /**
  * @route   GET /api/reports
  * @desc    Get all reports with filters
- * @access  Private (All roles)
+ * @access  Private (report.read, API key)
  */
 router.get(
   '/',
+  allowApiKey(API_KEY_SCOPES.REPORTS_READ),
   authenticate,
-  anyRole,
+  requirePermission(PERMISSIONS.REPORT_READ),
+  validateQueryObjectId('organization'),
   asyncHandler(reportController.getReports)
 );
 
 /**
  * @route   GET /api/reports/statistics
  * @desc    Get report statistics
- * @access  Private (All roles)
+ * @access  Private (report.read, API key)
  */
 router.get(
   '/statistics',
+  allowApiKey(API_KEY_SCOPES.REPORTS_READ),
   authenticate,
-  anyRole,
+  requirePermission(PERMISSIONS.REPORT_READ),
+  validateQueryObjectId('organization'),
   asyncHandler(reportController.getReportStatistics)
 );
 
 /**
  * @route   GET /api/reports/:id
  * @desc    Get single report by ID
- * @access  Private (All roles)
+ * @access  Private (report.read, API key)
  */
 router.get(
   '/:id',
+  allowApiKey(API_KEY_SCOPES.REPORTS_READ),
   authenticate,
-  anyRole,
+  requirePermission(PERMISSIONS.REPORT_READ),
   validateObjectId('id'),
   asyncHandler(reportController.getReportById)
 );
 
 /**
  * @route   PUT /api/reports/:id/status
- * @desc    Update report status
- * @access  Private (Administrator, ESG Analyst)
+ * @desc    Move a report through its lifecycle (finalize, reopen,
+ *          publish, archive) and/or update its notes
+ * @access  Private (report.publish)
  */
 router.put(
   '/:id/status',
   authenticate,
-  adminOrAnalyst,
+  requirePermission(PERMISSIONS.REPORT_PUBLISH),
   validateObjectId('id'),
+  validate('reportStatusUpdate'),
   asyncHandler(reportController.updateReportStatus)
 );
 
 /**
  * @route   DELETE /api/reports/:id
  * @desc    Delete report
- * @access  Private (Administrator only)
+ * @access  Private (report.delete)
  */
 router.delete(
   '/:id',
   authenticate,
-  adminOnly,
+  requirePermission(PERMISSIONS.REPORT_DELETE),
   validateObjectId('id'),
   asyncHandler(reportController.deleteReport)
 );
@@ -0,0 +1,89 @@
+import express from 'express';
+
+import roleController from '../controllers/roleController.js';
+import { authenticate } from '../middleware/auth.js';
+import { validate, validateObjectId } from '../middleware/validator.js';
+import { requirePermission } from '../middleware/roleCheck.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { PERMISSIONS } from '../utils/constants.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/roles/permissions
+ * @desc    Get the permission catalogue
+ * @access  Private (role.manage)
+ */
+router.get(
+  '/permissions',
+  authenticate,
+  requirePermission(PERMISSIONS.ROLE_MANAGE),
+  asyncHandler(roleController.getPermissions)
+);
+
+/**
+ * @route   GET /api/roles
+ * @desc    Get all roles and their permissions
+ * @access  Private (role.manage)
+ */
+router.get(
+  '/',
+  authenticate,
+  requirePermission(PERMISSIONS.ROLE_MANAGE),
+  asyncHandler(roleController.getRoles)
+);
+
+/**
+ * @route   POST /api/roles
+ * @desc    Create a custom role
+ * @access  Private (role.manage)
+ */
+router.post(
+  '/',
+  authenticate,
+  requirePermission(PERMISSIONS.ROLE_MANAGE),
+  validate('roleCreate'),
+  asyncHandler(roleController.createRole)
+);
+
+/**
+ * @route   GET /api/roles/:id
+ * @desc    Get a role by ID
+ * @access  Private (role.manage)
+ */
+router.get(
+  '/:id',
+  authenticate,
+  requirePermission(PERMISSIONS.ROLE_MANAGE),
+  validateObjectId('id'),
+  asyncHandler(roleController.getRoleById)
+);
+
+/**
+ * @route   PUT /api/roles/:id
+ * @desc    Update a role's description or permissions
+ * @access  Private (role.manage)
+ */
+router.put(
+  '/:id',
+  authenticate,
+  requirePermission(PERMISSIONS.ROLE_MANAGE),
+  validateObjectId('id'),
+  validate('roleUpdate'),
+  asyncHandler(roleController.updateRole)
+);
+
+/**
+ * @route   DELETE /api/roles/:id
+ * @desc    Delete an unused custom role
+ * @access  Private (role.manage)
+ */
+router.delete(
+  '/:id',
+  authenticate,
+  requirePermission(PERMISSIONS.ROLE_MANAGE),
+  validateObjectId('id'),
+  asyncHandler(roleController.deleteRole)
+);
+
+export default router;
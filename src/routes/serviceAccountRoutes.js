@@ -0,0 +1,112 @@
+import express from 'express';
+
+import serviceAccountController from '../controllers/serviceAccountController.js';
+import { authenticate } from '../middleware/auth.js';
+import {
+  validate,
+  validateObjectId,
+  validateQueryObjectId
+} from '../middleware/validator.js';
+import { requirePermission } from '../middleware/roleCheck.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { PERMISSIONS } from '../utils/constants.js';
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/service-accounts
+ * @desc    Create a service account for a machine integration
+ * @access  Private (service_account.manage)
+ */
+router.post(
+  '/',
+  authenticate,
+  requirePermission(PERMISSIONS.SERVICE_ACCOUNT_MANAGE),
+  validate('serviceAccountCreate'),
+  asyncHandler(serviceAccountController.createServiceAccount)
+);
+
+/**
+ * @route   GET /api/service-accounts
+ * @desc    Get all service accounts
+ * @access  Private (service_account.manage)
+ */
+router.get(
+  '/',
+  authenticate,
+  requirePermission(PERMISSIONS.SERVICE_ACCOUNT_MANAGE),
+  validateQueryObjectId('organization'),
+  asyncHandler(serviceAccountController.getServiceAccounts)
+);
+
+/**
+ * @route   GET /api/service-accounts/:id
+ * @desc    Get a service account and its API keys
+ * @access  Private (service_account.manage, API key)
+ */
+router.get(
+  '/:id',
+  authenticate,
+  requirePermission(PERMISSIONS.SERVICE_ACCOUNT_MANAGE),
+  validateObjectId('id'),
+  asyncHandler(serviceAccountController.getServiceAccountById)
+);
+
+/**
+ * @route   PUT /api/service-accounts/:id
+ * @desc    Update or deactivate a service account
+ * @access  Private (service_account.manage)
+ */
+router.put(
+  '/:id',
+  authenticate,
+  requirePermission(PERMISSIONS.SERVICE_ACCOUNT_MANAGE),
+  validateObjectId('id'),
+  validate('serviceAccountUpdate'),
+  asyncHandler(serviceAccountController.updateServiceAccount)
+);
+
+/**
+ * @route   POST /api/service-accounts/:id/keys
+ * @desc    Issue a scoped API key (the key is only shown once)
+ * @access  Private (service_account.manage, API key)
+ */
+router.post(
+  '/:id/keys',
+  authenticate,
+  requirePermission(PERMISSIONS.SERVICE_ACCOUNT_MANAGE),
+  validateObjectId('id'),
+  validate('apiKeyCreate'),
+  asyncHandler(serviceAccountController.createApiKey)
+);
+
+/**
+ * @route   POST /api/service-accounts/:id/keys/:keyId/rotate
+ * @desc    Replace an API key, optionally keeping the old one for a grace period
+ * @access  Private (service_account.manage, API key)
+ */
+router.post(
+  '/:id/keys/:keyId/rotate',
+  authenticate,
+  requirePermission(PERMISSIONS.SERVICE_ACCOUNT_MANAGE),
+  validateObjectId('id'),
+  validateObjectId('keyId'),
+  validate('apiKeyRotate'),
+  asyncHandler(serviceAccountController.rotateApiKey)
+);
+
+/**
+ * @route   DELETE /api/service-accounts/:id/keys/:keyId
+ * @desc    Revoke an API key
+ * @access  Private (service_account.manage, API key)
+ */
+router.delete(
+  '/:id/keys/:keyId',
+  authenticate,
+  requirePermission(PERMISSIONS.SERVICE_ACCOUNT_MANAGE),
+  validateObjectId('id'),
+  validateObjectId('keyId'),
+  asyncHandler(serviceAccountController.revokeApiKey)
+);
+
+export default router;
@@ -1,34 +1,41 @@
 import express from 'express';
 
 import userController from '../controllers/userController.js';
+import invitationController from '../controllers/invitationController.js';
 import { authenticate } from '../middleware/auth.js';
-import { validate, validateObjectId } from '../middleware/validator.js';
-import { adminOnly, anyRole } from '../middleware/roleCheck.js';
+import {
+  validate,
+  validateObjectId,
+  validateQueryObjectId
+} from '../middleware/validator.js';
+import { requirePermission } from '../middleware/roleCheck.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import { PERMISSIONS } from '../utils/constants.js';
 
 const router = express.Router();
 
 /**
  * @route   GET /api/users
  * @desc    Get all users
- * @access  Private (Administrator only)
+ * @access  Private (user.manage)
  */
 router.get(
   '/',
   authenticate,
-  adminOnly,
+  requirePermission(PERMISSIONS.USER_MANAGE),
+  validateQueryObjectId('organization'),
   asyncHandler(userController.getAllUsers)
 );
 
 /**
  * @route   POST /api/users
  * @desc    Create a new user
- * @access  Private (Administrator only)
+ * @access  Private (user.manage)
  */
 router.post(
   '/',
   authenticate,
-  adminOnly,
+  requirePermission(PERMISSIONS.USER_MANAGE),
   validate('userRegistration'),
   asyncHandler(userController.createUser)
 );
@@ -36,24 +43,63 @@ router.post(
 /**
  * @route   GET /api/users/audit-logs
  * @desc    Get audit logs
- * @access  Private (Administrator, Auditor)
+ * @access  Private (audit.read)
  */
 router.get(
   '/audit-logs',
   authenticate,
-  anyRole,
+  requirePermission(PERMISSIONS.AUDIT_READ),
   asyncHandler(userController.getAuditLogs)
 );
 
+/**
+ * @route   POST /api/users/invitations
+ * @desc    Invite a user (fixes email, role and organization)
+ * @access  Private (user.manage)
+ */
+router.post(
+  '/invitations',
+  authenticate,
+  requirePermission(PERMISSIONS.USER_MANAGE),
+  validate('invitationCreate'),
+  asyncHandler(invitationController.createInvitation)
+);
+
+/**
+ * @route   GET /api/users/invitations
+ * @desc    Get invitations
+ * @access  Private (user.manage)
+ */
+router.get(
+  '/invitations',
+  authenticate,
+  requirePermission(PERMISSIONS.USER_MANAGE),
+  validateQueryObjectId('organization'),
+  asyncHandler(invitationController.getInvitations)
+);
+
+/**
+ * @route   DELETE /api/users/invitations/:invitationId
+ * @desc    Revoke a pending invitation
+ * @access  Private (user.manage)
+ */
+router.delete(
+  '/invitations/:invitationId',
+  authenticate,
+  requirePermission(PERMISSIONS.USER_MANAGE),
+  validateObjectId('invitationId'),
+  asyncHandler(invitationController.revokeInvitation)
+);
+
 /**
  * @route   GET /api/users/:id
  * @desc    Get user by ID
- * @access  Private (Administrator only)
+ * @access  Private (user.manage)
  */
 router.get(
   '/:id',
   authenticate,
-  adminOnly,
+  requirePermission(PERMISSIONS.USER_MANAGE),
   validateObjectId('id'),
   asyncHandler(userController.getUserById)
 );
@@ -61,25 +107,92 @@ router.get(
 /**
  * @route   PUT /api/users/:id
  * @desc    Update user
- * @access  Private (Administrator only)
+ * @access  Private (user.manage)
  */
 router.put(
   '/:id',
   authenticate,
-  adminOnly,
+  requirePermission(PERMISSIONS.USER_MANAGE),
   validateObjectId('id'),
+  validate('userUpdate'),
   asyncHandler(userController.updateUser)
 );
 
+/**
+ * @route   GET /api/users/:id/sessions
+ * @desc    List a user's active sessions
+ * @access  Private (user.manage)
+ */
+router.get(
+  '/:id/sessions',
+  authenticate,
+  requirePermission(PERMISSIONS.USER_MANAGE),
+  validateObjectId('id'),
+  asyncHandler(userController.getUserSessions)
+);
+
+/**
+ * @route   DELETE /api/users/:id/sessions
+ * @desc    Force logout of all a user's sessions
+ * @access  Private (user.manage)
+ */
+router.delete(
+  '/:id/sessions',
+  authenticate,
+  requirePermission(PERMISSIONS.USER_MANAGE),
+  validateObjectId('id'),
+  asyncHandler(userController.revokeUserSessions)
+);
+
+/**
+ * @route   DELETE /api/users/:id/sessions/:sessionId
+ * @desc    Force logout of one session
+ * @access  Private (user.manage)
+ */
+router.delete(
+  '/:id/sessions/:sessionId',
+  authenticate,
+  requirePermission(PERMISSIONS.USER_MANAGE),
+  validateObjectId('id'),
+  validateObjectId('sessionId'),
+  asyncHandler(userController.revokeUserSession)
+);
+
+/**
+ * @route   GET /api/users/:id/lock
+ * @desc    Get account lock state
+ * @access  Private (user.manage)
+ */
+router.get(
+  '/:id/lock',
+  authenticate,
+  requirePermission(PERMISSIONS.USER_MANAGE),
+  validateObjectId('id'),
+  asyncHandler(userController.getUserLockStatus)
+);
+
+/**
+ * @route   POST /api/users/:id/unlock
+ * @desc    Unlock a locked account
+ * @access  Private (user.manage)
+ */
+router.post(
+  '/:id/unlock',
+  authenticate,
+  requirePermission(PERMISSIONS.USER_MANAGE),
+  validateObjectId('id'),
+  asyncHandler(userController.unlockUser)
+);
+
 /**
  * @route   DELETE /api/users/:id
  * @desc    Delete user
- * @access  Private (Administrator only)
+ * @access  Private (user.manage)
  */
 router.delete(
   '/:id',
   authenticate,
-  adminOnly,
+  requirePermission(PERMISSIONS.USER_MANAGE),
   validateObjectId('id'),
   asyncHandler(userController.deleteUser)
 );
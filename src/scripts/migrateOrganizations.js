@@ -0,0 +1,84 @@
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import Organization from '../models/Organization.js';
+import roleService from '../services/roleService.js';
+import organizationService from '../services/organizationService.js';
+import { ROLES } from '../utils/constants.js';
+
+/**
+ * Organization Migration
+ * Turns the free-text `organization` names stored on users, ESG
+ * records, reports, invitations and service accounts into Organization
+ * documents referenced by id.
+ *
+ * Administrators used to see every organization; they are promoted to
+ * super admins so they keep that access. Demote them afterwards where
+ * an organization-level administrator is enough.
+ *
+ * Usage: npm run migrate:organizations
+ */
+const COLLECTIONS = ['users', 'esgrecords', 'reports', 'invitations', 'serviceaccounts'];
+
+/**
+ * Find or create the organization for a legacy name
+ */
+const findOrCreateOrganization = async (name) => {
+  const existing = await Organization.findOne({ name });
+
+  if (existing) {
+    return existing;
+  }
+
+  const baseSlug = organizationService.slugify(name) || 'organization';
+  let slug = baseSlug;
+
+  for (let suffix = 2; await Organization.exists({ slug }); suffix++) {
+    slug = `${baseSlug}-${suffix}`;
+  }
+
+  return Organization.create({ name, slug });
+};
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  await roleService.ensureSystemRoles();
+
+  const { db } = mongoose.connection;
+
+  for (const collectionName of COLLECTIONS) {
+    const collection = db.collection(collectionName);
+    const names = await collection.distinct('organization', {
+      organization: { $type: 'string' }
+    });
+
+    for (const name of names) {
+      const organization = await findOrCreateOrganization(name.trim());
+      const result = await collection.updateMany(
+        { organization: name },
+        { $set: { organization: organization._id } }
+      );
+
+      console.log(
+        `${collectionName}: ${result.modifiedCount} document(s) moved to "${organization.name}"`
+      );
+    }
+  }
+
+  const promoted = await db.collection('users').updateMany(
+    { role: ROLES.ADMINISTRATOR },
+    { $set: { role: ROLES.SUPER_ADMIN } }
+  );
+
+  console.log(`users: ${promoted.modifiedCount} administrator(s) promoted to super admin`);
+};
+
+migrate()
+  .then(() => {
+    console.log('Organization migration complete');
+    return mongoose.disconnect();
+  })
+  .catch(async (error) => {
+    console.error('Organization migration failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -0,0 +1,113 @@
+import User from '../models/User.js';
+import auditService from './auditService.js';
+
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.LOCKOUT_MAX_ATTEMPTS, 10) || 5;
+const BASE_LOCK_MINUTES = parseInt(process.env.LOCKOUT_BASE_MINUTES, 10) || 15;
+const MAX_LOCK_MINUTES = parseInt(process.env.LOCKOUT_MAX_MINUTES, 10) || 24 * 60;
+
+/**
+ * Account Lockout Service
+ * Counts consecutive failed logins and locks accounts for an
+ * escalating period (base, 2x, 4x, ... capped at the maximum)
+ */
+class AccountLockoutService {
+  /**
+   * Check if an account is currently locked
+   */
+  isLocked(user) {
+    return Boolean(user.lockUntil && user.lockUntil > new Date());
+  }
+
+  /**
+   * Get lock duration in minutes for the nth lockout (0-based)
+   */
+  getLockDurationMinutes(lockoutCount) {
+    return Math.min(BASE_LOCK_MINUTES * 2 ** lockoutCount, MAX_LOCK_MINUTES);
+  }
+
+  /**
+   * Describe lock state of an account
+   */
+  getLockState(user) {
+    return {
+      locked: this.isLocked(user),
+      lockUntil: this.isLocked(user) ? user.lockUntil : null,
+      failedLoginAttempts: user.failedLoginAttempts || 0,
+      lockoutCount: user.lockoutCount || 0,
+      maxFailedAttempts: MAX_FAILED_ATTEMPTS
+    };
+  }
+
+  /**
+   * Record a failed attempt; locks the account when the limit is hit.
+   * Returns the updated lock state.
+   */
+  async recordFailedAttempt(user, req) {
+    // Atomic increment so parallel attempts are all counted
+    const updated = await User.findByIdAndUpdate(
+      user._id,
+      { $inc: { failedLoginAttempts: 1 } },
+      { returnDocument: 'after' }
+    );
+
+    if (updated.failedLoginAttempts < MAX_FAILED_ATTEMPTS) {
+      return this.getLockState(updated);
+    }
+
+    const lockMinutes = this.getLockDurationMinutes(updated.lockoutCount || 0);
+    const lockUntil = new Date(Date.now() + lockMinutes * 60 * 1000);
+
+    const locked = await User.findByIdAndUpdate(
+      user._id,
+      {
+        $set: { lockUntil, failedLoginAttempts: 0 },
+        $inc: { lockoutCount: 1 }
+      },
+      { returnDocument: 'after' }
+    );
+
+    await auditService.logAccountLocked(
+      user._id,
+      {
+        lockUntil,
+        lockMinutes,
+        lockoutCount: locked.lockoutCount,
+        failedAttempts: updated.failedLoginAttempts
+      },
+      req
+    );
+
+    return this.getLockState(locked);
+  }
+
+  /**
+   * Clear counters after a successful login (caller saves the user)
+   */
+  resetAttempts(user) {
+    user.failedLoginAttempts = 0;
+    user.lockoutCount = 0;
+    user.lockUntil = undefined;
+  }
+
+  /**
+   * Unlock an account (Administrator action)
+   */
+  async unlock(userId, performedBy, req) {
+    const user = await User.findByIdAndUpdate(
+      userId,
+      {
+        $set: { failedLoginAttempts: 0, lockoutCount: 0 },
+        $unset: { lockUntil: 1 }
+      },
+      { returnDocument: 'after' }
+    );
+
+    if (user) {
+      await auditService.logAccountUnlocked(performedBy, user._id, req);
+    }
+
+    return user;
+  }
+}
+
+export default new AccountLockoutService();
@@ -0,0 +1,114 @@
+import ApiKey from '../models/ApiKey.js';
+import ServiceAccount from '../models/ServiceAccount.js';
+import { generateSecureToken, hashToken } from '../utils/helpers.js';
+
+const KEY_PATTERN = /^esg_([0-9a-f]{12})_([0-9a-f]{64})$/;
+
+// Only persist "last used" once a minute per key to limit writes
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * API Key Service
+ * Issues, verifies, rotates and revokes service account API keys
+ */
+class ApiKeyService {
+  /**
+   * Create a key for a service account; the raw key is only returned here
+   */
+  async createKey({
+    serviceAccountId,
+    name,
+    scopes,
+    expiresInDays = null,
+    createdBy,
+    rotatedFrom = null
+  }) {
+    const prefix = generateSecureToken(6);
+    const rawKey = `esg_${prefix}_${generateSecureToken(32)}`;
+
+    const apiKey = await ApiKey.create({
+      serviceAccount: serviceAccountId,
+      name,
+      prefix,
+      keyHash: hashToken(rawKey),
+      scopes,
+      expiresAt: expiresInDays
+        ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+        : undefined,
+      rotatedFrom,
+      createdBy
+    });
+
+    return { apiKey, rawKey };
+  }
+
+  /**
+   * Resolve a raw key to its key and active service account, or null
+   */
+  async verifyKey(rawKey) {
+    const match = KEY_PATTERN.exec(rawKey || '');
+    if (!match) return null;
+
+    const apiKey = await ApiKey.findOne({ prefix: match[1] }).select('+keyHash');
+
+    if (!apiKey || !apiKey.isUsable() || apiKey.keyHash !== hashToken(rawKey)) {
+      return null;
+    }
+
+    const serviceAccount = await ServiceAccount.findById(apiKey.serviceAccount);
+
+    if (!serviceAccount || !serviceAccount.isActive) {
+      return null;
+    }
+
+    const lastUsed = apiKey.lastUsedAt?.getTime() || 0;
+    if (Date.now() - lastUsed >= LAST_USED_RESOLUTION_MS) {
+      await ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date() } });
+    }
+
+    return { apiKey, serviceAccount };
+  }
+
+  /**
+   * Replace a key with a new one carrying the same scopes and lifetime
+   * (unless overridden). The old key keeps working for the grace
+   * period (0 = revoke now).
+   */
+  async rotateKey(apiKey, { createdBy, gracePeriodHours = 0, expiresInDays }) {
+    const originalLifetimeDays = apiKey.expiresAt
+      ? Math.ceil((apiKey.expiresAt - apiKey.createdAt) / (24 * 60 * 60 * 1000))
+      : null;
+
+    const rotated = await this.createKey({
+      serviceAccountId: apiKey.serviceAccount,
+      name: apiKey.name,
+      scopes: apiKey.scopes,
+      expiresInDays: expiresInDays ?? originalLifetimeDays,
+      createdBy,
+      rotatedFrom: apiKey._id
+    });
+
+    if (gracePeriodHours > 0) {
+      const graceEnd = new Date(Date.now() + gracePeriodHours * 60 * 60 * 1000);
+      if (!apiKey.expiresAt || apiKey.expiresAt > graceEnd) {
+        apiKey.expiresAt = graceEnd;
+      }
+    } else {
+      apiKey.revokedAt = new Date();
+    }
+
+    await apiKey.save();
+
+    return rotated;
+  }
+
+  /**
+   * Revoke a key immediately
+   */
+  async revokeKey(apiKey) {
+    apiKey.revokedAt = new Date();
+    return apiKey.save();
+  }
+}
+
+export default new ApiKeyService();
@@ -0,0 +1,92 @@
+import Organization from '../models/Organization.js';
+import { ERROR_MESSAGES } from '../utils/constants.js';
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+/**
+ * Approval Policy Service
+ * Segregation-of-duties rules for the ESG approval workflow
+ */
+class ApprovalPolicyService {
+  /**
+   * Current policy (configured through environment variables, optionally
+   * overridden by an organization's settings)
+   */
+  getPolicy(organizationSettings = {}) {
+    const requiredApprovals = organizationSettings?.requiredApprovals
+      ?? envInt('ESG_REQUIRED_APPROVALS', 1);
+
+    return {
+      // Distinct approvers needed before a record becomes approved
+      requiredApprovals: Math.max(1, requiredApprovals)
+    };
+  }
+
+  /**
+   * Policy that applies to records of an organization
+   */
+  async getPolicyForOrganization(organizationId) {
+    const organization = await Organization.findById(organizationId)
+      .select('settings')
+      .lean();
+
+    return this.getPolicy(organization?.settings);
+  }
+
+  /**
+   * Check if a principal prepared, edited or submitted a record
+   */
+  isPreparer(record, principalId) {
+    return [record.submittedBy, record.submittedForReviewBy, ...(record.preparedBy || [])]
+      .filter(Boolean)
+      .some(id => id.toString() === principalId.toString());
+  }
+
+  /**
+   * Check a review action (starting a review, rejecting) against the
+   * rules. Returns null when allowed, otherwise { rule, message }.
+   */
+  checkReview(record, reviewerId) {
+    if (this.isPreparer(record, reviewerId)) {
+      return { rule: 'self_review', message: ERROR_MESSAGES.SOD_SELF_REVIEW };
+    }
+
+    return null;
+  }
+
+  /**
+   * Check an approval attempt against the rules.
+   * Returns null when allowed, otherwise { rule, message }.
+   */
+  checkApproval(record, approverId) {
+    const approver = approverId.toString();
+
+    // The preparer or submitter never approves their own record
+    if (this.isPreparer(record, approver)) {
+      return { rule: 'self_approval', message: ERROR_MESSAGES.SOD_SELF_APPROVAL };
+    }
+
+    // Each approval in a round must come from a different person
+    const alreadyApproved = (record.approvals || []).some(
+      approval => approval.approvedBy.toString() === approver
+    );
+
+    if (alreadyApproved) {
+      return { rule: 'duplicate_approval', message: ERROR_MESSAGES.SOD_DUPLICATE_APPROVAL };
+    }
+
+    return null;
+  }
+
+  /**
+   * Check if a record has collected enough approvals
+   */
+  isFullyApproved(record, policy = this.getPolicy()) {
+    return (record.approvals || []).length >= policy.requiredApprovals;
+  }
+}
+
+export default new ApprovalPolicyService();
@@ -7,24 +7,41 @@ import { getClientIp, getUserAgent } from '../utils/helpers.js';
  * Handles all audit logging throughout the application
  */
 class AuditService {
+  /**
+   * Request metadata shared by every entry: client details and the
+   * kind of principal (user or service account) that made the request
+   */
+  getRequestContext(req) {
+    return {
+      performedByModel: req.principalType || 'User',
+      ipAddress: getClientIp(req),
+      userAgent: getUserAgent(req)
+    };
+  }
+
   /**
    * Create an audit log entry
    */
   async createLog({
     action,
     performedBy,
+    performedByModel = 'User',
     resourceType,
     resourceId = null,
     details = {},
     success = true,
     errorMessage = null,
     ipAddress = null,
-    userAgent = null
+    userAgent = null,
+    organization
   }) {
     try {
+      // Within a request the organization is filled in by the tenant scope
       const auditLog = await AuditLog.create({
+        organization,
         action,
         performedBy,
+        performedByModel,
         targetResource: {
           resourceType,
           resourceId
@@ -47,16 +64,16 @@ class AuditService {
   /**
    * Log user login
    */
-  async logLogin(userId, req, success = true, errorMessage = null) {
+  async logLogin(userId, req, success = true, errorMessage = null, details = {}) {
     return this.createLog({
       action: AUDIT_ACTIONS.USER_LOGIN,
       performedBy: userId,
       resourceType: 'User',
       resourceId: userId,
+      details,
       success,
       errorMessage,
-      ipAddress: getClientIp(req),
-      userAgent: getUserAgent(req)
+      ...this.getRequestContext(req)
     });
   }
 
@@ -69,8 +86,7 @@ class AuditService {
       performedBy: userId,
       resourceType: 'User',
       resourceId: userId,
-      ipAddress: getClientIp(req),
-      userAgent: getUserAgent(req)
+      ...this.getRequestContext(req)
     });
   }
 
@@ -84,8 +100,7 @@ class AuditService {
       resourceType: 'User',
       resourceId: newUserId,
       details,
-      ipAddress: getClientIp(req),
-      userAgent: getUserAgent(req)
+      ...this.getRequestContext(req)
     });
   }
 
@@ -99,8 +114,149 @@ class AuditService {
       resourceType: 'User',
       resourceId: userId,
       details,
-      ipAddress: getClientIp(req),
-      userAgent: getUserAgent(req)
+      ...this.getRequestContext(req)
+    });
+  }
+
+  /**
+   * Log remote sign-out of one or more sessions
+   */
+  async logSessionRevoked(performedBy, userId, details, req) {
+    return this.createLog({
+      action: AUDIT_ACTIONS.SESSION_REVOKED,
+      performedBy,
+      resourceType: 'User',
+      resourceId: userId,
+      details,
+      ...this.getRequestContext(req)
+    });
+  }
+
+  /**
+   * Log a service account or API key change
+   */
+  async logServiceAccountEvent(action, performedBy, serviceAccountId, details, req) {
+    return this.createLog({
+      action,
+      performedBy,
+      resourceType: 'ServiceAccount',
+      resourceId: serviceAccountId,
+      details,
+      ...this.getRequestContext(req)
+    });
+  }
+
+  /**
+   * Log role changes
+   */
+  async logRoleEvent(action, performedBy, roleId, details, req) {
+    return this.createLog({
+      action,
+      performedBy,
+      resourceType: 'Role',
+      resourceId: roleId,
+      details,
+      ...this.getRequestContext(req)
+    });
+  }
+
+  /**
+   * Log organization changes (visible to that organization's auditors)
+   */
+  async logOrganizationEvent(action, performedBy, organizationId, details, req) {
+    return this.createLog({
+      action,
+      performedBy,
+      resourceType: 'Organization',
+      resourceId: organizationId,
+      organization: organizationId,
+      details,
+      ...this.getRequestContext(req)
+    });
+  }
+
+  /**
+   * Log facility changes
+   */
+  async logFacilityEvent(action, performedBy, facility, details, req) {
+    return this.createLog({
+      action,
+      performedBy,
+      resourceType: 'Facility',
+      resourceId: facility._id,
+      organization: facility.organization,
+      details,
+      ...this.getRequestContext(req)
+    });
+  }
+
+  /**
+   * Log invitation creation
+   */
+  async logInvitationCreated(performedBy, invitationId, details, req) {
+    return this.createLog({
+      action: AUDIT_ACTIONS.INVITATION_CREATED,
+      performedBy,
+      resourceType: 'Invitation',
+      resourceId: invitationId,
+      details,
+      ...this.getRequestContext(req)
+    });
+  }
+
+  /**
+   * Log invitation revocation
+   */
+  async logInvitationRevoked(performedBy, invitationId, req) {
+    return this.createLog({
+      action: AUDIT_ACTIONS.INVITATION_REVOKED,
+      performedBy,
+      resourceType: 'Invitation',
+      resourceId: invitationId,
+      ...this.getRequestContext(req)
+    });
+  }
+
+  /**
+   * Log account lockout after repeated failed logins
+   */
+  async logAccountLocked(userId, details, req) {
+    return this.createLog({
+      action: AUDIT_ACTIONS.ACCOUNT_LOCKED,
+      performedBy: userId,
+      resourceType: 'User',
+      resourceId: userId,
+      details,
+      success: false,
+      ...this.getRequestContext(req)
+    });
+  }
+
+  /**
+   * Log account unlock by an administrator
+   */
+  async logAccountUnlocked(performedBy, userId, req) {
+    return this.createLog({
+      action: AUDIT_ACTIONS.ACCOUNT_UNLOCKED,
+      performedBy,
+      resourceType: 'User',
+      resourceId: userId,
+      ...this.getRequestContext(req)
+    });
+  }
+
+  /**
+   * Log an MFA event (enrollment, challenge, recovery code use)
+   */
+  async logMfaEvent(action, userId, req, success = true, details = {}) {
+    return this.createLog({
+      action,
+      performedBy: userId,
+      resourceType: 'User',
+      resourceId: userId,
+      details,
+      success,
+      ...this.getRequestContext(req)
     });
   }
 
@@ -114,8 +270,7 @@ class AuditService {
       resourceType: 'ESGRecord',
       resourceId: recordId,
       details,
-      ipAddress: getClientIp(req),
-      userAgent: getUserAgent(req)
+      ...this.getRequestContext(req)
     });
   }
 
@@ -129,36 +284,161 @@ class AuditService {
       resourceType: 'ESGRecord',
       resourceId: recordId,
       details,
-      ipAddress: getClientIp(req),
-      userAgent: getUserAgent(req)
+      ...this.getRequestContext(req)
     });
   }
 
   /**
-   * Log ESG record submission
+   * Log an ESG record restored to an earlier version
    */
-  async logESGRecordSubmitted(performedBy, recordId, req) {
+  async logESGRecordRestored(performedBy, recordId, details, req) {
     return this.createLog({
-      action: AUDIT_ACTIONS.ESG_RECORD_SUBMITTED,
+      action: AUDIT_ACTIONS.ESG_RECORD_RESTORED,
       performedBy,
       resourceType: 'ESGRecord',
       resourceId: recordId,
-      ipAddress: getClientIp(req),
-      userAgent: getUserAgent(req)
+      details,
+      ...this.getRequestContext(req)
+    });
+  }
+
+  /**
+   * Log a comment thread event on an ESG record
+   */
+  async logESGCommentEvent(action, performedBy, recordId, details, req) {
+    return this.createLog({
+      action,
+      performedBy,
+      resourceType: 'ESGRecord',
+      resourceId: recordId,
+      details,
+      ...this.getRequestContext(req)
+    });
+  }
+
+  /**
+   * Log an evidence upload or download for an ESG record
+   */
+  async logEvidenceEvent(action, performedBy, recordId, details, req) {
+    return this.createLog({
+      action,
+      performedBy,
+      resourceType: 'ESGRecord',
+      resourceId: recordId,
+      details,
+      ...this.getRequestContext(req)
+    });
+  }
+
+  /**
+   * Log a bulk import of ESG records
+   */
+  async logESGRecordsImported(performedBy, details, req) {
+    return this.createLog({
+      action: AUDIT_ACTIONS.ESG_RECORDS_IMPORTED,
+      performedBy,
+      resourceType: 'ESGRecord',
+      details,
+      ...this.getRequestContext(req)
+    });
+  }
+
+  /**
+   * Log emission factor library changes (create, update, publish, retire)
+   */
+  async logEmissionFactorSetEvent(action, performedBy, factorSetId, details, req) {
+    return this.createLog({
+      action,
+      performedBy,
+      resourceType: 'EmissionFactorSet',
+      resourceId: factorSetId,
+      details,
+      ...this.getRequestContext(req)
+    });
+  }
+
+  /**
+   * Log a data export (resourceType names what was exported)
+   */
+  async logDataExport(performedBy, resourceType, details, req) {
+    return this.createLog({
+      action: AUDIT_ACTIONS.DATA_EXPORT,
+      performedBy,
+      resourceType,
+      details,
+      ...this.getRequestContext(req)
+    });
+  }
+
+  /**
+   * Log ESG record submission (or resubmission after a rejection)
+   */
+  async logESGRecordSubmitted(performedBy, recordId, req, details = {}) {
+    return this.createLog({
+      action: details.resubmission
+        ? AUDIT_ACTIONS.ESG_RECORD_RESUBMITTED
+        : AUDIT_ACTIONS.ESG_RECORD_SUBMITTED,
+      performedBy,
+      resourceType: 'ESGRecord',
+      resourceId: recordId,
+      details,
+      ...this.getRequestContext(req)
+    });
+  }
+
+  /**
+   * Log the start of an ESG record review
+   */
+  async logESGRecordReviewStarted(performedBy, recordId, req) {
+    return this.createLog({
+      action: AUDIT_ACTIONS.ESG_RECORD_REVIEW_STARTED,
+      performedBy,
+      resourceType: 'ESGRecord',
+      resourceId: recordId,
+      ...this.getRequestContext(req)
+    });
+  }
+
+  /**
+   * Log ESG record rejection
+   */
+  async logESGRecordRejected(performedBy, recordId, details, req) {
+    return this.createLog({
+      action: AUDIT_ACTIONS.ESG_RECORD_REJECTED,
+      performedBy,
+      resourceType: 'ESGRecord',
+      resourceId: recordId,
+      details,
+      ...this.getRequestContext(req)
     });
   }
 
   /**
    * Log ESG record approval
    */
-  async logESGRecordApproved(performedBy, recordId, req) {
+  async logESGRecordApproved(performedBy, recordId, req, details = {}) {
     return this.createLog({
       action: AUDIT_ACTIONS.ESG_RECORD_APPROVED,
       performedBy,
       resourceType: 'ESGRecord',
       resourceId: recordId,
-      ipAddress: getClientIp(req),
-      userAgent: getUserAgent(req)
+      details,
+      ...this.getRequestContext(req)
+    });
+  }
+
+  /**
+   * Log a rejected action that broke a segregation-of-duties rule
+   */
+  async logSegregationOfDutiesViolation(performedBy, recordId, details, req) {
+    return this.createLog({
+      action: AUDIT_ACTIONS.SEGREGATION_OF_DUTIES_VIOLATION,
+      performedBy,
+      resourceType: 'ESGRecord',
+      resourceId: recordId,
+      details,
+      success: false,
+      ...this.getRequestContext(req)
     });
   }
 
@@ -172,8 +452,23 @@ class AuditService {
       resourceType: 'Report',
       resourceId: reportId,
       details,
-      ipAddress: getClientIp(req),
-      userAgent: getUserAgent(req)
+      ...this.getRequestContext(req)
+    });
+  }
+
+  /**
+   * Log a report status change (publication gets its own action)
+   */
+  async logReportStatusChanged(performedBy, reportId, details, req) {
+    return this.createLog({
+      action: details.to === 'published'
+        ? AUDIT_ACTIONS.REPORT_PUBLISHED
+        : AUDIT_ACTIONS.REPORT_STATUS_CHANGED,
+      performedBy,
+      resourceType: 'Report',
+      resourceId: reportId,
+      details,
+      ...this.getRequestContext(req)
     });
   }
 
@@ -187,8 +482,7 @@ class AuditService {
       resourceType: 'System',
       details: { path, method },
       success: false,
-      ipAddress: getClientIp(req),
-      userAgent: getUserAgent(req)
+      ...this.getRequestContext(req)
     });
   }
 
@@ -0,0 +1,64 @@
+import ESGRecord from '../models/ESGRecord.js';
+import ESGComment from '../models/ESGComment.js';
+import User from '../models/User.js';
+
+/**
+ * Comment Service
+ * Review threads on ESG records
+ */
+class CommentService {
+  /**
+   * Check if a path names a metric of an ESG record
+   */
+  isCommentableField(field) {
+    return ESGRecord.isMetricPath(field);
+  }
+
+  /**
+   * Active users of an organization among the given ids
+   */
+  async findMentionableUsers(userIds, organizationId) {
+    if (!userIds.length) return [];
+
+    return User.find({
+      _id: { $in: userIds },
+      organization: organizationId,
+      isActive: true
+    }).select('name email');
+  }
+
+  /**
+   * Check if a record still has unresolved blocking threads
+   */
+  async hasOpenBlockingComments(recordId) {
+    const open = await ESGComment.exists({
+      record: recordId,
+      parent: null,
+      blocking: true,
+      resolved: false
+    });
+
+    return Boolean(open);
+  }
+
+  /**
+   * Group comments (oldest first) into threads with their replies
+   */
+  buildThreads(comments) {
+    const threads = new Map();
+
+    comments
+      .filter(comment => !comment.parent)
+      .forEach(comment => threads.set(comment._id.toString(), { ...comment, replies: [] }));
+
+    comments
+      .filter(comment => comment.parent)
+      .forEach((comment) => {
+        threads.get(comment.parent.toString())?.replies.push(comment);
+      });
+
+    return [...threads.values()];
+  }
+}
+
+export default new CommentService();
@@ -0,0 +1,319 @@
+import EmissionFactorSet from '../models/EmissionFactorSet.js';
+import { roundToDecimal } from '../utils/helpers.js';
+import {
+  ACTIVITY_UNIT_CONVERSIONS,
+  EMISSION_CATEGORIES,
+  EMISSION_FACTOR_SET_STATUS,
+  ERROR_MESSAGES,
+  HTTP_STATUS
+} from '../utils/constants.js';
+
+// Factor set activity holding a region's residual mix (grid emissions
+// left once contractual instruments are taken out)
+const RESIDUAL_MIX_ACTIVITY = 'residual_mix';
+
+// Quantity in kWh, or undefined for units that are not energy
+const toKWh = (quantity, unit) => {
+  if (unit === 'kWh') return quantity;
+
+  const conversion = ACTIVITY_UNIT_CONVERSIONS[`${unit}:kWh`];
+  return conversion ? quantity * conversion : undefined;
+};
+
+/**
+ * Emission Factor Service
+ * Activity-based emissions (GHG Protocol): activity data times a cited
+ * factor from a published factor set, summed into scope 1, 2 and 3 tCO2e.
+ * Scope 2 is reported both location-based and market-based.
+ */
+class EmissionFactorService {
+  /**
+   * Factor set to calculate with: the requested one, else the one the
+   * record was last calculated with, else the latest published set.
+   * A pinned set stays usable after it is retired so old records can
+   * be recalculated the same way. Returns { factorSet } or { error }.
+   */
+  async resolveFactorSet(requestedId, pinnedId) {
+    const id = requestedId || pinnedId;
+
+    const factorSet = id
+      ? await EmissionFactorSet.findById(id).lean()
+      : await EmissionFactorSet.findOne({ status: EMISSION_FACTOR_SET_STATUS.PUBLISHED })
+        .sort({ publishedAt: -1 })
+        .lean();
+
+    const usable = factorSet && (
+      factorSet.status === EMISSION_FACTOR_SET_STATUS.PUBLISHED ||
+      (factorSet.status === EMISSION_FACTOR_SET_STATUS.RETIRED &&
+        !requestedId &&
+        String(factorSet._id) === String(pinnedId))
+    );
+
+    if (!usable) {
+      return {
+        error: {
+          status: HTTP_STATUS.BAD_REQUEST,
+          message: ERROR_MESSAGES.EMISSION_FACTOR_SET_UNAVAILABLE
+        }
+      };
+    }
+
+    return { factorSet };
+  }
+
+  /**
+   * Factor for an activity: one for its region if the set has it,
+   * otherwise the region-independent one, in the activity's unit or a
+   * unit it converts to
+   */
+  findFactor(factorSet, activity, region) {
+    const candidates = factorSet.factors.filter(factor =>
+      factor.category === activity.category && factor.activity === activity.activity
+    );
+
+    const regional = region
+      ? candidates.filter(factor => factor.region === region)
+      : [];
+    const pool = regional.length
+      ? regional
+      : candidates.filter(factor => !factor.region);
+
+    return pool.find(factor => factor.unit === activity.unit) ||
+      pool.find(factor => ACTIVITY_UNIT_CONVERSIONS[`${activity.unit}:${factor.unit}`]);
+  }
+
+  /**
+   * Calculate tCO2e for each activity. `defaultRegion` (the facility's
+   * country) applies to activities without a region of their own.
+   * Returns { lines, totals } or { errors } listing unmatched activities.
+   */
+  calculate(activities, factorSet, defaultRegion) {
+    const lines = [];
+    const errors = [];
+    const totals = { scope1: 0, scope2: 0, scope3: 0 };
+
+    activities.forEach((activity, index) => {
+      const region = activity.region || defaultRegion;
+      const factor = this.findFactor(factorSet, activity, region);
+
+      if (!factor) {
+        errors.push({
+          field: `activities.${index}`,
+          message: `No ${activity.category} factor for "${activity.activity}" ` +
+            `in ${activity.unit}${region ? ` (${region})` : ''}`
+        });
+        return;
+      }
+
+      const scope = EMISSION_CATEGORIES[activity.category];
+      const conversion = factor.unit === activity.unit
+        ? 1
+        : ACTIVITY_UNIT_CONVERSIONS[`${activity.unit}:${factor.unit}`];
+      const convertedQuantity = activity.quantity * conversion;
+      const tCO2e = roundToDecimal((convertedQuantity * factor.kgCO2ePerUnit) / 1000, 6);
+
+      totals[`scope${scope}`] += tCO2e;
+      lines.push({
+        category: activity.category,
+        activity: activity.activity,
+        scope,
+        quantity: activity.quantity,
+        unit: activity.unit,
+        region,
+        convertedQuantity: roundToDecimal(convertedQuantity, 6),
+        factorUnit: factor.unit,
+        factorRegion: factor.region,
+        kgCO2ePerUnit: factor.kgCO2ePerUnit,
+        citation: factor.citation,
+        tCO2e
+      });
+    });
+
+    if (errors.length) {
+      return { errors };
+    }
+
+    Object.keys(totals).forEach((scope) => {
+      totals[scope] = roundToDecimal(totals[scope], 3);
+    });
+
+    return { lines, totals };
+  }
+
+  /**
+   * Market-based Scope 2 from the location-based lines: electricity
+   * covered by contractual instruments at the instrument's emission
+   * rate, the rest at the region's residual mix (the grid average when
+   * the set has none). Other Scope 2 lines count as they are.
+   * Returns { marketBasedLines, total } or { errors }.
+   */
+  calculateMarketBased(lines, instruments, factorSet) {
+    const scope2Lines = lines.filter(line => line.scope === 2);
+    const electricity = scope2Lines.filter(line =>
+      line.category === 'purchased_electricity' && toKWh(line.quantity, line.unit) !== undefined
+    );
+    const consumption = electricity.reduce((sum, line) => sum + toKWh(line.quantity, line.unit), 0);
+    const covered = instruments.reduce((sum, item) => sum + toKWh(item.quantity, item.unit), 0);
+
+    if (covered > consumption * (1 + 1e-9)) {
+      return {
+        errors: [{
+          field: 'contractualInstruments',
+          message: `Instruments cover ${roundToDecimal(covered, 3)} kWh of ` +
+            `${roundToDecimal(consumption, 3)} kWh of purchased electricity`
+        }]
+      };
+    }
+
+    const marketBasedLines = instruments.map((item) => {
+      const kWh = toKWh(item.quantity, item.unit);
+      const kgCO2ePerKWh = item.kgCO2ePerKWh || 0;
+
+      return {
+        basis: item.type,
+        reference: [item.supplier, item.reference].filter(Boolean).join(': ') || undefined,
+        kWh: roundToDecimal(kWh, 6),
+        kgCO2ePerKWh,
+        tCO2e: roundToDecimal((kWh * kgCO2ePerKWh) / 1000, 6)
+      };
+    });
+
+    const uncoveredShare = consumption > 0 ? 1 - covered / consumption : 0;
+
+    scope2Lines.forEach((line) => {
+      if (!electricity.includes(line)) {
+        marketBasedLines.push({ basis: 'location_based', region: line.region, tCO2e: line.tCO2e });
+        return;
+      }
+
+      const kWh = toKWh(line.quantity, line.unit) * uncoveredShare;
+
+      if (kWh <= 0) return;
+
+      const residualMix = this.findFactor(
+        factorSet,
+        { category: 'purchased_electricity', activity: RESIDUAL_MIX_ACTIVITY, unit: 'kWh' },
+        line.region
+      );
+      const factor = residualMix || {
+        unit: line.factorUnit,
+        region: line.factorRegion,
+        kgCO2ePerUnit: line.kgCO2ePerUnit,
+        citation: line.citation
+      };
+      const kgCO2ePerKWh = factor.unit === 'kWh'
+        ? factor.kgCO2ePerUnit
+        : factor.kgCO2ePerUnit * ACTIVITY_UNIT_CONVERSIONS[`kWh:${factor.unit}`];
+
+      marketBasedLines.push({
+        basis: residualMix ? RESIDUAL_MIX_ACTIVITY : 'grid_average',
+        region: factor.region,
+        kWh: roundToDecimal(kWh, 6),
+        kgCO2ePerKWh: roundToDecimal(kgCO2ePerKWh, 6),
+        citation: factor.citation,
+        tCO2e: roundToDecimal((kWh * kgCO2ePerKWh) / 1000, 6)
+      });
+    });
+
+    return {
+      marketBasedLines,
+      total: roundToDecimal(marketBasedLines.reduce((sum, line) => sum + line.tCO2e, 0), 3)
+    };
+  }
+
+  /**
+   * Calculate a record's emissions from its activity data and
+   * contractual instruments. Returns { emissionsCalculation, scopeFields }
+   * where scopeFields holds the environmental scope totals to overwrite
+   * (only scopes that have activity data), or { error } with details.
+   */
+  async calculateForRecord({
+    activities,
+    contractualInstruments = [],
+    factorSetId,
+    pinnedFactorSetId,
+    region
+  }) {
+    if (!activities?.length) {
+      if (contractualInstruments.length) {
+        return {
+          error: {
+            status: HTTP_STATUS.BAD_REQUEST,
+            message: ERROR_MESSAGES.CONTRACTUAL_INSTRUMENTS_EXCEED_CONSUMPTION
+          }
+        };
+      }
+
+      return { emissionsCalculation: undefined, scopeFields: {} };
+    }
+
+    const { factorSet, error } = await this.resolveFactorSet(factorSetId, pinnedFactorSetId);
+
+    if (error) return { error };
+
+    const { lines, totals, errors } = this.calculate(activities, factorSet, region);
+
+    if (errors) {
+      return {
+        error: {
+          status: HTTP_STATUS.BAD_REQUEST,
+          message: ERROR_MESSAGES.EMISSION_FACTOR_MISSING,
+          details: errors
+        }
+      };
+    }
+
+    const marketBased = this.calculateMarketBased(lines, contractualInstruments, factorSet);
+
+    if (marketBased.errors) {
+      return {
+        error: {
+          status: HTTP_STATUS.BAD_REQUEST,
+          message: ERROR_MESSAGES.CONTRACTUAL_INSTRUMENTS_EXCEED_CONSUMPTION,
+          details: marketBased.errors
+        }
+      };
+    }
+
+    const emissionsCalculation = {
+      factorSet: factorSet._id,
+      factorSetName: factorSet.name,
+      factorSetVersion: factorSet.version,
+      source: [factorSet.source?.publisher, factorSet.source?.title]
+        .filter(Boolean)
+        .join(': '),
+      calculatedAt: new Date(),
+      lines,
+      marketBasedLines: marketBased.marketBasedLines,
+      totals: { ...totals, scope2MarketBased: marketBased.total }
+    };
+
+    return {
+      emissionsCalculation,
+      scopeFields: this.getScopeFields(emissionsCalculation)
+    };
+  }
+
+  /**
+   * Environmental scope fields set by a calculation: the totals of the
+   * scopes it has activity data for (other scopes stay as entered),
+   * with Scope 2 both location-based and market-based
+   */
+  getScopeFields(emissionsCalculation) {
+    const scopes = new Set((emissionsCalculation?.lines || []).map(line => line.scope));
+    const scopeFields = {};
+
+    scopes.forEach((scope) => {
+      scopeFields[`scope${scope}Emissions`] = emissionsCalculation.totals[`scope${scope}`];
+    });
+
+    if (scopes.has(2)) {
+      scopeFields.scope2MarketBased = emissionsCalculation.totals.scope2MarketBased ??
+        emissionsCalculation.totals.scope2;
+    }
+
+    return scopeFields;
+  }
+}
+
+export default new EmissionFactorService();
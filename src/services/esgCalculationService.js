@@ -1,5 +1,34 @@
 import ESGRecord from '../models/ESGRecord.js';
 import { roundToDecimal, calculatePercentage } from '../utils/helpers.js';
+import { SCOPE2_METHODS } from '../utils/constants.js';
+
+// Facility figures that add up to the organization's figure
+const SUMMED_FACILITY_FIELDS = {
+  environmental: [
+    'scope1Emissions',
+    'scope2Emissions',
+    'scope3Emissions',
+    'energyConsumption',
+    'waterUsage',
+    'wasteGenerated',
+    'wasteRecycled'
+  ],
+  social: ['totalEmployees', 'healthAndSafetyIncidents', 'communityInvestment'],
+  governance: ['whistleblowerCases', 'dataBreaches']
+};
+
+// Facility ratios, weighted by the field they are a share of
+const WEIGHTED_FACILITY_FIELDS = {
+  environmental: {
+    renewableEnergyPercentage: 'energyConsumption'
+  },
+  social: {
+    diversityRatio: 'totalEmployees',
+    femaleEmployeesPercentage: 'totalEmployees',
+    trainingHoursPerEmployee: 'totalEmployees',
+    employeeTurnoverRate: 'totalEmployees'
+  }
+};
 
 /**
  * ESG Calculation Service
@@ -22,15 +51,36 @@ class ESGCalculationService {
   }
 
   /**
-   * Aggregate environmental metrics for multiple records
+   * A record's Scope 2 by both methods. Without a market-based figure
+   * (no contractual instruments) it is the location-based one.
    */
-  aggregateEnvironmentalMetrics(records) {
+  getScope2Emissions(environmental = {}) {
+    const locationBased = environmental.scope2Emissions || 0;
+
+    return {
+      locationBased,
+      marketBased: environmental.scope2MarketBased ?? locationBased
+    };
+  }
+
+  /**
+   * Aggregate environmental metrics for multiple records. Scope 2 and
+   * the carbon total follow `scope2Method`; with both methods they are
+   * location-based and the market-based figures are added alongside.
+   */
+  aggregateEnvironmentalMetrics(records, scope2Method = SCOPE2_METHODS.BOTH) {
     if (!records || records.length === 0) {
       return {
+        scope2Method,
         totalScope1Emissions: 0,
         totalScope2Emissions: 0,
         totalScope3Emissions: 0,
         totalCarbonEmissions: 0,
+        ...(scope2Method === SCOPE2_METHODS.BOTH && {
+          totalScope2LocationBased: 0,
+          totalScope2MarketBased: 0,
+          totalCarbonEmissionsMarketBased: 0
+        }),
         averageRenewableEnergyPercentage: 0,
         totalEnergyConsumption: 0,
         totalWaterUsage: 0,
@@ -40,9 +90,11 @@ class ESGCalculationService {
 
     const totals = records.reduce((acc, record) => {
       const env = record.environmental || {};
+      const scope2 = this.getScope2Emissions(env);
 
       acc.scope1 += env.scope1Emissions || 0;
-      acc.scope2 += env.scope2Emissions || 0;
+      acc.scope2 += scope2.locationBased;
+      acc.scope2MarketBased += scope2.marketBased;
       acc.scope3 += env.scope3Emissions || 0;
       acc.renewableEnergy += env.renewableEnergyPercentage || 0;
       acc.energyConsumption += env.energyConsumption || 0;
@@ -54,6 +106,7 @@ class ESGCalculationService {
     }, {
       scope1: 0,
       scope2: 0,
+      scope2MarketBased: 0,
       scope3: 0,
       renewableEnergy: 0,
       energyConsumption: 0,
@@ -62,9 +115,13 @@ class ESGCalculationService {
       wasteRecycled: 0
     });
 
+    const scope2 = scope2Method === SCOPE2_METHODS.MARKET_BASED
+      ? totals.scope2MarketBased
+      : totals.scope2;
+
     const totalCarbon = this.calculateTotalEmissions(
       totals.scope1,
-      totals.scope2,
+      scope2,
       totals.scope3
     );
 
@@ -79,10 +136,20 @@ class ESGCalculationService {
     );
 
     return {
+      scope2Method,
       totalScope1Emissions: roundToDecimal(totals.scope1, 2),
-      totalScope2Emissions: roundToDecimal(totals.scope2, 2),
+      totalScope2Emissions: roundToDecimal(scope2, 2),
       totalScope3Emissions: roundToDecimal(totals.scope3, 2),
       totalCarbonEmissions: totalCarbon,
+      ...(scope2Method === SCOPE2_METHODS.BOTH && {
+        totalScope2LocationBased: roundToDecimal(totals.scope2, 2),
+        totalScope2MarketBased: roundToDecimal(totals.scope2MarketBased, 2),
+        totalCarbonEmissionsMarketBased: this.calculateTotalEmissions(
+          totals.scope1,
+          totals.scope2MarketBased,
+          totals.scope3
+        )
+      }),
       averageRenewableEnergyPercentage: avgRenewable,
       totalEnergyConsumption: roundToDecimal(totals.energyConsumption, 2),
       totalWaterUsage: roundToDecimal(totals.waterUsage, 2),
@@ -201,6 +268,179 @@ class ESGCalculationService {
     }
   }
 
+  /**
+   * Roll site-level records up into one organization-level record per
+   * organization and reporting period, so reports count each period
+   * once. Quantities are summed over the sites and ratios weighted by
+   * energy use or headcount. Once a period has site records, the
+   * figures of its organization-wide record are left out, as that
+   * record may hold the organization total (as it did before sites
+   * were tracked); activity not tied to a site belongs on a site of
+   * its own. Governance practices are organization-wide and come from
+   * the organization-wide record, or the latest site record when there
+   * is none. Periods without site records are returned unchanged.
+   */
+  rollUpFacilityRecords(records) {
+    const groups = new Map();
+
+    records.forEach((record) => {
+      const { year, quarter, month } = record.reportingPeriod || {};
+      const key = [record.organization, year, quarter, month].join(':');
+      groups.set(key, [...(groups.get(key) || []), record]);
+    });
+
+    return [...groups.values()].flatMap((group) => {
+      if (!group.some(record => record.facility)) {
+        return group;
+      }
+
+      const sites = group.filter(record => record.facility);
+      const latest = [...sites].sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))[0];
+      const base = group.find(record => !record.facility) || latest;
+
+      const rolledUp = {
+        ...base,
+        facility: undefined,
+        environmental: { ...base.environmental },
+        social: { ...base.social },
+        governance: { ...base.governance },
+        rolledUpRecords: sites.map(record => record._id)
+      };
+
+      Object.entries(SUMMED_FACILITY_FIELDS).forEach(([section, fields]) => {
+        fields.forEach((field) => {
+          rolledUp[section][field] = sites.reduce(
+            (sum, record) => sum + (record[section]?.[field] || 0),
+            0
+          );
+        });
+      });
+
+      Object.entries(WEIGHTED_FACILITY_FIELDS).forEach(([section, fields]) => {
+        Object.entries(fields).forEach(([field, weightField]) => {
+          const totalWeight = sites.reduce(
+            (sum, record) => sum + (record[section]?.[weightField] || 0),
+            0
+          );
+
+          rolledUp[section][field] = totalWeight > 0
+            ? sites.reduce(
+              (sum, record) =>
+                sum + (record[section]?.[field] || 0) * (record[section]?.[weightField] || 0),
+              0
+            ) / totalWeight
+            : sites.reduce((sum, record) => sum + (record[section]?.[field] || 0), 0) / sites.length;
+        });
+      });
+
+      // Sites without contractual instruments count location-based
+      if (sites.some(record => record.environmental?.scope2MarketBased != null)) {
+        rolledUp.environmental.scope2MarketBased = sites.reduce(
+          (sum, record) => sum + this.getScope2Emissions(record.environmental).marketBased,
+          0
+        );
+      }
+
+      rolledUp.environmental.totalCarbonEmissions = this.calculateTotalEmissions(
+        rolledUp.environmental.scope1Emissions,
+        rolledUp.environmental.scope2Emissions,
+        rolledUp.environmental.scope3Emissions
+      );
+
+      return [rolledUp];
+    });
+  }
+
+  /**
+   * Get approved ESG records of several organizations for a period.
+   * Subsidiaries lie outside the caller's tenant scope, so callers must
+   * pass ids from the consolidation scope of their own organization.
+   */
+  async getRecordsForEntities(organizationIds, startDate, endDate) {
+    try {
+      return await ESGRecord.find({
+        organization: { $in: organizationIds },
+        status: 'approved',
+        createdAt: {
+          $gte: startDate,
+          $lte: endDate
+        }
+      })
+        .setOptions({ skipTenantScope: true })
+        .lean();
+    } catch (error) {
+      console.error('Error fetching ESG records:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Scale a record's absolute quantities by the share a group reports
+   * (ratios and incident counts are kept as reported)
+   */
+  scaleRecord(record, share) {
+    if (share === 1) return record;
+
+    const env = record.environmental || {};
+    const social = record.social || {};
+
+    return {
+      ...record,
+      environmental: {
+        ...env,
+        scope1Emissions: (env.scope1Emissions || 0) * share,
+        scope2Emissions: (env.scope2Emissions || 0) * share,
+        scope2MarketBased: env.scope2MarketBased != null
+          ? env.scope2MarketBased * share
+          : undefined,
+        scope3Emissions: (env.scope3Emissions || 0) * share,
+        energyConsumption: (env.energyConsumption || 0) * share,
+        waterUsage: (env.waterUsage || 0) * share,
+        wasteGenerated: (env.wasteGenerated || 0) * share,
+        wasteRecycled: (env.wasteRecycled || 0) * share
+      },
+      social: {
+        ...social,
+        communityInvestment: (social.communityInvestment || 0) * share
+      }
+    };
+  }
+
+  /**
+   * Apply each entity's consolidated share to its records.
+   * Returns the scaled records and a per-entity breakdown.
+   */
+  consolidateRecords(records, scope, scope2Method) {
+    const recordsByOrganization = new Map();
+
+    records.forEach((record) => {
+      const key = record.organization.toString();
+      recordsByOrganization.set(key, [...(recordsByOrganization.get(key) || []), record]);
+    });
+
+    const scaledRecords = [];
+
+    const entities = scope.map((entity) => {
+      const entityRecords = (recordsByOrganization.get(entity.organization.toString()) || [])
+        .map(record => this.scaleRecord(record, entity.share));
+
+      scaledRecords.push(...entityRecords);
+
+      return {
+        organization: entity.organization,
+        name: entity.name,
+        parent: entity.parent,
+        sharePercentage: roundToDecimal(entity.share * 100, 2),
+        recordCount: entityRecords.length,
+        environmentalSummary: this.aggregateEnvironmentalMetrics(entityRecords, scope2Method),
+        socialSummary: this.aggregateSocialMetrics(entityRecords),
+        governanceSummary: this.aggregateGovernanceMetrics(entityRecords)
+      };
+    });
+
+    return { scaledRecords, entities };
+  }
+
   /**
    * Calculate overall ESG scores
    */
@@ -0,0 +1,133 @@
+import mongoose from 'mongoose';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import ESGRecord from '../models/ESGRecord.js';
+import { ESG_PILLARS } from '../utils/constants.js';
+import { formatCsvRow } from '../utils/csv.js';
+import { XLSX_CONTENT_TYPE, streamWorkbook } from '../utils/xlsx.js';
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: XLSX_CONTENT_TYPE, extension: 'xlsx' },
+  jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' }
+};
+
+// Record fields around the pillar metrics, by dotted path
+const LEADING_PATHS = [
+  '_id',
+  'organization',
+  'facility',
+  'reportingPeriod.year',
+  'reportingPeriod.quarter',
+  'reportingPeriod.month',
+  'status'
+];
+
+const TRAILING_PATHS = [
+  'submittedBy',
+  'submittedByModel',
+  'submittedAt',
+  'reviewedBy',
+  'approvedAt',
+  'resubmissionCount',
+  'createdAt',
+  'updatedAt'
+];
+
+const getPath = (data, path) =>
+  path.split('.').reduce((value, key) => value?.[key], data);
+
+// IDs and dates as text; numbers and booleans keep their type
+const toCell = (value) => {
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (value instanceof Date) return value.toISOString();
+  return value ?? null;
+};
+
+/**
+ * Export Service
+ * Streams ESG records out as flat rows (one column per metric)
+ */
+class ExportService {
+  /**
+   * Content type and file extension of an export format
+   */
+  getFormat(format) {
+    return FORMATS[format];
+  }
+
+  /**
+   * Export columns: identifying fields, every pillar metric in schema
+   * order (e.g. environmental.scope1Emissions), then review metadata
+   */
+  getColumns() {
+    const metrics = Object.keys(ESGRecord.schema.paths)
+      .filter(path => ESG_PILLARS.includes(path.split('.')[0]));
+
+    return [...LEADING_PATHS, ...metrics, ...TRAILING_PATHS].map(path => ({
+      header: path === '_id' ? 'id' : path,
+      path
+    }));
+  }
+
+  /**
+   * Flat cells of a record, in column order
+   */
+  toRow(columns, record) {
+    return columns.map(({ path }) => toCell(getPath(record, path)));
+  }
+
+  /**
+   * Write every record matching `query` to `output` in the given format.
+   * Records are read through a cursor, so only one is held at a time.
+   * Resolves with the number of records written once output has ended.
+   */
+  async write(format, query, output) {
+    const columns = this.getColumns();
+    const headers = columns.map(column => column.header);
+    const cursor = ESGRecord.find(query).sort({ createdAt: -1 }).lean().cursor();
+    const toRow = record => this.toRow(columns, record);
+    let count = 0;
+
+    async function* rows() {
+      for await (const record of cursor) {
+        count += 1;
+        yield toRow(record);
+      }
+    }
+
+    async function* lines() {
+      if (format === 'csv') {
+        yield formatCsvRow(headers);
+        for await (const row of rows()) yield formatCsvRow(row);
+        return;
+      }
+
+      for await (const row of rows()) {
+        const entry = Object.fromEntries(headers.map((header, index) => [header, row[index]]));
+        yield `${JSON.stringify(entry)}\n`;
+      }
+    }
+
+    async function* sheetRows() {
+      yield headers;
+      yield* rows();
+    }
+
+    try {
+      if (format === 'xlsx') {
+        await streamWorkbook(output, [{ name: 'ESG records', rows: sheetRows() }]);
+        output.end();
+      } else {
+        await pipeline(Readable.from(lines()), output);
+      }
+    } finally {
+      // Release the cursor when the client went away mid-export
+      await cursor.close();
+    }
+
+    return count;
+  }
+}
+
+export default new ExportService();
@@ -0,0 +1,424 @@
+import ESGRecord from '../models/ESGRecord.js';
+import Facility from '../models/Facility.js';
+import organizationService from './organizationService.js';
+import versionService from './versionService.js';
+import { runInTransaction } from '../config/database.js';
+import { schemas } from '../middleware/validator.js';
+import {
+  ESG_IMPORT_COLUMNS,
+  ESG_IMPORT_KEY_COLUMNS,
+  ESG_PILLARS,
+  VERSION_CHANGE_TYPES,
+  ERROR_MESSAGES
+} from '../utils/constants.js';
+import { parseCsv } from '../utils/csv.js';
+import { buildWorkbook, readWorkbook } from '../utils/xlsx.js';
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+// Widest header an import sheet may have (blank columns included)
+const MAX_COLUMNS = 256;
+
+// Column reporting an error on a field, by esgRecordCreate path
+const COLUMNS_BY_FIELD = Object.fromEntries(
+  Object.entries(ESG_IMPORT_COLUMNS).map(([column, field]) => [field, column])
+);
+
+// Import columns of a pillar's workbook sheet, period columns first
+const getPillarColumns = pillar => [
+  ...ESG_IMPORT_KEY_COLUMNS,
+  ...Object.keys(ESG_IMPORT_COLUMNS)
+    .filter(column => ESG_IMPORT_COLUMNS[column].startsWith(`${pillar}.`))
+];
+
+// esgRecordCreate rules of a field (from the Joi schema description)
+const describeField = (description, field) =>
+  field.split('.').reduce((node, key) => node?.keys?.[key], description);
+
+/**
+ * Import Service
+ * Bulk creation of draft ESG records from tabular files
+ */
+class ImportService {
+  /**
+   * Most data rows accepted in a single import
+   */
+  getMaxRows() {
+    return envInt('ESG_IMPORT_MAX_ROWS', 1000);
+  }
+
+  /**
+   * Match a header row against the import columns.
+   * Returns { columns } or { unknown, missing } when it doesn't fit.
+   */
+  mapHeader(header, allowed = Object.keys(ESG_IMPORT_COLUMNS)) {
+    const columns = header.map(name => name.trim().toLowerCase());
+    const unknown = columns.filter(column => column && !allowed.includes(column));
+    const missing = ['year'].filter(column => !columns.includes(column));
+
+    if (unknown.length || missing.length) {
+      return { unknown, missing };
+    }
+
+    return { columns };
+  }
+
+  /**
+   * Turn a row of cells into an esgRecordCreate payload
+   */
+  toPayload(columns, cells) {
+    const payload = {};
+
+    columns.forEach((column, index) => {
+      const value = (cells[index] ?? '').trim();
+
+      if (!column || value === '') return;
+
+      const path = ESG_IMPORT_COLUMNS[column].split('.');
+      const leaf = path.pop();
+      const parent = path.reduce((target, key) => {
+        target[key] = target[key] || {};
+        return target[key];
+      }, payload);
+
+      parent[leaf] = value;
+    });
+
+    return payload;
+  }
+
+  /**
+   * Read a CSV import file into { columns, entries } (each entry holds
+   * a row's cells and its file line), or { error, details }
+   */
+  readCsv(buffer) {
+    let rows;
+
+    try {
+      rows = parseCsv(buffer.toString('utf8'));
+    } catch (error) {
+      return { error: ERROR_MESSAGES.IMPORT_FILE_INVALID, details: [{ message: error.message }] };
+    }
+
+    const [header = [], ...dataRows] = rows;
+    const { columns, unknown, missing } = this.mapHeader(header);
+
+    if (!columns) {
+      return { error: ERROR_MESSAGES.IMPORT_COLUMNS_INVALID, details: { unknown, missing } };
+    }
+
+    return {
+      columns,
+      entries: dataRows.map((cells, index) => ({ line: index + 2, cells }))
+    };
+  }
+
+  /**
+   * Read an import workbook (one sheet per pillar) into
+   * { columns, entries }, or { error, details }. Rows of the pillar
+   * sheets describe the same record when their period columns
+   * (organization, facility, year, quarter, month) match.
+   */
+  readWorkbook(buffer) {
+    let sheets;
+
+    try {
+      sheets = readWorkbook(buffer, {
+        include: name => ESG_PILLARS.includes(name.trim().toLowerCase()),
+        maxColumns: MAX_COLUMNS
+      });
+    } catch (error) {
+      return { error: ERROR_MESSAGES.IMPORT_FILE_INVALID, details: [{ message: error.message }] };
+    }
+
+    if (sheets.length === 0) {
+      return {
+        error: ERROR_MESSAGES.IMPORT_FILE_INVALID,
+        details: [{ message: `Expected sheets named ${ESG_PILLARS.join(', ')}` }]
+      };
+    }
+
+    const columns = [...new Set(ESG_PILLARS.flatMap(getPillarColumns))];
+    const records = new Map();
+
+    for (const sheet of sheets) {
+      const pillar = sheet.name.trim().toLowerCase();
+      const [header, ...dataRows] = sheet.rows;
+      const mapped = this.mapHeader(header?.cells || [], getPillarColumns(pillar));
+
+      if (!mapped.columns) {
+        return {
+          error: ERROR_MESSAGES.IMPORT_COLUMNS_INVALID,
+          details: { sheet: pillar, unknown: mapped.unknown, missing: mapped.missing }
+        };
+      }
+
+      dataRows
+        .filter(row => row.cells.some(cell => cell.trim() !== ''))
+        .forEach(({ number, cells }) => {
+          const values = Object.fromEntries(
+            mapped.columns.map((column, index) => [column, (cells[index] ?? '').trim()])
+          );
+          const key = ESG_IMPORT_KEY_COLUMNS.map(column => values[column] || '').join('|');
+
+          if (!records.has(key)) {
+            records.set(key, { rows: {}, values: {}, errors: [] });
+          }
+
+          const record = records.get(key);
+
+          if (record.rows[pillar]) {
+            record.errors.push({
+              column: 'year',
+              message: `The same period appears more than once on the ${pillar} sheet (row ${number})`
+            });
+            return;
+          }
+
+          record.rows[pillar] = number;
+          Object.entries(values).forEach(([column, value]) => {
+            if (column && value !== '') record.values[column] = value;
+          });
+        });
+    }
+
+    return {
+      columns,
+      entries: [...records.values()].map(record => ({
+        sheetRows: record.rows,
+        cells: columns.map(column => record.values[column] ?? ''),
+        errors: record.errors.length ? record.errors : undefined
+      }))
+    };
+  }
+
+  /**
+   * Blank import workbook: one sheet per pillar whose header row lists
+   * the import columns, with data validations and input hints taken
+   * from the esgRecordCreate rules
+   */
+  buildTemplate() {
+    const description = schemas.esgRecordCreate.describe();
+
+    const sheets = ESG_PILLARS.map((pillar) => {
+      const columns = getPillarColumns(pillar);
+
+      return {
+        name: pillar,
+        rows: [columns],
+        validations: columns
+          .map((column, index) => this.getColumnHint(
+            index,
+            column,
+            describeField(description, ESG_IMPORT_COLUMNS[column])
+          ))
+          .filter(Boolean)
+      };
+    });
+
+    return buildWorkbook(sheets);
+  }
+
+  /**
+   * Spreadsheet data validation for an import column
+   */
+  getColumnHint(index, column, rules) {
+    if (!rules) return null;
+
+    const limit = name => rules.rules?.find(rule => rule.name === name)?.args?.limit;
+    const fallback = rules.flags?.default;
+    const suffix = [
+      rules.flags?.presence === 'required' ? 'Required' : null,
+      fallback !== undefined ? `Default ${fallback}` : null
+    ].filter(Boolean).join('. ');
+
+    if (rules.type === 'boolean') {
+      return {
+        column: index,
+        type: 'list',
+        values: ['TRUE', 'FALSE'],
+        prompt: ['TRUE or FALSE', suffix].filter(Boolean).join('. ')
+      };
+    }
+
+    if (rules.type === 'string' && rules.allow?.length) {
+      return {
+        column: index,
+        type: 'list',
+        values: rules.allow,
+        prompt: [`One of ${rules.allow.join(', ')}`, suffix].filter(Boolean).join('. ')
+      };
+    }
+
+    if (rules.type === 'number') {
+      const whole = rules.rules?.some(rule => rule.name === 'integer');
+      const min = limit('min');
+      const max = limit('max');
+      const kind = whole ? 'Whole number' : 'Number';
+      let range = '';
+      let operator;
+
+      if (min !== undefined && max !== undefined) {
+        range = ` from ${min} to ${max}`;
+        operator = 'between';
+      } else if (min !== undefined) {
+        range = ` of at least ${min}`;
+        operator = 'greaterThanOrEqual';
+      } else if (max !== undefined) {
+        range = ` of at most ${max}`;
+        operator = 'lessThanOrEqual';
+      }
+
+      return {
+        column: index,
+        type: operator ? (whole ? 'whole' : 'decimal') : 'none',
+        operator,
+        min,
+        max,
+        prompt: [`${kind}${range}`, suffix].filter(Boolean).join('. ')
+      };
+    }
+
+    // IDs: organization (when importing for another one) and facility
+    return {
+      column: index,
+      type: 'none',
+      prompt: column === 'facility'
+        ? 'Facility ID. Leave blank for organization-wide figures'
+        : 'Organization ID. Leave blank for your own organization'
+    };
+  }
+
+  /**
+   * Validate import entries ({ cells, errors?, ...location }) with the
+   * esgRecordCreate rules and the same organization and facility checks
+   * as a single create. The location fields are echoed in the report.
+   */
+  async validateRows(req, columns, entries) {
+    const organizations = new Map();
+    const results = [];
+    const valid = [];
+
+    const resolveOrganization = async (requested) => {
+      const key = requested || '';
+
+      if (!organizations.has(key)) {
+        organizations.set(key, await organizationService.resolveForRequest(req, requested));
+      }
+
+      return organizations.get(key);
+    };
+
+    const facilityIds = new Set();
+    const payloads = entries.map(({ cells, errors, ...location }) => {
+      if (errors) return { location, errors };
+
+      const { error, value } = schemas.esgRecordCreate.validate(
+        this.toPayload(columns, cells),
+        { abortEarly: false, stripUnknown: true }
+      );
+
+      if (error) {
+        return {
+          location,
+          errors: error.details.map(detail => ({
+            column: COLUMNS_BY_FIELD[detail.path.join('.')] ||
+              COLUMNS_BY_FIELD[detail.path.slice(0, 2).join('.')] ||
+              detail.path.join('.'),
+            message: detail.message
+          }))
+        };
+      }
+
+      if (value.facility) facilityIds.add(value.facility);
+
+      return { location, value };
+    });
+
+    const facilities = new Map(
+      (await Facility.find({ _id: { $in: [...facilityIds] }, isActive: true })
+        .select('organization')
+        .lean())
+        .map(facility => [facility._id.toString(), facility])
+    );
+
+    for (const { location, value, errors } of payloads) {
+      if (errors) {
+        results.push({ ...location, status: 'invalid', errors });
+        continue;
+      }
+
+      const organization = await resolveOrganization(value.organization);
+
+      if (!organization) {
+        results.push({
+          ...location,
+          status: 'invalid',
+          errors: [{ column: 'organization', message: 'Organization not found' }]
+        });
+        continue;
+      }
+
+      const facility = value.facility && facilities.get(value.facility);
+
+      if (
+        value.facility &&
+        (!facility || facility.organization.toString() !== organization._id.toString())
+      ) {
+        results.push({
+          ...location,
+          status: 'invalid',
+          errors: [{ column: 'facility', message: 'Facility not found' }]
+        });
+        continue;
+      }
+
+      const result = { ...location, status: 'valid' };
+
+      results.push(result);
+      valid.push({
+        result,
+        data: {
+          ...value,
+          organization: organization._id,
+          submittedBy: req.userId,
+          submittedByModel: req.principalType
+        }
+      });
+    }
+
+    return { results, valid };
+  }
+
+  /**
+   * Create the valid rows as drafts in a single transaction (where the
+   * server supports them), marking their report entries as created
+   */
+  async commit(req, valid) {
+    await runInTransaction(async (session) => {
+      const records = await ESGRecord.create(
+        valid.map(({ data }) => data),
+        { session, ordered: true }
+      );
+
+      for (const [index, record] of records.entries()) {
+        await versionService.recordChange(record, null, {
+          changeType: VERSION_CHANGE_TYPES.CREATED,
+          principal: req.userId,
+          principalType: req.principalType,
+          session
+        });
+
+        valid[index].result.status = 'created';
+        valid[index].result.recordId = record._id;
+      }
+    });
+
+    return valid.map(({ result }) => result.recordId);
+  }
+}
+
+export default new ImportService();
@@ -0,0 +1,233 @@
+import {
+  ESG_STATUS,
+  REPORT_STATUS,
+  PERMISSIONS,
+  API_KEY_SCOPES,
+  HTTP_STATUS,
+  ERROR_MESSAGES
+} from '../utils/constants.js';
+import { hasPermission } from '../utils/helpers.js';
+
+/**
+ * Lifecycle definitions, keyed by model name. Each transition lists the
+ * statuses it may start from, the status it ends in, the permission it
+ * needs, the API key scope a service account needs for it (none: people
+ * only, as for reviews) and the fields it stamps on the way.
+ */
+const LIFECYCLES = {
+  ESGRecord: {
+    submit: {
+      from: [ESG_STATUS.DRAFT, ESG_STATUS.REJECTED],
+      to: ESG_STATUS.SUBMITTED,
+      permission: PERMISSIONS.ESG_SUBMIT,
+      apiKeyScope: API_KEY_SCOPES.ESG_WRITE,
+      effects(record, req, from) {
+        record.submittedAt = new Date();
+        record.submittedForReviewBy = req.userId;
+        record.reviewStartedBy = undefined;
+        record.reviewStartedAt = undefined;
+        record.approvals = [];
+
+        if (from === ESG_STATUS.REJECTED) {
+          record.resubmissionCount += 1;
+        }
+      }
+    },
+
+    start_review: {
+      from: [ESG_STATUS.SUBMITTED],
+      to: ESG_STATUS.UNDER_REVIEW,
+      permission: PERMISSIONS.ESG_APPROVE,
+      effects(record, req) {
+        record.reviewStartedBy = req.userId;
+        record.reviewStartedAt = new Date();
+      }
+    },
+
+    // An approval that still leaves the policy short of its quorum
+    record_approval: {
+      from: [ESG_STATUS.SUBMITTED, ESG_STATUS.UNDER_REVIEW],
+      to: ESG_STATUS.UNDER_REVIEW,
+      permission: PERMISSIONS.ESG_APPROVE
+    },
+
+    approve: {
+      from: [ESG_STATUS.SUBMITTED, ESG_STATUS.UNDER_REVIEW],
+      to: ESG_STATUS.APPROVED,
+      permission: PERMISSIONS.ESG_APPROVE,
+      effects(record, req) {
+        record.reviewedBy = req.userId;
+        record.approvedAt = new Date();
+      }
+    },
+
+    reject: {
+      from: [ESG_STATUS.SUBMITTED, ESG_STATUS.UNDER_REVIEW],
+      to: ESG_STATUS.REJECTED,
+      permission: PERMISSIONS.ESG_APPROVE,
+      effects(record, req) {
+        record.reviewedBy = req.userId;
+        // A resubmission starts a new approval round
+        record.approvals = [];
+      }
+    },
+
+    // Back to draft when approved figures change (edit or version restore)
+    reopen: {
+      from: [ESG_STATUS.APPROVED],
+      to: ESG_STATUS.DRAFT,
+      permission: PERMISSIONS.ESG_EDIT_APPROVED,
+      effects(record) {
+        record.reviewedBy = undefined;
+        record.approvedAt = undefined;
+        record.approvals = [];
+      }
+    }
+  },
+
+  Report: {
+    finalize: {
+      from: [REPORT_STATUS.DRAFT],
+      to: REPORT_STATUS.FINALIZED,
+      permission: PERMISSIONS.REPORT_PUBLISH,
+      apiKeyScope: API_KEY_SCOPES.REPORTS_WRITE,
+      effects(report) {
+        report.finalizedAt = new Date();
+      }
+    },
+
+    reopen: {
+      from: [REPORT_STATUS.FINALIZED],
+      to: REPORT_STATUS.DRAFT,
+      permission: PERMISSIONS.REPORT_PUBLISH,
+      apiKeyScope: API_KEY_SCOPES.REPORTS_WRITE,
+      effects(report) {
+        report.finalizedAt = undefined;
+      }
+    },
+
+    publish: {
+      from: [REPORT_STATUS.FINALIZED],
+      to: REPORT_STATUS.PUBLISHED,
+      permission: PERMISSIONS.REPORT_PUBLISH,
+      apiKeyScope: API_KEY_SCOPES.REPORTS_WRITE,
+      effects(report) {
+        report.publishedAt = new Date();
+      }
+    },
+
+    // Archived is final
+    archive: {
+      from: [REPORT_STATUS.DRAFT, REPORT_STATUS.FINALIZED, REPORT_STATUS.PUBLISHED],
+      to: REPORT_STATUS.ARCHIVED,
+      permission: PERMISSIONS.REPORT_PUBLISH,
+      apiKeyScope: API_KEY_SCOPES.REPORTS_WRITE,
+      effects(report) {
+        report.archivedAt = new Date();
+      }
+    }
+  }
+};
+
+/**
+ * Lifecycle Service
+ * Single path for every status change of ESG records and reports
+ */
+class LifecycleService {
+  /**
+   * Transitions defined for a document's model
+   */
+  getTransitions(doc) {
+    const transitions = LIFECYCLES[doc.constructor.modelName];
+
+    if (!transitions) {
+      throw new Error(`No lifecycle defined for ${doc.constructor.modelName}`);
+    }
+
+    return transitions;
+  }
+
+  /**
+   * Name of the transition that moves a document to the given status
+   */
+  findTransitionTo(doc, status) {
+    const match = Object.entries(this.getTransitions(doc)).find(([, transition]) =>
+      transition.to === status && transition.from.includes(doc.status)
+    );
+
+    return match ? match[0] : null;
+  }
+
+  /**
+   * Check if the principal may take a transition: users need its
+   * permission, service accounts a key carrying its API key scope
+   */
+  isPermitted(transition, req) {
+    if (req.principalType === 'ServiceAccount') {
+      return Boolean(transition.apiKeyScope && req.apiKey?.hasScope(transition.apiKeyScope));
+    }
+
+    return hasPermission(req, transition.permission);
+  }
+
+  /**
+   * Actions the principal could take on a document in its current status
+   */
+  getAvailableActions(doc, req) {
+    return Object.entries(this.getTransitions(doc))
+      .filter(([, transition]) =>
+        transition.from.includes(doc.status) &&
+        this.isPermitted(transition, req)
+      )
+      .map(([action]) => action);
+  }
+
+  /**
+   * Check a transition against the lifecycle.
+   * Returns null when allowed, otherwise { status, message }.
+   */
+  check(doc, action, req) {
+    const transition = this.getTransitions(doc)[action];
+
+    if (!transition || !transition.from.includes(doc.status)) {
+      return {
+        status: HTTP_STATUS.BAD_REQUEST,
+        message: `${ERROR_MESSAGES.INVALID_STATUS_TRANSITION} (${action} from ${doc.status})`
+      };
+    }
+
+    if (!this.isPermitted(transition, req)) {
+      return {
+        status: HTTP_STATUS.FORBIDDEN,
+        message: ERROR_MESSAGES.INSUFFICIENT_PERMISSIONS
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Move a document along a transition and apply its side effects.
+   * Callers check() first; the document still has to be saved.
+   */
+  apply(doc, action, req) {
+    const violation = this.check(doc, action, req);
+
+    if (violation) {
+      throw new Error(violation.message);
+    }
+
+    const transition = this.getTransitions(doc)[action];
+    const from = doc.status;
+
+    doc.status = transition.to;
+    transition.effects?.(doc, req, from);
+
+    // Lets the model's status guard accept this change
+    doc.$locals.lifecycleTransition = action;
+
+    return { from, to: transition.to };
+  }
+}
+
+export default new LifecycleService();
@@ -0,0 +1,177 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Built-in mail transports
+ * A transport is any object exposing `async send(message)`
+ */
+const transports = {
+  // Print messages to stdout (development). Bodies carry live reset,
+  // invitation and verification links, so only development shows them.
+  console: {
+    async send(message) {
+      console.log('='.repeat(50));
+      console.log(`Mail to: ${message.to}`);
+      console.log(`Subject: ${message.subject}`);
+      console.log(process.env.NODE_ENV === 'development'
+        ? message.text
+        : '(body hidden outside development)');
+      console.log('='.repeat(50));
+    }
+  },
+
+  // Append messages as JSON lines to a local file (tests)
+  file: {
+    async send(message) {
+      const filePath = path.resolve(process.env.MAIL_FILE_PATH || 'mail.log');
+      await fs.appendFile(
+        filePath,
+        `${JSON.stringify({ ...message, sentAt: new Date().toISOString() })}\n`
+      );
+    }
+  },
+
+  // POST messages as JSON to a mail API or relay at MAIL_HTTP_URL
+  http: {
+    async send(message) {
+      const response = await fetch(process.env.MAIL_HTTP_URL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(process.env.MAIL_HTTP_TOKEN && {
+            Authorization: `Bearer ${process.env.MAIL_HTTP_TOKEN}`
+          })
+        },
+        body: JSON.stringify(message)
+      });
+
+      if (!response.ok) {
+        throw new Error(`Mail relay responded with ${response.status}`);
+      }
+    }
+  }
+};
+
+// Transports that keep messages on this machine instead of delivering them
+const LOCAL_TRANSPORTS = [transports.console, transports.file];
+
+/**
+ * Mail Service
+ * Sends transactional emails through a pluggable transport
+ */
+class MailService {
+  constructor() {
+    this.transport = transports[process.env.MAIL_TRANSPORT] || transports.console;
+  }
+
+  /**
+   * Replace the active transport (e.g. an SMTP or API-backed one)
+   */
+  setTransport(transport) {
+    if (!transport || typeof transport.send !== 'function') {
+      throw new Error('Mail transport must implement send(message)');
+    }
+    this.transport = transport;
+  }
+
+  /**
+   * Refuse to run in production without a transport that delivers mail;
+   * a local one would leave users' tokens in logs or files
+   */
+  assertConfigured() {
+    if (process.env.NODE_ENV !== 'production') return;
+
+    if (LOCAL_TRANSPORTS.includes(this.transport)) {
+      throw new Error('MAIL_TRANSPORT must name a delivering transport (e.g. http) in production');
+    }
+
+    if (this.transport === transports.http && !process.env.MAIL_HTTP_URL) {
+      throw new Error('MAIL_HTTP_URL is required for the http mail transport');
+    }
+  }
+
+  /**
+   * Send an email
+   */
+  async send({ to, subject, text }) {
+    return this.transport.send({
+      from: process.env.MAIL_FROM || 'no-reply@esg-platform.local',
+      to,
+      subject,
+      text
+    });
+  }
+
+  /**
+   * Send password reset instructions
+   */
+  async sendPasswordReset(user, resetToken, expiresInMinutes) {
+    const appUrl = process.env.APP_URL || 'http://localhost:3000';
+
+    return this.send({
+      to: user.email,
+      subject: 'Reset your ESG Platform password',
+      text:
+        `Hello ${user.name},\n\n` +
+        'A password reset was requested for your account. ' +
+        `Use the link below within ${expiresInMinutes} minutes:\n\n` +
+        `${appUrl}/reset-password?token=${resetToken}\n\n` +
+        'If you did not request this, you can ignore this email.'
+    });
+  }
+
+  /**
+   * Send an email address verification link
+   */
+  async sendEmailVerification(user, verificationToken) {
+    const appUrl = process.env.APP_URL || 'http://localhost:3000';
+
+    return this.send({
+      to: user.email,
+      subject: 'Verify your ESG Platform email address',
+      text:
+        `Hello ${user.name},\n\n` +
+        'Please confirm your email address to activate your account. ' +
+        `The link below is valid until ${user.emailVerificationExpires.toUTCString()}:\n\n` +
+        `${appUrl}/verify-email?token=${verificationToken}`
+    });
+  }
+
+  /**
+   * Send an account invitation
+   */
+  async sendInvitation(invitation, invitationToken, organizationName) {
+    const appUrl = process.env.APP_URL || 'http://localhost:3000';
+
+    return this.send({
+      to: invitation.email,
+      subject: `You have been invited to the ${organizationName} ESG Platform`,
+      text:
+        'Hello,\n\n' +
+        `You have been invited to join ${organizationName} ` +
+        `as ${invitation.role.replace('_', ' ')}. ` +
+        `Complete your registration before ${invitation.expiresAt.toUTCString()}:\n\n` +
+        `${appUrl}/register?invitation=${invitationToken}`
+    });
+  }
+
+  /**
+   * Tell a user they were mentioned in an ESG record comment
+   */
+  async sendCommentMention(user, comment, authorName) {
+    const appUrl = process.env.APP_URL || 'http://localhost:3000';
+
+    return this.send({
+      to: user.email,
+      subject: `${authorName} mentioned you on an ESG record`,
+      text:
+        `Hello ${user.name},\n\n` +
+        `${authorName} mentioned you in a comment` +
+        `${comment.field ? ` on ${comment.field}` : ''}:\n\n` +
+        `${comment.body}\n\n` +
+        `${appUrl}/esg/${comment.record}`
+    });
+  }
+}
+
+export default new MailService();
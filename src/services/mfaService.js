@@ -0,0 +1,214 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { generateSecureToken, hashToken } from '../utils/helpers.js';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// RFC 6238 defaults used by common authenticator apps
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1; // accept one step of clock drift either side
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TOKEN_EXPIRE = '5m';
+
+/**
+ * MFA Service
+ * TOTP (RFC 6238) enrollment, verification and login challenges
+ */
+class MFAService {
+  /**
+   * Roles that must use MFA (comma separated MFA_REQUIRED_ROLES)
+   */
+  getRequiredRoles() {
+    return (process.env.MFA_REQUIRED_ROLES || '')
+      .split(',')
+      .map(role => role.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Check if MFA is mandatory for a user's role
+   */
+  isRequiredForRole(role) {
+    return this.getRequiredRoles().includes(role);
+  }
+
+  /**
+   * Encode a buffer as RFC 4648 base32 (no padding)
+   */
+  base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  /**
+   * Decode an RFC 4648 base32 string
+   */
+  base32Decode(input) {
+    const cleaned = input.replace(/=+$/, '').toUpperCase();
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('Invalid base32 character');
+      }
+
+      value = (value << 5) | index;
+      bits += 5;
+
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  /**
+   * Generate a new random TOTP secret (base32)
+   */
+  generateSecret() {
+    return this.base32Encode(crypto.randomBytes(20));
+  }
+
+  /**
+   * Build the otpauth:// URI shown as a QR code by the client
+   */
+  getOtpauthUrl(secret, accountName) {
+    const issuer = process.env.MFA_ISSUER || 'ESG Platform';
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+
+    return (
+      `otpauth://totp/${label}?secret=${secret}` +
+      `&issuer=${encodeURIComponent(issuer)}` +
+      `&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`
+    );
+  }
+
+  /**
+   * Get the current TOTP time step
+   */
+  getTimeStep(timestamp = Date.now()) {
+    return Math.floor(timestamp / 1000 / TOTP_STEP_SECONDS);
+  }
+
+  /**
+   * Generate the HOTP code for a given counter (RFC 4226)
+   */
+  generateCode(secret, step = this.getTimeStep()) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto
+      .createHmac('sha1', this.base32Decode(secret))
+      .update(counter)
+      .digest();
+
+    // Dynamic truncation
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary =
+      ((hmac[offset] & 0x7f) << 24) |
+      (hmac[offset + 1] << 16) |
+      (hmac[offset + 2] << 8) |
+      hmac[offset + 3];
+
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+  }
+
+  /**
+   * Verify a TOTP code.
+   * Returns the matching time step, or null. Steps at or before
+   * `lastUsedStep` are rejected so a code cannot be replayed.
+   */
+  verifyCode(secret, code, lastUsedStep = -1) {
+    if (!secret || !/^\d{6}$/.test(String(code))) {
+      return null;
+    }
+
+    const currentStep = this.getTimeStep();
+
+    for (let drift = -TOTP_WINDOW; drift <= TOTP_WINDOW; drift++) {
+      const step = currentStep + drift;
+      if (step <= lastUsedStep) continue;
+
+      const expected = Buffer.from(this.generateCode(secret, step));
+      const actual = Buffer.from(String(code));
+
+      if (crypto.timingSafeEqual(expected, actual)) {
+        return step;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Generate one-time recovery codes; returns raw codes and their hashes
+   */
+  generateRecoveryCodes() {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const raw = generateSecureToken(5);
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    return {
+      codes,
+      hashes: codes.map(code => this.hashRecoveryCode(code))
+    };
+  }
+
+  /**
+   * Hash a recovery code (case and dash insensitive)
+   */
+  hashRecoveryCode(code) {
+    return hashToken(String(code).replace(/-/g, '').toLowerCase());
+  }
+
+  /**
+   * Sign a short-lived token for the second login step
+   * purpose: 'mfa_challenge' (enrolled) or 'mfa_enrollment' (must enroll)
+   */
+  createChallengeToken(userId, purpose) {
+    return jwt.sign(
+      { userId, purpose },
+      process.env.JWT_SECRET,
+      { expiresIn: CHALLENGE_TOKEN_EXPIRE }
+    );
+  }
+
+  /**
+   * Verify a challenge token; returns the decoded payload or null
+   */
+  verifyChallengeToken(token, purpose) {
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      return decoded.purpose === purpose ? decoded : null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+export default new MFAService();
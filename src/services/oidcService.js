@@ -0,0 +1,314 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import OidcAuthRequest from '../models/OidcAuthRequest.js';
+import { generateSecureToken, hashToken, getClientIp } from '../utils/helpers.js';
+
+const AUTH_REQUEST_EXPIRE_MINUTES = 10;
+const METADATA_CACHE_MS = 60 * 60 * 1000;
+const HTTP_TIMEOUT_MS = 10 * 1000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384'];
+
+/**
+ * Parse "a=b,c=d" mappings into an ordered list of [from, to] pairs
+ */
+const parseMapping = (value) => {
+  return (value || '')
+    .split(',')
+    .map(pair => pair.split('=').map(part => part.trim()))
+    .filter(([from, to]) => from && to);
+};
+
+/**
+ * Read a (possibly dotted) claim and normalize it to a list of strings
+ */
+const readClaim = (claims, path) => {
+  const value = path
+    .split('.')
+    .reduce((current, key) => (current == null ? undefined : current[key]), claims);
+
+  if (value == null) return [];
+  return (Array.isArray(value) ? value : [value]).map(String);
+};
+
+/**
+ * OIDC Service
+ * OpenID Connect authorization code flow (with PKCE) against the
+ * configured identity provider, plus claim-to-account mapping
+ */
+class OIDCService {
+  constructor() {
+    this.metadata = null;
+    this.metadataFetchedAt = 0;
+    this.jwks = null;
+  }
+
+  /**
+   * Current configuration (read from environment variables)
+   */
+  getConfig() {
+    return {
+      issuer: (process.env.OIDC_ISSUER || '').replace(/\/$/, ''),
+      clientId: process.env.OIDC_CLIENT_ID,
+      clientSecret: process.env.OIDC_CLIENT_SECRET,
+      redirectUri: process.env.OIDC_REDIRECT_URI,
+      scopes: process.env.OIDC_SCOPES || 'openid email profile',
+      // client_secret_basic or client_secret_post
+      tokenAuthMethod: process.env.OIDC_TOKEN_AUTH_METHOD || 'client_secret_basic',
+      roleClaim: process.env.OIDC_ROLE_CLAIM || 'groups',
+      roleMapping: parseMapping(process.env.OIDC_ROLE_MAPPING),
+      defaultRole: process.env.OIDC_DEFAULT_ROLE || null,
+      organizationClaim: process.env.OIDC_ORGANIZATION_CLAIM || 'organization',
+      organizationMapping: parseMapping(process.env.OIDC_ORGANIZATION_MAPPING),
+      defaultOrganization: process.env.OIDC_DEFAULT_ORGANIZATION || null
+    };
+  }
+
+  /**
+   * Check if single sign-on is configured
+   */
+  isEnabled() {
+    const { issuer, clientId, redirectUri } = this.getConfig();
+    return Boolean(issuer && clientId && redirectUri);
+  }
+
+  /**
+   * Fetch JSON from the provider, failing on non-2xx responses
+   */
+  async fetchJson(url, options = {}) {
+    const response = await fetch(url, {
+      ...options,
+      signal: AbortSignal.timeout(HTTP_TIMEOUT_MS)
+    });
+
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      const reason = body.error_description || body.error || response.statusText;
+      throw new Error(`Identity provider request failed (${response.status}): ${reason}`);
+    }
+
+    return body;
+  }
+
+  /**
+   * Provider metadata from the discovery document (cached)
+   */
+  async getMetadata() {
+    if (this.metadata && Date.now() - this.metadataFetchedAt < METADATA_CACHE_MS) {
+      return this.metadata;
+    }
+
+    const { issuer } = this.getConfig();
+    const metadata = await this.fetchJson(`${issuer}/.well-known/openid-configuration`);
+
+    if (metadata.issuer?.replace(/\/$/, '') !== issuer) {
+      throw new Error('Discovery document issuer does not match OIDC_ISSUER');
+    }
+
+    this.metadata = metadata;
+    this.metadataFetchedAt = Date.now();
+    this.jwks = null;
+
+    return metadata;
+  }
+
+  /**
+   * Find the provider's signing key by key id, refreshing the JWKS
+   * once when the key is unknown (the provider may have rotated keys)
+   */
+  async getSigningKey(kid) {
+    const findKey = () => this.jwks?.keys?.find(key =>
+      (!kid || key.kid === kid) && (!key.use || key.use === 'sig')
+    );
+
+    let jwk = findKey();
+
+    if (!jwk) {
+      const { jwks_uri: jwksUri } = await this.getMetadata();
+      this.jwks = await this.fetchJson(jwksUri);
+      jwk = findKey();
+    }
+
+    if (!jwk) {
+      throw new Error('No matching signing key for ID token');
+    }
+
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  }
+
+  /**
+   * Start a login: persist state, nonce and PKCE verifier and
+   * return the provider authorization URL to redirect to
+   */
+  async createAuthorizationUrl(req) {
+    const config = this.getConfig();
+    const metadata = await this.getMetadata();
+
+    const state = generateSecureToken();
+    const nonce = generateSecureToken();
+    const codeVerifier = generateSecureToken(48);
+    const codeChallenge = crypto
+      .createHash('sha256')
+      .update(codeVerifier)
+      .digest('base64url');
+
+    await OidcAuthRequest.create({
+      stateHash: hashToken(state),
+      nonce,
+      codeVerifier,
+      ipAddress: getClientIp(req),
+      expiresAt: new Date(Date.now() + AUTH_REQUEST_EXPIRE_MINUTES * 60 * 1000)
+    });
+
+    const url = new URL(metadata.authorization_endpoint);
+    url.search = new URLSearchParams({
+      response_type: 'code',
+      client_id: config.clientId,
+      redirect_uri: config.redirectUri,
+      scope: config.scopes,
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    }).toString();
+
+    return url.toString();
+  }
+
+  /**
+   * Consume a pending login attempt by its state (single use)
+   */
+  async consumeAuthRequest(state) {
+    if (!state) return null;
+
+    return OidcAuthRequest.findOneAndDelete({
+      stateHash: hashToken(state),
+      expiresAt: { $gt: new Date() }
+    });
+  }
+
+  /**
+   * Exchange an authorization code for tokens
+   */
+  async exchangeCode(code, codeVerifier) {
+    const config = this.getConfig();
+    const metadata = await this.getMetadata();
+
+    const params = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: config.redirectUri,
+      code_verifier: codeVerifier
+    });
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+    if (config.tokenAuthMethod === 'client_secret_post') {
+      params.set('client_id', config.clientId);
+      params.set('client_secret', config.clientSecret || '');
+    } else {
+      const credentials = `${encodeURIComponent(config.clientId)}:${encodeURIComponent(config.clientSecret || '')}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+
+    return this.fetchJson(metadata.token_endpoint, {
+      method: 'POST',
+      headers,
+      body: params.toString()
+    });
+  }
+
+  /**
+   * Verify an ID token's signature and claims; returns its claims
+   */
+  async verifyIdToken(idToken, nonce) {
+    const { issuer, clientId } = this.getConfig();
+    const metadata = await this.getMetadata();
+
+    const decoded = jwt.decode(idToken, { complete: true });
+
+    if (!decoded) {
+      throw new Error('ID token is malformed');
+    }
+
+    const key = await this.getSigningKey(decoded.header.kid);
+
+    const claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: metadata.issuer,
+      audience: clientId
+    });
+
+    if (claims.iss.replace(/\/$/, '') !== issuer) {
+      throw new Error('ID token issuer mismatch');
+    }
+
+    if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== clientId) {
+      throw new Error('ID token authorized party mismatch');
+    }
+
+    if (!claims.nonce || claims.nonce !== nonce) {
+      throw new Error('ID token nonce mismatch');
+    }
+
+    if (!claims.sub) {
+      throw new Error('ID token has no subject');
+    }
+
+    return claims;
+  }
+
+  /**
+   * Complete a login from the callback parameters; returns the
+   * verified ID token claims
+   */
+  async handleCallback({ code, state }) {
+    const authRequest = await this.consumeAuthRequest(state);
+
+    if (!authRequest) {
+      throw new Error('Login attempt is unknown or has expired');
+    }
+
+    if (!code) {
+      throw new Error('Authorization code missing');
+    }
+
+    const tokens = await this.exchangeCode(code, authRequest.codeVerifier);
+
+    if (!tokens.id_token) {
+      throw new Error('Token response has no ID token');
+    }
+
+    return this.verifyIdToken(tokens.id_token, authRequest.nonce);
+  }
+
+  /**
+   * Map ID token claims to a platform role (first mapping that
+   * matches wins); falls back to OIDC_DEFAULT_ROLE or null
+   */
+  mapRole(claims) {
+    const { roleClaim, roleMapping, defaultRole } = this.getConfig();
+    const values = readClaim(claims, roleClaim);
+    const match = roleMapping.find(([from]) => values.includes(from));
+
+    return match ? match[1] : defaultRole;
+  }
+
+  /**
+   * Map ID token claims to an organization slug. Without a mapping
+   * the claim value is used as-is; falls back to
+   * OIDC_DEFAULT_ORGANIZATION or null
+   */
+  mapOrganization(claims) {
+    const { organizationClaim, organizationMapping, defaultOrganization } = this.getConfig();
+    const values = readClaim(claims, organizationClaim);
+
+    if (organizationMapping.length === 0) {
+      return values[0] || defaultOrganization;
+    }
+
+    const match = organizationMapping.find(([from]) => values.includes(from));
+    return match ? match[1] : defaultOrganization;
+  }
+}
+
+export default new OIDCService();
@@ -0,0 +1,140 @@
+import mongoose from 'mongoose';
+import Organization from '../models/Organization.js';
+import { PERMISSIONS, CONSOLIDATION_APPROACHES } from '../utils/constants.js';
+import { hasPermission } from '../utils/helpers.js';
+
+/**
+ * Organization Service
+ * Resolves which organization a request acts on
+ */
+class OrganizationService {
+  /**
+   * Organization a new resource should belong to. Platform-wide
+   * principals may name any active organization (defaulting to their
+   * own); everyone else always gets their own. Returns null when the
+   * organization does not exist or is inactive.
+   */
+  async resolveForRequest(req, requestedId) {
+    const organizationId = requestedId && hasPermission(req, PERMISSIONS.ORGANIZATION_ALL)
+      ? requestedId
+      : req.user.organization;
+
+    if (!mongoose.isValidObjectId(organizationId)) {
+      return null;
+    }
+
+    return Organization.findOne({ _id: organizationId, isActive: true });
+  }
+
+  /**
+   * Find an active organization by slug
+   */
+  async findActiveBySlug(slug) {
+    return Organization.findOne({ slug, isActive: true });
+  }
+
+  /**
+   * Check if making `parentId` the parent of `organizationId` would
+   * create a cycle in the group structure
+   */
+  async wouldCreateCycle(organizationId, parentId) {
+    const visited = new Set();
+    let currentId = parentId;
+
+    while (currentId && !visited.has(String(currentId))) {
+      if (String(currentId) === String(organizationId)) {
+        return true;
+      }
+
+      visited.add(String(currentId));
+
+      const current = await Organization.findById(currentId).select('parent').lean();
+      currentId = current?.parent;
+    }
+
+    return false;
+  }
+
+  /**
+   * Share of a subsidiary's figures that the group reports, given the
+   * share carried by its parent (0-1)
+   */
+  getConsolidatedShare(parentShare, ownership, approach) {
+    switch (approach) {
+      case CONSOLIDATION_APPROACHES.EQUITY_SHARE:
+        return parentShare * (ownership.percentage ?? 100) / 100;
+      case CONSOLIDATION_APPROACHES.FINANCIAL_CONTROL:
+        return ownership.financialControl === false ? 0 : parentShare;
+      default:
+        return ownership.operationalControl === false ? 0 : parentShare;
+    }
+  }
+
+  /**
+   * Organizations whose figures roll up into a consolidated report for
+   * `rootId`, each with the share (0-1) to include. Subsidiaries that
+   * contribute nothing under the approach are left out, along with
+   * their own subsidiaries.
+   */
+  async getConsolidationScope(rootId, approach) {
+    const root = await Organization.findById(rootId).select('name').lean();
+
+    if (!root) {
+      return [];
+    }
+
+    const scope = [{ organization: root._id, name: root.name, parent: null, share: 1 }];
+    const visited = new Set([String(root._id)]);
+    let frontier = scope;
+
+    while (frontier.length > 0) {
+      const shares = new Map(frontier.map(entity => [String(entity.organization), entity.share]));
+
+      const children = await Organization.find({
+        parent: { $in: frontier.map(entity => entity.organization) },
+        isActive: true
+      })
+        .select('name parent ownership')
+        .lean();
+
+      frontier = [];
+
+      for (const child of children) {
+        const share = this.getConsolidatedShare(
+          shares.get(String(child.parent)),
+          child.ownership || {},
+          approach
+        );
+
+        if (share > 0 && !visited.has(String(child._id))) {
+          visited.add(String(child._id));
+          frontier.push({
+            organization: child._id,
+            name: child.name,
+            parent: child.parent,
+            share
+          });
+        }
+      }
+
+      scope.push(...frontier);
+    }
+
+    return scope;
+  }
+
+  /**
+   * Derive a URL-safe slug from an organization name
+   */
+  slugify(name) {
+    return name
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 60);
+  }
+}
+
+export default new OrganizationService();
@@ -0,0 +1,161 @@
+import fs from 'fs';
+import bcrypt from 'bcryptjs';
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const envFlag = (name, fallback) => {
+  if (process.env[name] === undefined) return fallback;
+  return process.env[name] === 'true';
+};
+
+// Bundled list of common/breached passwords (one per line)
+const COMMON_PASSWORDS = new Set(
+  fs
+    .readFileSync(new URL('../data/common-passwords.txt', import.meta.url), 'utf8')
+    .split('\n')
+    .map(line => line.trim().toLowerCase())
+    .filter(line => line && !line.startsWith('#'))
+);
+
+/**
+ * Password Policy Service
+ * Central password rules, reuse prevention and expiry
+ */
+class PasswordPolicyService {
+  /**
+   * Current policy (configured through environment variables)
+   */
+  getPolicy() {
+    return {
+      minLength: envInt('PASSWORD_MIN_LENGTH', 12),
+      maxLength: envInt('PASSWORD_MAX_LENGTH', 128),
+      requireUppercase: envFlag('PASSWORD_REQUIRE_UPPERCASE', true),
+      requireLowercase: envFlag('PASSWORD_REQUIRE_LOWERCASE', true),
+      requireDigit: envFlag('PASSWORD_REQUIRE_DIGIT', true),
+      requireSymbol: envFlag('PASSWORD_REQUIRE_SYMBOL', true),
+      maxAgeDays: envInt('PASSWORD_MAX_AGE_DAYS', 0), // 0 disables expiry
+      historySize: envInt('PASSWORD_HISTORY_SIZE', 5)
+    };
+  }
+
+  /**
+   * Validate a candidate password against the policy.
+   * Returns a list of { field, message } errors (empty when valid).
+   */
+  validate(password, { email, name } = {}) {
+    const policy = this.getPolicy();
+    const errors = [];
+    const addError = (message) => errors.push({ field: 'password', message });
+
+    if (typeof password !== 'string') {
+      addError('Password is required');
+      return errors;
+    }
+
+    if (password.length < policy.minLength) {
+      addError(`Password must be at least ${policy.minLength} characters`);
+    }
+
+    if (password.length > policy.maxLength) {
+      addError(`Password cannot exceed ${policy.maxLength} characters`);
+    }
+
+    if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+      addError('Password must contain an uppercase letter');
+    }
+
+    if (policy.requireLowercase && !/[a-z]/.test(password)) {
+      addError('Password must contain a lowercase letter');
+    }
+
+    if (policy.requireDigit && !/\d/.test(password)) {
+      addError('Password must contain a digit');
+    }
+
+    if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+      addError('Password must contain a symbol');
+    }
+
+    if (COMMON_PASSWORDS.has(password.toLowerCase())) {
+      addError('Password is too common, choose a less predictable one');
+    }
+
+    const lowered = password.toLowerCase();
+    const emailName = email?.split('@')[0]?.toLowerCase();
+
+    if (
+      (emailName && emailName.length >= 3 && lowered.includes(emailName)) ||
+      (name && name.length >= 3 && lowered.includes(name.toLowerCase()))
+    ) {
+      addError('Password cannot contain your name or email');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check if a password matches the current or a recent one.
+   * User must be loaded with +password +passwordHistory.
+   */
+  async isReused(user, password) {
+    const hashes = [user.password, ...(user.passwordHistory || [])].filter(Boolean);
+
+    for (const hash of hashes) {
+      if (await bcrypt.compare(password, hash)) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Validate and apply a password change on an existing user.
+   * User must be loaded with +password +passwordHistory; caller saves.
+   * Returns a list of { field, message } errors (empty when applied).
+   */
+  async changePassword(user, password) {
+    const errors = this.validate(password, user);
+
+    if (errors.length > 0) {
+      return errors;
+    }
+
+    if (await this.isReused(user, password)) {
+      const { historySize } = this.getPolicy();
+      return [{
+        field: 'password',
+        message: `Password cannot match any of your last ${historySize} passwords`
+      }];
+    }
+
+    // Keep the current hash so the last N passwords (incl. new one) are blocked
+    const keep = Math.max(this.getPolicy().historySize - 1, 0);
+    user.passwordHistory = [user.password, ...(user.passwordHistory || [])]
+      .filter(Boolean)
+      .slice(0, keep);
+    user.password = password;
+
+    return [];
+  }
+
+  /**
+   * Check if a user's password is older than the maximum age
+   */
+  isExpired(user) {
+    const { maxAgeDays } = this.getPolicy();
+    const setAt = user.passwordChangedAt || user.createdAt;
+
+    // Single sign-on accounts have no local password to expire
+    if (!maxAgeDays || !setAt || user.authProvider === 'oidc') {
+      return false;
+    }
+
+    return Date.now() - setAt.getTime() > maxAgeDays * 24 * 60 * 60 * 1000;
+  }
+}
+
+export default new PasswordPolicyService();
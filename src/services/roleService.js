@@ -0,0 +1,86 @@
+import Role from '../models/Role.js';
+import {
+  ROLES,
+  SYSTEM_ROLE_PERMISSIONS,
+  PLATFORM_PERMISSIONS
+} from '../utils/constants.js';
+
+// Role permissions are cached briefly; writes on this instance clear the cache
+const CACHE_TTL_MS = 60 * 1000;
+
+/**
+ * Role Service
+ * Resolves role permissions and seeds the built-in roles
+ */
+class RoleService {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  /**
+   * Create missing built-in roles. Organization-level role permissions
+   * can be edited afterwards; the super admin always holds every
+   * permission and is the only role with platform permissions.
+   */
+  async ensureSystemRoles() {
+    await Promise.all(
+      Object.entries(SYSTEM_ROLE_PERMISSIONS).map(([name, permissions]) => {
+        const update = name === ROLES.SUPER_ADMIN
+          ? { $set: { permissions, isSystem: true } }
+          : { $setOnInsert: { permissions }, $set: { isSystem: true } };
+
+        return Role.updateOne({ name }, update, { upsert: true });
+      })
+    );
+
+    await Role.updateMany(
+      { name: { $ne: ROLES.SUPER_ADMIN } },
+      { $pull: { permissions: { $in: PLATFORM_PERMISSIONS } } }
+    );
+
+    this.clearCache();
+  }
+
+  /**
+   * Permissions granted by a role (empty for unknown roles)
+   */
+  async getPermissions(roleName) {
+    const cached = this.cache.get(roleName);
+
+    if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+      return cached.permissions;
+    }
+
+    const role = await Role.findOne({ name: roleName }).lean();
+    const permissions = new Set(role ? role.permissions : []);
+
+    this.cache.set(roleName, { permissions, loadedAt: Date.now() });
+
+    return permissions;
+  }
+
+  /**
+   * Check if the current principal may hand out a role: it must not
+   * grant anything the principal does not hold itself
+   */
+  async canAssign(req, roleName) {
+    const permissions = await this.getPermissions(roleName);
+    return [...permissions].every(permission => req.permissions?.has(permission));
+  }
+
+  /**
+   * Check if a role exists
+   */
+  async roleExists(roleName) {
+    return Boolean(await Role.exists({ name: roleName }));
+  }
+
+  /**
+   * Forget cached permissions (after a role changes)
+   */
+  clearCache() {
+    this.cache.clear();
+  }
+}
+
+export default new RoleService();
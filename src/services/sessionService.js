@@ -0,0 +1,219 @@
+import jwt from 'jsonwebtoken';
+import Session from '../models/Session.js';
+import {
+  getClientIp,
+  getUserAgent,
+  describeUserAgent,
+  generateSecureToken,
+  hashToken
+} from '../utils/helpers.js';
+
+const ACCESS_TOKEN_EXPIRE = process.env.JWT_ACCESS_EXPIRE || '15m';
+const REFRESH_TOKEN_TTL_DAYS =
+  parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 7;
+
+// Only persist "last seen" once a minute per session to limit writes
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Session Service
+ * Issues access/refresh token pairs and manages server-side sessions
+ */
+class SessionService {
+  /**
+   * Sign a short-lived access token bound to a session
+   */
+  generateAccessToken(userId, sessionId) {
+    return jwt.sign(
+      { userId, sessionId },
+      process.env.JWT_SECRET,
+      { expiresIn: ACCESS_TOKEN_EXPIRE }
+    );
+  }
+
+  /**
+   * Build an opaque refresh token ("<sessionId>.<secret>")
+   */
+  buildRefreshToken(sessionId) {
+    const secret = generateSecureToken(48);
+    return {
+      refreshToken: `${sessionId}.${secret}`,
+      refreshTokenHash: hashToken(secret)
+    };
+  }
+
+  /**
+   * Calculate refresh token expiry date
+   */
+  getRefreshExpiry() {
+    return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Create a new session for a user and return its tokens
+   */
+  async createSession(userId, req) {
+    const sessionId = new Session()._id;
+    const { refreshToken, refreshTokenHash } = this.buildRefreshToken(sessionId);
+
+    const session = await Session.create({
+      _id: sessionId,
+      user: userId,
+      refreshTokenHash,
+      ipAddress: getClientIp(req),
+      userAgent: getUserAgent(req),
+      expiresAt: this.getRefreshExpiry()
+    });
+
+    return {
+      session,
+      token: this.generateAccessToken(userId, session._id),
+      refreshToken
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair.
+   * Returns null when the token is invalid, expired or revoked.
+   * Presenting an already-rotated token revokes the whole session.
+   */
+  async rotateRefreshToken(presentedToken, req) {
+    const [sessionId, secret] = String(presentedToken).split('.');
+
+    if (!sessionId || !secret || !/^[0-9a-fA-F]{24}$/.test(sessionId)) {
+      return null;
+    }
+
+    const session = await Session.findById(sessionId).select('+refreshTokenHash');
+
+    if (!session || !session.isActive()) {
+      return null;
+    }
+
+    if (session.refreshTokenHash !== hashToken(secret)) {
+      // An old refresh token was replayed: assume it was stolen
+      session.revokedAt = new Date();
+      session.revokedReason = 'token_reuse';
+      await session.save();
+      return null;
+    }
+
+    const { refreshToken, refreshTokenHash } = this.buildRefreshToken(session._id);
+
+    session.refreshTokenHash = refreshTokenHash;
+    session.expiresAt = this.getRefreshExpiry();
+    session.lastUsedAt = new Date();
+    session.ipAddress = getClientIp(req);
+    session.userAgent = getUserAgent(req);
+    await session.save();
+
+    return {
+      session,
+      token: this.generateAccessToken(session.user, session._id),
+      refreshToken
+    };
+  }
+
+  /**
+   * Find an active session belonging to the given user
+   */
+  async findActiveSession(sessionId, userId) {
+    if (!sessionId) return null;
+
+    const session = await Session.findOne({ _id: sessionId, user: userId });
+
+    if (!session || !session.isActive()) {
+      return null;
+    }
+
+    return session;
+  }
+
+  /**
+   * Record activity on a session (throttled)
+   */
+  async touchSession(session, req) {
+    if (Date.now() - session.lastUsedAt.getTime() < LAST_SEEN_RESOLUTION_MS) {
+      return;
+    }
+
+    await Session.updateOne(
+      { _id: session._id },
+      {
+        $set: {
+          lastUsedAt: new Date(),
+          ipAddress: getClientIp(req),
+          userAgent: getUserAgent(req)
+        }
+      }
+    );
+  }
+
+  /**
+   * List active sessions of a user, most recently used first
+   */
+  async listActiveSessions(userId) {
+    return Session.find({
+      user: userId,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+  }
+
+  /**
+   * Shape a session for API responses
+   */
+  toPublicSession(session, currentSessionId = null) {
+    return {
+      id: session._id,
+      device: describeUserAgent(session.userAgent),
+      ipAddress: session.ipAddress,
+      userAgent: session.userAgent,
+      createdAt: session.createdAt,
+      lastSeenAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: Boolean(currentSessionId) && session._id.equals(currentSessionId)
+    };
+  }
+
+  /**
+   * Revoke a single session
+   */
+  async revokeSession(sessionId, reason) {
+    return Session.updateOne(
+      { _id: sessionId, revokedAt: { $exists: false } },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+  }
+
+  /**
+   * Revoke one session, only if it belongs to the given user.
+   * Returns true when an active session was revoked.
+   */
+  async revokeUserSession(userId, sessionId, reason) {
+    const result = await Session.updateOne(
+      { _id: sessionId, user: userId, revokedAt: { $exists: false } },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Revoke every active session of a user, optionally keeping one
+   */
+  async revokeAllForUser(userId, reason, exceptSessionId = null) {
+    const query = { user: userId, revokedAt: { $exists: false } };
+
+    if (exceptSessionId) {
+      query._id = { $ne: exceptSessionId };
+    }
+
+    return Session.updateMany(
+      query,
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+  }
+}
+
+export default new SessionService();
@@ -0,0 +1,104 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Built-in storage backends
+ * A backend is any object exposing `name`, `async put(key, buffer)`,
+ * `async get(key)` (resolving to a Buffer) and `async delete(key)`
+ */
+const backends = {
+  // Files under a local directory (default)
+  local: {
+    name: 'local',
+
+    resolve(key) {
+      const root = path.resolve(process.env.STORAGE_LOCAL_PATH || 'storage');
+      const filePath = path.resolve(root, key);
+
+      if (!filePath.startsWith(`${root}${path.sep}`)) {
+        throw new Error('Storage key escapes the storage directory');
+      }
+
+      return filePath;
+    },
+
+    async put(key, buffer) {
+      const filePath = this.resolve(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer, { flag: 'wx' });
+    },
+
+    async get(key) {
+      return fs.readFile(this.resolve(key));
+    },
+
+    async delete(key) {
+      await fs.rm(this.resolve(key), { force: true });
+    }
+  }
+};
+
+/**
+ * Storage Service
+ * Keeps uploaded files in a pluggable backend
+ */
+class StorageService {
+  constructor() {
+    this.backend = backends[process.env.STORAGE_BACKEND] || backends.local;
+  }
+
+  /**
+   * Replace the active backend (e.g. an S3 or Azure Blob one)
+   */
+  setBackend(backend) {
+    if (
+      !backend ||
+      !backend.name ||
+      typeof backend.put !== 'function' ||
+      typeof backend.get !== 'function' ||
+      typeof backend.delete !== 'function'
+    ) {
+      throw new Error('Storage backend must have a name and implement put(key, buffer), get(key) and delete(key)');
+    }
+    this.backend = backend;
+  }
+
+  /**
+   * Store a file and return where it went
+   */
+  async put(key, buffer) {
+    await this.backend.put(key, buffer);
+    return { backend: this.backend.name, key };
+  }
+
+  /**
+   * Backend a file was stored in
+   */
+  getBackend(backendName) {
+    const backend = backendName === this.backend.name
+      ? this.backend
+      : backends[backendName];
+
+    if (!backend) {
+      throw new Error(`Storage backend ${backendName} is not available`);
+    }
+
+    return backend;
+  }
+
+  /**
+   * Read a file back from the backend it was stored in
+   */
+  async get(backendName, key) {
+    return this.getBackend(backendName).get(key);
+  }
+
+  /**
+   * Remove a file from the backend it was stored in
+   */
+  async delete(backendName, key) {
+    return this.getBackend(backendName).delete(key);
+  }
+}
+
+export default new StorageService();
@@ -0,0 +1,200 @@
+import mongoose from 'mongoose';
+import ESGRecordVersion from '../models/ESGRecordVersion.js';
+import { runInTransaction } from '../config/database.js';
+import { VERSION_CHANGE_TYPES } from '../utils/constants.js';
+
+// ESG record fields whose history is kept (activity data, contractual
+// instruments and the calculation trail along with the figures derived
+// from them)
+const VERSIONED_FIELDS = [
+  'environmental',
+  'social',
+  'governance',
+  'activities',
+  'contractualInstruments',
+  'emissionsCalculation'
+];
+
+const isPlainObject = value =>
+  value !== null &&
+  typeof value === 'object' &&
+  !Array.isArray(value) &&
+  !(value instanceof Date) &&
+  !(value instanceof mongoose.Types.ObjectId);
+
+/**
+ * Version Service
+ * Immutable revision history and field-level diffs for ESG records
+ */
+class VersionService {
+  /**
+   * Copy of a record's versioned fields
+   */
+  snapshot(record) {
+    const data = record.toObject({ depopulate: true, virtuals: false });
+
+    return VERSIONED_FIELDS.reduce((snapshot, field) => {
+      if (data[field] !== undefined) {
+        snapshot[field] = data[field];
+      }
+      return snapshot;
+    }, {});
+  }
+
+  /**
+   * Flatten nested data into dotted paths
+   */
+  flatten(value, prefix = '', paths = {}) {
+    if (isPlainObject(value)) {
+      Object.entries(value).forEach(([key, nested]) => {
+        if (key === '_id') return;
+        this.flatten(nested, prefix ? `${prefix}.${key}` : key, paths);
+      });
+    } else if (prefix) {
+      paths[prefix] = value;
+    }
+
+    return paths;
+  }
+
+  /**
+   * Field-level differences between two snapshots
+   */
+  diff(before = {}, after = {}) {
+    const from = this.flatten(before);
+    const to = this.flatten(after);
+    const paths = [...new Set([...Object.keys(from), ...Object.keys(to)])].sort();
+
+    return paths
+      .filter(path => JSON.stringify(from[path]) !== JSON.stringify(to[path]))
+      .map(path => ({
+        path,
+        from: from[path] ?? null,
+        to: to[path] ?? null
+      }));
+  }
+
+  /**
+   * Store a new version of a record if its versioned fields changed.
+   * `before` is the snapshot taken ahead of the change (null on creation);
+   * records that predate version history get a baseline version first.
+   * Returns the new version, or null when nothing changed. Pass
+   * `session` to write the versions inside a transaction.
+   */
+  async recordChange(record, before, {
+    changeType,
+    principal,
+    principalType,
+    restoredFrom,
+    session = null
+  }) {
+    const after = this.snapshot(record);
+    const changes = this.diff(before || {}, after);
+
+    if (before && changes.length === 0) {
+      return null;
+    }
+
+    const latest = await ESGRecordVersion.findOne({ record: record._id })
+      .sort({ version: -1 })
+      .select('version')
+      .session(session)
+      .lean();
+
+    let version = latest?.version || 0;
+
+    if (!latest && before) {
+      version += 1;
+      await ESGRecordVersion.create([{
+        organization: record.organization,
+        record: record._id,
+        version,
+        changeType: VERSION_CHANGE_TYPES.BASELINE,
+        data: before,
+        changes: this.diff({}, before),
+        changedBy: record.submittedBy,
+        changedByModel: record.submittedByModel,
+        changedAt: record.createdAt
+      }], { session });
+    }
+
+    const [created] = await ESGRecordVersion.create([{
+      organization: record.organization,
+      record: record._id,
+      version: version + 1,
+      changeType,
+      restoredFrom,
+      data: after,
+      changes,
+      status: record.status,
+      changedBy: principal,
+      changedByModel: principalType
+    }], { session });
+
+    return created;
+  }
+
+  /**
+   * Save a changed record and store its new version in one transaction
+   * where the server supports them, so neither is written without the
+   * other. Concurrent changes to the same record conflict and are
+   * retried by the transaction.
+   */
+  async saveWithChange(record, before, options) {
+    return runInTransaction(async (session) => {
+      await record.save({ session });
+      return this.recordChange(record, before, { ...options, session });
+    });
+  }
+
+  /**
+   * Version history of a record, newest first, without the snapshots
+   */
+  async getVersions(recordId) {
+    return ESGRecordVersion.find({ record: recordId })
+      .select('-data')
+      .sort({ version: -1 })
+      .populate('changedBy', 'name email')
+      .lean();
+  }
+
+  /**
+   * A single version of a record
+   */
+  async getVersion(recordId, version) {
+    return ESGRecordVersion.findOne({ record: recordId, version }).lean();
+  }
+
+  /**
+   * Differences between a version and an earlier one (by default the
+   * version right before it)
+   */
+  async diffVersions(recordId, version, against = version - 1) {
+    const [target, base] = await Promise.all([
+      this.getVersion(recordId, version),
+      against > 0 ? this.getVersion(recordId, against) : null
+    ]);
+
+    if (!target || (against > 0 && !base)) {
+      return null;
+    }
+
+    return {
+      from: base ? base.version : null,
+      to: target.version,
+      changes: this.diff(base?.data, target.data)
+    };
+  }
+
+  /**
+   * Copy a version's data back onto a record (the caller saves it and
+   * records the result as a new version)
+   */
+  applyVersion(record, version) {
+    VERSIONED_FIELDS.forEach((field) => {
+      record[field] = version.data[field];
+    });
+  }
+}
+
+export default new VersionService();
@@ -5,11 +5,93 @@
 
 // User Roles
 export const ROLES = {
+  SUPER_ADMIN: 'super_admin',
   ADMINISTRATOR: 'administrator',
   ESG_ANALYST: 'esg_analyst',
   AUDITOR: 'auditor',
 };
 
+// Role names: lowercase letters, digits and underscores
+export const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_]{2,49}$/;
+
+// Permission catalogue (roles map to a subset of these)
+export const PERMISSIONS = {
+  ESG_READ: 'esg.read',
+  ESG_CREATE: 'esg.create',
+  ESG_UPDATE: 'esg.update',
+  ESG_SUBMIT: 'esg.submit',
+  ESG_APPROVE: 'esg.approve',
+  ESG_DELETE: 'esg.delete',
+  ESG_EDIT_APPROVED: 'esg.edit_approved',
+  REPORT_READ: 'report.read',
+  REPORT_GENERATE: 'report.generate',
+  REPORT_PUBLISH: 'report.publish',
+  REPORT_DELETE: 'report.delete',
+  AUDIT_READ: 'audit.read',
+  USER_MANAGE: 'user.manage',
+  ROLE_MANAGE: 'role.manage',
+  SERVICE_ACCOUNT_MANAGE: 'service_account.manage',
+  ORGANIZATION_SETTINGS: 'organization.settings',
+  ORGANIZATION_MANAGE: 'organization.manage',
+  ORGANIZATION_ALL: 'organization.all',
+  EMISSION_FACTOR_MANAGE: 'emission_factor.manage',
+};
+
+// Platform-wide permissions, reserved for the super admin role
+export const PLATFORM_PERMISSIONS = [
+  PERMISSIONS.ROLE_MANAGE,
+  PERMISSIONS.ORGANIZATION_MANAGE,
+  PERMISSIONS.ORGANIZATION_ALL,
+  PERMISSIONS.EMISSION_FACTOR_MANAGE,
+];
+
+// Permissions that organization-level roles may hold
+export const TENANT_PERMISSIONS = Object.values(PERMISSIONS)
+  .filter(permission => !PLATFORM_PERMISSIONS.includes(permission));
+
+export const PERMISSION_DESCRIPTIONS = {
+  [PERMISSIONS.ESG_READ]: 'View ESG records',
+  [PERMISSIONS.ESG_CREATE]: 'Create ESG records',
+  [PERMISSIONS.ESG_UPDATE]: 'Edit ESG records',
+  [PERMISSIONS.ESG_SUBMIT]: 'Submit ESG records for review',
+  [PERMISSIONS.ESG_APPROVE]: 'Approve submitted ESG records',
+  [PERMISSIONS.ESG_DELETE]: 'Delete ESG records',
+  [PERMISSIONS.ESG_EDIT_APPROVED]: 'Edit ESG records after approval and restore earlier versions',
+  [PERMISSIONS.REPORT_READ]: 'View reports and statistics',
+  [PERMISSIONS.REPORT_GENERATE]: 'Generate reports',
+  [PERMISSIONS.REPORT_PUBLISH]: 'Change report status (finalize, publish, archive)',
+  [PERMISSIONS.REPORT_DELETE]: 'Delete reports',
+  [PERMISSIONS.AUDIT_READ]: 'View audit logs',
+  [PERMISSIONS.USER_MANAGE]: 'Manage users, invitations, sessions and lockouts',
+  [PERMISSIONS.ROLE_MANAGE]: 'Manage roles and their permissions',
+  [PERMISSIONS.SERVICE_ACCOUNT_MANAGE]: 'Manage service accounts and API keys',
+  [PERMISSIONS.ORGANIZATION_SETTINGS]: 'Change your organization\'s settings and facilities',
+  [PERMISSIONS.ORGANIZATION_MANAGE]: 'Create and manage organizations',
+  [PERMISSIONS.ORGANIZATION_ALL]: 'Access data of every organization, not just your own',
+  [PERMISSIONS.EMISSION_FACTOR_MANAGE]: 'Maintain the emission factor library',
+};
+
+// Permissions of the built-in roles (seeded into the Role collection)
+export const SYSTEM_ROLE_PERMISSIONS = {
+  [ROLES.SUPER_ADMIN]: Object.values(PERMISSIONS),
+  [ROLES.ADMINISTRATOR]: TENANT_PERMISSIONS,
+  [ROLES.ESG_ANALYST]: [
+    PERMISSIONS.ESG_READ,
+    PERMISSIONS.ESG_CREATE,
+    PERMISSIONS.ESG_UPDATE,
+    PERMISSIONS.ESG_SUBMIT,
+    PERMISSIONS.REPORT_READ,
+    PERMISSIONS.REPORT_GENERATE,
+    PERMISSIONS.REPORT_PUBLISH,
+  ],
+  [ROLES.AUDITOR]: [
+    PERMISSIONS.ESG_READ,
+    PERMISSIONS.ESG_APPROVE,
+    PERMISSIONS.REPORT_READ,
+    PERMISSIONS.AUDIT_READ,
+  ],
+};
+
 // ESG Record Status
 export const ESG_STATUS = {
   DRAFT: 'draft',
@@ -19,6 +101,164 @@ export const ESG_STATUS = {
   REJECTED: 'rejected',
 };
 
+// Why a reviewer sent an ESG record back
+export const REJECTION_REASONS = {
+  DATA_INCOMPLETE: 'data_incomplete',
+  DATA_INACCURATE: 'data_inaccurate',
+  MISSING_EVIDENCE: 'missing_evidence',
+  METHODOLOGY_ISSUE: 'methodology_issue',
+  WRONG_PERIOD: 'wrong_period',
+  OTHER: 'other',
+};
+
+// How an ESG record version came about
+export const VERSION_CHANGE_TYPES = {
+  CREATED: 'created',
+  // State found when history started for a record that predates it
+  BASELINE: 'baseline',
+  UPDATED: 'updated',
+  RESTORED: 'restored',
+};
+
+// File types accepted as evidence for ESG records
+export const EVIDENCE_CONTENT_TYPES = [
+  'application/pdf',
+  'image/png',
+  'image/jpeg',
+  'text/csv',
+  'text/plain',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+];
+
+// Columns of an ESG record import file and the esgRecordCreate field
+// each one fills. Headers are matched case-insensitively; empty cells
+// are left out so the schema defaults apply.
+export const ESG_IMPORT_COLUMNS = {
+  organization: 'organization',
+  facility: 'facility',
+  year: 'reportingPeriod.year',
+  quarter: 'reportingPeriod.quarter',
+  month: 'reportingPeriod.month',
+  scope1_emissions: 'environmental.scope1Emissions',
+  scope2_emissions: 'environmental.scope2Emissions',
+  scope2_market_based: 'environmental.scope2MarketBased',
+  scope3_emissions: 'environmental.scope3Emissions',
+  energy_consumption: 'environmental.energyConsumption',
+  renewable_energy_percentage: 'environmental.renewableEnergyPercentage',
+  water_usage: 'environmental.waterUsage',
+  waste_generated: 'environmental.wasteGenerated',
+  waste_recycled: 'environmental.wasteRecycled',
+  total_employees: 'social.totalEmployees',
+  diversity_ratio: 'social.diversityRatio',
+  female_employees_percentage: 'social.femaleEmployeesPercentage',
+  health_and_safety_incidents: 'social.healthAndSafetyIncidents',
+  training_hours_per_employee: 'social.trainingHoursPerEmployee',
+  employee_turnover_rate: 'social.employeeTurnoverRate',
+  community_investment: 'social.communityInvestment',
+  board_independence: 'governance.boardIndependence',
+  female_directors_percentage: 'governance.femaleDirectorsPercentage',
+  compliance_status: 'governance.complianceStatus',
+  ethics_policy_confirmed: 'governance.ethicsPolicyConfirmed',
+  whistleblower_cases: 'governance.whistleblowerCases',
+  data_breaches: 'governance.dataBreaches',
+  audit_frequency: 'governance.auditFrequency',
+};
+
+// Import columns identifying a record's period; every sheet of an
+// import workbook repeats them so rows can be matched across pillars
+export const ESG_IMPORT_KEY_COLUMNS = ['organization', 'facility', 'year', 'quarter', 'month'];
+
+// ESG pillars, in the order of an import workbook's sheets
+export const ESG_PILLARS = ['environmental', 'social', 'governance'];
+
+// GHG Protocol activity categories and the scope their emissions
+// count towards
+export const EMISSION_CATEGORIES = {
+  stationary_combustion: 1,
+  mobile_combustion: 1,
+  fugitive_emissions: 1,
+  purchased_electricity: 2,
+  purchased_heat: 2,
+  purchased_goods: 3,
+  business_travel: 3,
+  employee_commuting: 3,
+  upstream_transportation: 3,
+  waste: 3,
+};
+
+// Units activity data and emission factors are expressed in
+export const ACTIVITY_UNITS = [
+  'litre',
+  'm3',
+  'kg',
+  'tonne',
+  'kWh',
+  'MWh',
+  'GJ',
+  'km',
+  'passenger_km',
+  'tonne_km',
+];
+
+// Multipliers from one activity unit to another, keyed "from:to"
+export const ACTIVITY_UNIT_CONVERSIONS = {
+  'MWh:kWh': 1000,
+  'kWh:MWh': 0.001,
+  'GJ:kWh': 1000 / 3.6,
+  'kWh:GJ': 0.0036,
+  'GJ:MWh': 1 / 3.6,
+  'MWh:GJ': 3.6,
+  'tonne:kg': 1000,
+  'kg:tonne': 0.001,
+};
+
+// Emission factor set lifecycle; published sets are immutable
+export const EMISSION_FACTOR_SET_STATUS = {
+  DRAFT: 'draft',
+  PUBLISHED: 'published',
+  RETIRED: 'retired',
+};
+
+// Contractual instruments behind market-based Scope 2 emissions
+export const CONTRACTUAL_INSTRUMENT_TYPES = {
+  ENERGY_ATTRIBUTE_CERTIFICATE: 'energy_attribute_certificate',
+  PPA: 'ppa',
+  SUPPLIER_SPECIFIC: 'supplier_specific',
+  GREEN_TARIFF: 'green_tariff',
+};
+
+// Scope 2 accounting methods (GHG Protocol Scope 2 Guidance): grid
+// average factors, or the instruments the electricity was bought under
+export const SCOPE2_METHODS = {
+  LOCATION_BASED: 'location',
+  MARKET_BASED: 'market',
+  BOTH: 'both',
+};
+
+// File formats ESG records can be exported to
+export const ESG_EXPORT_FORMATS = ['csv', 'xlsx', 'jsonl'];
+
+// Facility Types
+export const FACILITY_TYPES = {
+  PLANT: 'plant',
+  OFFICE: 'office',
+  WAREHOUSE: 'warehouse',
+  DATA_CENTER: 'data_center',
+  RETAIL: 'retail',
+  OTHER: 'other',
+};
+
+// API Key Scopes (service accounts)
+export const API_KEY_SCOPES = {
+  ESG_READ: 'esg:read',
+  ESG_WRITE: 'esg:write',
+  REPORTS_READ: 'reports:read',
+  REPORTS_WRITE: 'reports:write',
+};
+
 // Report Status
 export const REPORT_STATUS = {
   DRAFT: 'draft',
@@ -35,6 +275,14 @@ export const REPORT_TYPES = {
   CUSTOM: 'custom',
 };
 
+// How subsidiaries are rolled up into a group's consolidated figures
+// (GHG Protocol organizational boundary approaches)
+export const CONSOLIDATION_APPROACHES = {
+  OPERATIONAL_CONTROL: 'operational_control',
+  FINANCIAL_CONTROL: 'financial_control',
+  EQUITY_SHARE: 'equity_share',
+};
+
 // Audit Actions
 export const AUDIT_ACTIONS = {
   USER_LOGIN: 'USER_LOGIN',
@@ -42,15 +290,54 @@ export const AUDIT_ACTIONS = {
   USER_CREATED: 'USER_CREATED',
   USER_UPDATED: 'USER_UPDATED',
   USER_DELETED: 'USER_DELETED',
+  SESSION_REVOKED: 'SESSION_REVOKED',
+  SERVICE_ACCOUNT_CREATED: 'SERVICE_ACCOUNT_CREATED',
+  SERVICE_ACCOUNT_UPDATED: 'SERVICE_ACCOUNT_UPDATED',
+  API_KEY_CREATED: 'API_KEY_CREATED',
+  API_KEY_ROTATED: 'API_KEY_ROTATED',
+  API_KEY_REVOKED: 'API_KEY_REVOKED',
+  ORGANIZATION_CREATED: 'ORGANIZATION_CREATED',
+  ORGANIZATION_UPDATED: 'ORGANIZATION_UPDATED',
+  FACILITY_CREATED: 'FACILITY_CREATED',
+  FACILITY_UPDATED: 'FACILITY_UPDATED',
+  ROLE_CREATED: 'ROLE_CREATED',
+  ROLE_UPDATED: 'ROLE_UPDATED',
+  ROLE_DELETED: 'ROLE_DELETED',
+  INVITATION_CREATED: 'INVITATION_CREATED',
+  INVITATION_REVOKED: 'INVITATION_REVOKED',
+  ACCOUNT_LOCKED: 'ACCOUNT_LOCKED',
+  ACCOUNT_UNLOCKED: 'ACCOUNT_UNLOCKED',
+  MFA_ENABLED: 'MFA_ENABLED',
+  MFA_DISABLED: 'MFA_DISABLED',
+  MFA_CHALLENGE_PASSED: 'MFA_CHALLENGE_PASSED',
+  MFA_CHALLENGE_FAILED: 'MFA_CHALLENGE_FAILED',
+  MFA_RECOVERY_CODE_USED: 'MFA_RECOVERY_CODE_USED',
+  MFA_RECOVERY_CODES_REGENERATED: 'MFA_RECOVERY_CODES_REGENERATED',
   ESG_RECORD_CREATED: 'ESG_RECORD_CREATED',
   ESG_RECORD_UPDATED: 'ESG_RECORD_UPDATED',
   ESG_RECORD_DELETED: 'ESG_RECORD_DELETED',
   ESG_RECORD_SUBMITTED: 'ESG_RECORD_SUBMITTED',
+  ESG_RECORD_RESUBMITTED: 'ESG_RECORD_RESUBMITTED',
+  ESG_RECORD_REVIEW_STARTED: 'ESG_RECORD_REVIEW_STARTED',
   ESG_RECORD_APPROVED: 'ESG_RECORD_APPROVED',
   ESG_RECORD_REJECTED: 'ESG_RECORD_REJECTED',
+  ESG_RECORD_RESTORED: 'ESG_RECORD_RESTORED',
+  ESG_COMMENT_ADDED: 'ESG_COMMENT_ADDED',
+  ESG_COMMENT_RESOLVED: 'ESG_COMMENT_RESOLVED',
+  ESG_COMMENT_REOPENED: 'ESG_COMMENT_REOPENED',
+  EVIDENCE_UPLOADED: 'EVIDENCE_UPLOADED',
+  EVIDENCE_DOWNLOADED: 'EVIDENCE_DOWNLOADED',
+  ESG_RECORDS_IMPORTED: 'ESG_RECORDS_IMPORTED',
+  SEGREGATION_OF_DUTIES_VIOLATION: 'SEGREGATION_OF_DUTIES_VIOLATION',
   REPORT_GENERATED: 'REPORT_GENERATED',
   REPORT_PUBLISHED: 'REPORT_PUBLISHED',
+  REPORT_STATUS_CHANGED: 'REPORT_STATUS_CHANGED',
   REPORT_DELETED: 'REPORT_DELETED',
+  DATA_EXPORT: 'DATA_EXPORT',
+  EMISSION_FACTOR_SET_CREATED: 'EMISSION_FACTOR_SET_CREATED',
+  EMISSION_FACTOR_SET_UPDATED: 'EMISSION_FACTOR_SET_UPDATED',
+  EMISSION_FACTOR_SET_PUBLISHED: 'EMISSION_FACTOR_SET_PUBLISHED',
+  EMISSION_FACTOR_SET_RETIRED: 'EMISSION_FACTOR_SET_RETIRED',
   UNAUTHORIZED_ACCESS_ATTEMPT: 'UNAUTHORIZED_ACCESS_ATTEMPT',
 };
 
@@ -64,6 +351,9 @@ export const HTTP_STATUS = {
   FORBIDDEN: 403,
   NOT_FOUND: 404,
   CONFLICT: 409,
+  PAYLOAD_TOO_LARGE: 413,
+  UNSUPPORTED_MEDIA_TYPE: 415,
+  LOCKED: 423,
   UNPROCESSABLE_ENTITY: 422,
   INTERNAL_SERVER_ERROR: 500,
 };
@@ -74,29 +364,143 @@ export const ERROR_MESSAGES = {
   UNAUTHORIZED: 'You are not authorized to perform this action',
   TOKEN_INVALID: 'Invalid or expired token',
   TOKEN_MISSING: 'No authentication token provided',
+  SESSION_REVOKED: 'Your session has ended, please log in again',
+  REFRESH_TOKEN_INVALID: 'Invalid or expired refresh token',
+  RESET_TOKEN_INVALID: 'Password reset token is invalid or has expired',
+  MFA_CHALLENGE_INVALID: 'MFA challenge is invalid or has expired',
+  MFA_CODE_INVALID: 'Invalid authentication code',
+  MFA_NOT_PENDING: 'Start MFA setup before confirming it',
+  MFA_ALREADY_ENABLED: 'MFA is already enabled for this account',
+  MFA_NOT_ENABLED: 'MFA is not enabled for this account',
+  MFA_REQUIRED_FOR_ROLE: 'MFA is mandatory for your role and cannot be disabled',
   USER_NOT_FOUND: 'User not found',
   USER_ALREADY_EXISTS: 'User with this email already exists',
   RESOURCE_NOT_FOUND: 'Resource not found',
   VALIDATION_ERROR: 'Validation error',
   INTERNAL_ERROR: 'An internal server error occurred',
   INSUFFICIENT_PERMISSIONS: 'You do not have permission to perform this action',
+  ACCOUNT_LOCKED: 'Account temporarily locked due to too many failed login attempts',
+  SESSION_NOT_FOUND: 'Session not found',
+  API_KEY_INVALID: 'Invalid, expired or revoked API key',
+  API_KEY_SCOPE_MISSING: 'API key is missing the required scope',
+  API_KEY_NOT_FOUND: 'API key not found',
+  SERVICE_ACCOUNT_NOT_FOUND: 'Service account not found',
+  ROLE_NOT_FOUND: 'Role not found',
+  SOD_SELF_APPROVAL: 'You cannot approve a record you prepared or submitted',
+  SOD_DUPLICATE_APPROVAL: 'You have already approved this record',
+  SOD_SELF_REVIEW: 'You cannot review a record you prepared or submitted',
+  ESG_RECORD_NOT_SUBMITTER: 'Only the submitter can revise or resubmit a rejected record',
+  INVALID_STATUS_TRANSITION: 'This status change is not allowed',
+  ESG_RECORD_VERSION_NOT_FOUND: 'ESG record version not found',
+  ESG_RECORD_VERSION_UNCHANGED: 'The record already matches this version',
+  ESG_RECORD_BLOCKING_COMMENTS: 'Resolve all blocking comments before approving this record',
+  COMMENT_NOT_FOUND: 'Comment not found',
+  COMMENT_FIELD_INVALID: 'Comments can only be attached to environmental, social or governance metrics',
+  COMMENT_MENTION_INVALID: 'Mentioned users must be active members of the record\'s organization',
+  COMMENT_BLOCKING_NOT_ALLOWED: 'Only reviewers can open blocking comments',
+  COMMENT_RESOLVE_NOT_ALLOWED: 'Only the comment author or a reviewer can change its resolution',
+  EVIDENCE_NOT_FOUND: 'Evidence file not found',
+  EVIDENCE_FILE_REQUIRED: 'Send the file as the request body with a fileName query parameter',
+  UPLOAD_FILE_REQUIRED: 'Send the file as the request body',
+  IMPORT_FILE_INVALID: 'The import file could not be read',
+  IMPORT_NO_ROWS: 'The import file has no data rows',
+  IMPORT_TOO_MANY_ROWS: 'The import file has too many rows',
+  IMPORT_COLUMNS_INVALID: 'The import file has unknown or missing columns',
+  EXPORT_FORMAT_INVALID: 'Export format must be csv, xlsx or jsonl',
+  UPLOAD_TYPE_NOT_ALLOWED: 'This file type is not accepted here',
+  UPLOAD_TOO_LARGE: 'File exceeds the maximum upload size',
+  EVIDENCE_FIELD_INVALID: 'Evidence can only be linked to environmental, social or governance metrics',
+  EVIDENCE_INTEGRITY_FAILED: 'Stored evidence file does not match its recorded hash',
+  ROLE_ALREADY_EXISTS: 'A role with this name already exists',
+  ROLE_IMMUTABLE: 'The super admin role cannot be changed',
+  ROLE_NOT_ASSIGNABLE: 'You cannot assign a role with permissions you do not hold',
+  ORGANIZATION_NOT_FOUND: 'Organization not found',
+  ORGANIZATION_INACTIVE: 'Your organization has been deactivated',
+  ORGANIZATION_ALREADY_EXISTS: 'An organization with this name or slug already exists',
+  FACILITY_NOT_FOUND: 'Facility not found',
+  FACILITY_ALREADY_EXISTS: 'A facility with this name already exists in the organization',
+  ORGANIZATION_PARENT_INVALID: 'An organization cannot be a subsidiary of itself or of its own subsidiaries',
+  ROLE_IN_USE: 'Role is still assigned to users or pending invitations',
+  ROLE_SYSTEM: 'Built-in roles cannot be deleted',
+  INVITATION_INVALID: 'Invitation is invalid, expired or already used',
+  INVITATION_NOT_FOUND: 'Invitation not found',
+  INVITATION_NOT_PENDING: 'Only pending invitations can be revoked',
+  CURRENT_PASSWORD_INCORRECT: 'Current password is incorrect',
+  PASSWORD_EXPIRED: 'Your password has expired, please set a new one',
+  EMAIL_NOT_VERIFIED: 'Please verify your email address to continue',
+  EMAIL_ALREADY_VERIFIED: 'Email address is already verified',
+  VERIFICATION_TOKEN_INVALID: 'Verification link is invalid or has expired',
+  OIDC_NOT_CONFIGURED: 'Single sign-on is not configured',
+  OIDC_LOGIN_FAILED: 'Single sign-on login failed, please try again',
+  OIDC_EMAIL_MISSING: 'Your identity provider did not share an email address',
+  OIDC_ACCOUNT_NOT_MAPPED: 'Your identity provider account is not mapped to a role and organization',
+  OIDC_ACCOUNT_CONFLICT: 'An account with this email already exists and cannot be linked automatically',
+  EMISSION_FACTOR_SET_NOT_FOUND: 'Emission factor set not found',
+  EMISSION_FACTOR_SET_ALREADY_EXISTS: 'An emission factor set with this name and version already exists',
+  EMISSION_FACTOR_SET_NOT_DRAFT: 'Only draft emission factor sets can be changed',
+  EMISSION_FACTOR_SET_UNAVAILABLE: 'Emissions can only be calculated with a published emission factor set',
+  EMISSION_FACTOR_MISSING: 'No emission factor matches some of the activity data',
+  CONTRACTUAL_INSTRUMENTS_EXCEED_CONSUMPTION: 'Contractual instruments cover more electricity than the activity data records',
 };
 
 // Success Messages
 export const SUCCESS_MESSAGES = {
   LOGIN_SUCCESS: 'Login successful',
   LOGOUT_SUCCESS: 'Logout successful',
+  TOKEN_REFRESHED: 'Token refreshed successfully',
+  PASSWORD_RESET_REQUESTED: 'If an account exists for this email, a reset link has been sent',
+  PASSWORD_RESET: 'Password has been reset successfully',
+  EMAIL_VERIFIED: 'Email verified successfully',
+  VERIFICATION_EMAIL_SENT: 'Verification email sent',
+  MFA_CHALLENGE: 'Enter the code from your authenticator app',
+  MFA_ENROLLMENT_REQUIRED: 'MFA is required for your role; complete enrollment to log in',
+  MFA_SETUP_STARTED: 'Scan the secret with your authenticator app and confirm a code',
+  MFA_ENABLED: 'MFA enabled successfully',
+  MFA_DISABLED: 'MFA disabled successfully',
+  MFA_RECOVERY_CODES_REGENERATED: 'Recovery codes regenerated successfully',
   USER_CREATED: 'User created successfully',
   USER_UPDATED: 'User updated successfully',
   USER_DELETED: 'User deleted successfully',
+  USER_UNLOCKED: 'User account unlocked successfully',
+  SESSION_REVOKED: 'Session signed out successfully',
+  SERVICE_ACCOUNT_CREATED: 'Service account created successfully',
+  SERVICE_ACCOUNT_UPDATED: 'Service account updated successfully',
+  API_KEY_CREATED: 'API key created; store it now, it will not be shown again',
+  API_KEY_ROTATED: 'API key rotated; store the new key now, it will not be shown again',
+  API_KEY_REVOKED: 'API key revoked successfully',
+  ORGANIZATION_CREATED: 'Organization created successfully',
+  ORGANIZATION_UPDATED: 'Organization updated successfully',
+  FACILITY_CREATED: 'Facility created successfully',
+  FACILITY_UPDATED: 'Facility updated successfully',
+  ROLE_CREATED: 'Role created successfully',
+  ROLE_UPDATED: 'Role updated successfully',
+  ROLE_DELETED: 'Role deleted successfully',
+  SESSIONS_REVOKED: 'Sessions signed out successfully',
+  INVITATION_CREATED: 'Invitation sent successfully',
+  INVITATION_REVOKED: 'Invitation revoked successfully',
   ESG_RECORD_CREATED: 'ESG record created successfully',
   ESG_RECORD_UPDATED: 'ESG record updated successfully',
   ESG_RECORD_DELETED: 'ESG record deleted successfully',
   ESG_RECORD_SUBMITTED: 'ESG record submitted successfully',
   ESG_RECORD_APPROVED: 'ESG record approved successfully',
+  ESG_RECORD_APPROVAL_RECORDED: 'Approval recorded; further approvals are required',
   ESG_RECORD_REJECTED: 'ESG record rejected successfully',
+  ESG_RECORD_RESTORED: 'ESG record version restored successfully',
+  COMMENT_ADDED: 'Comment added successfully',
+  COMMENT_RESOLVED: 'Comment resolved successfully',
+  COMMENT_REOPENED: 'Comment reopened successfully',
+  EVIDENCE_UPLOADED: 'Evidence uploaded successfully',
+  ESG_RECORDS_IMPORTED: 'ESG records imported successfully',
+  ESG_IMPORT_VALIDATED: 'Import file validated; no records were created',
+  ESG_RECORD_RESUBMITTED: 'ESG record resubmitted successfully',
+  ESG_RECORD_REVIEW_STARTED: 'Review started successfully',
   REPORT_GENERATED: 'Report generated successfully',
   REPORT_PUBLISHED: 'Report published successfully',
+  REPORT_STATUS_UPDATED: 'Report status updated successfully',
+  EMISSION_FACTOR_SET_CREATED: 'Emission factor set created successfully',
+  EMISSION_FACTOR_SET_UPDATED: 'Emission factor set updated successfully',
+  EMISSION_FACTOR_SET_PUBLISHED: 'Emission factor set published successfully',
+  EMISSION_FACTOR_SET_RETIRED: 'Emission factor set retired successfully',
 };
 
 // Pagination Defaults
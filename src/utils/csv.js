@@ -0,0 +1,70 @@
+/**
+ * CSV Utilities
+ * Minimal RFC 4180 reading and writing (quoted fields, escaped quotes,
+ * CRLF)
+ */
+
+/**
+ * Parse CSV text into an array of rows, each an array of cell strings.
+ * Blank lines are skipped.
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  // Drop a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('CSV has an unterminated quoted field');
+  }
+
+  if (cell !== '' || row.length > 0) endRow();
+
+  return rows;
+};
+
+/**
+ * Format a row of values as a CRLF-terminated CSV line, quoting cells
+ * that contain separators, quotes or line breaks
+ */
+export const formatCsvRow = row => row
+  .map((value) => {
+    const cell = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+  })
+  .join(',') + '\r\n';
@@ -1,3 +1,5 @@
+import crypto from 'crypto';
+
 /**
  * Helper Utility Functions
  * Reusable functions across the application
@@ -36,10 +38,34 @@ export const errorResponse = (message, errors = null) => {
  */
 export const sanitizeUser = (user) => {
   const userObj = user?.toObject ? user.toObject() : user;
-  const { password, __v, ...sanitized } = userObj;
+  const {
+    password,
+    passwordHistory,
+    passwordResetTokenHash,
+    passwordResetExpires,
+    emailVerificationTokenHash,
+    emailVerificationExpires,
+    __v,
+    ...sanitized
+  } = userObj;
+
+  if (sanitized.mfa) {
+    sanitized.mfa = {
+      enabled: sanitized.mfa.enabled,
+      enabledAt: sanitized.mfa.enabledAt
+    };
+  }
+
   return sanitized;
 };
 
+/**
+ * Check if the authenticated principal holds a permission
+ */
+export const hasPermission = (req, permission) => {
+  return Boolean(req.permissions?.has(permission));
+};
+
 /**
  * Calculate pagination metadata
  */
@@ -139,6 +165,36 @@ export const getUserAgent = (req) => {
   return req.headers['user-agent'] || 'unknown';
 };
 
+/**
+ * Describe a user agent as "<browser> on <platform>" for display
+ */
+export const describeUserAgent = (userAgent = '') => {
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//],
+    ['curl', /^curl\//],
+    ['Postman', /PostmanRuntime/]
+  ];
+  const platforms = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  const platform = platforms.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+  if (!browser && !platform) return 'Unknown device';
+  if (!platform) return browser;
+  if (!browser) return platform;
+  return `${browser} on ${platform}`;
+};
+
 /**
  * Sleep function for testing/delays
  */
@@ -162,3 +218,17 @@ export const generateRandomString = (length = 32) => {
 
   return result;
 };
+
+/**
+ * Generate cryptographically secure token (hex encoded)
+ */
+export const generateSecureToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString('hex');
+};
+
+/**
+ * Hash a token for storage (SHA-256, hex encoded)
+ */
+export const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
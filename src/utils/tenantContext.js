@@ -0,0 +1,25 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * Tenant Context
+ * Carries the organization of the authenticated principal through
+ * everything that runs for a request, so models can scope queries
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function within a tenant context
+ * ({ organizationId, unrestricted })
+ */
+export const runWithTenant = (context, fn) => {
+  return storage.run(context, fn);
+};
+
+/**
+ * Organization the current request is confined to, or null when
+ * unrestricted (platform super admins) or outside a request
+ */
+export const getScopedOrganization = () => {
+  const context = storage.getStore();
+  return context && !context.unrestricted ? context.organizationId : null;
+};
@@ -0,0 +1,330 @@
+import path from 'path';
+import { createZip, openZip, streamZip } from './zip.js';
+
+/**
+ * XLSX Utilities
+ * Writes simple Office Open XML workbooks (inline strings, a bold header
+ * row, data validations), in memory or streamed, and reads cell text
+ * back out of workbooks saved by Excel, LibreOffice or Google Sheets
+ */
+
+export const XLSX_CONTENT_TYPE =
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const MAIN_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+// Rows data validations cover below the header
+const VALIDATION_ROWS = 1000;
+
+// Columns a worksheet can have (A to XFD)
+const MAX_COLUMNS = 16384;
+
+const escapeXml = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const unescapeXml = value => value
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, '\'')
+  .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(parseInt(code, 10)))
+  .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+  .replace(/&amp;/g, '&');
+
+const getAttribute = (attributes, name) =>
+  attributes.match(new RegExp(`\\b${name}="([^"]*)"`))?.[1];
+
+// Concatenated text runs of a string item, ignoring phonetic hints
+const getText = xml => [...xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '')
+  .matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)]
+  .map(([, text]) => unescapeXml(text))
+  .join('');
+
+/**
+ * Column letters for a zero-based index (0 → A, 26 → AA)
+ */
+export const columnLetter = (index) => {
+  let letters = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+};
+
+/**
+ * Zero-based column index of a cell reference (B3 → 1); throws for
+ * references that are malformed or lie past column XFD
+ */
+const columnIndex = (reference) => {
+  const letters = reference.match(/^([A-Z]{1,3})\d+$/)?.[1];
+  const index = letters
+    ? [...letters].reduce((total, letter) => total * 26 + letter.charCodeAt(0) - 64, 0) - 1
+    : MAX_COLUMNS;
+
+  if (index >= MAX_COLUMNS) {
+    throw new Error(`Cell reference ${reference.slice(0, 20)} is outside the sheet`);
+  }
+  return index;
+};
+
+const cellXml = (value, reference, style) => {
+  if (value === null || value === undefined || value === '') return '';
+
+  if (typeof value === 'number') {
+    return `<c r="${reference}"${style}><v>${value}</v></c>`;
+  }
+
+  if (typeof value === 'boolean') {
+    return `<c r="${reference}"${style} t="b"><v>${value ? 1 : 0}</v></c>`;
+  }
+
+  return `<c r="${reference}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+};
+
+const validationXml = ({ column, type, operator, values, min, max, prompt }) => {
+  const letter = columnLetter(column);
+  const attributes = [
+    `type="${type}"`,
+    operator ? `operator="${operator}"` : '',
+    'allowBlank="1"',
+    'showInputMessage="1"',
+    'showErrorMessage="1"',
+    prompt ? `prompt="${escapeXml(prompt)}"` : '',
+    `sqref="${letter}2:${letter}${VALIDATION_ROWS + 1}"`
+  ].filter(Boolean).join(' ');
+
+  let formulas = '';
+
+  if (type === 'list') {
+    formulas = `<formula1>"${escapeXml(values.join(','))}"</formula1>`;
+  } else if (type !== 'none') {
+    formulas = `<formula1>${min ?? max}</formula1>` +
+      (operator === 'between' ? `<formula2>${max}</formula2>` : '');
+  }
+
+  return `<dataValidation ${attributes}>${formulas}</dataValidation>`;
+};
+
+const rowXml = (row, rowIndex) => {
+  const style = rowIndex === 0 ? ' s="1"' : '';
+  const cells = row
+    .map((value, index) => cellXml(value, `${columnLetter(index)}${rowIndex + 1}`, style))
+    .join('');
+  return `<row r="${rowIndex + 1}">${cells}</row>`;
+};
+
+const sheetStartXml = (width, columnWidth = 22) =>
+  XML_HEADER +
+  `<worksheet xmlns="${MAIN_NS}">` +
+  '<sheetViews><sheetView workbookViewId="0">' +
+  '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>' +
+  '</sheetView></sheetViews>' +
+  `<cols><col min="1" max="${Math.max(1, width)}" width="${columnWidth}" customWidth="1"/></cols>` +
+  '<sheetData>';
+
+const sheetEndXml = (validations = []) =>
+  '</sheetData>' +
+  (validations.length
+    ? `<dataValidations count="${validations.length}">${validations.map(validationXml).join('')}</dataValidations>`
+    : '') +
+  '</worksheet>';
+
+const sheetXml = ({ rows, validations, columnWidth }) =>
+  sheetStartXml(Math.max(0, ...rows.map(row => row.length)), columnWidth) +
+  rows.map(rowXml).join('') +
+  sheetEndXml(validations);
+
+/**
+ * Worksheet XML in chunks, one per row, for rows from an (async)
+ * iterable. The column count is taken from the first (header) row.
+ */
+async function* sheetChunks({ rows, validations, columnWidth }) {
+  let rowIndex = 0;
+
+  for await (const row of rows) {
+    if (rowIndex === 0) yield sheetStartXml(row.length, columnWidth);
+    yield rowXml(row, rowIndex);
+    rowIndex += 1;
+  }
+
+  if (rowIndex === 0) yield sheetStartXml(0, columnWidth);
+  yield sheetEndXml(validations);
+}
+
+// Package parts other than the worksheets
+const workbookParts = sheets => [
+  {
+    name: '[Content_Types].xml',
+    data: XML_HEADER +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+      sheets.map((_, index) =>
+        `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+      ).join('') +
+      '</Types>'
+  },
+  {
+    name: '_rels/.rels',
+    data: XML_HEADER +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      `<Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/>` +
+      '</Relationships>'
+  },
+  {
+    name: 'xl/workbook.xml',
+    data: XML_HEADER +
+      `<workbook xmlns="${MAIN_NS}" xmlns:r="${REL_NS}"><sheets>` +
+      sheets.map((sheet, index) =>
+        `<sheet name="${escapeXml(sheet.name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`
+      ).join('') +
+      '</sheets></workbook>'
+  },
+  {
+    name: 'xl/_rels/workbook.xml.rels',
+    data: XML_HEADER +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      sheets.map((_, index) =>
+        `<Relationship Id="rId${index + 1}" Type="${REL_NS}/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`
+      ).join('') +
+      `<Relationship Id="rId${sheets.length + 1}" Type="${REL_NS}/styles" Target="styles.xml"/>` +
+      '</Relationships>'
+  },
+  {
+    name: 'xl/styles.xml',
+    data: XML_HEADER +
+      `<styleSheet xmlns="${MAIN_NS}">` +
+      '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font>' +
+      '<font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+      '<fills count="2"><fill><patternFill patternType="none"/></fill>' +
+      '<fill><patternFill patternType="gray125"/></fill></fills>' +
+      '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+      '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+      '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+      '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+      '</styleSheet>'
+  }
+];
+
+/**
+ * Build an XLSX workbook. Each sheet is { name, rows, validations }
+ * where the first row is a (bold, frozen) header and each validation is
+ * { column, type: none|list|whole|decimal, operator, values, min, max, prompt }
+ * applied to that column below the header.
+ */
+export const buildWorkbook = sheets => createZip([
+  ...workbookParts(sheets),
+  ...sheets.map((sheet, index) => ({
+    name: `xl/worksheets/sheet${index + 1}.xml`,
+    data: sheetXml(sheet)
+  }))
+]);
+
+/**
+ * Stream an XLSX workbook to a writable stream (left open). Sheets are
+ * as for buildWorkbook except that rows may be an async iterable, so
+ * large exports never sit in memory.
+ */
+export const streamWorkbook = (output, sheets) => streamZip(output, [
+  ...workbookParts(sheets),
+  ...sheets.map((sheet, index) => ({
+    name: `xl/worksheets/sheet${index + 1}.xml`,
+    data: sheetChunks(sheet)
+  }))
+]);
+
+/**
+ * Read an XLSX workbook into [{ name, rows }] where rows hold each
+ * line's cell text by column position ({ number, cells }). Only sheets
+ * whose name passes `include` are inflated. Every row is as wide as
+ * the sheet's first (header) row, cells right of it are dropped, and a
+ * header wider than `maxColumns` is rejected.
+ */
+export const readWorkbook = (buffer, { include = () => true, maxColumns = MAX_COLUMNS } = {}) => {
+  const zip = openZip(buffer);
+  const read = name => zip.read(name)?.toString('utf8');
+
+  const workbook = read('xl/workbook.xml');
+
+  if (!workbook) {
+    throw new Error('Not an XLSX workbook');
+  }
+
+  const sheets = [...workbook.matchAll(/<sheet\b([^>]*)\/?>/g)]
+    .map(([, attributes]) => ({
+      name: unescapeXml(getAttribute(attributes, 'name') || ''),
+      id: getAttribute(attributes, 'r:id')
+    }))
+    .filter(sheet => include(sheet.name));
+
+  if (sheets.length === 0) return [];
+
+  const sharedStrings = [...(read('xl/sharedStrings.xml') || '')
+    .matchAll(/<si>([\s\S]*?)<\/si>/g)]
+    .map(([, item]) => getText(item));
+
+  const targets = new Map(
+    [...(read('xl/_rels/workbook.xml.rels') || '').matchAll(/<Relationship\b([^>]*)\/?>/g)]
+      .map(([, attributes]) => [getAttribute(attributes, 'Id'), getAttribute(attributes, 'Target')])
+  );
+
+  return sheets.map(({ name, id }) => {
+    const target = targets.get(id) || '';
+    const sheetPath = target.startsWith('/')
+      ? target.slice(1)
+      : path.posix.join('xl', target);
+    const rows = [];
+    let width;
+
+    // Empty rows may be written self-closing (<row r="5"/>)
+    for (const [, rowAttributes, rowXml = ''] of (read(sheetPath) || '')
+      .matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+      const given = parseInt(getAttribute(rowAttributes, 'r'), 10);
+      const number = Number.isNaN(given) ? (rows.at(-1)?.number ?? 0) + 1 : given;
+      const cells = new Map();
+      let last = -1;
+
+      for (const [, cellAttributes, cellXml = ''] of
+        rowXml.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+        const reference = getAttribute(cellAttributes, 'r');
+        const type = getAttribute(cellAttributes, 't');
+        const value = cellXml.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+        let text;
+
+        if (type === 's') text = sharedStrings[parseInt(value, 10)] ?? '';
+        else if (type === 'inlineStr') text = getText(cellXml);
+        else if (type === 'b') text = value === '1' ? 'true' : 'false';
+        else text = value === undefined ? '' : unescapeXml(value);
+
+        last = reference ? columnIndex(reference) : last + 1;
+
+        if (last >= MAX_COLUMNS) {
+          throw new Error(`Row ${number} has more than ${MAX_COLUMNS} cells`);
+        }
+        cells.set(last, text);
+      }
+
+      if (width === undefined) {
+        width = Math.max(...cells.keys(), -1) + 1;
+
+        if (width > maxColumns) {
+          throw new Error(`Sheet ${name} has more than ${maxColumns} columns`);
+        }
+      }
+
+      rows.push({
+        number,
+        cells: Array.from({ length: width }, (_, index) => cells.get(index) ?? '')
+      });
+    }
+
+    return { name, rows };
+  });
+};
@@ -0,0 +1,315 @@
+import { Readable, Transform, Writable } from 'stream';
+import { pipeline } from 'stream/promises';
+import zlib from 'zlib';
+
+/**
+ * ZIP Utilities
+ * Just enough of the ZIP format (stored and deflated entries, no ZIP64)
+ * to write, stream and read Office Open XML files
+ */
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const DATA_DESCRIPTOR = 0x08074b50;
+
+// General purpose flags: UTF-8 names, sizes in a trailing data descriptor
+const FLAG_UTF8 = 0x0800;
+const FLAG_DATA_DESCRIPTOR = 0x0008;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+// Guards against decompression bombs
+const MAX_ENTRIES = 1000;
+const MAX_ENTRY_SIZE = 64 * 1024 * 1024;
+const MAX_TOTAL_SIZE = 128 * 1024 * 1024;
+
+// 1980-01-01 00:00 in MS-DOS date/time format
+const DOS_TIME = 0;
+const DOS_DATE = (1 << 5) | 1;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * CRC-32 checksum of a buffer, continuing from `previous` when the
+ * data comes in chunks
+ */
+const crc32 = (buffer, previous = 0) => {
+  let crc = (previous ^ 0xffffffff) >>> 0;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const localHeader = ({ nameBuffer, flags, checksum = 0, compressedSize = 0, size = 0 }) => {
+  const local = Buffer.alloc(30);
+  local.writeUInt32LE(LOCAL_HEADER, 0);
+  local.writeUInt16LE(20, 4); // version needed
+  local.writeUInt16LE(flags, 6);
+  local.writeUInt16LE(METHOD_DEFLATED, 8);
+  local.writeUInt16LE(DOS_TIME, 10);
+  local.writeUInt16LE(DOS_DATE, 12);
+  local.writeUInt32LE(checksum, 14);
+  local.writeUInt32LE(compressedSize, 18);
+  local.writeUInt32LE(size, 22);
+  local.writeUInt16LE(nameBuffer.length, 26);
+  local.writeUInt16LE(0, 28);
+  return Buffer.concat([local, nameBuffer]);
+};
+
+const centralHeader = ({ nameBuffer, flags, checksum, compressedSize, size, offset }) => {
+  const central = Buffer.alloc(46);
+  central.writeUInt32LE(CENTRAL_HEADER, 0);
+  central.writeUInt16LE(20, 4); // version made by
+  central.writeUInt16LE(20, 6); // version needed
+  central.writeUInt16LE(flags, 8);
+  central.writeUInt16LE(METHOD_DEFLATED, 10);
+  central.writeUInt16LE(DOS_TIME, 12);
+  central.writeUInt16LE(DOS_DATE, 14);
+  central.writeUInt32LE(checksum, 16);
+  central.writeUInt32LE(compressedSize, 20);
+  central.writeUInt32LE(size, 24);
+  central.writeUInt16LE(nameBuffer.length, 28);
+  central.writeUInt32LE(offset, 42);
+  return Buffer.concat([central, nameBuffer]);
+};
+
+const endOfCentralDirectory = (count, size, offset) => {
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+  end.writeUInt16LE(count, 8);
+  end.writeUInt16LE(count, 10);
+  end.writeUInt32LE(size, 12);
+  end.writeUInt32LE(offset, 16);
+  return end;
+};
+
+/**
+ * Build a ZIP archive from [{ name, data }] entries (data as string or
+ * Buffer)
+ */
+export const createZip = (entries) => {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  entries.forEach(({ name, data }) => {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const content = Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8');
+    const compressed = zlib.deflateRawSync(content);
+    const entry = {
+      nameBuffer,
+      flags: FLAG_UTF8,
+      checksum: crc32(content),
+      compressedSize: compressed.length,
+      size: content.length,
+      offset
+    };
+
+    const local = localHeader(entry);
+
+    localParts.push(local, compressed);
+    centralParts.push(centralHeader(entry));
+    offset += local.length + compressed.length;
+  });
+
+  const centralDirectory = Buffer.concat(centralParts);
+
+  return Buffer.concat([
+    ...localParts,
+    centralDirectory,
+    endOfCentralDirectory(entries.length, centralDirectory.length, offset)
+  ]);
+};
+
+/**
+ * Write a ZIP archive to a writable stream without holding it in
+ * memory. Entry data may be a string, a Buffer or an (async) iterable
+ * of either; sizes and checksums follow each entry in a data
+ * descriptor. The output is left open.
+ */
+export const streamZip = async (output, entries) => {
+  const centralParts = [];
+  let offset = 0;
+
+  const write = chunk => new Promise((resolve, reject) => {
+    output.write(chunk, error => (error ? reject(error) : resolve()));
+  });
+
+  for (const { name, data } of entries) {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const entry = {
+      nameBuffer,
+      flags: FLAG_UTF8 | FLAG_DATA_DESCRIPTOR,
+      checksum: 0,
+      compressedSize: 0,
+      size: 0,
+      offset
+    };
+
+    const local = localHeader(entry);
+    await write(local);
+
+    const source = typeof data === 'string' || Buffer.isBuffer(data) ? [data] : data;
+
+    await pipeline(
+      Readable.from(source, { objectMode: false }),
+      new Transform({
+        transform(chunk, encoding, callback) {
+          entry.checksum = crc32(chunk, entry.checksum);
+          entry.size += chunk.length;
+          callback(null, chunk);
+        }
+      }),
+      zlib.createDeflateRaw(),
+      new Writable({
+        write(chunk, encoding, callback) {
+          entry.compressedSize += chunk.length;
+          output.write(chunk, callback);
+        }
+      })
+    );
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(DATA_DESCRIPTOR, 0);
+    descriptor.writeUInt32LE(entry.checksum, 4);
+    descriptor.writeUInt32LE(entry.compressedSize, 8);
+    descriptor.writeUInt32LE(entry.size, 12);
+    await write(descriptor);
+
+    centralParts.push(centralHeader(entry));
+    offset += local.length + entry.compressedSize + descriptor.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+
+  await write(centralDirectory);
+  await write(endOfCentralDirectory(entries.length, centralDirectory.length, offset));
+};
+
+/**
+ * Open a ZIP archive for reading. Only the central directory is parsed
+ * up front; entries are inflated when read, and what all reads inflate
+ * together is capped (as are the entry count and each entry's size) to
+ * guard against decompression bombs. Returns { names, read(name) } where
+ * read gives the entry's content Buffer, or undefined when missing.
+ */
+export const openZip = (buffer, {
+  maxEntries = MAX_ENTRIES,
+  maxEntrySize = MAX_ENTRY_SIZE,
+  maxTotalSize = MAX_TOTAL_SIZE
+} = {}) => {
+  const fits = (offset, length) => offset >= 0 && offset + length <= buffer.length;
+
+  if (buffer.length < 22) {
+    throw new Error('Not a ZIP archive');
+  }
+
+  // The end record sits in the last 22 bytes plus an optional comment
+  let endOffset = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i -= 1) {
+    if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+      endOffset = i;
+      break;
+    }
+  }
+
+  if (endOffset === -1) {
+    throw new Error('Not a ZIP archive');
+  }
+
+  const count = buffer.readUInt16LE(endOffset + 10);
+  let pointer = buffer.readUInt32LE(endOffset + 16);
+  const entries = new Map();
+
+  if (count > maxEntries) {
+    throw new Error(`ZIP archive has more than ${maxEntries} entries`);
+  }
+
+  for (let i = 0; i < count; i += 1) {
+    if (!fits(pointer, 46) || buffer.readUInt32LE(pointer) !== CENTRAL_HEADER) {
+      throw new Error('Corrupt ZIP central directory');
+    }
+
+    const method = buffer.readUInt16LE(pointer + 10);
+    const compressedSize = buffer.readUInt32LE(pointer + 20);
+    const nameLength = buffer.readUInt16LE(pointer + 28);
+    const extraLength = buffer.readUInt16LE(pointer + 30);
+    const commentLength = buffer.readUInt16LE(pointer + 32);
+    const localOffset = buffer.readUInt32LE(pointer + 42);
+
+    if (!fits(pointer + 46, nameLength)) {
+      throw new Error('Corrupt ZIP central directory');
+    }
+
+    const name = buffer.toString('utf8', pointer + 46, pointer + 46 + nameLength);
+
+    if (compressedSize === 0xffffffff || localOffset === 0xffffffff) {
+      throw new Error('ZIP64 archives are not supported');
+    }
+
+    if (method !== METHOD_STORED && method !== METHOD_DEFLATED) {
+      throw new Error(`Unsupported ZIP compression method ${method}`);
+    }
+
+    entries.set(name, { method, compressedSize, localOffset });
+    pointer += 46 + nameLength + extraLength + commentLength;
+  }
+
+  const contents = new Map();
+  let totalSize = 0;
+
+  const read = (name) => {
+    const entry = entries.get(name);
+
+    if (!entry) return undefined;
+    if (contents.has(name)) return contents.get(name);
+
+    const { method, compressedSize, localOffset } = entry;
+
+    if (!fits(localOffset, 30) || buffer.readUInt32LE(localOffset) !== LOCAL_HEADER) {
+      throw new Error('Corrupt ZIP entry');
+    }
+
+    const dataStart = localOffset + 30 +
+      buffer.readUInt16LE(localOffset + 26) +
+      buffer.readUInt16LE(localOffset + 28);
+
+    if (!fits(dataStart, compressedSize)) {
+      throw new Error('Corrupt ZIP entry');
+    }
+
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    const limit = Math.min(maxEntrySize, maxTotalSize - totalSize);
+    let content;
+
+    if (method === METHOD_STORED) {
+      content = data;
+    } else {
+      try {
+        content = zlib.inflateRawSync(data, { maxOutputLength: Math.max(limit, 1) });
+      } catch (error) {
+        if (error.code !== 'ERR_BUFFER_TOO_LARGE') throw error;
+        content = null;
+      }
+    }
+
+    if (!content || content.length > limit) {
+      throw new Error('ZIP archive content exceeds the size limit');
+    }
+
+    totalSize += content.length;
+    contents.set(name, content);
+    return content;
+  };
+
+  return { names: [...entries.keys()], read };
+};
@@ -0,0 +1,138 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import ApiKey from '../src/models/ApiKey.js';
+import ServiceAccount from '../src/models/ServiceAccount.js';
+import Organization from '../src/models/Organization.js';
+import apiKeyService from '../src/services/apiKeyService.js';
+import { allowApiKey, authenticate } from '../src/middleware/auth.js';
+import { API_KEY_SCOPES, ERROR_MESSAGES } from '../src/utils/constants.js';
+
+const response = () => ({
+  statusCode: 200,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+// A service account with its keys in memory
+const stubServiceAccount = (t) => {
+  const keys = [];
+  const serviceAccount = new ServiceAccount({
+    name: 'ERP sync',
+    organization: new mongoose.Types.ObjectId(),
+    createdBy: new mongoose.Types.ObjectId()
+  });
+
+  t.mock.method(ApiKey, 'create', async (data) => {
+    const apiKey = new ApiKey(data);
+    keys.push(apiKey);
+    return apiKey;
+  });
+  t.mock.method(ApiKey, 'findOne', ({ prefix }) => ({
+    select: async () => keys.find(apiKey => apiKey.prefix === prefix) || null
+  }));
+  t.mock.method(ApiKey, 'updateOne', async () => ({ modifiedCount: 1 }));
+  t.mock.method(ApiKey.prototype, 'save', async function () {
+    return this;
+  });
+  t.mock.method(ServiceAccount, 'findById', async () => serviceAccount);
+  t.mock.method(Organization, 'findById', () => ({
+    select: () => ({ lean: async () => ({ isActive: true }) })
+  }));
+
+  return serviceAccount;
+};
+
+const createKey = (serviceAccount, scopes) => apiKeyService.createKey({
+  serviceAccountId: serviceAccount._id,
+  name: 'Nightly import',
+  scopes,
+  createdBy: new mongoose.Types.ObjectId()
+});
+
+// Run a request with the key through allowApiKey (when the route opts
+// in with a scope) and authenticate
+const callWith = async (rawKey, scope) => {
+  const req = { ip: '127.0.0.1', headers: { 'x-api-key': rawKey }, baseUrl: '/api/esg', path: '/' };
+  const res = response();
+  let reached = false;
+
+  if (scope) allowApiKey(scope)(req, res, () => {});
+  await authenticate(req, res, () => {
+    reached = true;
+  });
+
+  return { req, res, reached };
+};
+
+describe('API key scopes', () => {
+  it('lets a key reach routes opened to a scope it carries', async (t) => {
+    const serviceAccount = stubServiceAccount(t);
+    const { rawKey } = await createKey(serviceAccount, [API_KEY_SCOPES.ESG_READ]);
+
+    const { req, reached } = await callWith(rawKey, API_KEY_SCOPES.ESG_READ);
+
+    assert.match(rawKey, /^esg_[0-9a-f]{12}_[0-9a-f]{64}$/);
+    assert.equal(reached, true);
+    assert.equal(req.principalType, 'ServiceAccount');
+    assert.equal(req.user, serviceAccount);
+    assert.equal(req.permissions.size, 0);
+  });
+
+  it('refuses keys without the scope and routes not opened to keys', async (t) => {
+    const serviceAccount = stubServiceAccount(t);
+    const { rawKey } = await createKey(serviceAccount, [API_KEY_SCOPES.ESG_READ]);
+
+    const missingScope = await callWith(rawKey, API_KEY_SCOPES.ESG_WRITE);
+    const userOnly = await callWith(rawKey);
+
+    assert.equal(missingScope.reached, false);
+    assert.equal(missingScope.res.statusCode, 403);
+    assert.equal(missingScope.res.body.message, ERROR_MESSAGES.API_KEY_SCOPE_MISSING);
+    assert.equal(userOnly.reached, false);
+    assert.equal(userOnly.res.statusCode, 403);
+  });
+
+  it('refuses revoked and forged keys, and keys of a deactivated account', async (t) => {
+    const serviceAccount = stubServiceAccount(t);
+    const revoked = await createKey(serviceAccount, [API_KEY_SCOPES.ESG_READ]);
+    const active = await createKey(serviceAccount, [API_KEY_SCOPES.ESG_READ]);
+    await apiKeyService.revokeKey(revoked.apiKey);
+
+    const forged = active.rawKey.replace(/.$/, character => (character === '0' ? '1' : '0'));
+
+    for (const rawKey of [revoked.rawKey, forged, 'esg_not_a_key']) {
+      const { res, reached } = await callWith(rawKey, API_KEY_SCOPES.ESG_READ);
+      assert.equal(reached, false);
+      assert.equal(res.body.message, ERROR_MESSAGES.API_KEY_INVALID);
+    }
+
+    serviceAccount.isActive = false;
+    assert.equal((await callWith(active.rawKey, API_KEY_SCOPES.ESG_READ)).res.statusCode, 401);
+  });
+
+  it('rotates a key into one with the same scopes, keeping the old one for the grace period', async (t) => {
+    const serviceAccount = stubServiceAccount(t);
+    const original = await createKey(serviceAccount, [API_KEY_SCOPES.ESG_READ, API_KEY_SCOPES.REPORTS_READ]);
+
+    const rotated = await apiKeyService.rotateKey(original.apiKey, {
+      createdBy: new mongoose.Types.ObjectId(),
+      gracePeriodHours: 24
+    });
+
+    assert.deepEqual([...rotated.apiKey.scopes], [...original.apiKey.scopes]);
+    assert.ok(rotated.apiKey.rotatedFrom.equals(original.apiKey._id));
+    assert.equal((await callWith(original.rawKey, API_KEY_SCOPES.REPORTS_READ)).reached, true);
+    assert.equal((await callWith(rotated.rawKey, API_KEY_SCOPES.REPORTS_READ)).reached, true);
+
+    await apiKeyService.rotateKey(rotated.apiKey, { createdBy: new mongoose.Types.ObjectId() });
+    assert.equal((await callWith(rotated.rawKey, API_KEY_SCOPES.REPORTS_READ)).reached, false);
+  });
+});
@@ -0,0 +1,38 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import approvalPolicyService from '../src/services/approvalPolicyService.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('Approval policy', () => {
+  const submitter = id();
+  const editor = id();
+  const reviewer = id();
+  const record = {
+    submittedBy: submitter,
+    submittedForReviewBy: submitter,
+    preparedBy: [editor],
+    approvals: []
+  };
+
+  it('refuses approval by the submitter', () => {
+    assert.equal(approvalPolicyService.checkApproval(record, submitter).rule, 'self_approval');
+  });
+
+  it('refuses approval and review by anyone who edited the figures', () => {
+    assert.equal(approvalPolicyService.checkApproval(record, editor).rule, 'self_approval');
+    assert.equal(approvalPolicyService.checkReview(record, editor).rule, 'self_review');
+  });
+
+  it('lets an uninvolved reviewer approve once per round', () => {
+    assert.equal(approvalPolicyService.checkApproval(record, reviewer), null);
+    assert.equal(
+      approvalPolicyService.checkApproval(
+        { ...record, approvals: [{ approvedBy: reviewer }] },
+        reviewer
+      ).rule,
+      'duplicate_approval'
+    );
+  });
+});
@@ -0,0 +1,172 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import ESGRecord from '../src/models/ESGRecord.js';
+import ESGComment from '../src/models/ESGComment.js';
+import User from '../src/models/User.js';
+import commentService from '../src/services/commentService.js';
+import auditService from '../src/services/auditService.js';
+import mailService from '../src/services/mailService.js';
+import { addComment, resolveComment } from '../src/controllers/commentController.js';
+import { approveESGRecord } from '../src/controllers/esgController.js';
+import { ERROR_MESSAGES, PERMISSIONS } from '../src/utils/constants.js';
+
+const response = () => ({
+  statusCode: 200,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+const organization = new mongoose.Types.ObjectId();
+
+const userWith = (...permissions) => ({
+  userId: new mongoose.Types.ObjectId(),
+  user: { name: 'Ada' },
+  principalType: 'User',
+  permissions: new Set(permissions)
+});
+
+// A record with comment storage, mentionable users and notifications stubbed out
+const stubRecord = (t, colleagues = []) => {
+  const record = new ESGRecord({
+    organization,
+    submittedBy: new mongoose.Types.ObjectId(),
+    reportingPeriod: { year: 2025 },
+    status: 'submitted'
+  });
+  const comments = [];
+
+  t.mock.method(ESGRecord, 'findById', () => ({ select: async () => record }));
+  t.mock.method(ESGComment, 'create', async (data) => {
+    const comment = new ESGComment(data);
+    comments.push(comment);
+    return comment;
+  });
+  t.mock.method(User, 'find', ({ _id }) => ({
+    select: async () => colleagues.filter(user => _id.$in.some(id => id.equals(user._id)))
+  }));
+  t.mock.method(mailService, 'sendCommentMention', async () => null);
+  t.mock.method(auditService, 'logESGCommentEvent', async () => null);
+
+  return { record, comments };
+};
+
+const comment = async (req, record, body) => {
+  const res = response();
+  await addComment({ ...req, params: { id: record._id.toString() }, body }, res);
+  return res;
+};
+
+describe('ESG record comments', () => {
+  it('opens threads on metrics and notifies mentioned colleagues', async (t) => {
+    const colleague = { _id: new mongoose.Types.ObjectId(), name: 'Grace', email: 'grace@acme.test' };
+    const { record, comments } = stubRecord(t, [colleague]);
+
+    const res = await comment(userWith(PERMISSIONS.ESG_READ), record, {
+      body: 'Does this include the new site?',
+      field: 'environmental.scope1Emissions',
+      mentions: [colleague._id]
+    });
+
+    assert.equal(res.statusCode, 201);
+    assert.equal(comments[0].field, 'environmental.scope1Emissions');
+    assert.equal(comments[0].blocking, false);
+    assert.equal(mailService.sendCommentMention.mock.calls[0].arguments[0], colleague);
+  });
+
+  it('refuses unknown metrics and mentions of people outside the organization', async (t) => {
+    const { record, comments } = stubRecord(t);
+    const req = userWith(PERMISSIONS.ESG_READ);
+
+    const unknownField = await comment(req, record, { body: 'Hm', field: 'environmental.notAMetric' });
+    const stranger = await comment(req, record, { body: 'Hm', mentions: [new mongoose.Types.ObjectId()] });
+
+    assert.equal(unknownField.body.message, ERROR_MESSAGES.COMMENT_FIELD_INVALID);
+    assert.equal(stranger.body.message, ERROR_MESSAGES.COMMENT_MENTION_INVALID);
+    assert.equal(comments.length, 0);
+  });
+
+  it('lets only reviewers open blocking threads', async (t) => {
+    const { record, comments } = stubRecord(t);
+
+    const preparer = await comment(userWith(PERMISSIONS.ESG_READ), record, { body: 'Wait', blocking: true });
+    const reviewer = await comment(userWith(PERMISSIONS.ESG_APPROVE), record, { body: 'Wait', blocking: true });
+
+    assert.equal(preparer.statusCode, 403);
+    assert.equal(preparer.body.message, ERROR_MESSAGES.COMMENT_BLOCKING_NOT_ALLOWED);
+    assert.equal(reviewer.statusCode, 201);
+    assert.equal(comments.length, 1);
+    assert.equal(comments[0].blocking, true);
+  });
+
+  it('holds up approval while a blocking thread is open', async (t) => {
+    const record = new ESGRecord({
+      organization,
+      submittedBy: new mongoose.Types.ObjectId(),
+      reportingPeriod: { year: 2025 },
+      status: 'submitted'
+    });
+    t.mock.method(ESGRecord, 'findById', async () => record);
+    t.mock.method(ESGComment, 'exists', async () => ({ _id: new mongoose.Types.ObjectId() }));
+    const res = response();
+
+    await approveESGRecord(
+      { ...userWith(PERMISSIONS.ESG_APPROVE), params: { id: record._id.toString() }, body: {} },
+      res
+    );
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.message, ERROR_MESSAGES.ESG_RECORD_BLOCKING_COMMENTS);
+    assert.equal(record.status, 'submitted');
+  });
+
+  it('lets the author or a reviewer resolve a thread', async (t) => {
+    const author = userWith(PERMISSIONS.ESG_READ);
+    const thread = new ESGComment({
+      organization,
+      record: new mongoose.Types.ObjectId(),
+      parent: null,
+      body: 'Wait',
+      author: author.userId,
+      blocking: true
+    });
+    t.mock.method(ESGComment, 'findOne', async () => thread);
+    t.mock.method(ESGComment.prototype, 'save', async function () {
+      return this;
+    });
+    t.mock.method(auditService, 'logESGCommentEvent', async () => null);
+    const resolve = async (req) => {
+      const res = response();
+      await resolveComment({ ...req, params: { id: thread.record, commentId: thread._id } }, res);
+      return res;
+    };
+
+    assert.equal((await resolve(userWith(PERMISSIONS.ESG_READ))).statusCode, 403);
+    assert.equal(thread.resolved, false);
+
+    assert.equal((await resolve(author)).statusCode, 200);
+    assert.equal(thread.resolved, true);
+    assert.ok(thread.resolvedBy.equals(author.userId));
+  });
+
+  it('groups replies under their threads', () => {
+    const thread = { _id: new mongoose.Types.ObjectId(), body: 'Source?' };
+    const other = { _id: new mongoose.Types.ObjectId(), body: 'Units?' };
+    const reply = { _id: new mongoose.Types.ObjectId(), parent: thread._id, body: 'Invoices' };
+    const orphan = { _id: new mongoose.Types.ObjectId(), parent: new mongoose.Types.ObjectId(), body: 'Lost' };
+
+    const threads = commentService.buildThreads([thread, reply, other, orphan]);
+
+    assert.deepEqual(threads.map(entry => [entry.body, entry.replies.map(item => item.body)]), [
+      ['Source?', ['Invoices']],
+      ['Units?', []]
+    ]);
+  });
+});
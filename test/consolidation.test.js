@@ -0,0 +1,213 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Organization from '../src/models/Organization.js';
+import esgCalculationService from '../src/services/esgCalculationService.js';
+import organizationService from '../src/services/organizationService.js';
+import { CONSOLIDATION_APPROACHES } from '../src/utils/constants.js';
+
+const organization = new mongoose.Types.ObjectId();
+
+const record = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  organization,
+  reportingPeriod: { year: 2025 },
+  updatedAt: new Date('2026-01-15'),
+  environmental: {},
+  social: {},
+  governance: {},
+  ...fields
+});
+
+const site = (environmental, social = {}, fields = {}) => record({
+  facility: new mongoose.Types.ObjectId(),
+  environmental,
+  social,
+  ...fields
+});
+
+// A group in memory: a parent holding 60% of a subsidiary, which holds
+// 50% of its own subsidiary, plus a joint venture the group does not control
+const stubGroup = (t) => {
+  const parent = { _id: new mongoose.Types.ObjectId(), name: 'Acme' };
+  const subsidiary = {
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Acme Europe',
+    parent: parent._id,
+    ownership: { percentage: 60, operationalControl: true, financialControl: true }
+  };
+  const grandchild = {
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Acme Iberia',
+    parent: subsidiary._id,
+    ownership: { percentage: 50, operationalControl: true, financialControl: false }
+  };
+  const jointVenture = {
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Acme Joint Venture',
+    parent: parent._id,
+    ownership: { percentage: 30, operationalControl: false, financialControl: false }
+  };
+  const children = [subsidiary, grandchild, jointVenture];
+
+  t.mock.method(Organization, 'findById', () => ({
+    select: () => ({ lean: async () => parent })
+  }));
+  t.mock.method(Organization, 'find', conditions => ({
+    select: () => ({
+      lean: async () => children.filter(child =>
+        conditions.parent.$in.some(id => id.equals(child.parent)))
+    })
+  }));
+
+  return { parent, subsidiary, grandchild, jointVenture };
+};
+
+const sharesOf = scope => scope.map(entity => [entity.name, entity.share]);
+
+describe('Consolidation shares', () => {
+  it('carries ownership percentages down the group under the equity share approach', async (t) => {
+    stubGroup(t);
+
+    const scope = await organizationService.getConsolidationScope(
+      new mongoose.Types.ObjectId(),
+      CONSOLIDATION_APPROACHES.EQUITY_SHARE
+    );
+
+    assert.deepEqual(sharesOf(scope), [
+      ['Acme', 1],
+      ['Acme Europe', 0.6],
+      ['Acme Joint Venture', 0.3],
+      ['Acme Iberia', 0.3]
+    ]);
+  });
+
+  it('includes controlled entities in full and leaves out the rest under the control approaches', async (t) => {
+    stubGroup(t);
+
+    const operational = await organizationService.getConsolidationScope(
+      new mongoose.Types.ObjectId(),
+      CONSOLIDATION_APPROACHES.OPERATIONAL_CONTROL
+    );
+    const financial = await organizationService.getConsolidationScope(
+      new mongoose.Types.ObjectId(),
+      CONSOLIDATION_APPROACHES.FINANCIAL_CONTROL
+    );
+
+    assert.deepEqual(sharesOf(operational), [['Acme', 1], ['Acme Europe', 1], ['Acme Iberia', 1]]);
+    assert.deepEqual(sharesOf(financial), [['Acme', 1], ['Acme Europe', 1]]);
+  });
+
+  it('scales quantities by the share and keeps ratios as reported', () => {
+    const scaled = esgCalculationService.scaleRecord(record({
+      environmental: { scope1Emissions: 100, scope2Emissions: 40, renewableEnergyPercentage: 25 },
+      social: { communityInvestment: 1000, totalEmployees: 50, diversityRatio: 40 }
+    }), 0.3);
+
+    assert.equal(scaled.environmental.scope1Emissions, 30);
+    assert.equal(scaled.environmental.scope2Emissions, 12);
+    assert.equal(scaled.environmental.scope2MarketBased, undefined);
+    assert.equal(scaled.environmental.renewableEnergyPercentage, 25);
+    assert.equal(scaled.social.communityInvestment, 300);
+    assert.equal(scaled.social.totalEmployees, 50);
+    assert.equal(scaled.social.diversityRatio, 40);
+  });
+
+  it('reports each entity at its share', () => {
+    const subsidiary = new mongoose.Types.ObjectId();
+    const records = [
+      record({ environmental: { scope1Emissions: 100 } }),
+      record({ organization: subsidiary, environmental: { scope1Emissions: 50 } }),
+      record({ organization: subsidiary, environmental: { scope1Emissions: 30 } })
+    ];
+
+    const { scaledRecords, entities } = esgCalculationService.consolidateRecords(records, [
+      { organization, name: 'Acme', parent: null, share: 1 },
+      { organization: subsidiary, name: 'Acme Europe', parent: organization, share: 0.6 }
+    ]);
+
+    assert.equal(scaledRecords.length, 3);
+    assert.equal(
+      esgCalculationService.aggregateEnvironmentalMetrics(scaledRecords).totalScope1Emissions,
+      148
+    );
+    assert.deepEqual(
+      entities.map(entity => [entity.name, entity.sharePercentage, entity.recordCount,
+        entity.environmentalSummary.totalScope1Emissions]),
+      [['Acme', 100, 1, 100], ['Acme Europe', 60, 2, 48]]
+    );
+  });
+});
+
+describe('Facility roll-up', () => {
+  it('sums quantities and weights ratios over the sites of a period', () => {
+    const [rolledUp] = esgCalculationService.rollUpFacilityRecords([
+      site(
+        { scope1Emissions: 100, scope2Emissions: 40, energyConsumption: 1000, renewableEnergyPercentage: 50 },
+        { totalEmployees: 30, femaleEmployeesPercentage: 40 }
+      ),
+      site(
+        { scope1Emissions: 20, scope2Emissions: 10, energyConsumption: 3000, renewableEnergyPercentage: 10 },
+        { totalEmployees: 10, femaleEmployeesPercentage: 60 }
+      )
+    ]);
+
+    assert.equal(rolledUp.facility, undefined);
+    assert.equal(rolledUp.rolledUpRecords.length, 2);
+    assert.equal(rolledUp.environmental.scope1Emissions, 120);
+    assert.equal(rolledUp.environmental.scope2Emissions, 50);
+    assert.equal(rolledUp.environmental.totalCarbonEmissions, 170);
+    assert.equal(rolledUp.environmental.renewableEnergyPercentage, 20);
+    assert.equal(rolledUp.social.totalEmployees, 40);
+    assert.equal(rolledUp.social.femaleEmployeesPercentage, 45);
+  });
+
+  it('leaves out the figures of an organization-wide record once sites report', () => {
+    const organizationWide = record({
+      environmental: { scope1Emissions: 120, energyConsumption: 4000 },
+      social: { totalEmployees: 40 },
+      governance: { boardIndependence: 60, complianceStatus: 'compliant' }
+    });
+
+    const [rolledUp] = esgCalculationService.rollUpFacilityRecords([
+      organizationWide,
+      site({ scope1Emissions: 100, energyConsumption: 1000 }, { totalEmployees: 30 }),
+      site({ scope1Emissions: 20, energyConsumption: 3000 }, { totalEmployees: 10 })
+    ]);
+
+    assert.equal(rolledUp.environmental.scope1Emissions, 120);
+    assert.equal(rolledUp.environmental.energyConsumption, 4000);
+    assert.equal(rolledUp.social.totalEmployees, 40);
+    assert.equal(rolledUp.governance.boardIndependence, 60);
+    assert.equal(rolledUp.governance.complianceStatus, 'compliant');
+    assert.ok(!rolledUp.rolledUpRecords.some(id => id.equals(organizationWide._id)));
+  });
+
+  it('counts sites without contractual instruments location-based', () => {
+    const [rolledUp] = esgCalculationService.rollUpFacilityRecords([
+      site({ scope2Emissions: 40, scope2MarketBased: 5 }),
+      site({ scope2Emissions: 10 })
+    ]);
+
+    assert.equal(rolledUp.environmental.scope2Emissions, 50);
+    assert.equal(rolledUp.environmental.scope2MarketBased, 15);
+  });
+
+  it('keeps periods and organizations apart and leaves periods without sites as they are', () => {
+    const organizationOnly = record({ reportingPeriod: { year: 2024 }, environmental: { scope1Emissions: 7 } });
+    const other = site({ scope1Emissions: 3 }, {}, { organization: new mongoose.Types.ObjectId() });
+
+    const rolledUp = esgCalculationService.rollUpFacilityRecords([
+      organizationOnly,
+      site({ scope1Emissions: 1 }),
+      site({ scope1Emissions: 2 }),
+      other
+    ]);
+
+    assert.equal(rolledUp.length, 3);
+    assert.equal(rolledUp[0], organizationOnly);
+    assert.equal(rolledUp[1].environmental.scope1Emissions, 3);
+    assert.equal(rolledUp[2].environmental.scope1Emissions, 3);
+    assert.equal(rolledUp[2].organization, other.organization);
+  });
+});
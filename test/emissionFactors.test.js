@@ -0,0 +1,225 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import EmissionFactorSet from '../src/models/EmissionFactorSet.js';
+import emissionFactorService from '../src/services/emissionFactorService.js';
+import esgCalculationService from '../src/services/esgCalculationService.js';
+import { ERROR_MESSAGES, SCOPE2_METHODS } from '../src/utils/constants.js';
+
+const factorSet = {
+  _id: new mongoose.Types.ObjectId(),
+  name: 'UK conversion factors',
+  version: '2024',
+  status: 'published',
+  source: { publisher: 'DESNZ', title: 'Greenhouse gas reporting: conversion factors 2024' },
+  factors: [
+    { category: 'stationary_combustion', activity: 'natural_gas', unit: 'kWh', kgCO2ePerUnit: 0.183, citation: 'Fuels' },
+    { category: 'purchased_electricity', activity: 'grid_electricity', unit: 'kWh', region: 'GB', kgCO2ePerUnit: 0.207, citation: 'UK electricity' },
+    { category: 'purchased_electricity', activity: 'grid_electricity', unit: 'kWh', kgCO2ePerUnit: 0.4, citation: 'World average' },
+    { category: 'purchased_electricity', activity: 'residual_mix', unit: 'kWh', region: 'GB', kgCO2ePerUnit: 0.3, citation: 'UK residual mix' },
+    { category: 'purchased_heat', activity: 'district_heat', unit: 'kWh', kgCO2ePerUnit: 0.17, citation: 'Heat and steam' },
+    { category: 'business_travel', activity: 'rail', unit: 'passenger_km', kgCO2ePerUnit: 0.035, citation: 'Business travel' }
+  ]
+};
+
+const gas = { category: 'stationary_combustion', activity: 'natural_gas', quantity: 10, unit: 'MWh' };
+const electricity = { category: 'purchased_electricity', activity: 'grid_electricity', quantity: 50000, unit: 'kWh' };
+const heat = { category: 'purchased_heat', activity: 'district_heat', quantity: 1000, unit: 'kWh' };
+const rail = { category: 'business_travel', activity: 'rail', quantity: 2000, unit: 'passenger_km' };
+
+// Serves factor sets by id, and the given one as the latest published set
+const stubFactorSets = (t, sets = [factorSet]) => {
+  t.mock.method(EmissionFactorSet, 'findById', id => ({
+    lean: async () => sets.find(set => set._id.equals(id)) || null
+  }));
+  t.mock.method(EmissionFactorSet, 'findOne', () => ({
+    sort: () => ({ lean: async () => sets[0] })
+  }));
+};
+
+describe('Emission factor calculations', () => {
+  it('multiplies activity data by the cited factor, converting units', () => {
+    const { lines, totals } = emissionFactorService.calculate([gas, electricity, rail], factorSet, 'GB');
+
+    assert.deepEqual(totals, { scope1: 1.83, scope2: 10.35, scope3: 0.07 });
+    assert.deepEqual(
+      lines[0],
+      {
+        category: 'stationary_combustion',
+        activity: 'natural_gas',
+        scope: 1,
+        quantity: 10,
+        unit: 'MWh',
+        region: 'GB',
+        convertedQuantity: 10000,
+        factorUnit: 'kWh',
+        factorRegion: undefined,
+        kgCO2ePerUnit: 0.183,
+        citation: 'Fuels',
+        tCO2e: 1.83
+      }
+    );
+  });
+
+  it('prefers the factor for the region and falls back to the region-independent one', () => {
+    const { lines } = emissionFactorService.calculate(
+      [electricity, { ...electricity, quantity: 1000, region: 'FR' }],
+      factorSet,
+      'GB'
+    );
+
+    assert.deepEqual(
+      lines.map(line => [line.region, line.factorRegion, line.tCO2e]),
+      [['GB', 'GB', 10.35], ['FR', undefined, 0.4]]
+    );
+  });
+
+  it('lists every activity without a factor', () => {
+    const { lines, errors } = emissionFactorService.calculate(
+      [{ ...gas, activity: 'diesel', unit: 'litre' }, rail, { ...rail, unit: 'km' }],
+      factorSet,
+      'GB'
+    );
+
+    assert.equal(lines, undefined);
+    assert.deepEqual(errors, [
+      { field: 'activities.0', message: 'No stationary_combustion factor for "diesel" in litre (GB)' },
+      { field: 'activities.2', message: 'No business_travel factor for "rail" in km (GB)' }
+    ]);
+  });
+
+  it('uses the latest published set unless a set is requested or pinned', async (t) => {
+    const retired = { ...factorSet, _id: new mongoose.Types.ObjectId(), status: 'retired' };
+    const draft = { ...factorSet, _id: new mongoose.Types.ObjectId(), status: 'draft' };
+    stubFactorSets(t, [factorSet, retired, draft]);
+
+    assert.equal((await emissionFactorService.resolveFactorSet()).factorSet, factorSet);
+    assert.equal((await emissionFactorService.resolveFactorSet(null, retired._id)).factorSet, retired);
+
+    for (const requested of [retired._id, draft._id, new mongoose.Types.ObjectId()]) {
+      const { error } = await emissionFactorService.resolveFactorSet(requested, retired._id);
+      assert.equal(error.message, ERROR_MESSAGES.EMISSION_FACTOR_SET_UNAVAILABLE);
+    }
+  });
+
+  it('records the calculation and overwrites only the scopes with activity data', async (t) => {
+    stubFactorSets(t);
+
+    const { emissionsCalculation, scopeFields } = await emissionFactorService.calculateForRecord({
+      activities: [gas, rail],
+      region: 'GB'
+    });
+
+    assert.ok(emissionsCalculation.factorSet.equals(factorSet._id));
+    assert.equal(emissionsCalculation.factorSetVersion, '2024');
+    assert.equal(emissionsCalculation.source, 'DESNZ: Greenhouse gas reporting: conversion factors 2024');
+    assert.equal(emissionsCalculation.lines.length, 2);
+    assert.deepEqual(scopeFields, { scope1Emissions: 1.83, scope3Emissions: 0.07 });
+  });
+
+  it('reports missing factors and leaves records without activity data alone', async (t) => {
+    stubFactorSets(t);
+
+    const { error } = await emissionFactorService.calculateForRecord({
+      activities: [{ ...gas, activity: 'diesel' }]
+    });
+
+    assert.equal(error.status, 400);
+    assert.equal(error.message, ERROR_MESSAGES.EMISSION_FACTOR_MISSING);
+    assert.equal(error.details.length, 1);
+    assert.deepEqual(
+      await emissionFactorService.calculateForRecord({ activities: [] }),
+      { emissionsCalculation: undefined, scopeFields: {} }
+    );
+  });
+});
+
+describe('Scope 2 calculations', () => {
+  const certificate = {
+    type: 'energy_attribute_certificate',
+    supplier: 'Octopus',
+    reference: 'REGO-1',
+    quantity: 20,
+    unit: 'MWh',
+    kgCO2ePerKWh: 0
+  };
+
+  const marketBased = (activities, instruments) => {
+    const { lines } = emissionFactorService.calculate(activities, factorSet, 'GB');
+    return emissionFactorService.calculateMarketBased(lines, instruments, factorSet);
+  };
+
+  it('counts covered electricity at the instrument rate and the rest at the residual mix', () => {
+    const { marketBasedLines, total } = marketBased([gas, electricity], [certificate]);
+
+    assert.equal(total, 9);
+    assert.deepEqual(marketBasedLines, [
+      { basis: 'energy_attribute_certificate', reference: 'Octopus: REGO-1', kWh: 20000, kgCO2ePerKWh: 0, tCO2e: 0 },
+      { basis: 'residual_mix', region: 'GB', kWh: 30000, kgCO2ePerKWh: 0.3, citation: 'UK residual mix', tCO2e: 9 }
+    ]);
+  });
+
+  it('falls back to the grid average without a residual mix and keeps other Scope 2 as it is', () => {
+    const { marketBasedLines, total } = marketBased([{ ...electricity, quantity: 1000, region: 'FR' }, heat], []);
+
+    assert.equal(total, 0.57);
+    assert.deepEqual(marketBasedLines.map(line => [line.basis, line.tCO2e]), [
+      ['grid_average', 0.4],
+      ['location_based', 0.17]
+    ]);
+  });
+
+  it('refuses instruments covering more electricity than was bought', async (t) => {
+    stubFactorSets(t);
+
+    assert.deepEqual(marketBased([electricity], [{ ...certificate, quantity: 60 }]).errors, [{
+      field: 'contractualInstruments',
+      message: 'Instruments cover 60000 kWh of 50000 kWh of purchased electricity'
+    }]);
+
+    for (const activities of [[electricity], []]) {
+      const { error } = await emissionFactorService.calculateForRecord({
+        activities,
+        contractualInstruments: [{ ...certificate, quantity: 60 }],
+        region: 'GB'
+      });
+      assert.equal(error.message, ERROR_MESSAGES.CONTRACTUAL_INSTRUMENTS_EXCEED_CONSUMPTION);
+    }
+  });
+
+  it('sets Scope 2 by both methods on the record', async (t) => {
+    stubFactorSets(t);
+
+    const { emissionsCalculation, scopeFields } = await emissionFactorService.calculateForRecord({
+      activities: [electricity],
+      contractualInstruments: [certificate],
+      region: 'GB'
+    });
+
+    assert.equal(emissionsCalculation.totals.scope2MarketBased, 9);
+    assert.deepEqual(scopeFields, { scope2Emissions: 10.35, scope2MarketBased: 9 });
+  });
+
+  it('totals Scope 2 and carbon by the requested method', () => {
+    const records = [
+      { environmental: { scope1Emissions: 10, scope2Emissions: 20, scope2MarketBased: 5 } },
+      { environmental: { scope2Emissions: 10 } }
+    ];
+    const totals = method => esgCalculationService.aggregateEnvironmentalMetrics(records, method);
+
+    assert.deepEqual(esgCalculationService.getScope2Emissions(records[1].environmental), {
+      locationBased: 10,
+      marketBased: 10
+    });
+    assert.equal(totals(SCOPE2_METHODS.LOCATION_BASED).totalCarbonEmissions, 40);
+    assert.equal(totals(SCOPE2_METHODS.LOCATION_BASED).totalScope2MarketBased, undefined);
+    assert.equal(totals(SCOPE2_METHODS.MARKET_BASED).totalScope2Emissions, 15);
+    assert.equal(totals(SCOPE2_METHODS.MARKET_BASED).totalCarbonEmissions, 25);
+
+    const both = totals(SCOPE2_METHODS.BOTH);
+    assert.equal(both.totalCarbonEmissions, 40);
+    assert.equal(both.totalScope2LocationBased, 30);
+    assert.equal(both.totalScope2MarketBased, 15);
+    assert.equal(both.totalCarbonEmissionsMarketBased, 25);
+  });
+});
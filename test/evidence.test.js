@@ -0,0 +1,148 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import ESGRecord from '../src/models/ESGRecord.js';
+import ESGRecordVersion from '../src/models/ESGRecordVersion.js';
+import ESGComment from '../src/models/ESGComment.js';
+import Evidence from '../src/models/Evidence.js';
+import storageService from '../src/services/storageService.js';
+import auditService from '../src/services/auditService.js';
+import { uploadEvidence } from '../src/controllers/evidenceController.js';
+import { deleteESGRecord } from '../src/controllers/esgController.js';
+
+const record = {
+  _id: new mongoose.Types.ObjectId(),
+  organization: new mongoose.Types.ObjectId(),
+  status: 'draft'
+};
+
+const response = () => ({
+  statusCode: 200,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+// Upload a small PDF with storage and the record lookup stubbed out
+const upload = async (t, query) => {
+  const res = response();
+
+  t.mock.method(ESGRecord, 'findById', () => ({ select: async () => record }));
+  t.mock.method(storageService, 'put', async key => ({ backend: 'memory', key }));
+  t.mock.method(storageService, 'delete', async () => undefined);
+  t.mock.method(auditService, 'logEvidenceEvent', async () => null);
+  t.mock.method(console, 'error', () => {});
+
+  await uploadEvidence({
+    params: { id: record._id.toString() },
+    query,
+    body: Buffer.from('%PDF-1.7'),
+    userId: new mongoose.Types.ObjectId(),
+    principalType: 'User',
+    permissions: new Set(),
+    get: () => 'application/pdf'
+  }, res);
+
+  return res;
+};
+
+describe('Evidence upload', () => {
+  it('stores the file and its metadata', async (t) => {
+    t.mock.method(Evidence, 'create', async data => new Evidence(data));
+
+    const res = await upload(t, {
+      fileName: '../invoices/march.pdf',
+      field: 'environmental.energyConsumption'
+    });
+
+    assert.equal(res.statusCode, 201);
+    assert.equal(res.body.data.fileName, 'march.pdf');
+    assert.equal(res.body.data.storageKey, undefined);
+    assert.equal(storageService.delete.mock.callCount(), 0);
+  });
+
+  it('rejects names and descriptions that are too long before storing anything', async (t) => {
+    const res = await upload(t, {
+      fileName: `${'a'.repeat(256)}.pdf`,
+      description: 'd'.repeat(501)
+    });
+
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(res.body.errors.map(error => error.field), ['fileName', 'description']);
+    assert.equal(storageService.put.mock.callCount(), 0);
+  });
+
+  it('rejects repeated query parameters', async (t) => {
+    const res = await upload(t, { fileName: ['a.pdf', 'b.pdf'] });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(storageService.put.mock.callCount(), 0);
+  });
+
+  it('removes the stored file when its metadata cannot be saved', async (t) => {
+    t.mock.method(Evidence, 'create', async () => {
+      throw new Error('Evidence validation failed');
+    });
+
+    const res = await upload(t, { fileName: 'march.pdf' });
+    const [{ arguments: [key] }] = storageService.put.mock.calls;
+
+    assert.equal(res.statusCode, 500);
+    assert.deepEqual(storageService.delete.mock.calls[0].arguments, ['memory', key]);
+  });
+});
+
+describe('ESG record deletion', () => {
+  const files = [
+    { storageBackend: 'memory', storageKey: 'evidence/a' },
+    { storageBackend: 'memory', storageKey: 'evidence/b' }
+  ];
+
+  // Delete the record with storage stubbed out
+  const remove = async (t, found = record) => {
+    const res = response();
+
+    t.mock.method(ESGRecord, 'findByIdAndDelete', async () => found);
+    t.mock.method(Evidence, 'find', () => ({
+      select: () => ({ session: () => ({ lean: async () => files }) })
+    }));
+    [ESGRecordVersion, ESGComment, Evidence].forEach((Model) => {
+      t.mock.method(Model, 'deleteMany', async () => ({ deletedCount: 1 }));
+    });
+    t.mock.method(storageService, 'delete', async (backend, key) => {
+      if (key === 'evidence/b') throw new Error('ENOENT');
+    });
+    t.mock.method(console, 'error', () => {});
+
+    await deleteESGRecord({ params: { id: record._id.toString() } }, res);
+    return res;
+  };
+
+  it('removes the versions, comments and evidence of the record', async (t) => {
+    const res = await remove(t);
+
+    assert.equal(res.statusCode, 200);
+    [ESGRecordVersion, ESGComment, Evidence].forEach((Model) => {
+      assert.deepEqual(Model.deleteMany.mock.calls[0].arguments[0], { record: record._id });
+    });
+    assert.deepEqual(
+      storageService.delete.mock.calls.map(call => call.arguments),
+      [['memory', 'evidence/a'], ['memory', 'evidence/b']]
+    );
+    assert.equal(console.error.mock.callCount(), 1);
+  });
+
+  it('touches nothing else when the record does not exist', async (t) => {
+    const res = await remove(t, null);
+
+    assert.equal(res.statusCode, 404);
+    assert.equal(Evidence.deleteMany.mock.callCount(), 0);
+    assert.equal(storageService.delete.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,121 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { PassThrough } from 'stream';
+import mongoose from 'mongoose';
+import ESGRecord from '../src/models/ESGRecord.js';
+import exportService from '../src/services/exportService.js';
+import { parseCsv } from '../src/utils/csv.js';
+import { readWorkbook } from '../src/utils/xlsx.js';
+
+const record = {
+  _id: new mongoose.Types.ObjectId(),
+  organization: new mongoose.Types.ObjectId(),
+  reportingPeriod: { year: 2025, quarter: 2 },
+  status: 'approved',
+  environmental: { scope1Emissions: 120.5, scope2Emissions: 40 },
+  social: { totalEmployees: 40 },
+  governance: { complianceStatus: 'compliant, with "notes"\nfor review', ethicsPolicyConfirmed: true },
+  createdAt: new Date('2025-07-01T09:30:00Z')
+};
+
+// Serves records through a cursor the way the query would
+const stubRecords = (t, records) => {
+  const cursor = {
+    closed: false,
+    async* [Symbol.asyncIterator]() {
+      yield* records;
+    },
+    async close() {
+      this.closed = true;
+    }
+  };
+
+  t.mock.method(ESGRecord, 'find', () => ({
+    sort: () => ({ lean: () => ({ cursor: () => cursor }) })
+  }));
+
+  return cursor;
+};
+
+// Export the stubbed records and collect the output
+const exportAs = async (format) => {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(Buffer.from(chunk)));
+
+  const count = await exportService.write(format, {}, output);
+
+  return { count, data: Buffer.concat(chunks) };
+};
+
+const headers = exportService.getColumns().map(column => column.header);
+
+describe('Export formatting', () => {
+  it('lays out identifying fields, every pillar metric and review metadata', () => {
+    assert.deepEqual(headers.slice(0, 4), ['id', 'organization', 'facility', 'reportingPeriod.year']);
+    assert.ok(headers.includes('environmental.scope1Emissions'));
+    assert.ok(headers.includes('social.totalEmployees'));
+    assert.ok(headers.includes('governance.complianceStatus'));
+    assert.equal(headers.at(-1), 'updatedAt');
+    assert.equal(new Set(headers).size, headers.length);
+  });
+
+  it('writes CSV with a header row and quoted cells', async (t) => {
+    const cursor = stubRecords(t, [record]);
+
+    const { count, data } = await exportAs('csv');
+    const text = data.toString();
+    const [header, row] = parseCsv(text);
+    const cell = name => row[header.indexOf(name)];
+
+    assert.equal(count, 1);
+    assert.ok(text.endsWith('\r\n'));
+    assert.deepEqual(header, headers);
+    assert.equal(cell('id'), record._id.toString());
+    assert.equal(cell('reportingPeriod.quarter'), '2');
+    assert.equal(cell('reportingPeriod.month'), '');
+    assert.equal(cell('environmental.scope1Emissions'), '120.5');
+    assert.equal(cell('governance.complianceStatus'), 'compliant, with "notes"\nfor review');
+    assert.equal(cell('createdAt'), '2025-07-01T09:30:00.000Z');
+    assert.equal(cursor.closed, true);
+  });
+
+  it('writes one JSON object per line, keeping numbers and booleans typed', async (t) => {
+    stubRecords(t, [record, { ...record, _id: new mongoose.Types.ObjectId() }]);
+
+    const { count, data } = await exportAs('jsonl');
+    const lines = data.toString().split('\n');
+    const entry = JSON.parse(lines[0]);
+
+    assert.equal(count, 2);
+    assert.deepEqual(lines.slice(2), ['']);
+    assert.deepEqual(Object.keys(entry), headers);
+    assert.equal(entry.id, record._id.toString());
+    assert.equal(entry['environmental.scope1Emissions'], 120.5);
+    assert.equal(entry['governance.ethicsPolicyConfirmed'], true);
+    assert.equal(entry.facility, null);
+  });
+
+  it('writes an XLSX workbook with a header row', async (t) => {
+    stubRecords(t, [record]);
+
+    const { count, data } = await exportAs('xlsx');
+    const [sheet] = readWorkbook(data);
+    const [header, row] = sheet.rows.map(line => line.cells);
+
+    assert.equal(count, 1);
+    assert.equal(sheet.name, 'ESG records');
+    assert.deepEqual(header, headers);
+    assert.equal(row[header.indexOf('social.totalEmployees')], '40');
+    assert.equal(row[header.indexOf('governance.complianceStatus')], record.governance.complianceStatus);
+  });
+
+  it('writes only the header when nothing matches', async (t) => {
+    stubRecords(t, []);
+
+    const { count, data } = await exportAs('csv');
+
+    assert.equal(count, 0);
+    assert.deepEqual(parseCsv(data.toString()), [headers]);
+  });
+});
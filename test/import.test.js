@@ -0,0 +1,169 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import ESGRecord from '../src/models/ESGRecord.js';
+import Facility from '../src/models/Facility.js';
+import importService from '../src/services/importService.js';
+import organizationService from '../src/services/organizationService.js';
+import versionService from '../src/services/versionService.js';
+import { ERROR_MESSAGES, VERSION_CHANGE_TYPES } from '../src/utils/constants.js';
+
+const organization = { _id: new mongoose.Types.ObjectId() };
+const facilityId = new mongoose.Types.ObjectId();
+const otherFacilityId = new mongoose.Types.ObjectId();
+
+const request = () => ({
+  userId: new mongoose.Types.ObjectId(),
+  principalType: 'User',
+  user: { organization: organization._id },
+  permissions: new Set()
+});
+
+const csv = lines => Buffer.from(lines.join('\n'));
+
+// The organization of the request and two facilities, one of them elsewhere
+const stubDirectory = (t) => {
+  t.mock.method(organizationService, 'resolveForRequest', async () => organization);
+  t.mock.method(Facility, 'find', () => ({
+    select: () => ({
+      lean: async () => [
+        { _id: facilityId, organization: organization._id },
+        { _id: otherFacilityId, organization: new mongoose.Types.ObjectId() }
+      ]
+    })
+  }));
+};
+
+const validate = async (lines) => {
+  const { columns, entries } = importService.readCsv(csv(lines));
+  return importService.validateRows(request(), columns, entries);
+};
+
+describe('CSV import reading', () => {
+  it('maps header columns case-insensitively and numbers data lines', () => {
+    const { columns, entries } = importService.readCsv(csv([
+      'Year,Scope1_Emissions',
+      '2024,120.5',
+      '2025,98'
+    ]));
+
+    assert.deepEqual(columns, ['year', 'scope1_emissions']);
+    assert.deepEqual(entries, [
+      { line: 2, cells: ['2024', '120.5'] },
+      { line: 3, cells: ['2025', '98'] }
+    ]);
+  });
+
+  it('rejects unknown columns and a missing year', () => {
+    assert.deepEqual(importService.readCsv(csv(['scope1_emissions,colour', '1,red'])), {
+      error: ERROR_MESSAGES.IMPORT_COLUMNS_INVALID,
+      details: { unknown: ['colour'], missing: ['year'] }
+    });
+  });
+});
+
+describe('CSV import row validation', () => {
+  it('accepts valid rows for the organization of the request', async (t) => {
+    stubDirectory(t);
+    const req = request();
+    const { columns, entries } = importService.readCsv(csv([
+      'year,facility,scope1_emissions',
+      `2024,${facilityId},120.5`
+    ]));
+
+    const { results, valid } = await importService.validateRows(req, columns, entries);
+
+    assert.deepEqual(results, [{ line: 2, status: 'valid' }]);
+    assert.equal(valid[0].data.environmental.scope1Emissions, 120.5);
+    assert.equal(valid[0].data.reportingPeriod.year, 2024);
+    assert.equal(valid[0].data.organization, organization._id);
+    assert.equal(valid[0].data.submittedBy, req.userId);
+  });
+
+  it('reports schema errors by import column', async (t) => {
+    stubDirectory(t);
+
+    const { results, valid } = await validate([
+      'year,scope1_emissions,compliance_status',
+      '2024,-5,sometimes'
+    ]);
+
+    assert.equal(valid.length, 0);
+    assert.equal(results[0].status, 'invalid');
+    assert.deepEqual(
+      results[0].errors.map(error => error.column).sort(),
+      ['compliance_status', 'scope1_emissions']
+    );
+  });
+
+  it('refuses facilities of another organization', async (t) => {
+    stubDirectory(t);
+
+    const { results } = await validate([
+      'year,facility',
+      `2024,${otherFacilityId}`,
+      `2024,${new mongoose.Types.ObjectId()}`
+    ]);
+
+    assert.deepEqual(results.map(result => result.errors), [
+      [{ column: 'facility', message: 'Facility not found' }],
+      [{ column: 'facility', message: 'Facility not found' }]
+    ]);
+  });
+
+  it('refuses rows when the organization cannot be resolved', async (t) => {
+    stubDirectory(t);
+    t.mock.method(organizationService, 'resolveForRequest', async () => null);
+
+    const { results } = await validate(['year', '2024']);
+
+    assert.deepEqual(results[0].errors, [{ column: 'organization', message: 'Organization not found' }]);
+  });
+});
+
+describe('Import commit', () => {
+  it('creates drafts with a first version and reports their IDs', async (t) => {
+    stubDirectory(t);
+    const req = request();
+    const { columns, entries } = importService.readCsv(csv([
+      'year,scope1_emissions',
+      '2024,10',
+      '2025,12'
+    ]));
+    const { results, valid } = await importService.validateRows(req, columns, entries);
+
+    const create = t.mock.method(ESGRecord, 'create', async documents =>
+      documents.map(document => new ESGRecord(document)));
+    const recordChange = t.mock.method(versionService, 'recordChange', async () => null);
+    const transaction = t.mock.method(mongoose.connection, 'transaction', async () => {
+      throw new Error('Transaction numbers are only allowed on a replica set member or mongos');
+    });
+
+    const ids = await importService.commit(req, valid);
+
+    assert.equal(transaction.mock.callCount(), 0);
+    assert.equal(create.mock.calls[0].arguments[1].session, null);
+    assert.equal(ids.length, 2);
+    assert.deepEqual(results.map(result => result.status), ['created', 'created']);
+    assert.deepEqual(results.map(result => result.recordId), ids);
+    assert.deepEqual(
+      recordChange.mock.calls.map(call => call.arguments[2].changeType),
+      [VERSION_CHANGE_TYPES.CREATED, VERSION_CHANGE_TYPES.CREATED]
+    );
+  });
+
+  it('creates nothing when a record cannot be stored', async (t) => {
+    stubDirectory(t);
+    const req = request();
+    const { columns, entries } = importService.readCsv(csv(['year', '2024']));
+    const { results, valid } = await importService.validateRows(req, columns, entries);
+
+    t.mock.method(ESGRecord, 'create', async () => {
+      throw new Error('E11000 duplicate key error');
+    });
+
+    await assert.rejects(importService.commit(req, valid), /duplicate key/);
+    assert.equal(results[0].status, 'valid');
+    assert.equal(results[0].recordId, undefined);
+  });
+});
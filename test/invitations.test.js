@@ -0,0 +1,155 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Invitation from '../src/models/Invitation.js';
+import User from '../src/models/User.js';
+import auditService from '../src/services/auditService.js';
+import sessionService from '../src/services/sessionService.js';
+import mfaService from '../src/services/mfaService.js';
+import { register } from '../src/controllers/authController.js';
+import { ERROR_MESSAGES } from '../src/utils/constants.js';
+import { hashToken } from '../src/utils/helpers.js';
+
+const TOKEN = 'invitation-token';
+const PASSWORD = 'Str0ng-Passphrase!';
+
+const response = () => ({
+  statusCode: 200,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+const request = body => ({ ip: '127.0.0.1', headers: {}, body });
+
+const registration = (name = 'Grace Hopper') =>
+  request({ invitationToken: TOKEN, name, password: PASSWORD });
+
+// One pending invitation and the accounts made from it, in memory.
+// Each update runs to completion on its own, as it would in MongoDB.
+const stubInvitation = (t, { createUser } = {}) => {
+  const invitation = {
+    _id: new mongoose.Types.ObjectId(),
+    tokenHash: hashToken(TOKEN),
+    email: 'grace@acme.test',
+    role: 'esg_analyst',
+    organization: new mongoose.Types.ObjectId(),
+    invitedBy: new mongoose.Types.ObjectId(),
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+  };
+  const users = [];
+
+  t.mock.method(Invitation, 'findOneAndUpdate', async (conditions, update) => {
+    const matches = invitation.tokenHash === conditions.tokenHash &&
+      invitation.acceptedAt == null &&
+      invitation.revokedAt == null &&
+      invitation.expiresAt > conditions.expiresAt.$gt;
+
+    if (!matches) return null;
+
+    Object.assign(invitation, update.$set);
+    return { ...invitation };
+  });
+  t.mock.method(Invitation, 'updateOne', async (conditions, update) => {
+    if ('acceptedBy' in conditions && invitation.acceptedBy != null) return;
+
+    Object.keys(update.$unset || {}).forEach((key) => {
+      delete invitation[key];
+    });
+    Object.assign(invitation, update.$set);
+  });
+  t.mock.method(User, 'findOne', async ({ email }) => users.find(user => user.email === email) || null);
+  t.mock.method(User, 'create', createUser || (async (data) => {
+    // Give the other registration a chance to run in between
+    await new Promise(resolve => setImmediate(resolve));
+    const user = new User(data);
+    users.push(user);
+    return user;
+  }));
+  t.mock.method(auditService, 'logUserCreated', async () => null);
+  t.mock.method(mfaService, 'isRequiredForRole', () => false);
+  t.mock.method(sessionService, 'createSession', async () => ({
+    token: 'access-token',
+    refreshToken: 'refresh-token'
+  }));
+
+  return { invitation, users };
+};
+
+describe('Invitation registration', () => {
+  it('creates the account the invitation describes and marks it accepted', async (t) => {
+    const { invitation, users } = stubInvitation(t);
+    const res = response();
+
+    await register(registration(), res);
+
+    assert.equal(res.statusCode, 201);
+    assert.equal(users.length, 1);
+    assert.equal(users[0].email, 'grace@acme.test');
+    assert.equal(users[0].role, 'esg_analyst');
+    assert.ok(invitation.acceptedAt);
+    assert.ok(invitation.acceptedBy.equals(users[0]._id));
+  });
+
+  it('makes one account when two registrations use the invitation at once', async (t) => {
+    const { users } = stubInvitation(t);
+    const responses = [response(), response()];
+
+    await Promise.all([
+      register(registration('Grace Hopper'), responses[0]),
+      register(registration('Mallory'), responses[1])
+    ]);
+
+    assert.deepEqual(responses.map(res => res.statusCode).sort(), [201, 400]);
+    assert.equal(
+      responses.find(res => res.statusCode === 400).body.message,
+      ERROR_MESSAGES.INVITATION_INVALID
+    );
+    assert.equal(users.length, 1);
+  });
+
+  it('refuses an invitation that was already used', async (t) => {
+    stubInvitation(t);
+    await register(registration(), response());
+
+    const res = response();
+    await register(registration(), res);
+
+    assert.equal(res.statusCode, 400);
+  });
+
+  it('hands the invitation back when the account cannot be created', async (t) => {
+    const { invitation } = stubInvitation(t, {
+      createUser: async () => {
+        throw new Error('E11000 duplicate key error');
+      }
+    });
+    t.mock.method(console, 'error', () => {});
+    const res = response();
+
+    await register(registration(), res);
+
+    assert.equal(res.statusCode, 500);
+    assert.equal(invitation.acceptedAt, undefined);
+  });
+
+  it('hands the invitation back when the password breaks the policy', async (t) => {
+    const { invitation } = stubInvitation(t);
+    const res = response();
+
+    await register(request({ invitationToken: TOKEN, name: 'Grace Hopper', password: 'short' }), res);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(invitation.acceptedAt, undefined);
+
+    const retry = response();
+    await register(registration(), retry);
+    assert.equal(retry.statusCode, 201);
+  });
+});
@@ -0,0 +1,195 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import ESGRecord from '../src/models/ESGRecord.js';
+import lifecycleService from '../src/services/lifecycleService.js';
+import versionService from '../src/services/versionService.js';
+import auditService from '../src/services/auditService.js';
+import {
+  rejectESGRecord,
+  startESGRecordReview,
+  submitESGRecord,
+  updateESGRecord
+} from '../src/controllers/esgController.js';
+import { ERROR_MESSAGES, PERMISSIONS, SUCCESS_MESSAGES } from '../src/utils/constants.js';
+
+const approvedRecord = () => new ESGRecord({
+  organization: new mongoose.Types.ObjectId(),
+  submittedBy: new mongoose.Types.ObjectId(),
+  reportingPeriod: { year: 2025 },
+  status: 'approved',
+  reviewedBy: new mongoose.Types.ObjectId(),
+  approvedAt: new Date(),
+  approvals: [{ approvedBy: new mongoose.Types.ObjectId(), approvedAt: new Date() }]
+});
+
+const response = () => ({
+  statusCode: 200,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+// Send an update of an approved record with storage stubbed out
+const updateApproved = async (t, req, body) => {
+  const record = approvedRecord();
+  const res = response();
+
+  t.mock.method(ESGRecord, 'findById', async () => record);
+  t.mock.method(versionService, 'saveWithChange', async () => ({ version: 2, changes: [] }));
+  t.mock.method(auditService, 'logESGRecordUpdated', async () => null);
+
+  await updateESGRecord({ ...req, params: { id: record._id.toString() }, body }, res);
+  return { record, res };
+};
+
+const userWith = (...permissions) => ({
+  userId: new mongoose.Types.ObjectId(),
+  principalType: 'User',
+  permissions: new Set(permissions)
+});
+
+describe('ESG record reopen transition', () => {
+  it('moves an approved record back to draft without its approvals', () => {
+    const record = approvedRecord();
+    const req = userWith(PERMISSIONS.ESG_EDIT_APPROVED);
+
+    assert.equal(lifecycleService.check(record, 'reopen', req), null);
+    assert.deepEqual(lifecycleService.apply(record, 'reopen', req), { from: 'approved', to: 'draft' });
+    assert.equal(record.status, 'draft');
+    assert.equal(record.approvals.length, 0);
+    assert.equal(record.approvedAt, undefined);
+    assert.equal(record.reviewedBy, undefined);
+  });
+
+  it('needs the permission to edit approved records', () => {
+    const violation = lifecycleService.check(approvedRecord(), 'reopen', userWith(PERMISSIONS.ESG_UPDATE));
+
+    assert.equal(violation.status, 403);
+  });
+});
+
+describe('ESG record updates', () => {
+  it('send an approved record with changed figures back to draft', async (t) => {
+    const req = userWith(PERMISSIONS.ESG_UPDATE, PERMISSIONS.ESG_EDIT_APPROVED);
+    const { record, res } = await updateApproved(t, req, { environmental: { scope1Emissions: 42 } });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(record.status, 'draft');
+    assert.equal(record.approvals.length, 0);
+    assert.equal(record.approvedAt, undefined);
+    assert.ok(record.preparedBy.some(id => id.equals(req.userId)));
+    assert.equal(
+      auditService.logESGRecordUpdated.mock.calls[0].arguments[2].previousStatus,
+      'approved'
+    );
+  });
+
+  it('keep an approved record approved when only review notes change', async (t) => {
+    const req = userWith(PERMISSIONS.ESG_UPDATE, PERMISSIONS.ESG_EDIT_APPROVED);
+    const { record, res } = await updateApproved(t, req, { reviewNotes: 'Checked against invoices' });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(record.status, 'approved');
+    assert.equal(record.approvals.length, 1);
+  });
+
+  it('refuse changes to approved records without the permission to edit them', async (t) => {
+    const req = userWith(PERMISSIONS.ESG_UPDATE);
+    const { record, res } = await updateApproved(t, req, { environmental: { scope1Emissions: 42 } });
+
+    assert.equal(res.statusCode, 403);
+    assert.equal(record.status, 'approved');
+    assert.equal(versionService.saveWithChange.mock.callCount(), 0);
+  });
+});
+
+describe('ESG record rejection and resubmission', () => {
+  const preparer = userWith(PERMISSIONS.ESG_SUBMIT);
+  const reviewer = userWith(PERMISSIONS.ESG_APPROVE);
+  const reasons = [{ code: 'data_inaccurate', field: 'environmental.scope1Emissions', comment: 'Check the gas invoices' }];
+
+  // A draft record with storage and audit stubbed out
+  const stubRecord = (t) => {
+    const record = new ESGRecord({
+      organization: new mongoose.Types.ObjectId(),
+      submittedBy: preparer.userId,
+      reportingPeriod: { year: 2025 },
+      status: 'draft'
+    });
+
+    t.mock.method(ESGRecord, 'findById', async () => record);
+    t.mock.method(ESGRecord.prototype, 'save', async function () {
+      return this;
+    });
+    ['logESGRecordSubmitted', 'logESGRecordReviewStarted', 'logESGRecordRejected', 'logSegregationOfDutiesViolation']
+      .forEach(method => t.mock.method(auditService, method, async () => null));
+
+    return record;
+  };
+
+  const act = async (handler, req, record, body = {}) => {
+    const res = response();
+    await handler({ ...req, params: { id: record._id.toString() }, body }, res);
+    return res;
+  };
+
+  it('sends a record under review back with reasons and takes it again once resubmitted', async (t) => {
+    const record = stubRecord(t);
+
+    await act(submitESGRecord, preparer, record);
+    assert.equal((await act(startESGRecordReview, reviewer, record)).statusCode, 200);
+    assert.equal(record.status, 'under_review');
+    assert.ok(record.reviewStartedBy.equals(reviewer.userId));
+
+    const rejected = await act(rejectESGRecord, reviewer, record, { reasons });
+    assert.equal(rejected.statusCode, 200);
+    assert.equal(record.status, 'rejected');
+    assert.equal(record.rejections.length, 1);
+    assert.equal(record.rejections[0].reasons[0].code, 'data_inaccurate');
+    assert.equal(auditService.logESGRecordRejected.mock.calls[0].arguments[2].rejectionCount, 1);
+
+    const resubmitted = await act(submitESGRecord, preparer, record);
+    assert.equal(resubmitted.body.message, SUCCESS_MESSAGES.ESG_RECORD_RESUBMITTED);
+    assert.equal(record.status, 'submitted');
+    assert.equal(record.resubmissionCount, 1);
+    assert.equal(record.reviewStartedBy, undefined);
+  });
+
+  it('lets only the preparers resubmit a rejected record', async (t) => {
+    const record = stubRecord(t);
+    await act(submitESGRecord, preparer, record);
+    await act(rejectESGRecord, reviewer, record, { reasons });
+
+    const res = await act(submitESGRecord, userWith(PERMISSIONS.ESG_SUBMIT), record);
+
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.message, ERROR_MESSAGES.ESG_RECORD_NOT_SUBMITTER);
+    assert.equal(record.status, 'rejected');
+  });
+
+  it('refuses reviews by a preparer and rejections outside review', async (t) => {
+    const record = stubRecord(t);
+    await act(submitESGRecord, preparer, record);
+
+    const selfReview = await act(
+      rejectESGRecord,
+      { ...preparer, permissions: new Set([PERMISSIONS.ESG_APPROVE]) },
+      record,
+      { reasons }
+    );
+    assert.equal(selfReview.statusCode, 403);
+    assert.equal(selfReview.body.message, ERROR_MESSAGES.SOD_SELF_REVIEW);
+    assert.equal(auditService.logSegregationOfDutiesViolation.mock.callCount(), 1);
+
+    record.status = 'draft';
+    assert.equal((await act(rejectESGRecord, reviewer, record, { reasons })).statusCode, 400);
+    assert.equal(record.rejections.length, 0);
+  });
+});
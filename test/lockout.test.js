@@ -0,0 +1,122 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import bcrypt from 'bcryptjs';
+import User from '../src/models/User.js';
+import accountLockoutService from '../src/services/accountLockoutService.js';
+import auditService from '../src/services/auditService.js';
+import { login } from '../src/controllers/authController.js';
+import { ERROR_MESSAGES, HTTP_STATUS } from '../src/utils/constants.js';
+
+const MINUTE = 60 * 1000;
+
+const response = () => ({
+  statusCode: 200,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+// One account in memory, updated the way MongoDB applies the operators
+const stubAccount = (t) => {
+  const user = new User({
+    name: 'Ada',
+    email: 'ada@acme.test',
+    password: bcrypt.hashSync('Corr3ct-Horse!', 4),
+    role: 'esg_analyst',
+    organization: new mongoose.Types.ObjectId(),
+    emailVerified: true
+  });
+
+  t.mock.method(User, 'findByIdAndUpdate', async (id, update) => {
+    Object.entries(update.$inc || {}).forEach(([key, amount]) => {
+      user[key] = (user[key] || 0) + amount;
+    });
+    Object.assign(user, update.$set);
+    Object.keys(update.$unset || {}).forEach((key) => {
+      user[key] = undefined;
+    });
+    return user;
+  });
+  t.mock.method(User, 'findOne', () => ({ select: async () => user }));
+  t.mock.method(auditService, 'logAccountLocked', async () => null);
+  t.mock.method(auditService, 'logLogin', async () => null);
+
+  return user;
+};
+
+const fail = async (user, times) => {
+  let state;
+  for (let attempt = 0; attempt < times; attempt += 1) {
+    state = await accountLockoutService.recordFailedAttempt(user, {});
+  }
+  return state;
+};
+
+describe('Account lockout', () => {
+  it('locks the account on the fifth failed attempt in a row', async (t) => {
+    const user = stubAccount(t);
+
+    assert.equal((await fail(user, 4)).locked, false);
+
+    const state = await fail(user, 1);
+    assert.equal(state.locked, true);
+    assert.equal(state.failedLoginAttempts, 0);
+    assert.equal(state.lockoutCount, 1);
+    assert.ok(Math.abs(user.lockUntil - Date.now() - 15 * MINUTE) < MINUTE);
+    assert.equal(auditService.logAccountLocked.mock.callCount(), 1);
+  });
+
+  it('doubles the lock on every lockout, up to a day', async (t) => {
+    const user = stubAccount(t);
+    const durations = [];
+
+    for (let lockout = 0; lockout < 9; lockout += 1) {
+      await fail(user, 5);
+      durations.push(Math.round((user.lockUntil - Date.now()) / MINUTE));
+    }
+
+    assert.deepEqual(durations, [15, 30, 60, 120, 240, 480, 960, 1440, 1440]);
+  });
+
+  it('starts over after a successful login', async (t) => {
+    const user = stubAccount(t);
+    await fail(user, 5);
+
+    accountLockoutService.resetAttempts(user);
+    await fail(user, 5);
+
+    assert.equal(user.lockoutCount, 1);
+    assert.equal(Math.round((user.lockUntil - Date.now()) / MINUTE), 15);
+  });
+
+  it('refuses the right password while the account is locked', async (t) => {
+    const user = stubAccount(t);
+    await fail(user, 5);
+    const comparePassword = t.mock.method(User.prototype, 'comparePassword');
+    const res = response();
+
+    await login({ ip: '127.0.0.1', headers: {}, body: { email: user.email, password: 'Corr3ct-Horse!' } }, res);
+
+    assert.equal(res.statusCode, HTTP_STATUS.LOCKED);
+    assert.equal(res.body.message, ERROR_MESSAGES.ACCOUNT_LOCKED);
+    assert.equal(comparePassword.mock.callCount(), 0);
+  });
+
+  it('lifts the lock when an administrator unlocks the account', async (t) => {
+    const user = stubAccount(t);
+    t.mock.method(auditService, 'logAccountUnlocked', async () => null);
+    await fail(user, 5);
+
+    await accountLockoutService.unlock(user._id, new mongoose.Types.ObjectId(), {});
+
+    assert.equal(accountLockoutService.isLocked(user), false);
+    assert.equal(user.lockoutCount, 0);
+  });
+});
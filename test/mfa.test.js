@@ -0,0 +1,86 @@
+import { before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mfaService from '../src/services/mfaService.js';
+
+// RFC 6238 appendix B: the ASCII secret "12345678901234567890"
+const SECRET = mfaService.base32Encode(Buffer.from('12345678901234567890'));
+
+// RFC 6238 test times and the last six digits of their SHA-1 codes
+const AT_59 = 59 * 1000;
+const AT_1111111109 = 1111111109 * 1000;
+
+before(() => {
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+});
+
+describe('TOTP', () => {
+  it('generates the RFC 6238 reference codes', () => {
+    assert.equal(SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    assert.equal(mfaService.generateCode(SECRET, mfaService.getTimeStep(AT_59)), '287082');
+    assert.equal(mfaService.generateCode(SECRET, mfaService.getTimeStep(AT_1111111109)), '081804');
+  });
+
+  it('accepts the current code and one step of clock drift either side', (t) => {
+    t.mock.method(Date, 'now', () => AT_1111111109);
+    const step = mfaService.getTimeStep();
+
+    assert.equal(mfaService.verifyCode(SECRET, '081804'), step);
+    assert.equal(mfaService.verifyCode(SECRET, mfaService.generateCode(SECRET, step - 1)), step - 1);
+    assert.equal(mfaService.verifyCode(SECRET, mfaService.generateCode(SECRET, step + 1)), step + 1);
+    assert.equal(mfaService.verifyCode(SECRET, mfaService.generateCode(SECRET, step - 2)), null);
+  });
+
+  it('refuses a code from a step already used', (t) => {
+    t.mock.method(Date, 'now', () => AT_1111111109);
+    const step = mfaService.verifyCode(SECRET, '081804');
+
+    assert.equal(mfaService.verifyCode(SECRET, '081804', step), null);
+    assert.equal(
+      mfaService.verifyCode(SECRET, mfaService.generateCode(SECRET, step - 1), step),
+      null
+    );
+  });
+
+  it('refuses malformed codes and a missing secret', () => {
+    assert.equal(mfaService.verifyCode(SECRET, '12345'), null);
+    assert.equal(mfaService.verifyCode(SECRET, '12345a'), null);
+    assert.equal(mfaService.verifyCode(null, '123456'), null);
+  });
+
+  it('round-trips secrets through base32', () => {
+    const secret = mfaService.generateSecret();
+
+    assert.match(secret, /^[A-Z2-7]{32}$/);
+    assert.equal(mfaService.base32Encode(mfaService.base32Decode(secret)), secret);
+  });
+});
+
+describe('MFA recovery codes and challenges', () => {
+  it('matches recovery codes regardless of case and dashes', () => {
+    const { codes, hashes } = mfaService.generateRecoveryCodes();
+
+    assert.equal(codes.length, 10);
+    assert.equal(new Set(hashes).size, 10);
+    assert.equal(mfaService.hashRecoveryCode(codes[0].toUpperCase().replace('-', '')), hashes[0]);
+  });
+
+  it('accepts challenge tokens only for their purpose', () => {
+    const token = mfaService.createChallengeToken('user-1', 'mfa_challenge');
+
+    assert.equal(mfaService.verifyChallengeToken(token, 'mfa_challenge').userId, 'user-1');
+    assert.equal(mfaService.verifyChallengeToken(token, 'mfa_enrollment'), null);
+    assert.equal(mfaService.verifyChallengeToken('forged', 'mfa_challenge'), null);
+  });
+
+  it('requires MFA for the configured roles only', (t) => {
+    const previous = process.env.MFA_REQUIRED_ROLES;
+    process.env.MFA_REQUIRED_ROLES = 'administrator, auditor';
+    t.after(() => {
+      if (previous === undefined) delete process.env.MFA_REQUIRED_ROLES;
+      else process.env.MFA_REQUIRED_ROLES = previous;
+    });
+
+    assert.equal(mfaService.isRequiredForRole('auditor'), true);
+    assert.equal(mfaService.isRequiredForRole('esg_analyst'), false);
+  });
+});
@@ -0,0 +1,341 @@
+import { after, before, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import OidcAuthRequest from '../src/models/OidcAuthRequest.js';
+import User from '../src/models/User.js';
+import oidcService from '../src/services/oidcService.js';
+import auditService from '../src/services/auditService.js';
+import sessionService from '../src/services/sessionService.js';
+import roleService from '../src/services/roleService.js';
+import organizationService from '../src/services/organizationService.js';
+import { oidcCallback } from '../src/controllers/authController.js';
+import { ERROR_MESSAGES } from '../src/utils/constants.js';
+import { startMockIssuer } from './support/mockIssuer.js';
+
+const CLIENT_ID = 'esg-platform';
+const CLIENT_SECRET = 'mock-client-secret';
+
+const organizationId = new mongoose.Types.ObjectId();
+let issuer;
+
+const request = (query = {}) => ({ ip: '127.0.0.1', headers: {}, query });
+
+const response = () => ({
+  statusCode: 200,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+// Set environment variables for the duration of a test
+const setEnv = (t, values) => {
+  const previous = Object.fromEntries(Object.keys(values).map(key => [key, process.env[key]]));
+
+  Object.assign(process.env, values);
+  t.after(() => {
+    Object.entries(previous).forEach(([key, value]) => {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    });
+  });
+};
+
+// Go through the provider's login page and come back with a code
+const signIn = async (claims, options) => {
+  const authorizationUrl = await oidcService.createAuthorizationUrl(request());
+  return issuer.authorize(authorizationUrl, claims, options);
+};
+
+// Account storage and the services the callback talks to, in memory
+const stubAccounts = (t, { users = [], roleExists = true } = {}) => {
+  const created = [];
+
+  t.mock.method(User, 'findOne', async query => users.find(user =>
+    query.email
+      ? user.email === query.email
+      : user.oidc?.issuer === query['oidc.issuer'] && user.oidc?.subject === query['oidc.subject']
+  ) || null);
+  t.mock.method(User, 'create', async (data) => {
+    const user = new User(data);
+    created.push(user);
+    return user;
+  });
+  t.mock.method(User.prototype, 'save', async function () {
+    return this;
+  });
+  t.mock.method(organizationService, 'findActiveBySlug', async slug =>
+    (slug === 'acme' ? { _id: organizationId, slug } : null)
+  );
+  t.mock.method(roleService, 'roleExists', async () => roleExists);
+  t.mock.method(sessionService, 'createSession', async () => ({
+    token: 'access-token',
+    refreshToken: 'refresh-token'
+  }));
+  ['logLogin', 'logUserCreated', 'logUserUpdated'].forEach((name) => {
+    t.mock.method(auditService, name, async () => null);
+  });
+
+  return created;
+};
+
+before(async () => {
+  issuer = await startMockIssuer({ clientId: CLIENT_ID, clientSecret: CLIENT_SECRET });
+
+  Object.assign(process.env, {
+    OIDC_ISSUER: issuer.issuer,
+    OIDC_CLIENT_ID: CLIENT_ID,
+    OIDC_CLIENT_SECRET: CLIENT_SECRET,
+    OIDC_REDIRECT_URI: 'http://localhost:3000/api/auth/oidc/callback',
+    OIDC_ROLE_CLAIM: 'groups',
+    OIDC_ROLE_MAPPING: 'esg-admins=administrator,esg-analysts=esg_analyst',
+    OIDC_ORGANIZATION_CLAIM: 'org'
+  });
+
+  // Pending login attempts, kept in memory instead of MongoDB
+  const pending = new Map();
+
+  mock.method(OidcAuthRequest, 'create', async (data) => {
+    pending.set(data.stateHash, data);
+    return data;
+  });
+  mock.method(OidcAuthRequest, 'findOneAndDelete', async ({ stateHash, expiresAt }) => {
+    const data = pending.get(stateHash);
+    pending.delete(stateHash);
+    return data && data.expiresAt > expiresAt.$gt ? data : null;
+  });
+});
+
+after(async () => {
+  mock.restoreAll();
+  await issuer.close();
+});
+
+describe('OIDC authorization code flow', () => {
+  it('redirects with state, nonce and an S256 PKCE challenge', async () => {
+    const url = new URL(await oidcService.createAuthorizationUrl(request()));
+
+    assert.equal(url.origin + url.pathname, `${issuer.issuer}/authorize`);
+    assert.equal(url.searchParams.get('response_type'), 'code');
+    assert.equal(url.searchParams.get('client_id'), CLIENT_ID);
+    assert.equal(url.searchParams.get('code_challenge_method'), 'S256');
+    assert.ok(url.searchParams.get('state'));
+    assert.ok(url.searchParams.get('nonce'));
+    assert.ok(url.searchParams.get('code_challenge'));
+  });
+
+  it('exchanges the code and returns the verified ID token claims', async () => {
+    const callback = await signIn({ sub: 'user-1', email: 'ada@acme.test' });
+    const claims = await oidcService.handleCallback(callback);
+
+    assert.equal(claims.iss, issuer.issuer);
+    assert.equal(claims.aud, CLIENT_ID);
+    assert.equal(claims.sub, 'user-1');
+    assert.equal(claims.email, 'ada@acme.test');
+  });
+
+  it('accepts each login attempt only once', async () => {
+    const callback = await signIn({ sub: 'user-1' });
+    await oidcService.handleCallback(callback);
+
+    await assert.rejects(
+      oidcService.handleCallback(callback),
+      /unknown or has expired/
+    );
+  });
+
+  it('rejects an unknown state', async () => {
+    const { code } = await signIn({ sub: 'user-1' });
+
+    await assert.rejects(
+      oidcService.handleCallback({ code, state: 'forged-state' }),
+      /unknown or has expired/
+    );
+  });
+
+  it('rejects a code redeemed with another PKCE challenge', async () => {
+    const authorizationUrl = new URL(await oidcService.createAuthorizationUrl(request()));
+    authorizationUrl.searchParams.set('code_challenge', 'attacker-challenge');
+    const callback = issuer.authorize(authorizationUrl.toString(), { sub: 'user-1' });
+
+    await assert.rejects(
+      oidcService.handleCallback(callback),
+      /PKCE verification failed/
+    );
+  });
+
+  it('rejects an ID token with another nonce', async () => {
+    const callback = await signIn({ sub: 'user-1', nonce: 'replayed-nonce' });
+
+    await assert.rejects(oidcService.handleCallback(callback), /nonce mismatch/);
+  });
+
+  it('rejects an ID token issued to another client', async () => {
+    const callback = await signIn({ sub: 'user-1' }, { audience: 'other-client' });
+
+    await assert.rejects(oidcService.handleCallback(callback), /audience invalid/);
+  });
+
+  it('picks up rotated signing keys', async () => {
+    await oidcService.handleCallback(await signIn({ sub: 'user-1' }));
+    issuer.rotateKey();
+
+    const claims = await oidcService.handleCallback(await signIn({ sub: 'user-1' }));
+    assert.equal(claims.sub, 'user-1');
+  });
+});
+
+describe('OIDC claim mapping', () => {
+  it('maps groups to a role, earlier mappings first', () => {
+    assert.equal(oidcService.mapRole({ groups: ['staff', 'esg-analysts'] }), 'esg_analyst');
+    assert.equal(oidcService.mapRole({ groups: ['esg-analysts', 'esg-admins'] }), 'administrator');
+    assert.equal(oidcService.mapRole({ groups: 'esg-admins' }), 'administrator');
+  });
+
+  it('reads dotted role claims', (t) => {
+    setEnv(t, { OIDC_ROLE_CLAIM: 'realm_access.roles' });
+
+    assert.equal(
+      oidcService.mapRole({ realm_access: { roles: ['esg-admins'] } }),
+      'administrator'
+    );
+  });
+
+  it('falls back to the default role, or none', (t) => {
+    assert.equal(oidcService.mapRole({ groups: ['staff'] }), null);
+
+    setEnv(t, { OIDC_DEFAULT_ROLE: 'auditor' });
+    assert.equal(oidcService.mapRole({ groups: ['staff'] }), 'auditor');
+  });
+
+  it('uses the organization claim as the slug without a mapping', () => {
+    assert.equal(oidcService.mapOrganization({ org: 'acme' }), 'acme');
+    assert.equal(oidcService.mapOrganization({}), null);
+  });
+
+  it('maps organization claims when a mapping is configured', (t) => {
+    setEnv(t, {
+      OIDC_ORGANIZATION_MAPPING: 'tenant-42=acme',
+      OIDC_DEFAULT_ORGANIZATION: 'holding'
+    });
+
+    assert.equal(oidcService.mapOrganization({ org: 'tenant-42' }), 'acme');
+    assert.equal(oidcService.mapOrganization({ org: 'tenant-7' }), 'holding');
+  });
+});
+
+describe('OIDC just-in-time provisioning', () => {
+  it('creates a verified account with the mapped role and organization', async (t) => {
+    const created = stubAccounts(t);
+    const res = response();
+
+    await oidcCallback(request(await signIn({
+      sub: 'new-user',
+      email: 'Grace@Acme.test',
+      name: 'Grace Hopper',
+      groups: ['esg-analysts'],
+      org: 'acme'
+    })), res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.data.token, 'access-token');
+    assert.equal(created.length, 1);
+
+    const [user] = created;
+    assert.equal(user.email, 'grace@acme.test');
+    assert.equal(user.name, 'Grace Hopper');
+    assert.equal(user.role, 'esg_analyst');
+    assert.ok(user.organization.equals(organizationId));
+    assert.equal(user.authProvider, 'oidc');
+    assert.equal(user.emailVerified, true);
+    assert.deepEqual(
+      { issuer: user.oidc.issuer, subject: user.oidc.subject },
+      { issuer: issuer.issuer, subject: 'new-user' }
+    );
+    assert.equal(auditService.logUserCreated.mock.callCount(), 1);
+  });
+
+  it('refuses users whose claims map to no role', async (t) => {
+    const created = stubAccounts(t);
+    const res = response();
+
+    await oidcCallback(request(await signIn({
+      sub: 'new-user',
+      email: 'guest@acme.test',
+      groups: ['staff'],
+      org: 'acme'
+    })), res);
+
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.message, ERROR_MESSAGES.OIDC_ACCOUNT_NOT_MAPPED);
+    assert.equal(created.length, 0);
+  });
+
+  it('refuses users of an unknown organization', async (t) => {
+    const created = stubAccounts(t);
+    const res = response();
+
+    await oidcCallback(request(await signIn({
+      sub: 'new-user',
+      email: 'ada@other.test',
+      groups: ['esg-admins'],
+      org: 'other'
+    })), res);
+
+    assert.equal(res.statusCode, 403);
+    assert.equal(created.length, 0);
+  });
+
+  it('syncs the role of a provisioned account from its claims', async (t) => {
+    const user = new User({
+      name: 'Ada',
+      email: 'ada@acme.test',
+      role: 'esg_analyst',
+      organization: organizationId,
+      authProvider: 'oidc',
+      oidc: { issuer: issuer.issuer, subject: 'user-1' },
+      emailVerified: true
+    });
+    const created = stubAccounts(t, { users: [user] });
+    const res = response();
+
+    await oidcCallback(request(await signIn({
+      sub: 'user-1',
+      email: 'ada@acme.test',
+      groups: ['esg-admins'],
+      org: 'acme'
+    })), res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(created.length, 0);
+    assert.equal(user.role, 'administrator');
+    assert.equal(auditService.logUserUpdated.mock.callCount(), 1);
+  });
+
+  it('does not link a local account to an unverified email', async (t) => {
+    const user = new User({
+      name: 'Ada',
+      email: 'ada@acme.test',
+      role: 'administrator',
+      organization: organizationId
+    });
+    stubAccounts(t, { users: [user] });
+    const res = response();
+
+    await oidcCallback(request(await signIn({
+      sub: 'someone-else',
+      email: 'ada@acme.test',
+      email_verified: false,
+      groups: ['esg-admins'],
+      org: 'acme'
+    })), res);
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(user.oidc?.subject, undefined);
+  });
+});
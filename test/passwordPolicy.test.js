@@ -0,0 +1,114 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import bcrypt from 'bcryptjs';
+import passwordPolicyService from '../src/services/passwordPolicyService.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Set environment variables for the duration of a test
+const setEnv = (t, values) => {
+  const previous = Object.fromEntries(Object.keys(values).map(key => [key, process.env[key]]));
+
+  Object.assign(process.env, values);
+  t.after(() => {
+    Object.entries(previous).forEach(([key, value]) => {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    });
+  });
+};
+
+// A user whose password has been set (and hashed, as the model would)
+// once per entry, most recent last
+const userWithPasswords = (...passwords) => {
+  const user = { email: 'ada@acme.test', name: 'Ada', passwordHistory: [] };
+
+  passwords.forEach((password) => {
+    if (user.password) {
+      user.passwordHistory = [user.password, ...user.passwordHistory].slice(0, 4);
+    }
+    user.password = bcrypt.hashSync(password, 4);
+  });
+
+  return user;
+};
+
+const messages = errors => errors.map(error => error.message);
+
+describe('Password policy', () => {
+  it('accepts a password meeting every rule', () => {
+    assert.deepEqual(passwordPolicyService.validate('Tidal-Orbit-47'), []);
+  });
+
+  it('lists every rule a password breaks', () => {
+    assert.deepEqual(messages(passwordPolicyService.validate('short')), [
+      'Password must be at least 12 characters',
+      'Password must contain an uppercase letter',
+      'Password must contain a digit',
+      'Password must contain a symbol'
+    ]);
+  });
+
+  it('refuses common passwords and ones containing the name or email', () => {
+    assert.ok(messages(passwordPolicyService.validate('Password@123')).some(message => /too common/.test(message)));
+    assert.deepEqual(
+      messages(passwordPolicyService.validate('Lovelace-2024!', { email: 'lovelace@acme.test' })),
+      ['Password cannot contain your name or email']
+    );
+  });
+
+  it('follows the configured rules', (t) => {
+    setEnv(t, { PASSWORD_MIN_LENGTH: '8', PASSWORD_REQUIRE_SYMBOL: 'false' });
+
+    assert.deepEqual(passwordPolicyService.validate('Orbit4711'), []);
+  });
+});
+
+describe('Password history', () => {
+  it('refuses the current password and the recent ones', async () => {
+    const user = userWithPasswords('First-Passw0rd!', 'Second-Passw0rd!', 'Third-Passw0rd!');
+
+    for (const password of ['First-Passw0rd!', 'Third-Passw0rd!']) {
+      const errors = await passwordPolicyService.changePassword(user, password);
+      assert.deepEqual(messages(errors), ['Password cannot match any of your last 5 passwords']);
+    }
+  });
+
+  it('keeps the previous hashes so the last five passwords are blocked', async () => {
+    const user = userWithPasswords('P1-Passw0rd!x', 'P2-Passw0rd!x', 'P3-Passw0rd!x', 'P4-Passw0rd!x', 'P5-Passw0rd!x');
+    const current = user.password;
+
+    assert.deepEqual(await passwordPolicyService.changePassword(user, 'P6-Passw0rd!x'), []);
+    assert.equal(user.password, 'P6-Passw0rd!x');
+    assert.equal(user.passwordHistory.length, 4);
+    assert.equal(user.passwordHistory[0], current);
+
+    // The user model hashes the new password on save
+    user.password = bcrypt.hashSync(user.password, 4);
+    assert.ok(await passwordPolicyService.isReused(user, 'P2-Passw0rd!x'));
+    assert.equal(await passwordPolicyService.isReused(user, 'P1-Passw0rd!x'), false);
+  });
+
+  it('keeps no history when it is turned off', async (t) => {
+    setEnv(t, { PASSWORD_HISTORY_SIZE: '0' });
+    const user = userWithPasswords('First-Passw0rd!', 'Second-Passw0rd!');
+
+    assert.deepEqual(await passwordPolicyService.changePassword(user, 'Third-Passw0rd!'), []);
+    assert.deepEqual(user.passwordHistory, []);
+  });
+});
+
+describe('Password expiry', () => {
+  it('expires passwords older than the maximum age, except single sign-on accounts', (t) => {
+    setEnv(t, { PASSWORD_MAX_AGE_DAYS: '90' });
+    const passwordChangedAt = new Date(Date.now() - 91 * DAY);
+
+    assert.equal(passwordPolicyService.isExpired({ passwordChangedAt }), true);
+    assert.equal(passwordPolicyService.isExpired({ passwordChangedAt: new Date() }), false);
+    assert.equal(passwordPolicyService.isExpired({ passwordChangedAt, authProvider: 'oidc' }), false);
+  });
+
+  it('never expires passwords without a maximum age', () => {
+    assert.equal(passwordPolicyService.isExpired({ passwordChangedAt: new Date(0) }), false);
+  });
+});
@@ -0,0 +1,123 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import bcrypt from 'bcryptjs';
+import User from '../src/models/User.js';
+import mailService from '../src/services/mailService.js';
+import sessionService from '../src/services/sessionService.js';
+import auditService from '../src/services/auditService.js';
+import { forgotPassword, resetPassword } from '../src/controllers/authController.js';
+import { ERROR_MESSAGES, SUCCESS_MESSAGES } from '../src/utils/constants.js';
+
+const response = () => ({
+  statusCode: 200,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+const request = body => ({ ip: '127.0.0.1', headers: {}, body });
+
+// A query resolving to `result`, with the chaining the controllers use
+const query = result => ({
+  select() {
+    return this;
+  },
+  then(resolve, reject) {
+    return Promise.resolve(result).then(resolve, reject);
+  }
+});
+
+const createUser = () => new User({
+  name: 'Ada Lovelace',
+  email: 'ada@acme.test',
+  password: bcrypt.hashSync('Old-Passw0rd!x', 4),
+  role: 'esg_analyst',
+  organization: new mongoose.Types.ObjectId()
+});
+
+// Accounts looked up by email or reset token, in memory
+const stubAccounts = (t, users) => {
+  t.mock.method(User, 'findOne', conditions => query(users.find(user =>
+    (conditions.email
+      ? user.email === conditions.email
+      : user.passwordResetTokenHash === conditions.passwordResetTokenHash &&
+        user.passwordResetExpires > conditions.passwordResetExpires.$gt)
+  ) || null));
+  t.mock.method(User.prototype, 'save', async function () {
+    return this;
+  });
+  t.mock.method(sessionService, 'revokeAllForUser', async () => 1);
+  t.mock.method(auditService, 'logUserUpdated', async () => null);
+};
+
+describe('Password reset request', () => {
+  it('answers the same whether or not the account exists', async (t) => {
+    stubAccounts(t, [createUser()]);
+    t.mock.method(mailService, 'sendPasswordReset', async () => undefined);
+
+    const known = response();
+    const unknown = response();
+    await forgotPassword(request({ email: 'ada@acme.test' }), known);
+    await forgotPassword(request({ email: 'nobody@acme.test' }), unknown);
+
+    assert.deepEqual([known.statusCode, known.body], [unknown.statusCode, unknown.body]);
+    assert.equal(known.body.message, SUCCESS_MESSAGES.PASSWORD_RESET_REQUESTED);
+    assert.equal(mailService.sendPasswordReset.mock.callCount(), 1);
+  });
+
+  it('answers the same when the email cannot be sent', async (t) => {
+    stubAccounts(t, [createUser()]);
+    t.mock.method(mailService, 'sendPasswordReset', async () => {
+      throw new Error('Mail transport responded with 503');
+    });
+    t.mock.method(console, 'error', () => {});
+
+    const res = response();
+    await forgotPassword(request({ email: 'ada@acme.test' }), res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.message, SUCCESS_MESSAGES.PASSWORD_RESET_REQUESTED);
+    assert.equal(console.error.mock.callCount(), 1);
+  });
+});
+
+describe('Password reset', () => {
+  it('accepts a reset token only once', async (t) => {
+    const user = createUser();
+    const token = user.createPasswordResetToken(60);
+    stubAccounts(t, [user]);
+
+    const first = response();
+    await resetPassword(request({ token, password: 'New-Passw0rd!x' }), first);
+
+    assert.equal(first.statusCode, 200);
+    assert.equal(user.password, 'New-Passw0rd!x');
+    assert.equal(user.passwordResetTokenHash, undefined);
+    assert.equal(sessionService.revokeAllForUser.mock.callCount(), 1);
+
+    const second = response();
+    await resetPassword(request({ token, password: 'Other-Passw0rd!y' }), second);
+
+    assert.equal(second.statusCode, 400);
+    assert.equal(second.body.message, ERROR_MESSAGES.RESET_TOKEN_INVALID);
+    assert.equal(user.password, 'New-Passw0rd!x');
+  });
+
+  it('refuses expired reset tokens', async (t) => {
+    const user = createUser();
+    const token = user.createPasswordResetToken(-1);
+    stubAccounts(t, [user]);
+
+    const res = response();
+    await resetPassword(request({ token, password: 'New-Passw0rd!x' }), res);
+
+    assert.equal(res.statusCode, 400);
+  });
+});
@@ -0,0 +1,224 @@
+import { before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Session from '../src/models/Session.js';
+import User from '../src/models/User.js';
+import Organization from '../src/models/Organization.js';
+import sessionService from '../src/services/sessionService.js';
+import roleService from '../src/services/roleService.js';
+import auditService from '../src/services/auditService.js';
+import { authenticate } from '../src/middleware/auth.js';
+import { revokeMySession } from '../src/controllers/authController.js';
+import { ERROR_MESSAGES } from '../src/utils/constants.js';
+
+const request = (headers = {}) => ({
+  ip: '127.0.0.1',
+  headers: { 'user-agent': 'node-test', ...headers },
+  baseUrl: '/api/esg',
+  path: '/'
+});
+
+const response = () => ({
+  statusCode: 200,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+// Matches a stored session against the conditions the service uses
+const matches = (session, conditions) => Object.entries(conditions).every(([key, value]) => {
+  if (key === '_id' && value?.$ne) return !session._id.equals(value.$ne);
+  if (key === '_id' || key === 'user') return session[key].equals(value);
+  if (value?.$exists === false) return session[key] === undefined;
+  return session[key] === value;
+});
+
+// Sessions in memory, with the queries and writes the service makes
+const stubSessions = (t) => {
+  const sessions = new Map();
+  const apply = (session, update) => {
+    Object.assign(session, update.$set);
+  };
+
+  t.mock.method(Session, 'create', async (data) => {
+    const session = new Session(data);
+    sessions.set(String(session._id), session);
+    return session;
+  });
+  t.mock.method(Session, 'findById', id => ({
+    select: async () => sessions.get(String(id)) || null
+  }));
+  t.mock.method(Session, 'findOne', async conditions =>
+    [...sessions.values()].find(session => matches(session, conditions)) || null);
+  t.mock.method(Session, 'updateOne', async (conditions, update) => {
+    const session = [...sessions.values()].find(candidate => matches(candidate, conditions));
+    if (session) apply(session, update);
+    return { modifiedCount: session ? 1 : 0 };
+  });
+  t.mock.method(Session, 'updateMany', async (conditions, update) => {
+    const found = [...sessions.values()].filter(session => matches(session, conditions));
+    found.forEach(session => apply(session, update));
+    return { modifiedCount: found.length };
+  });
+  t.mock.method(Session.prototype, 'save', async function () {
+    return this;
+  });
+
+  return sessions;
+};
+
+const userId = new mongoose.Types.ObjectId();
+
+before(() => {
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+});
+
+describe('Refresh tokens', () => {
+  it('rotates the refresh token on every use', async (t) => {
+    stubSessions(t);
+    const { refreshToken } = await sessionService.createSession(userId, request());
+
+    const rotated = await sessionService.rotateRefreshToken(refreshToken, request());
+
+    assert.ok(rotated.token);
+    assert.notEqual(rotated.refreshToken, refreshToken);
+    assert.ok(rotated.session.user.equals(userId));
+    assert.ok(await sessionService.rotateRefreshToken(rotated.refreshToken, request()));
+  });
+
+  it('revokes the session when a rotated token is replayed', async (t) => {
+    stubSessions(t);
+    const { session, refreshToken } = await sessionService.createSession(userId, request());
+    const rotated = await sessionService.rotateRefreshToken(refreshToken, request());
+
+    assert.equal(await sessionService.rotateRefreshToken(refreshToken, request()), null);
+    assert.equal(session.revokedReason, 'token_reuse');
+    assert.equal(await sessionService.rotateRefreshToken(rotated.refreshToken, request()), null);
+  });
+
+  it('refuses malformed, unknown and expired tokens', async (t) => {
+    const sessions = stubSessions(t);
+    const { session, refreshToken } = await sessionService.createSession(userId, request());
+
+    assert.equal(await sessionService.rotateRefreshToken('not-a-token', request()), null);
+    assert.equal(
+      await sessionService.rotateRefreshToken(`${new mongoose.Types.ObjectId()}.secret`, request()),
+      null
+    );
+
+    session.expiresAt = new Date(Date.now() - 1000);
+    assert.equal(await sessionService.rotateRefreshToken(refreshToken, request()), null);
+    assert.equal(sessions.size, 1);
+  });
+});
+
+describe('Session revocation', () => {
+  // A signed-in user whose other lookups are stubbed out
+  const signIn = async (t) => {
+    const user = new User({
+      _id: userId,
+      name: 'Ada',
+      email: 'ada@acme.test',
+      role: 'esg_analyst',
+      organization: new mongoose.Types.ObjectId(),
+      emailVerified: true
+    });
+
+    t.mock.method(User, 'findById', () => ({ select: async () => user }));
+    t.mock.method(Organization, 'findById', () => ({
+      select: () => ({ lean: async () => ({ isActive: true }) })
+    }));
+    t.mock.method(roleService, 'getPermissions', async () => new Set());
+
+    return sessionService.createSession(userId, request());
+  };
+
+  const authenticateWith = async (token) => {
+    const res = response();
+    let reached = false;
+
+    await authenticate(request({ authorization: `Bearer ${token}` }), res, () => {
+      reached = true;
+    });
+
+    return { res, reached };
+  };
+
+  it('stops access tokens of a revoked session from working', async (t) => {
+    stubSessions(t);
+    const { session, token } = await signIn(t);
+
+    assert.equal((await authenticateWith(token)).reached, true);
+
+    await sessionService.revokeSession(session._id, 'logout');
+    const { res, reached } = await authenticateWith(token);
+
+    assert.equal(reached, false);
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.message, ERROR_MESSAGES.SESSION_REVOKED);
+  });
+
+  it('revokes every other session of a user on request', async (t) => {
+    stubSessions(t);
+    const current = await signIn(t);
+    const other = await sessionService.createSession(userId, request());
+    const stranger = await sessionService.createSession(new mongoose.Types.ObjectId(), request());
+
+    await sessionService.revokeAllForUser(userId, 'password_change', current.session._id);
+
+    assert.equal(current.session.revokedAt, undefined);
+    assert.equal(other.session.revokedReason, 'password_change');
+    assert.equal(stranger.session.revokedAt, undefined);
+    assert.equal(await sessionService.rotateRefreshToken(other.refreshToken, request()), null);
+  });
+});
+
+describe('Session listing and remote sign-out', () => {
+  const firefox = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:128.0) Gecko/20100101 Firefox/128.0';
+
+  it('describes the device and marks the session making the request', async (t) => {
+    stubSessions(t);
+    const { session } = await sessionService.createSession(userId, request({ 'user-agent': firefox }));
+
+    const current = sessionService.toPublicSession(session, session._id);
+
+    assert.equal(current.device, 'Firefox on Windows');
+    assert.equal(current.current, true);
+    assert.equal(sessionService.toPublicSession(session, new mongoose.Types.ObjectId()).current, false);
+    assert.equal(sessionService.toPublicSession(session).current, false);
+  });
+
+  it('signs out one of the user\'s own sessions', async (t) => {
+    stubSessions(t);
+    t.mock.method(auditService, 'logSessionRevoked', async () => null);
+    const { session, refreshToken } = await sessionService.createSession(userId, request());
+    const res = response();
+
+    await revokeMySession({ ...request(), userId, params: { sessionId: session._id } }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(session.revokedReason, 'user_revoked');
+    assert.equal(await sessionService.rotateRefreshToken(refreshToken, request()), null);
+    assert.equal(auditService.logSessionRevoked.mock.callCount(), 1);
+  });
+
+  it('cannot sign out another user\'s session', async (t) => {
+    stubSessions(t);
+    t.mock.method(auditService, 'logSessionRevoked', async () => null);
+    const { session } = await sessionService.createSession(new mongoose.Types.ObjectId(), request());
+    const res = response();
+
+    await revokeMySession({ ...request(), userId, params: { sessionId: session._id } }, res);
+
+    assert.equal(res.statusCode, 404);
+    assert.equal(res.body.message, ERROR_MESSAGES.SESSION_NOT_FOUND);
+    assert.equal(session.revokedAt, undefined);
+    assert.equal(auditService.logSessionRevoked.mock.callCount(), 0);
+  });
+});
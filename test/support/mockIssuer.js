@@ -0,0 +1,136 @@
+import crypto from 'crypto';
+import http from 'http';
+import jwt from 'jsonwebtoken';
+
+/**
+ * Local OpenID Connect provider for tests: discovery, JWKS and a token
+ * endpoint that checks client credentials and PKCE before issuing a
+ * signed ID token
+ */
+export const startMockIssuer = async ({ clientId, clientSecret }) => {
+  const grants = new Map();
+  let issuer;
+  let signingKey;
+
+  const rotateKey = () => {
+    signingKey = {
+      kid: crypto.randomUUID(),
+      ...crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+    };
+  };
+
+  rotateKey();
+
+  const readBody = async (req) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    return Buffer.concat(chunks).toString('utf8');
+  };
+
+  const send = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  const issueToken = async (req, res) => {
+    const params = new URLSearchParams(await readBody(req));
+    const expected = `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}`;
+
+    if (req.headers.authorization !== expected) {
+      return send(res, 401, { error: 'invalid_client' });
+    }
+
+    const grant = grants.get(params.get('code'));
+    grants.delete(params.get('code'));
+
+    if (!grant || params.get('redirect_uri') !== grant.redirectUri) {
+      return send(res, 400, { error: 'invalid_grant' });
+    }
+
+    const challenge = crypto
+      .createHash('sha256')
+      .update(params.get('code_verifier') || '')
+      .digest('base64url');
+
+    if (challenge !== grant.codeChallenge) {
+      return send(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+
+    const idToken = jwt.sign(
+      { nonce: grant.nonce, ...grant.claims },
+      signingKey.privateKey,
+      {
+        algorithm: 'RS256',
+        keyid: signingKey.kid,
+        issuer,
+        audience: grant.audience,
+        expiresIn: '5m'
+      }
+    );
+
+    return send(res, 200, { access_token: 'mock-access-token', token_type: 'Bearer', id_token: idToken });
+  };
+
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, issuer);
+
+    if (pathname === '/.well-known/openid-configuration') {
+      return send(res, 200, {
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        jwks_uri: `${issuer}/jwks`
+      });
+    }
+
+    if (pathname === '/jwks') {
+      return send(res, 200, {
+        keys: [{
+          ...signingKey.publicKey.export({ format: 'jwk' }),
+          kid: signingKey.kid,
+          use: 'sig',
+          alg: 'RS256'
+        }]
+      });
+    }
+
+    if (pathname === '/token' && req.method === 'POST') {
+      return issueToken(req, res);
+    }
+
+    return send(res, 404, { error: 'not_found' });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  issuer = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    issuer,
+    rotateKey,
+
+    /**
+     * Sign the user in at an authorization URL the app redirected to;
+     * returns the callback parameters ({ code, state }). `claims` end up
+     * in the ID token and may override the nonce.
+     */
+    authorize(authorizationUrl, claims, { audience = clientId } = {}) {
+      const params = new URL(authorizationUrl).searchParams;
+      const code = crypto.randomBytes(16).toString('hex');
+
+      grants.set(code, {
+        claims,
+        audience,
+        nonce: params.get('nonce'),
+        codeChallenge: params.get('code_challenge'),
+        redirectUri: params.get('redirect_uri')
+      });
+
+      return { code, state: params.get('state') };
+    },
+
+    close() {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+};
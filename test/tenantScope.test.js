@@ -0,0 +1,100 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import tenantScope from '../src/models/plugins/tenantScope.js';
+import { runWithTenant } from '../src/utils/tenantContext.js';
+import AuditLog from '../src/models/AuditLog.js';
+import ESGComment from '../src/models/ESGComment.js';
+import ESGRecord from '../src/models/ESGRecord.js';
+import ESGRecordVersion from '../src/models/ESGRecordVersion.js';
+import Evidence from '../src/models/Evidence.js';
+import Facility from '../src/models/Facility.js';
+import Invitation from '../src/models/Invitation.js';
+import Report from '../src/models/Report.js';
+import ServiceAccount from '../src/models/ServiceAccount.js';
+import User from '../src/models/User.js';
+
+// A tenant model that fails fast instead of waiting for a connection;
+// its middleware still runs first
+const Widget = mongoose.model('Widget', new mongoose.Schema(
+  { organization: mongoose.Schema.Types.ObjectId, name: String },
+  { bufferCommands: false }
+).plugin(tenantScope));
+
+const acme = new mongoose.Types.ObjectId();
+const globex = new mongoose.Types.ObjectId();
+
+// Conditions a query ends up with after middleware
+const filterOf = async (query) => {
+  await query.exec().catch(() => {});
+  return query.getFilter();
+};
+
+describe('Tenant isolation', () => {
+  it('is applied to every organization-owned model', () => {
+    [AuditLog, ESGComment, ESGRecord, ESGRecordVersion, Evidence, Facility, Invitation, Report, ServiceAccount, User]
+      .forEach((Model) => {
+        assert.ok(
+          Model.schema.plugins.some(plugin => plugin.fn === tenantScope),
+          `${Model.modelName} is not tenant scoped`
+        );
+      });
+  });
+
+  it('confines reads and writes to the organization of the request', async () => {
+    await runWithTenant({ organizationId: acme }, async () => {
+      for (const query of [
+        Widget.find({ name: 'a' }),
+        Widget.findOne({ _id: new mongoose.Types.ObjectId() }),
+        Widget.countDocuments(),
+        Widget.updateMany({}, { name: 'b' }),
+        Widget.deleteOne({ name: 'a' })
+      ]) {
+        assert.ok((await filterOf(query)).organization.equals(acme));
+      }
+    });
+  });
+
+  it('cannot be widened by asking for another organization', async () => {
+    await runWithTenant({ organizationId: acme }, async () => {
+      const filter = await filterOf(Widget.find({ organization: globex }));
+
+      assert.ok(filter.organization.equals(acme));
+    });
+  });
+
+  it('scopes aggregations', async () => {
+    await runWithTenant({ organizationId: acme }, async () => {
+      const aggregate = Widget.aggregate([{ $group: { _id: '$name' } }]);
+      await aggregate.exec().catch(() => {});
+
+      assert.ok(aggregate.pipeline()[0].$match.organization.equals(acme));
+    });
+  });
+
+  it('fills in and guards the organization of new documents', async () => {
+    await runWithTenant({ organizationId: acme }, async () => {
+      const widget = new Widget({ name: 'a' });
+      await widget.validate();
+      assert.ok(widget.organization.equals(acme));
+
+      await assert.rejects(
+        new Widget({ name: 'b', organization: globex }).validate(),
+        /another organization/
+      );
+    });
+  });
+
+  it('leaves platform-wide principals, deliberate cross-tenant lookups and background work unscoped', async () => {
+    await runWithTenant({ organizationId: acme, unrestricted: true }, async () => {
+      assert.equal((await filterOf(Widget.find({ name: 'a' }))).organization, undefined);
+    });
+
+    await runWithTenant({ organizationId: acme }, async () => {
+      const query = Widget.findOne({ name: 'a' }).setOptions({ skipTenantScope: true });
+      assert.equal((await filterOf(query)).organization, undefined);
+    });
+
+    assert.equal((await filterOf(Widget.find({ name: 'a' }))).organization, undefined);
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import User from '../src/models/User.js';
+import roleService from '../src/services/roleService.js';
+import mailService from '../src/services/mailService.js';
+import auditService from '../src/services/auditService.js';
+import { updateUser } from '../src/controllers/userController.js';
+import { ERROR_MESSAGES } from '../src/utils/constants.js';
+
+const response = () => ({
+  statusCode: 200,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+// Accounts of every organization, looked up the way the controller does
+const stubAccounts = (t, users) => {
+  const lookups = [];
+
+  t.mock.method(User, 'findById', id => ({
+    select: async () => users.find(user => user._id.equals(id)) || null
+  }));
+  t.mock.method(User, 'findOne', (conditions) => {
+    const lookup = { conditions, options: {} };
+    lookups.push(lookup);
+
+    return {
+      setOptions(options) {
+        lookup.options = options;
+        return Promise.resolve(users.find(user => user.email === conditions.email) || null);
+      }
+    };
+  });
+  t.mock.method(User.prototype, 'save', async function () {
+    return this;
+  });
+  t.mock.method(roleService, 'canAssign', async () => true);
+  t.mock.method(mailService, 'sendEmailVerification', async () => undefined);
+  t.mock.method(auditService, 'logUserUpdated', async () => null);
+
+  return lookups;
+};
+
+const account = (email, organization = new mongoose.Types.ObjectId()) => new User({
+  name: 'Account Holder',
+  email,
+  role: 'esg_analyst',
+  organization,
+  emailVerified: true
+});
+
+const update = async (user, body) => {
+  const res = response();
+
+  await updateUser({
+    ip: '127.0.0.1',
+    headers: {},
+    userId: new mongoose.Types.ObjectId(),
+    params: { id: user._id.toString() },
+    body
+  }, res);
+
+  return res;
+};
+
+describe('User email change', () => {
+  it('refuses an address taken in another organization', async (t) => {
+    const user = account('ada@acme.test');
+    const lookups = stubAccounts(t, [user, account('grace@other.test')]);
+
+    const res = await update(user, { email: 'Grace@Other.test' });
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.message, ERROR_MESSAGES.USER_ALREADY_EXISTS);
+    assert.deepEqual(lookups[0].options, { skipTenantScope: true });
+    assert.equal(user.email, 'ada@acme.test');
+    assert.equal(User.prototype.save.mock.callCount(), 0);
+  });
+
+  it('asks for the new address to be verified', async (t) => {
+    const user = account('ada@acme.test');
+    stubAccounts(t, [user]);
+
+    const res = await update(user, { email: 'ada.lovelace@acme.test' });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(user.email, 'ada.lovelace@acme.test');
+    assert.equal(user.emailVerified, false);
+    assert.equal(mailService.sendEmailVerification.mock.callCount(), 1);
+  });
+
+  it('does not look the address up when it is unchanged', async (t) => {
+    const user = account('ada@acme.test');
+    const lookups = stubAccounts(t, [user]);
+
+    const res = await update(user, { email: 'ADA@acme.test', name: 'Ada King' });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(lookups.length, 0);
+    assert.equal(user.emailVerified, true);
+  });
+});
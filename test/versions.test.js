@@ -0,0 +1,56 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import ESGRecord from '../src/models/ESGRecord.js';
+import ESGRecordVersion from '../src/models/ESGRecordVersion.js';
+import versionService from '../src/services/versionService.js';
+import { VERSION_CHANGE_TYPES } from '../src/utils/constants.js';
+
+// Version history of one record, in memory
+const stubVersions = (t, versions = []) => {
+  t.mock.method(ESGRecordVersion, 'findOne', () => ({
+    sort: () => ({
+      select: () => ({
+        session: () => ({ lean: async () => versions.at(-1) || null })
+      })
+    })
+  }));
+  t.mock.method(ESGRecordVersion, 'create', async (documents, options) => {
+    versions.push(...documents.map(document => ({ ...document, session: options.session })));
+    return documents;
+  });
+
+  return versions;
+};
+
+describe('ESG record versions', () => {
+  it('saves a change and its version without a transaction on a standalone server', async (t) => {
+    const record = new ESGRecord({
+      organization: new mongoose.Types.ObjectId(),
+      submittedBy: new mongoose.Types.ObjectId(),
+      reportingPeriod: { year: 2025 },
+      environmental: { scope1Emissions: 10 }
+    });
+    const versions = stubVersions(t, [{ version: 1 }]);
+    const transaction = t.mock.method(mongoose.connection, 'transaction', async () => {
+      throw new Error('Transaction numbers are only allowed on a replica set member or mongos');
+    });
+    const save = t.mock.method(record, 'save', async () => record);
+    const before = versionService.snapshot(record);
+
+    record.environmental.scope1Emissions = 12;
+    const version = await versionService.saveWithChange(record, before, {
+      changeType: VERSION_CHANGE_TYPES.UPDATED,
+      principal: new mongoose.Types.ObjectId(),
+      principalType: 'User'
+    });
+
+    assert.equal(transaction.mock.callCount(), 0);
+    assert.deepEqual(save.mock.calls[0].arguments, [{ session: null }]);
+    assert.equal(version.version, 2);
+    assert.deepEqual(version.changes, [
+      { path: 'environmental.scope1Emissions', from: 10, to: 12 }
+    ]);
+    assert.equal(versions.at(-1).session, null);
+  });
+});
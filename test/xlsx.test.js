@@ -0,0 +1,129 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import importService from '../src/services/importService.js';
+import { buildWorkbook, readWorkbook } from '../src/utils/xlsx.js';
+import { createZip, openZip } from '../src/utils/zip.js';
+import { ERROR_MESSAGES } from '../src/utils/constants.js';
+
+const SHEET_PATH = 'xl/worksheets/sheet1.xml';
+
+// A one-sheet workbook whose worksheet XML holds the given rows
+const workbookWithRows = (rowsXml, name = 'Environmental') => {
+  const zip = openZip(buildWorkbook([{ name, rows: [['placeholder']] }]));
+
+  return createZip(zip.names.map(entry => ({
+    name: entry,
+    data: entry === SHEET_PATH
+      ? `<worksheet><sheetData>${rowsXml}</sheetData></worksheet>`
+      : zip.read(entry)
+  })));
+};
+
+const cell = (reference, text) =>
+  `<c r="${reference}" t="inlineStr"><is><t>${text}</t></is></c>`;
+
+describe('XLSX reading', () => {
+  it('reads back the workbooks it builds', () => {
+    const sheets = readWorkbook(buildWorkbook([
+      { name: 'Environmental', rows: [['year', 'scope1'], [2024, 'a & b']] },
+      { name: 'Social', rows: [['year']] }
+    ]));
+
+    assert.deepEqual(sheets.map(sheet => sheet.name), ['Environmental', 'Social']);
+    assert.deepEqual(sheets[0].rows, [
+      { number: 1, cells: ['year', 'scope1'] },
+      { number: 2, cells: ['2024', 'a & b'] }
+    ]);
+  });
+
+  it('only reads the sheets asked for', () => {
+    const sheets = readWorkbook(
+      buildWorkbook([{ name: 'Notes', rows: [['x']] }, { name: 'Social', rows: [['year']] }]),
+      { include: name => name === 'Social' }
+    );
+
+    assert.deepEqual(sheets.map(sheet => sheet.name), ['Social']);
+  });
+
+  it('rejects cell references past column XFD', () => {
+    const buffer = workbookWithRows(`<row r="1">${cell('A1', 'year')}${cell('ZZZZZZ1', 'x')}</row>`);
+
+    assert.throws(() => readWorkbook(buffer), /ZZZZZZ1 is outside the sheet/);
+    assert.deepEqual(importService.readWorkbook(buffer), {
+      error: ERROR_MESSAGES.IMPORT_FILE_INVALID,
+      details: [{ message: 'Cell reference ZZZZZZ1 is outside the sheet' }]
+    });
+  });
+
+  it('keeps every row as wide as the header', () => {
+    const rows = Array.from({ length: 200 }, (_, index) =>
+      `<row r="${index + 2}">${cell(`A${index + 2}`, index)}${cell(`XFD${index + 2}`, 'far')}</row>`);
+    const [sheet] = readWorkbook(workbookWithRows(
+      `<row r="1">${cell('A1', 'year')}${cell('B1', 'scope1')}</row>${rows.join('')}`
+    ));
+
+    assert.equal(sheet.rows.length, 201);
+    assert.ok(sheet.rows.every(row => row.cells.length === 2));
+    assert.deepEqual(sheet.rows[1].cells, ['0', '']);
+  });
+
+  it('rejects headers wider than allowed', () => {
+    const buffer = workbookWithRows(`<row r="1">${cell('A1', 'year')}${cell('XFD1', 'x')}</row>`);
+
+    assert.throws(
+      () => readWorkbook(buffer, { maxColumns: 256 }),
+      /Sheet Environmental has more than 256 columns/
+    );
+  });
+
+  it('reads self-closing rows as empty', () => {
+    const [sheet] = readWorkbook(workbookWithRows(
+      `<row r="1">${cell('A1', 'year')}${cell('C1', 'scope1')}</row>` +
+      '<row r="2"/><row r="3" spans="1:3"/>' +
+      `<row r="5">${cell('C5', '12')}</row>`
+    ));
+
+    assert.deepEqual(sheet.rows, [
+      { number: 1, cells: ['year', '', 'scope1'] },
+      { number: 2, cells: ['', '', ''] },
+      { number: 3, cells: ['', '', ''] },
+      { number: 5, cells: ['', '', '12'] }
+    ]);
+  });
+});
+
+describe('ZIP reading', () => {
+  it('rejects archives with too many entries', () => {
+    const buffer = createZip(Array.from({ length: 11 }, (_, index) => ({
+      name: `entry${index}.txt`,
+      data: 'x'
+    })));
+
+    assert.throws(() => openZip(buffer, { maxEntries: 10 }), /more than 10 entries/);
+    assert.equal(openZip(buffer, { maxEntries: 11 }).names.length, 11);
+  });
+
+  it('caps what all reads inflate together, and inflates only what is read', () => {
+    const large = Buffer.alloc(1024 * 1024);
+    const zip = openZip(createZip([
+      { name: 'a.bin', data: large },
+      { name: 'b.bin', data: large },
+      { name: 'c.bin', data: large }
+    ]), { maxTotalSize: 2.5 * 1024 * 1024 });
+
+    assert.equal(zip.read('a.bin').length, large.length);
+    assert.equal(zip.read('a.bin').length, large.length);
+    assert.equal(zip.read('c.bin').length, large.length);
+    assert.throws(() => zip.read('b.bin'), /exceeds the size limit/);
+    assert.equal(zip.read('missing.bin'), undefined);
+  });
+
+  it('caps the size of each entry', () => {
+    const zip = openZip(
+      createZip([{ name: 'bomb.bin', data: Buffer.alloc(1024 * 1024) }]),
+      { maxEntrySize: 1024 }
+    );
+
+    assert.throws(() => zip.read('bomb.bin'), /exceeds the size limit/);
+  });
+});